@@ -23,6 +23,15 @@ import NewRecipeScreen from './components/NewRecipeScreen';
 import VotingScreen from './components/VotingScreen';
 import ResultsScreen from './components/ResultsScreen';
 import GroupChatScreen from './components/GroupChatScreen';
+import ShoppingListScreen from './components/ShoppingListScreen';
+import GroupLedgerScreen from './components/GroupLedgerScreen';
+import WeeklyPlanScreen from './components/WeeklyPlanScreen';
+import OutboxScreen from './components/OutboxScreen';
+import RecipeBackupScreen from './components/RecipeBackupScreen';
+import VotingMethodScreen from './components/VotingMethodScreen';
+import AvailabilityScreen from './components/AvailabilityScreen';
+import RecommendationDebugScreen from './components/RecommendationDebugScreen';
+import ProposeMealScreen from './components/ProposeMealScreen';
 
 const Stack = createStackNavigator();
 
@@ -198,6 +207,12 @@ export default function App() {
         navigationRef.current.navigate('MainTabs', {
           switchToGroupsTab: true,
         });
+      } else if (data?.type === 'round_options_changed' && data?.requestId && navigationRef.current) {
+        navigationRef.current.navigate('VotingScreen', {
+          requestId: data.requestId,
+          groupId: data.groupId,
+          groupName: data.groupName,
+        });
       } else if (data?.type === 'occasion_response' && data?.occasionId && navigationRef.current) {
         navigationRef.current.navigate('MainTabs', {
           switchToGroupsTab: true,
@@ -294,6 +309,51 @@ export default function App() {
             component={GroupChatScreen}
             options={smoothSlideTransition}
           />
+          <Stack.Screen 
+            name="ShoppingList" 
+            component={ShoppingListScreen}
+            options={smoothSlideTransition}
+          />
+          <Stack.Screen 
+            name="GroupLedger" 
+            component={GroupLedgerScreen}
+            options={smoothSlideTransition}
+          />
+          <Stack.Screen 
+            name="WeeklyPlan" 
+            component={WeeklyPlanScreen}
+            options={smoothSlideTransition}
+          />
+          <Stack.Screen 
+            name="Outbox" 
+            component={OutboxScreen}
+            options={smoothSlideTransition}
+          />
+          <Stack.Screen 
+            name="RecipeBackup" 
+            component={RecipeBackupScreen}
+            options={smoothSlideTransition}
+          />
+          <Stack.Screen 
+            name="VotingMethod" 
+            component={VotingMethodScreen}
+            options={smoothSlideTransition}
+          />
+          <Stack.Screen 
+            name="RecommendationDebug" 
+            component={RecommendationDebugScreen}
+            options={smoothSlideTransition}
+          />
+          <Stack.Screen 
+            name="ProposeMeal" 
+            component={ProposeMealScreen}
+            options={smoothSlideTransition}
+          />
+          <Stack.Screen 
+            name="Availability" 
+            component={AvailabilityScreen}
+            options={smoothSlideTransition}
+          />
         </Stack.Navigator>
       </NavigationContainer>
         </ToastProvider>
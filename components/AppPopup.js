@@ -3,6 +3,8 @@ import { StyleSheet, View, Text, TouchableOpacity, Modal, Linking, ScrollView }
 import { Image as ExpoImage } from 'expo-image';
 import { supabase, USE_REAL_SUPABASE } from '../lib/supabase';
 import { useTheme } from '../lib/ThemeContext';
+import { EATING_RESPONSES } from '../lib/dinnerResponses';
+import { getMyToday } from '../lib/dinnerDayService';
 export default function AppPopup() {
   const { theme } = useTheme();
   const styles = useMemo(() => createStyles(theme), [theme]);
@@ -79,12 +81,13 @@ export default function AppPopup() {
     }
 
     if (p.filter_type === 'inactive') {
-      const today = new Date().toISOString().split('T')[0];
+      const today = getMyToday();
       const { count } = await supabase
         .from('daily_responses')
         .select('*', { count: 'exact', head: true })
         .eq('user_id', userId)
-        .eq('response', 'yes')
+        .in('response', EATING_RESPONSES)
+        .is('auto_source', null)
         .eq('response_date', today);
       return count === 0;
     }
@@ -0,0 +1,404 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet, Text, View, ScrollView, TouchableOpacity, TextInput,
+  ActivityIndicator, SafeAreaView, Alert } from 'react-native';
+import { useTranslation } from 'react-i18next';
+import { Feather } from '@expo/vector-icons';
+import { Calendar } from 'react-native-calendars';
+import {
+  getMyRsvpDefaults,
+  setMyRsvpDefaults,
+  getMyAbsences,
+  addAbsence,
+  removeAbsence,
+} from '../lib/standingRsvpService';
+import { WEEKDAYS, nextWeekdayDefault, isValidAbsence } from '../lib/standingRsvp';
+import { addDays } from '../lib/weeklyPlanner';
+import { getMyToday } from '../lib/dinnerDayService';
+import { lightHaptic, successHaptic } from '../lib/haptics';
+
+// 2024-01-07 is a Sunday: weekday n is n days later
+const weekdayFormat = new Intl.DateTimeFormat('nl-NL', { weekday: 'long', timeZone: 'UTC' });
+const formatWeekday = (day) => weekdayFormat.format(new Date(Date.UTC(2024, 0, 7 + day)));
+
+const periodFormat = new Intl.DateTimeFormat('nl-NL', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+const formatPeriodDate = (date) => periodFormat.format(new Date(`${date}T00:00:00Z`));
+
+const DEFAULT_COLORS = { yes: '#3D9A50', no: '#CC4444' };
+
+// Calendar marks for a period being picked
+const getPeriodMarks = (start, end) => {
+  if (!start) return {};
+  const marks = {};
+  const last = end || start;
+  for (let day = start; day <= last; day = addDays(day, 1)) {
+    marks[day] = { color: '#FFE3CC', textColor: '#1A1000', startingDay: day === start, endingDay: day === last };
+  }
+  return marks;
+};
+
+export default function AvailabilityScreen({ route, navigation }) {
+  const { groupId, groupName } = route?.params || {};
+  const { t } = useTranslation();
+  const today = getMyToday();
+  const [weekdays, setWeekdays] = useState({});
+  const [absences, setAbsences] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [picking, setPicking] = useState(false);
+  const [period, setPeriod] = useState({ startsOn: null, endsOn: null });
+  const [note, setNote] = useState('');
+
+  useEffect(() => {
+    (async () => {
+      const [defaultsRes, absencesRes] = await Promise.all([getMyRsvpDefaults(), getMyAbsences()]);
+      setWeekdays(defaultsRes.defaults[groupId] || {});
+      setAbsences(absencesRes.absences);
+      setLoading(false);
+    })();
+  }, [groupId]);
+
+  const toggleWeekday = async (day) => {
+    if (saving) return;
+    lightHaptic();
+    const previous = weekdays;
+    const value = nextWeekdayDefault(weekdays[String(day)]);
+    const next = { ...weekdays };
+    if (value) next[String(day)] = value;
+    else delete next[String(day)];
+    setWeekdays(next);
+    setSaving(true);
+    const result = await setMyRsvpDefaults(groupId, next);
+    setSaving(false);
+    if (!result.success) {
+      setWeekdays(previous);
+      Alert.alert(t('standingRsvp.weeklyTitle'), t('standingRsvp.saveFailed'));
+    }
+  };
+
+  const pickDay = ({ dateString }) => {
+    lightHaptic();
+    setPeriod((current) => (
+      !current.startsOn || current.endsOn || dateString < current.startsOn
+        ? { startsOn: dateString, endsOn: null }
+        : { startsOn: current.startsOn, endsOn: dateString }
+    ));
+  };
+
+  const saveAbsence = async () => {
+    const candidate = { startsOn: period.startsOn, endsOn: period.endsOn || period.startsOn };
+    if (!isValidAbsence(candidate, today) || saving) return;
+    setSaving(true);
+    const result = await addAbsence({ ...candidate, note });
+    setSaving(false);
+    if (!result.success) {
+      Alert.alert(t('standingRsvp.absenceTitle'), t('standingRsvp.saveFailed'));
+      return;
+    }
+    successHaptic();
+    setAbsences((list) => [...list, result.absence].filter(Boolean).sort((a, b) => a.starts_on.localeCompare(b.starts_on)));
+    setPicking(false);
+    setPeriod({ startsOn: null, endsOn: null });
+    setNote('');
+  };
+
+  const confirmRemove = (absence) => {
+    Alert.alert(
+      t('standingRsvp.removeTitle'),
+      t('standingRsvp.removeMessage', { from: formatPeriodDate(absence.starts_on), to: formatPeriodDate(absence.ends_on) }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('standingRsvp.remove'),
+          style: 'destructive',
+          onPress: async () => {
+            const result = await removeAbsence(absence.id);
+            if (result.success) setAbsences((list) => list.filter((a) => a.id !== absence.id));
+            else Alert.alert(t('standingRsvp.absenceTitle'), t('standingRsvp.saveFailed'));
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Text style={styles.backText}>‹</Text>
+        </TouchableOpacity>
+        <View style={styles.headerCenter}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{t('standingRsvp.title')}</Text>
+          {groupName ? <Text style={styles.headerSubtitle} numberOfLines={1}>{groupName}</Text> : null}
+        </View>
+        <View style={styles.backButton}>
+          {saving && <ActivityIndicator size="small" color="#FF6B00" />}
+        </View>
+      </View>
+
+      {loading ? (
+        <ActivityIndicator color="#FF6B00" style={styles.loader} />
+      ) : (
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          <Text style={styles.sectionTitle}>{t('standingRsvp.weeklyTitle')}</Text>
+          <Text style={styles.hintText}>{t('standingRsvp.weeklyHint')}</Text>
+
+          {WEEKDAYS.map((day) => {
+            const value = weekdays[String(day)] || null;
+            return (
+              <TouchableOpacity key={day} style={styles.row} onPress={() => toggleWeekday(day)} activeOpacity={0.7}>
+                <Text style={[styles.rowTitle, styles.weekday, styles.rowText]}>{formatWeekday(day)}</Text>
+                <View style={[styles.pill, value && { backgroundColor: DEFAULT_COLORS[value] }]}>
+                  <Text style={[styles.pillText, value && styles.pillTextActive]}>
+                    {t(`standingRsvp.default_${value || 'none'}`)}
+                  </Text>
+                </View>
+              </TouchableOpacity>
+            );
+          })}
+
+          <Text style={[styles.sectionTitle, styles.sectionSpaced]}>{t('standingRsvp.absenceTitle')}</Text>
+          <Text style={styles.hintText}>{t('standingRsvp.absenceHint')}</Text>
+
+          {absences.length === 0 && !picking && (
+            <Text style={styles.emptyText}>{t('standingRsvp.noAbsences')}</Text>
+          )}
+          {absences.map((absence) => (
+            <View key={absence.id} style={styles.row}>
+              <Feather name="calendar" size={18} color="#FF6B00" />
+              <View style={styles.rowText}>
+                <Text style={styles.rowTitle}>
+                  {t('standingRsvp.period', { from: formatPeriodDate(absence.starts_on), to: formatPeriodDate(absence.ends_on) })}
+                </Text>
+                {!!absence.note && <Text style={styles.rowMeta}>{absence.note}</Text>}
+              </View>
+              <TouchableOpacity onPress={() => confirmRemove(absence)} hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}>
+                <Feather name="trash-2" size={18} color="#A09485" />
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          {picking ? (
+            <View style={styles.pickerCard}>
+              <Calendar
+                onDayPress={pickDay}
+                markingType="period"
+                markedDates={getPeriodMarks(period.startsOn, period.endsOn)}
+                minDate={today}
+                firstDay={1}
+                theme={{
+                  calendarBackground: 'transparent',
+                  todayTextColor: '#FF6B00',
+                  arrowColor: '#FF6B00',
+                  textDayFontFamily: 'Inter_400Regular',
+                  textMonthFontFamily: 'PlayfairDisplay_700Bold',
+                  textDayHeaderFontFamily: 'Inter_500Medium',
+                }}
+              />
+              <TextInput
+                style={styles.noteInput}
+                value={note}
+                onChangeText={setNote}
+                placeholder={t('standingRsvp.notePlaceholder')}
+                placeholderTextColor="#A09485"
+                maxLength={80}
+              />
+              <View style={styles.pickerActions}>
+                <TouchableOpacity onPress={() => { setPicking(false); setPeriod({ startsOn: null, endsOn: null }); }}>
+                  <Text style={styles.cancelText}>{t('common.cancel')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.saveButton, !period.startsOn && styles.saveButtonDisabled]}
+                  onPress={saveAbsence}
+                  disabled={!period.startsOn}
+                >
+                  <Text style={styles.saveButtonText}>{t('standingRsvp.saveAbsence')}</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          ) : (
+            <TouchableOpacity style={[styles.row, styles.addRow]} onPress={() => { lightHaptic(); setPicking(true); }} activeOpacity={0.7}>
+              <Feather name="plus" size={18} color="#FF6B00" />
+              <Text style={[styles.rowTitle, styles.rowText]}>{t('standingRsvp.addAbsence')}</Text>
+            </TouchableOpacity>
+          )}
+
+          <Text style={styles.footnote}>{t('standingRsvp.footnote')}</Text>
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FAF8F5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E8E2DA',
+    backgroundColor: '#FAF8F5',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backText: {
+    fontSize: 32,
+    color: '#FF6B00',
+    fontFamily: 'Inter_400Regular',
+    marginTop: -4,
+  },
+  headerCenter: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 17,
+    fontFamily: 'PlayfairDisplay_700Bold',
+    color: '#1A1000',
+  },
+  headerSubtitle: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginTop: 2,
+  },
+  loader: {
+    marginVertical: 24,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+    marginBottom: 4,
+  },
+  sectionSpaced: {
+    marginTop: 24,
+  },
+  hintText: {
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginBottom: 12,
+    lineHeight: 18,
+  },
+  emptyText: {
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#A09485',
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    paddingVertical: 12,
+    paddingHorizontal: 14,
+    marginBottom: 6,
+    gap: 12,
+  },
+  addRow: {
+    borderStyle: 'dashed',
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 14,
+    fontFamily: 'Inter_500Medium',
+    color: '#1A1000',
+  },
+  weekday: {
+    textTransform: 'capitalize',
+  },
+  rowMeta: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginTop: 2,
+    lineHeight: 16,
+  },
+  pill: {
+    borderRadius: 12,
+    paddingVertical: 4,
+    paddingHorizontal: 12,
+    backgroundColor: '#F0EBE4',
+    minWidth: 64,
+    alignItems: 'center',
+  },
+  pillText: {
+    fontSize: 12,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#6B5A48',
+  },
+  pillTextActive: {
+    color: '#FFFFFF',
+  },
+  pickerCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    padding: 12,
+    marginTop: 6,
+  },
+  noteInput: {
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    fontFamily: 'Inter_400Regular',
+    color: '#1A1000',
+    marginTop: 12,
+  },
+  pickerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'flex-end',
+    gap: 16,
+    marginTop: 12,
+  },
+  cancelText: {
+    fontSize: 14,
+    fontFamily: 'Inter_500Medium',
+    color: '#6B5A48',
+  },
+  saveButton: {
+    backgroundColor: '#FF6B00',
+    borderRadius: 20,
+    paddingVertical: 10,
+    paddingHorizontal: 18,
+  },
+  saveButtonDisabled: {
+    opacity: 0.4,
+  },
+  saveButtonText: {
+    fontSize: 14,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FFFFFF',
+  },
+  footnote: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#8B8B8B',
+    marginTop: 16,
+    lineHeight: 16,
+  },
+});
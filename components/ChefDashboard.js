@@ -23,7 +23,7 @@ import { useTranslation } from 'react-i18next';
 import { updateChefProfile, deleteChefProfile, isChefPublicReady } from '../lib/chefService';
 import { getMyChefRecipes, addChefRecipe, updateChefRecipe, deleteChefRecipe, shareRecipeWithGroups, getRecipeShares } from '../lib/recipesService';
 import { uploadRecipeImage } from '../lib/recipeImageService';
-import { importRecipeFromUrl } from '../lib/recipeUrlImporter';
+import { importRecipeFromInput } from '../lib/recipeTextImporter';
 import * as Clipboard from 'expo-clipboard';
 import PhotoPickerCard from './ui/PhotoPickerCard';
 import FormSection from './ui/FormSection';
@@ -35,7 +35,7 @@ import { lightHaptic, successHaptic } from '../lib/haptics';
 import { useToast } from './ui/Toast';
 import { useAppState } from '../lib/AppStateContext';
 import ServingSelector from './ui/ServingSelector';
-import { scaleIngredients } from '../lib/ingredientScaler';
+import { scaleIngredients, INGREDIENT_UNITS, toIngredientFields, fromIngredientFields } from '../lib/ingredientScaler';
 import { getRecipeExtras } from '../lib/recipeExtrasService';
 import { useTheme } from '../lib/ThemeContext';
 
@@ -67,7 +67,7 @@ const extractUsername = (value) => {
   return `@${cleaned}`;
 };
 
-const UNIT_OPTIONS = ['', 'g', 'kg', 'ml', 'L', 'el', 'tl', 'stuks', 'snuf', 'scheutje', 'blik', 'zakje', 'teen', 'takje'];
+const UNIT_OPTIONS = ['', ...INGREDIENT_UNITS];
 
 const VISIBILITY_OPTIONS = [
   { key: 'private', icon: 'lock', label: 'visibilityPrivate' },
@@ -280,37 +280,18 @@ export default function ChefDashboard({
   }, [loading, recipes.length]);
 
   // Format a single ingredient for display
-  const formatIngredient = (ing) => {
-    const parts = [];
-    if (ing.qty?.trim()) parts.push(ing.qty.trim());
-    if (ing.unit) parts.push(ing.unit);
-    parts.push(ing.name?.trim() || '');
-    return parts.join(' ').trim();
-  };
+  const formatIngredient = (ing) => fromIngredientFields(ing);
 
   // Convert structured ingredients to string array for DB
   const ingredientsToStrings = (items) =>
     items
       .filter((i) => i.name.trim())
-      .map((i) => {
-        const parts = [];
-        if (i.qty.trim()) parts.push(i.qty.trim());
-        if (i.unit) parts.push(i.unit);
-        parts.push(i.name.trim());
-        return parts.join(' ');
-      });
+      .map(fromIngredientFields);
 
   // Parse string array back to structured ingredients
   const stringsToIngredients = (arr) => {
     if (!arr || arr.length === 0) return [{ qty: '', unit: '', name: '' }];
-    return arr.map((s) => {
-      if (typeof s !== 'string') return { qty: '', unit: '', name: String(s) };
-      const match = s.match(/^(\d+[\.,]?\d*(?:\/\d+)?)\s*(g|kg|ml|L|el|tl|stuks|snuf|scheutje|blik|zakje|teen|takje)?\s*(.*)/i);
-      if (match) {
-        return { qty: match[1] || '', unit: match[2] || '', name: match[3] || '' };
-      }
-      return { qty: '', unit: '', name: s };
-    });
+    return arr.map((s) => (typeof s === 'string' ? toIngredientFields(s) : { qty: '', unit: '', name: String(s) }));
   };
 
   const resetForm = () => {
@@ -342,6 +323,12 @@ export default function ChefDashboard({
         toast.error(t('userRecipes.clipboardEmpty') || 'Klembord is leeg');
         return;
       }
+      // A whole recipe (WhatsApp message, note) doesn't fit the link field:
+      // import the text straight away.
+      if (text.includes('\n')) {
+        handleImportUrlWith(text);
+        return;
+      }
       setUrlInput(text);
       // Auto-import if it's a plausible URL — saves a tap.
       if (/^https?:\/\/\S+\.\S+/i.test(text)) {
@@ -353,8 +340,9 @@ export default function ChefDashboard({
     }
   };
 
-  // Core import — accepts an explicit URL so paste-auto-import can pass the
-  // fresh value without waiting for React state to settle.
+  // Core import — accepts an explicit URL (or pasted recipe text) so
+  // paste-auto-import can pass the fresh value without waiting for React
+  // state to settle.
   const handleImportUrlWith = async (url) => {
     const clean = (url || '').trim();
     if (!clean) {
@@ -364,7 +352,7 @@ export default function ChefDashboard({
     setImporting(true);
     lightHaptic();
     try {
-      const result = await importRecipeFromUrl(clean);
+      const result = await importRecipeFromInput(clean);
       if (!result.success) {
         toast.error(result.error || 'Kon recept niet importeren');
         return;
@@ -383,7 +371,9 @@ export default function ChefDashboard({
 
       // Show the "just imported" preview badge with source host + counts.
       try {
-        const host = new URL(clean).hostname.replace(/^www\./, '');
+        const host = r.source_url
+          ? new URL(r.source_url).hostname.replace(/^www\./, '')
+          : t('userRecipes.fromText') || 'geplakte tekst';
         setImportPreview({
           host,
           ingredientCount: r.ingredients?.length || 0,
@@ -1,15 +1,59 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import {
-  StyleSheet, Text, View, FlatList, TextInput,
+  StyleSheet, Text, View, FlatList, TextInput, Modal, ScrollView,
   TouchableOpacity, KeyboardAvoidingView, Platform, ActivityIndicator, SafeAreaView } from 'react-native';
 import { useTranslation } from 'react-i18next';
 import { Feather } from '@expo/vector-icons';
+import { Image as ExpoImage } from 'expo-image';
 import { supabase } from '../lib/supabase';
-import { getGroupMessages, sendGroupMessage, subscribeToGroupMessages, cleanupOldMessages } from '../lib/chatService';
+import {
+  getGroupMessages,
+  searchGroupMessages,
+  sendGroupMessage,
+  sendRecipeCard,
+  sendPoll,
+  sendSystemMessage,
+  getMessageReactions,
+  toggleReaction,
+  getPollVotes,
+  votePoll,
+  subscribeToGroupMessages,
+  subscribeToMessageActivity,
+  cleanupOldMessages,
+} from '../lib/chatService';
+import { getCursor, mergeMessages, startsNewDay, normalizeSearchQuery } from '../lib/chatHistory';
+import {
+  REACTION_EMOJIS,
+  MAX_POLL_OPTIONS,
+  aggregateReactions,
+  applyReactionChange,
+  applyVoteChange,
+  buildPoll,
+  getMessageKind,
+  getQuoteText,
+  tallyPoll,
+} from '../lib/chatMessages';
+import { getReadReceipts, applyReadChange } from '../lib/chatReads';
+import { parseChatCommand, getCommandSuggestions, detectChatIntent } from '../lib/chatCommands';
+import { setMyResponseToday } from '../lib/dailyResponseService';
+import { startShopping } from '../lib/shoppingService';
+import { getGroupReads, markChatRead, subscribeToChatReads } from '../lib/chatReadService';
+import { getActiveMealRequest, toMealData } from '../lib/mealRequestService';
+import { getGroupRecipes } from '../lib/recipesService';
+import { useToast } from './ui/Toast';
+import { getDinnerDay } from '../lib/dinnerDay';
+import { addDays } from '../lib/weeklyPlanner';
+import { getKnownDayOptions } from '../lib/dinnerDayService';
+
+const SEARCH_DELAY_MS = 300;
+// Within this distance from the bottom, new messages scroll into view
+const STICK_TO_END_PX = 80;
+const COMMAND_ICONS = { ja: 'check-circle', nee: 'x-circle', shop: 'shopping-cart', wie: 'users' };
 
 export default function GroupChatScreen({ route, navigation }) {
   const { groupId, groupName, members = [] } = route.params || {};
   const { t, i18n } = useTranslation();
+  const toast = useToast();
 
   const todayFormatted = (() => {
     const locale = i18n.language === 'nl' ? 'nl-NL' : 'en-US';
@@ -19,11 +63,32 @@ export default function GroupChatScreen({ route, navigation }) {
 
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
   const [text, setText] = useState('');
   const [sending, setSending] = useState(false);
   const [currentUserId, setCurrentUserId] = useState(null);
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [highlightId, setHighlightId] = useState(null);
+  const [reactionRows, setReactionRows] = useState([]);
+  const [pollVotes, setPollVotes] = useState([]);
+  const [reads, setReads] = useState([]);
+  const [replyTo, setReplyTo] = useState(null);
+  const [actionMessage, setActionMessage] = useState(null);
+  const [attachOpen, setAttachOpen] = useState(false);
+  // { loading, options, recipes } while picking a recipe to share
+  const [recipeChoices, setRecipeChoices] = useState(null);
+  // { question, options } while writing a poll
+  const [pollDraft, setPollDraft] = useState(null);
+  // Command a typed message seemed to ask for ("ik eet mee" → /ja)
+  const [suggestion, setSuggestion] = useState(null);
   const flatListRef = useRef(null);
   const memberMap = useRef({});
+  const stickToEndRef = useRef(true);
+  const dayOptions = getKnownDayOptions(groupId);
 
   useEffect(() => {
     const map = {};
@@ -40,15 +105,32 @@ export default function GroupChatScreen({ route, navigation }) {
     })();
   }, []);
 
+  // Reactions and poll votes of messages that were just loaded
+  const loadActivity = useCallback(async (rows) => {
+    const ids = rows.map(m => m.id);
+    const pollIds = rows.filter(m => m.kind === 'poll').map(m => m.id);
+    const [reactionRes, voteRes] = await Promise.all([getMessageReactions(ids), getPollVotes(pollIds)]);
+    if (reactionRes.success) {
+      setReactionRows(prev => [...prev.filter(r => !ids.includes(r.message_id)), ...reactionRes.reactions]);
+    }
+    if (voteRes.success) {
+      setPollVotes(prev => [...prev.filter(v => !pollIds.includes(v.message_id)), ...voteRes.votes]);
+    }
+  }, []);
+
   useEffect(() => {
     if (!groupId) return;
 
-    cleanupOldMessages();
+    cleanupOldMessages(groupId);
 
     (async () => {
       setLoading(true);
       const res = await getGroupMessages(groupId);
-      if (res.success) setMessages(res.messages);
+      if (res.success) {
+        setMessages(res.messages);
+        setHasMore(res.hasMore);
+        loadActivity(res.messages);
+      }
       setLoading(false);
     })();
 
@@ -69,21 +151,183 @@ export default function GroupChatScreen({ route, navigation }) {
       });
     });
 
-    return unsubscribe;
-  }, [groupId]);
+    const unsubscribeActivity = subscribeToMessageActivity(groupId, {
+      onReaction: (eventType, row) => setReactionRows(prev => applyReactionChange(prev, eventType, row)),
+      onVote: (eventType, row) => setPollVotes(prev => applyVoteChange(prev, eventType, row)),
+    });
+
+    getGroupReads(groupId).then(res => { if (res.success) setReads(res.reads); });
+    const unsubscribeReads = subscribeToChatReads({ groupId }, (row) => setReads(prev => applyReadChange(prev, row)));
+
+    return () => {
+      unsubscribe();
+      unsubscribeActivity();
+      unsubscribeReads();
+    };
+  }, [groupId, loadActivity]);
+
+  const reactions = useMemo(() => aggregateReactions(reactionRows, currentUserId), [reactionRows, currentUserId]);
+  const votesByPoll = useMemo(() => {
+    const byPoll = {};
+    pollVotes.forEach(v => { (byPoll[v.message_id] = byPoll[v.message_id] || []).push(v); });
+    return byPoll;
+  }, [pollVotes]);
+  const receipts = useMemo(() => getReadReceipts(messages, reads, currentUserId), [messages, reads, currentUserId]);
+  const commandHints = getCommandSuggestions(text);
+  const listExtraData = useMemo(() => ({ highlightId, reactions, votesByPoll, receipts }), [highlightId, reactions, votesByPoll, receipts]);
 
+  // Follow new messages at the bottom, unless reading back through history
+  const lastMessage = messages[messages.length - 1];
   useEffect(() => {
-    if (messages.length > 0) {
+    if (!lastMessage) return;
+    // Everything on screen is read, for the unread badges and receipts
+    if (!lastMessage._optimistic && !lastMessage._pending) markChatRead(groupId);
+    if (stickToEndRef.current || lastMessage.user_id === currentUserId) {
       setTimeout(() => flatListRef.current?.scrollToEnd({ animated: true }), 100);
     }
-  }, [messages.length]);
+  }, [lastMessage?.id]);
+
+  const loadOlder = useCallback(async () => {
+    const cursor = getCursor(messages);
+    if (!hasMore || loadingOlder || !cursor) return;
+    setLoadingOlder(true);
+    const res = await getGroupMessages(groupId, { before: cursor });
+    if (res.success) {
+      setMessages(prev => mergeMessages(prev, res.messages));
+      setHasMore(res.hasMore);
+      loadActivity(res.messages);
+    }
+    setLoadingOlder(false);
+  }, [messages, hasMore, loadingOlder, groupId, loadActivity]);
+
+  const handleScroll = useCallback(({ nativeEvent }) => {
+    const { contentOffset, contentSize, layoutMeasurement } = nativeEvent;
+    stickToEndRef.current = contentSize.height - layoutMeasurement.height - contentOffset.y < STICK_TO_END_PX;
+  }, []);
+
+  // Search by text or sender, a moment after typing stops
+  useEffect(() => {
+    if (!searchOpen) return undefined;
+    const query = normalizeSearchQuery(searchQuery);
+    if (!query) {
+      setSearchResults([]);
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      const res = await searchGroupMessages(groupId, query, memberMap.current);
+      setSearchResults(res.messages);
+      setSearching(false);
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchOpen, searchQuery, groupId]);
+
+  const closeSearch = () => {
+    setSearchOpen(false);
+    setSearchQuery('');
+    setSearchResults([]);
+  };
+
+  // Load history back to a search result and scroll to it. Pages of up to
+  // MAX_JUMP_MESSAGES are fetched until the result is among them.
+  const jumpToMessage = useCallback(async (item) => {
+    closeSearch();
+    stickToEndRef.current = false;
+    let loaded = messages;
+    let found = loaded.some(m => m.id === item.id);
+    let more = true;
+    const fetched = [];
+    while (!found && more) {
+      const res = await getGroupMessages(groupId, { before: getCursor(loaded), since: item.created_at });
+      if (!res.success) break;
+      fetched.push(...res.messages);
+      loaded = mergeMessages(loaded, res.messages);
+      found = res.messages.some(m => m.id === item.id);
+      more = res.hasMore && res.messages.length > 0;
+    }
+    if (fetched.length) {
+      setMessages(prev => mergeMessages(prev, fetched));
+      loadActivity(fetched);
+    }
+    if (!found) {
+      toast.error(t('chat.jumpFailed'));
+      return;
+    }
+    setHighlightId(item.id);
+  }, [messages, groupId, loadActivity, toast, t]);
+
+  useEffect(() => {
+    if (!highlightId) return undefined;
+    const index = messages.findIndex(m => m.id === highlightId);
+    if (index !== -1) {
+      setTimeout(() => flatListRef.current?.scrollToIndex({ index, animated: true, viewPosition: 0.3 }), 100);
+    }
+    const timer = setTimeout(() => setHighlightId(null), 3000);
+    return () => clearTimeout(timer);
+  }, [highlightId]);
+
+  // Recipe cards, polls and system messages appear once sent; queued ones
+  // arrive via realtime
+  const handleSent = (res) => {
+    if (res.success && res.message) {
+      stickToEndRef.current = true;
+      setMessages(prev => mergeMessages(prev, [res.message]));
+    } else if (!res.success) {
+      toast.error(t('chat.sendFailed'));
+    }
+  };
+
+  // Run a chat command; the ones that change something tell the group
+  const runCommand = async (command) => {
+    setSuggestion(null);
+    if (command === 'stem') {
+      const res = await getActiveMealRequest(groupId);
+      if (!res.request) {
+        toast.info(t('chat.noActiveRound'));
+        return;
+      }
+      navigation.navigate('VotingScreen', {
+        requestId: res.request.id,
+        groupId,
+        groupName,
+        preloadedMealOptions: res.request.mealOptions || [],
+      });
+      return;
+    }
+
+    // /wie only posts: the server looks up who eats along
+    let res = { success: true };
+    if (command === 'ja' || command === 'nee') {
+      res = await setMyResponseToday(groupId, command === 'ja' ? 'yes' : 'no');
+    } else if (command === 'shop') {
+      res = await startShopping(groupId);
+    }
+    if (!res.success) {
+      toast.error(res.error || t('chat.commandFailed'));
+      return;
+    }
+    handleSent(await sendSystemMessage(groupId, command));
+  };
 
   const handleSend = useCallback(async () => {
     const trimmed = text.trim();
     if (!trimmed || sending) return;
 
+    const parsed = parseChatCommand(trimmed);
+    if (parsed?.unknown !== undefined) {
+      toast.info(t('chat.unknownCommand', { name: parsed.unknown }));
+      return;
+    }
+    if (parsed) {
+      setText('');
+      runCommand(parsed.command);
+      return;
+    }
+
+    const quoted = replyTo;
     setSending(true);
     setText('');
+    setReplyTo(null);
 
     // Optimistic: show message immediately
     const tempId = `temp-${Date.now()}`;
@@ -91,22 +335,94 @@ export default function GroupChatScreen({ route, navigation }) {
       id: tempId,
       user_id: currentUserId,
       message: trimmed,
+      kind: 'text',
+      reply_to_id: quoted?.id || null,
+      reply_to: quoted,
       created_at: new Date().toISOString(),
       _optimistic: true,
     };
     setMessages(prev => [...prev, optimisticMsg]);
 
-    const res = await sendGroupMessage(groupId, trimmed, groupName);
+    const res = await sendGroupMessage(groupId, trimmed, groupName, { replyToId: quoted?.id || null });
+    if (res.success) setSuggestion(detectChatIntent(trimmed));
     if (res.success && res.message) {
       // Replace optimistic message with real one
       setMessages(prev => prev.map(m => m.id === tempId ? res.message : m));
+    } else if (res.queued) {
+      // Offline: keep it on screen, realtime swaps it for the real row once sent
+      setMessages(prev => prev.map(m => m.id === tempId ? { ...m, _pending: true } : m));
     } else if (!res.success) {
       // Remove optimistic message and restore text
       setMessages(prev => prev.filter(m => m.id !== tempId));
       setText(trimmed);
+      setReplyTo(quoted);
     }
     setSending(false);
-  }, [text, sending, groupId, groupName, currentUserId]);
+  }, [text, sending, replyTo, groupId, groupName, currentUserId, members]);
+
+  const openRecipePicker = async () => {
+    setAttachOpen(false);
+    setRecipeChoices({ loading: true, options: [], recipes: [] });
+    const [round, shared] = await Promise.all([getActiveMealRequest(groupId), getGroupRecipes(groupId)]);
+    setRecipeChoices({
+      loading: false,
+      options: round.request?.mealOptions || [],
+      recipes: shared.recipes || [],
+    });
+  };
+
+  const shareRecipe = async (meal, recipeId = null) => {
+    const quoted = replyTo;
+    setRecipeChoices(null);
+    setReplyTo(null);
+    handleSent(await sendRecipeCard(groupId, meal, groupName, { recipeId, replyToId: quoted?.id || null }));
+  };
+
+  const submitPoll = async () => {
+    if (!buildPoll(pollDraft.question, pollDraft.options)) {
+      toast.error(t('chat.pollInvalid'));
+      return;
+    }
+    const { question, options } = pollDraft;
+    setPollDraft(null);
+    handleSent(await sendPoll(groupId, question, options, groupName));
+  };
+
+  // Recipe cards open the recipe modal on the groups screen
+  const openRecipeCard = (payload) => {
+    if (!payload?.meal_data) return;
+    navigation.navigate('MainTabs', {
+      switchToGroupsTab: true,
+      openRecipe: {
+        meal: {
+          id: payload.meal_option_id,
+          meal_option_id: payload.meal_option_id,
+          recipe_id: payload.recipe_id,
+          meal_data: payload.meal_data,
+        },
+        at: Date.now(),
+      },
+    });
+  };
+
+  const handleReact = async (message, emoji) => {
+    setActionMessage(null);
+    if (!currentUserId) return;
+    const mine = (reactions[message.id] || []).some(r => r.emoji === emoji && r.mine);
+    const row = { message_id: message.id, user_id: currentUserId, emoji };
+    setReactionRows(prev => applyReactionChange(prev, mine ? 'DELETE' : 'INSERT', row));
+    const res = await toggleReaction(groupId, message.id, emoji, mine);
+    if (!res.success) setReactionRows(prev => applyReactionChange(prev, mine ? 'INSERT' : 'DELETE', row));
+  };
+
+  const handleVote = async (message, optionIndex, myChoice) => {
+    if (!currentUserId) return;
+    const previous = pollVotes.find(v => v.message_id === message.id && v.user_id === currentUserId);
+    const row = { message_id: message.id, user_id: currentUserId, option_index: optionIndex };
+    setPollVotes(prev => applyVoteChange(prev, optionIndex === myChoice ? 'DELETE' : 'UPDATE', row));
+    const res = await votePoll(groupId, message.id, optionIndex, myChoice);
+    if (!res.success) setPollVotes(prev => applyVoteChange(prev, previous ? 'UPDATE' : 'DELETE', previous || row));
+  };
 
   const formatTime = (dateStr) => {
     const d = new Date(dateStr);
@@ -117,35 +433,205 @@ export default function GroupChatScreen({ route, navigation }) {
     return memberMap.current[userId] || '?';
   };
 
-  const renderMessage = useCallback(({ item }) => {
+  // "Vandaag", "Gisteren" or the date of a dinner day
+  const formatDay = (dateStr) => {
+    const day = getDinnerDay(dateStr, dayOptions);
+    const today = getDinnerDay(new Date(), dayOptions);
+    if (day === today) return t('chat.today');
+    if (day === addDays(today, -1)) return t('chat.yesterday');
+    const locale = i18n.language === 'nl' ? 'nl-NL' : 'en-US';
+    const f = new Date(`${day}T12:00:00Z`).toLocaleDateString(locale, { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' });
+    return f.charAt(0).toUpperCase() + f.slice(1);
+  };
+
+  const renderRecipeCard = (item) => {
+    const meal = item.payload?.meal_data || {};
+    return (
+      <TouchableOpacity style={styles.recipeCard} onPress={() => openRecipeCard(item.payload)} activeOpacity={0.8}>
+        {!!meal.thumbnail_url && (
+          <ExpoImage source={{ uri: meal.thumbnail_url }} style={styles.recipeImage} contentFit="cover" />
+        )}
+        <View style={styles.recipeBody}>
+          <Text style={styles.recipeLabel}>{t('chat.recipeCard')}</Text>
+          <Text style={styles.recipeName} numberOfLines={2}>{meal.name}</Text>
+          {!!meal.total_time_minutes && <Text style={styles.recipeMeta}>{meal.total_time_minutes} min</Text>}
+          <Text style={styles.recipeLink}>{t('chat.openRecipe')} ›</Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderPoll = (item, isMe) => {
+    const result = tallyPoll(item.payload, votesByPoll[item.id], currentUserId);
+    return (
+      <View style={styles.poll}>
+        <Text style={[styles.pollQuestion, isMe && styles.msgTextMe]}>{item.payload?.question}</Text>
+        {result.options.map((option, i) => (
+          <TouchableOpacity
+            key={option.label}
+            style={[styles.pollOption, result.myChoice === i && styles.pollOptionMine]}
+            onPress={() => handleVote(item, i, result.myChoice)}
+            activeOpacity={0.7}
+          >
+            <View style={[styles.pollBar, { width: `${Math.round(option.share * 100)}%` }]} />
+            <Text style={styles.pollLabel} numberOfLines={1}>{option.label}</Text>
+            <Text style={styles.pollCount}>{option.count}</Text>
+          </TouchableOpacity>
+        ))}
+        <Text style={[styles.pollTotal, isMe && styles.msgTimeMe]}>{t('chat.pollVotes', { count: result.total })}</Text>
+      </View>
+    );
+  };
+
+  // What a chat command did, e.g. "Anna eet mee vanavond" or the /wie overview
+  const renderCommandMessage = (item) => {
+    const { command, ...summary } = item.payload || {};
+    const name = getName(item.user_id);
+    const names = (ids = []) => (ids.length ? ids.map(getName).join(', ') : t('chatSystem.nobody'));
+    return (
+      <View style={styles.commandRow}>
+        <View style={styles.commandBubble}>
+          <Feather name={COMMAND_ICONS[command] || 'info'} size={14} color="#FF6B00" style={styles.commandIcon} />
+          {command === 'wie' ? (
+            <View style={styles.commandBody}>
+              <Text style={styles.commandTitle}>{t('chatSystem.wieTitle', { name })}</Text>
+              <Text style={styles.commandText}>
+                {t('chatSystem.wieEating', { names: names(summary.eating) })}
+                {summary.guests ? ` ${t('chatSystem.wieGuests', { count: summary.guests })}` : ''}
+              </Text>
+              {summary.maybe?.length > 0 && (
+                <Text style={styles.commandText}>{t('chatSystem.wieMaybe', { names: names(summary.maybe) })}</Text>
+              )}
+              {summary.notEating?.length > 0 && (
+                <Text style={styles.commandText}>{t('chatSystem.wieNotEating', { names: names(summary.notEating) })}</Text>
+              )}
+              {summary.waiting?.length > 0 && (
+                <Text style={styles.commandText}>{t('chatSystem.wieWaiting', { names: names(summary.waiting) })}</Text>
+              )}
+            </View>
+          ) : (
+            <Text style={[styles.commandText, styles.commandBody]}>
+              {t(`chatSystem.${command}`, { name, defaultValue: item.message })}
+            </Text>
+          )}
+          <Text style={styles.commandTime}>{formatTime(item.created_at)}</Text>
+        </View>
+      </View>
+    );
+  };
+
+  const renderMessage = useCallback(({ item, index }) => {
     const isMe = item.user_id === currentUserId;
     const isSystem = item.message?.startsWith('Happie team: ');
     const displayMsg = isSystem ? item.message.replace('Happie team: ', '') : item.message;
+    const dayLine = startsNewDay(messages, index, dayOptions) ? (
+      <Text style={styles.dayLine}>{formatDay(item.created_at)}</Text>
+    ) : null;
 
     if (isSystem) {
       return (
-        <View style={styles.msgRow}>
-          <View style={styles.systemBubble}>
-            <Text style={styles.systemLabel}>Happie</Text>
-            <Text style={styles.systemText}>{displayMsg}</Text>
-            <Text style={styles.systemTime}>{formatTime(item.created_at)}</Text>
+        <>
+          {dayLine}
+          <View style={styles.msgRow}>
+            <View style={styles.systemBubble}>
+              <Text style={styles.systemLabel}>Happie</Text>
+              <Text style={styles.systemText}>{displayMsg}</Text>
+              <Text style={styles.systemTime}>{formatTime(item.created_at)}</Text>
+            </View>
           </View>
-        </View>
+        </>
+      );
+    }
+
+    const kind = getMessageKind(item);
+    if (kind === 'system') {
+      return (
+        <>
+          {dayLine}
+          {renderCommandMessage(item)}
+        </>
       );
     }
 
+    const quoted = item.reply_to_id ? (item.reply_to || messages.find(m => m.id === item.reply_to_id)) : null;
+    const chips = reactions[item.id] || [];
+    const readBy = receipts[item.id] || [];
+    const sent = !item._optimistic && !item._pending;
+
     return (
-      <View style={[styles.msgRow, isMe && styles.msgRowMe]}>
-        <View style={[styles.bubble, isMe ? styles.bubbleMe : styles.bubbleOther]}>
-          {!isMe && (
-            <Text style={styles.senderName}>{getName(item.user_id)}</Text>
-          )}
-          <Text style={[styles.msgText, isMe && styles.msgTextMe]}>{item.message}</Text>
-          <Text style={[styles.msgTime, isMe && styles.msgTimeMe]}>{formatTime(item.created_at)}</Text>
+      <>
+        {dayLine}
+        <View style={[styles.msgRow, isMe && styles.msgRowMe, chips.length > 0 && styles.msgRowReacted]}>
+          <TouchableOpacity
+            activeOpacity={0.8}
+            delayLongPress={300}
+            onLongPress={sent ? () => setActionMessage(item) : undefined}
+            style={[
+              styles.bubble,
+              isMe ? styles.bubbleMe : styles.bubbleOther,
+              kind !== 'text' && styles.bubbleWide,
+              item.id === highlightId && styles.bubbleHighlight,
+            ]}
+          >
+            {!isMe && (
+              <Text style={styles.senderName}>{getName(item.user_id)}</Text>
+            )}
+            {quoted && (
+              <TouchableOpacity style={[styles.quote, isMe && styles.quoteMe]} onPress={() => setHighlightId(quoted.id)}>
+                <Text style={[styles.quoteName, isMe && styles.msgTextMe]}>{getName(quoted.user_id)}</Text>
+                <Text style={[styles.quoteText, isMe && styles.msgTextMe]} numberOfLines={2}>{getQuoteText(quoted)}</Text>
+              </TouchableOpacity>
+            )}
+            {kind === 'recipe' ? renderRecipeCard(item) : kind === 'poll' ? renderPoll(item, isMe) : (
+              <Text style={[styles.msgText, isMe && styles.msgTextMe]}>{item.message}</Text>
+            )}
+            <Text style={[styles.msgTime, isMe && styles.msgTimeMe]}>
+              {item._pending && <Feather name="clock" size={10} color="rgba(255,255,255,0.7)" />}
+              {item._pending ? ' ' : ''}{formatTime(item.created_at)}
+            </Text>
+          </TouchableOpacity>
         </View>
-      </View>
+        {chips.length > 0 && (
+          <View style={[styles.reactionRow, isMe && styles.msgRowMe]}>
+            {chips.map(chip => (
+              <TouchableOpacity
+                key={chip.emoji}
+                style={[styles.reactionChip, chip.mine && styles.reactionChipMine]}
+                onPress={() => handleReact(item, chip.emoji)}
+              >
+                <Text style={styles.reactionText}>{chip.emoji} {chip.count}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+        {readBy.length > 0 && (
+          <Text style={[styles.readBy, isMe && styles.readByMe]} numberOfLines={1}>
+            {t('chat.readBy', { names: readBy.map(getName).join(', ') })}
+          </Text>
+        )}
+      </>
+    );
+  }, [currentUserId, messages, highlightId, dayOptions, reactions, votesByPoll, receipts]);
+
+  const renderSearchResult = ({ item }) => (
+    <TouchableOpacity style={styles.resultRow} onPress={() => jumpToMessage(item)} activeOpacity={0.7}>
+      <Text style={styles.resultMeta}>
+        {getName(item.user_id)} · {formatDay(item.created_at)} {formatTime(item.created_at)}
+      </Text>
+      <Text style={styles.resultText} numberOfLines={2}>{item.message}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderHistoryHeader = () => {
+    if (!hasMore) return null;
+    return (
+      <TouchableOpacity style={styles.olderButton} onPress={loadOlder} disabled={loadingOlder}>
+        {loadingOlder
+          ? <ActivityIndicator size="small" color="#FF6B00" />
+          : <Text style={styles.olderText}>{t('chat.loadOlder')}</Text>}
+      </TouchableOpacity>
     );
-  }, [currentUserId]);
+  };
 
   return (
     <SafeAreaView style={styles.container}>
@@ -157,15 +643,43 @@ export default function GroupChatScreen({ route, navigation }) {
           <Text style={styles.headerTitle} numberOfLines={1}>{groupName || 'Chat'}</Text>
           <Text style={styles.headerSubtitle}>{todayFormatted}</Text>
         </View>
-        <View style={styles.backButton} />
+        <TouchableOpacity onPress={() => (searchOpen ? closeSearch() : setSearchOpen(true))} style={styles.backButton}>
+          <Feather name={searchOpen ? 'x' : 'search'} size={20} color="#FF6B00" />
+        </TouchableOpacity>
       </View>
 
+      {searchOpen && (
+        <View style={styles.searchBar}>
+          <Feather name="search" size={16} color="#A0A0A0" />
+          <TextInput
+            style={styles.searchInput}
+            value={searchQuery}
+            onChangeText={setSearchQuery}
+            placeholder={t('chat.searchPlaceholder')}
+            placeholderTextColor="#A0A0A0"
+            autoFocus
+            returnKeyType="search"
+          />
+          {searching && <ActivityIndicator size="small" color="#FF6B00" />}
+        </View>
+      )}
+
       <KeyboardAvoidingView
         style={styles.chatArea}
         behavior={Platform.OS === 'ios' ? 'padding' : undefined}
         keyboardVerticalOffset={Platform.OS === 'ios' ? 90 : 0}
       >
-        {loading ? (
+        {searchOpen ? (
+          <FlatList
+            data={searchResults}
+            keyExtractor={(item) => item.id}
+            renderItem={renderSearchResult}
+            keyboardShouldPersistTaps="handled"
+            ListEmptyComponent={normalizeSearchQuery(searchQuery) && !searching ? (
+              <Text style={styles.searchEmpty}>{t('chat.noResults')}</Text>
+            ) : null}
+          />
+        ) : loading ? (
           <View style={styles.loadingContainer}>
             <ActivityIndicator size="large" color="#FF6B00" />
           </View>
@@ -180,12 +694,69 @@ export default function GroupChatScreen({ route, navigation }) {
             data={messages}
             keyExtractor={(item) => item.id}
             renderItem={renderMessage}
+            extraData={listExtraData}
             contentContainerStyle={styles.messageList}
-            onContentSizeChange={() => flatListRef.current?.scrollToEnd({ animated: false })}
+            ListHeaderComponent={renderHistoryHeader}
+            maintainVisibleContentPosition={{ minIndexForVisible: 0 }}
+            onScroll={handleScroll}
+            scrollEventThrottle={100}
+            onContentSizeChange={() => {
+              if (stickToEndRef.current) flatListRef.current?.scrollToEnd({ animated: false });
+            }}
+            onScrollToIndexFailed={({ averageItemLength, index }) => {
+              flatListRef.current?.scrollToOffset({ offset: averageItemLength * index, animated: false });
+              setTimeout(() => flatListRef.current?.scrollToIndex({ index, viewPosition: 0.3 }), 100);
+            }}
           />
         )}
 
+        {suggestion && (
+          <View style={styles.suggestionBar}>
+            <Feather name="zap" size={16} color="#FF6B00" />
+            <Text style={styles.suggestionText}>{t(`chatSuggest.${suggestion}`)}</Text>
+            <TouchableOpacity style={styles.suggestionButton} onPress={() => runCommand(suggestion)}>
+              <Text style={styles.suggestionButtonText}>{t('chatSuggest.action')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => setSuggestion(null)} style={styles.replyClose}>
+              <Feather name="x" size={18} color="#8B8B8B" />
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {commandHints.length > 0 && (
+          <View style={styles.commandHints}>
+            {commandHints.map(command => (
+              <TouchableOpacity
+                key={command}
+                style={styles.commandHint}
+                onPress={() => {
+                  setText('');
+                  runCommand(command);
+                }}
+              >
+                <Text style={styles.commandHintName}>/{command}</Text>
+                <Text style={styles.commandHintText} numberOfLines={1}>{t(`chatCommand.${command}`)}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        {replyTo && (
+          <View style={styles.replyBanner}>
+            <View style={styles.replyBannerText}>
+              <Text style={styles.quoteName}>{t('chat.replyingTo', { name: getName(replyTo.user_id) })}</Text>
+              <Text style={styles.quoteText} numberOfLines={1}>{getQuoteText(replyTo)}</Text>
+            </View>
+            <TouchableOpacity onPress={() => setReplyTo(null)} style={styles.replyClose}>
+              <Feather name="x" size={18} color="#8B8B8B" />
+            </TouchableOpacity>
+          </View>
+        )}
+
         <View style={styles.inputRow}>
+          <TouchableOpacity style={styles.attachButton} onPress={() => setAttachOpen(true)}>
+            <Feather name="plus" size={22} color="#FF6B00" />
+          </TouchableOpacity>
           <TextInput
             style={styles.input}
             value={text}
@@ -207,6 +778,135 @@ export default function GroupChatScreen({ route, navigation }) {
           </TouchableOpacity>
         </View>
       </KeyboardAvoidingView>
+
+      <Modal visible={!!actionMessage} transparent animationType="fade" onRequestClose={() => setActionMessage(null)}>
+        <TouchableOpacity style={styles.sheetBackdrop} activeOpacity={1} onPress={() => setActionMessage(null)}>
+          <View style={styles.sheet}>
+            <View style={styles.emojiRow}>
+              {REACTION_EMOJIS.map(emoji => (
+                <TouchableOpacity key={emoji} style={styles.emojiButton} onPress={() => handleReact(actionMessage, emoji)}>
+                  <Text style={styles.emojiText}>{emoji}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <TouchableOpacity
+              style={styles.sheetRow}
+              onPress={() => {
+                setReplyTo(actionMessage);
+                setActionMessage(null);
+              }}
+            >
+              <Feather name="corner-up-left" size={18} color="#FF6B00" />
+              <Text style={styles.sheetRowText}>{t('chat.reply')}</Text>
+            </TouchableOpacity>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+
+      <Modal visible={attachOpen} transparent animationType="fade" onRequestClose={() => setAttachOpen(false)}>
+        <TouchableOpacity style={styles.sheetBackdrop} activeOpacity={1} onPress={() => setAttachOpen(false)}>
+          <View style={styles.sheet}>
+            <TouchableOpacity style={styles.sheetRow} onPress={openRecipePicker}>
+              <Feather name="book-open" size={18} color="#FF6B00" />
+              <Text style={styles.sheetRowText}>{t('chat.shareRecipe')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.sheetRow}
+              onPress={() => {
+                setAttachOpen(false);
+                setPollDraft({ question: '', options: ['', ''] });
+              }}
+            >
+              <Feather name="bar-chart-2" size={18} color="#FF6B00" />
+              <Text style={styles.sheetRowText}>{t('chat.startPoll')}</Text>
+            </TouchableOpacity>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+
+      <Modal visible={!!recipeChoices} transparent animationType="slide" onRequestClose={() => setRecipeChoices(null)}>
+        <TouchableOpacity style={styles.sheetBackdrop} activeOpacity={1} onPress={() => setRecipeChoices(null)}>
+          <View style={[styles.sheet, styles.sheetTall]}>
+            <Text style={styles.sheetTitle}>{t('chat.shareRecipe')}</Text>
+            {recipeChoices?.loading ? (
+              <ActivityIndicator size="small" color="#FF6B00" style={styles.sheetLoading} />
+            ) : !recipeChoices?.options.length && !recipeChoices?.recipes.length ? (
+              <Text style={styles.searchEmpty}>{t('chat.noRecipesToShare')}</Text>
+            ) : (
+              <ScrollView>
+                {recipeChoices.options.length > 0 && (
+                  <Text style={styles.sheetSection}>{t('chat.tonightsOptions')}</Text>
+                )}
+                {recipeChoices.options.map(option => (
+                  <TouchableOpacity key={option.id} style={styles.sheetRow} onPress={() => shareRecipe(option)}>
+                    <Text style={styles.sheetRowText} numberOfLines={1}>{option.meal_data?.name}</Text>
+                  </TouchableOpacity>
+                ))}
+                {recipeChoices.recipes.length > 0 && (
+                  <Text style={styles.sheetSection}>{t('chat.groupRecipes')}</Text>
+                )}
+                {recipeChoices.recipes.map(recipe => (
+                  <TouchableOpacity
+                    key={recipe.share_id || recipe.id}
+                    style={styles.sheetRow}
+                    onPress={() => shareRecipe({ meal_data: toMealData(recipe) }, recipe.id)}
+                  >
+                    <Text style={styles.sheetRowText} numberOfLines={1}>{recipe.name}</Text>
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+            )}
+          </View>
+        </TouchableOpacity>
+      </Modal>
+
+      <Modal visible={!!pollDraft} transparent animationType="slide" onRequestClose={() => setPollDraft(null)}>
+        <KeyboardAvoidingView style={styles.sheetBackdrop} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+          <View style={styles.sheet}>
+            <Text style={styles.sheetTitle}>{t('chat.startPoll')}</Text>
+            <TextInput
+              style={styles.pollInput}
+              value={pollDraft?.question}
+              onChangeText={(question) => setPollDraft(prev => ({ ...prev, question }))}
+              placeholder={t('chat.pollQuestion')}
+              placeholderTextColor="#A0A0A0"
+              maxLength={80}
+              autoFocus
+            />
+            {pollDraft?.options.map((option, i) => (
+              <TextInput
+                key={i}
+                style={styles.pollInput}
+                value={option}
+                onChangeText={(value) => setPollDraft(prev => ({
+                  ...prev,
+                  options: prev.options.map((o, j) => (j === i ? value : o)),
+                }))}
+                placeholder={t('chat.pollOption', { number: i + 1 })}
+                placeholderTextColor="#A0A0A0"
+                maxLength={80}
+              />
+            ))}
+            {pollDraft?.options.length < MAX_POLL_OPTIONS && (
+              <TouchableOpacity
+                style={styles.sheetRow}
+                onPress={() => setPollDraft(prev => ({ ...prev, options: [...prev.options, ''] }))}
+              >
+                <Feather name="plus" size={18} color="#FF6B00" />
+                <Text style={styles.sheetRowText}>{t('chat.addPollOption')}</Text>
+              </TouchableOpacity>
+            )}
+            <View style={styles.sheetActions}>
+              <TouchableOpacity style={styles.sheetCancel} onPress={() => setPollDraft(null)}>
+                <Text style={styles.sheetCancelText}>{t('common.cancel')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.sheetSubmit} onPress={submitPoll}>
+                <Text style={styles.sheetSubmitText}>{t('chat.sendPoll')}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </KeyboardAvoidingView>
+      </Modal>
     </SafeAreaView>
   );
 }
@@ -283,6 +983,151 @@ const styles = StyleSheet.create({
   msgRowMe: {
     justifyContent: 'flex-end',
   },
+  msgRowReacted: {
+    marginBottom: 2,
+  },
+  quote: {
+    borderLeftWidth: 3,
+    borderLeftColor: '#FF6B00',
+    backgroundColor: '#FFF4EA',
+    borderRadius: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    marginBottom: 6,
+  },
+  quoteMe: {
+    borderLeftColor: '#FEFEFE',
+    backgroundColor: 'rgba(255,255,255,0.18)',
+  },
+  quoteName: {
+    fontSize: 12,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FF6B00',
+  },
+  quoteText: {
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5B4A',
+  },
+  readBy: {
+    fontSize: 11,
+    fontFamily: 'Inter_400Regular',
+    color: '#A0A0A0',
+    marginTop: -4,
+    marginBottom: 8,
+  },
+  readByMe: {
+    textAlign: 'right',
+  },
+  reactionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 4,
+    marginBottom: 8,
+  },
+  reactionChip: {
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    backgroundColor: '#FFFFFF',
+  },
+  reactionChipMine: {
+    borderColor: '#FF6B00',
+    backgroundColor: '#FFF4EA',
+  },
+  reactionText: {
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#1A1000',
+  },
+  recipeCard: {
+    borderRadius: 12,
+    overflow: 'hidden',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+  },
+  recipeImage: {
+    width: '100%',
+    height: 110,
+  },
+  recipeBody: {
+    padding: 10,
+  },
+  recipeLabel: {
+    fontSize: 11,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#8B8B8B',
+    textTransform: 'uppercase',
+  },
+  recipeName: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+    marginTop: 2,
+  },
+  recipeMeta: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#8B8B8B',
+    marginTop: 2,
+  },
+  recipeLink: {
+    fontSize: 13,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FF6B00',
+    marginTop: 6,
+  },
+  poll: {
+    gap: 6,
+  },
+  pollQuestion: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+    marginBottom: 2,
+  },
+  pollOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    overflow: 'hidden',
+  },
+  pollOptionMine: {
+    borderColor: '#FF6B00',
+    borderWidth: 2,
+  },
+  pollBar: {
+    position: 'absolute',
+    left: 0,
+    top: 0,
+    bottom: 0,
+    backgroundColor: '#FFE3CC',
+  },
+  pollLabel: {
+    flex: 1,
+    fontSize: 14,
+    fontFamily: 'Inter_400Regular',
+    color: '#1A1000',
+  },
+  pollCount: {
+    fontSize: 13,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#6B5B4A',
+    marginLeft: 8,
+  },
+  pollTotal: {
+    fontSize: 11,
+    fontFamily: 'Inter_400Regular',
+    color: '#A0A0A0',
+  },
   bubble: {
     maxWidth: '78%',
     paddingHorizontal: 14,
@@ -299,6 +1144,75 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: '#E8E2DA',
   },
+  bubbleWide: {
+    width: '78%',
+  },
+  bubbleHighlight: {
+    borderWidth: 2,
+    borderColor: '#FFB366',
+  },
+  dayLine: {
+    alignSelf: 'center',
+    fontSize: 12,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#8B8B8B',
+    marginVertical: 8,
+  },
+  olderButton: {
+    alignSelf: 'center',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginBottom: 8,
+  },
+  olderText: {
+    fontSize: 13,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FF6B00',
+  },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginHorizontal: 12,
+    marginVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    backgroundColor: '#FFFFFF',
+  },
+  searchInput: {
+    flex: 1,
+    height: 38,
+    fontSize: 15,
+    fontFamily: 'Inter_400Regular',
+    color: '#1A1000',
+  },
+  searchEmpty: {
+    textAlign: 'center',
+    marginTop: 24,
+    fontSize: 14,
+    fontFamily: 'Inter_400Regular',
+    color: '#A0A0A0',
+  },
+  resultRow: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E8E2DA',
+  },
+  resultMeta: {
+    fontSize: 12,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FF6B00',
+    marginBottom: 2,
+  },
+  resultText: {
+    fontSize: 15,
+    fontFamily: 'Inter_400Regular',
+    color: '#1A1000',
+    lineHeight: 20,
+  },
   systemBubble: {
     backgroundColor: '#DBEAFE',
     borderRadius: 16,
@@ -351,6 +1265,214 @@ const styles = StyleSheet.create({
   msgTimeMe: {
     color: 'rgba(254,254,254,0.7)',
   },
+  commandRow: {
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  commandBubble: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    maxWidth: '90%',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: '#FFB366',
+    backgroundColor: '#FFF4EA',
+  },
+  commandIcon: {
+    marginTop: 2,
+  },
+  commandBody: {
+    flexShrink: 1,
+    marginLeft: 6,
+  },
+  commandTitle: {
+    fontSize: 13,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#6B5B4A',
+    marginBottom: 2,
+  },
+  commandText: {
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5B4A',
+    lineHeight: 18,
+  },
+  commandTime: {
+    fontSize: 10,
+    fontFamily: 'Inter_400Regular',
+    color: '#A0A0A0',
+    marginLeft: 8,
+    marginTop: 3,
+  },
+  suggestionBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#E8E2DA',
+    backgroundColor: '#FFFFFF',
+  },
+  suggestionText: {
+    flex: 1,
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#1A1000',
+  },
+  suggestionButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: '#FF6B00',
+  },
+  suggestionButtonText: {
+    fontSize: 13,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FEFEFE',
+  },
+  commandHints: {
+    borderTopWidth: 1,
+    borderTopColor: '#E8E2DA',
+    backgroundColor: '#FFFFFF',
+  },
+  commandHint: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  commandHintName: {
+    width: 56,
+    fontSize: 14,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FF6B00',
+  },
+  commandHintText: {
+    flex: 1,
+    fontSize: 14,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5B4A',
+  },
+  replyBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#E8E2DA',
+    backgroundColor: '#FFF4EA',
+  },
+  replyBannerText: {
+    flex: 1,
+  },
+  replyClose: {
+    padding: 4,
+  },
+  attachButton: {
+    width: 36,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 4,
+  },
+  sheetBackdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.35)',
+  },
+  sheet: {
+    backgroundColor: '#FAF8F5',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 32,
+  },
+  sheetTall: {
+    maxHeight: '70%',
+  },
+  sheetTitle: {
+    fontSize: 17,
+    fontFamily: 'PlayfairDisplay_700Bold',
+    color: '#1A1000',
+    marginBottom: 8,
+  },
+  sheetSection: {
+    fontSize: 12,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#8B8B8B',
+    marginTop: 12,
+  },
+  sheetLoading: {
+    marginVertical: 24,
+  },
+  sheetRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    paddingVertical: 12,
+  },
+  sheetRowText: {
+    flex: 1,
+    fontSize: 15,
+    fontFamily: 'Inter_400Regular',
+    color: '#1A1000',
+  },
+  emojiRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingBottom: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E8E2DA',
+  },
+  emojiButton: {
+    padding: 6,
+  },
+  emojiText: {
+    fontSize: 28,
+  },
+  pollInput: {
+    height: 42,
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    paddingHorizontal: 12,
+    marginTop: 8,
+    fontSize: 15,
+    fontFamily: 'Inter_400Regular',
+    color: '#1A1000',
+  },
+  sheetActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 12,
+    marginTop: 12,
+  },
+  sheetCancel: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  sheetCancelText: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#8B8B8B',
+  },
+  sheetSubmit: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    backgroundColor: '#FF6B00',
+  },
+  sheetSubmitText: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FEFEFE',
+  },
   inputRow: {
     flexDirection: 'row',
     alignItems: 'flex-end',
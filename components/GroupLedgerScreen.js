@@ -0,0 +1,408 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  StyleSheet, Text, View, ScrollView, TouchableOpacity, TextInput,
+  ActivityIndicator, SafeAreaView, Share, Alert } from 'react-native';
+import { useTranslation } from 'react-i18next';
+import { Feather } from '@expo/vector-icons';
+import { supabase } from '../lib/supabase';
+import { getGroupMembers } from '../lib/groupsService';
+import { getShoppingListToday } from '../lib/shoppingService';
+import {
+  getGroupLedger,
+  addGroupExpense,
+  deleteGroupExpense,
+  recordSettlement,
+  getSuggestedExpenseCents,
+} from '../lib/expenseService';
+import { formatCents, buildLedgerCsv, buildPaymentRequests } from '../lib/costSplitting';
+import { lightHaptic, successHaptic } from '../lib/haptics';
+
+export default function GroupLedgerScreen({ route, navigation }) {
+  const { groupId, groupName, requestId } = route.params || {};
+  const { t } = useTranslation();
+
+  const [ledger, setLedger] = useState({ expenses: [], settlements: [], balances: {}, suggestions: [] });
+  const [names, setNames] = useState({});
+  const [currentUserId, setCurrentUserId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [description, setDescription] = useState('');
+
+  const refresh = useCallback(async () => {
+    const res = await getGroupLedger(groupId);
+    if (res.success) setLedger(res);
+    else setError(res.error);
+  }, [groupId]);
+
+  useEffect(() => {
+    if (!groupId) return;
+    (async () => {
+      setLoading(true);
+      const [{ data: { user } }, membersRes, listRes] = await Promise.all([
+        supabase.auth.getUser(),
+        getGroupMembers(groupId),
+        getShoppingListToday(groupId),
+        refresh(),
+      ]);
+      setCurrentUserId(user?.id || null);
+      const map = {};
+      (membersRes.members || []).forEach((m) => { map[m.user_id] = m.full_name || m.user_name; });
+      setNames(map);
+
+      // Prefill the receipt with the estimated cost of today's meal
+      const list = listRes.success ? listRes.list : null;
+      if (list?.meal_name) {
+        const cents = await getSuggestedExpenseCents(list.meal_name, list.servings);
+        if (cents) {
+          setAmount((cents / 100).toFixed(2).replace('.', ','));
+          setDescription(list.meal_name);
+        }
+      }
+      setLoading(false);
+    })();
+  }, [groupId, refresh]);
+
+  const handleAddExpense = useCallback(async () => {
+    if (saving) return;
+    lightHaptic();
+    setSaving(true);
+    setError(null);
+    const res = await addGroupExpense(groupId, { amount, description, requestId });
+    if (res.success) {
+      successHaptic();
+      setAmount('');
+      setDescription('');
+      await refresh();
+    } else {
+      setError(res.error);
+    }
+    setSaving(false);
+  }, [groupId, amount, description, requestId, saving, refresh]);
+
+  const handleSettle = useCallback((transfer) => {
+    Alert.alert(
+      t('ledger.markPaidTitle'),
+      t('ledger.markPaidBody', {
+        from: names[transfer.from] || '?',
+        to: names[transfer.to] || '?',
+        amount: formatCents(transfer.amount_cents),
+      }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        {
+          text: t('ledger.markPaid'),
+          onPress: async () => {
+            const res = await recordSettlement(groupId, transfer.from, transfer.to, transfer.amount_cents);
+            if (res.success) {
+              successHaptic();
+              await refresh();
+            } else {
+              setError(res.error);
+            }
+          },
+        },
+      ],
+    );
+  }, [groupId, names, refresh, t]);
+
+  const handleDelete = useCallback(async (expense) => {
+    lightHaptic();
+    const res = await deleteGroupExpense(expense.id);
+    if (res.success) await refresh();
+    else setError(res.error);
+  }, [refresh]);
+
+  const handleExportCsv = useCallback(() => {
+    Share.share({ title: `${groupName || 'Happie'} - ${t('ledger.title')}`, message: buildLedgerCsv(ledger, names) });
+  }, [ledger, names, groupName, t]);
+
+  const handleRequestPayment = useCallback((transfer) => {
+    const [request] = buildPaymentRequests([transfer], names, groupName);
+    Share.share({ message: request.text });
+  }, [names, groupName]);
+
+  const balanceRows = useMemo(
+    () => Object.entries(ledger.balances).sort(([, a], [, b]) => b - a),
+    [ledger.balances],
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Text style={styles.backText}>‹</Text>
+        </TouchableOpacity>
+        <View style={styles.headerCenter}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{t('ledger.title')}</Text>
+          <Text style={styles.headerSubtitle} numberOfLines={1}>{groupName || ''}</Text>
+        </View>
+        <TouchableOpacity onPress={handleExportCsv} style={styles.backButton}>
+          <Feather name="share" size={18} color="#FF6B00" />
+        </TouchableOpacity>
+      </View>
+
+      {loading ? (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color="#FF6B00" />
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          {/* Add receipt */}
+          <Text style={styles.sectionHeader}>{t('ledger.addReceipt')}</Text>
+          <View style={styles.card}>
+            <TextInput
+              style={styles.input}
+              value={amount}
+              onChangeText={setAmount}
+              placeholder="€ 0,00"
+              placeholderTextColor="#B0A898"
+              keyboardType="decimal-pad"
+            />
+            <TextInput
+              style={styles.input}
+              value={description}
+              onChangeText={setDescription}
+              placeholder={t('ledger.descriptionPlaceholder')}
+              placeholderTextColor="#B0A898"
+              maxLength={200}
+            />
+            <Text style={styles.hintText}>{t('ledger.splitHint')}</Text>
+            {!!error && <Text style={styles.errorText}>{error}</Text>}
+            <TouchableOpacity style={styles.primaryBtn} onPress={handleAddExpense} disabled={saving || !amount}>
+              {saving
+                ? <ActivityIndicator size="small" color="#FEFEFE" />
+                : <Text style={styles.primaryBtnText}>{t('ledger.save')}</Text>}
+            </TouchableOpacity>
+          </View>
+
+          {/* Balances */}
+          <Text style={styles.sectionHeader}>{t('ledger.balances')}</Text>
+          {balanceRows.length === 0 ? (
+            <Text style={styles.emptyText}>{t('ledger.allSquare')}</Text>
+          ) : balanceRows.map(([userId, cents]) => (
+            <View key={userId} style={styles.row}>
+              <Text style={styles.rowName} numberOfLines={1}>
+                {names[userId] || '?'}{userId === currentUserId ? ` (${t('ledger.you')})` : ''}
+              </Text>
+              <Text style={[styles.rowAmount, cents > 0 ? styles.positive : styles.negative]}>
+                {cents > 0 ? '+' : ''}{formatCents(cents)}
+              </Text>
+            </View>
+          ))}
+
+          {/* Settle up */}
+          {ledger.suggestions.length > 0 && (
+            <>
+              <Text style={styles.sectionHeader}>{t('ledger.settleUp')}</Text>
+              {ledger.suggestions.map((transfer) => {
+                const involved = currentUserId === transfer.from || currentUserId === transfer.to;
+                return (
+                  <View key={`${transfer.from}-${transfer.to}`} style={styles.row}>
+                    <Text style={styles.rowName} numberOfLines={2}>
+                      {t('ledger.pays', { from: names[transfer.from] || '?', to: names[transfer.to] || '?' })}
+                    </Text>
+                    <Text style={styles.rowAmount}>{formatCents(transfer.amount_cents)}</Text>
+                    <TouchableOpacity onPress={() => handleRequestPayment(transfer)} style={styles.iconBtn}>
+                      <Feather name="send" size={16} color="#6B5A48" />
+                    </TouchableOpacity>
+                    {involved && (
+                      <TouchableOpacity onPress={() => handleSettle(transfer)} style={styles.iconBtn}>
+                        <Feather name="check-circle" size={18} color="#FF6B00" />
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                );
+              })}
+            </>
+          )}
+
+          {/* History */}
+          <Text style={styles.sectionHeader}>{t('ledger.history')}</Text>
+          {ledger.expenses.length === 0 && ledger.settlements.length === 0 ? (
+            <Text style={styles.emptyText}>{t('ledger.noHistory')}</Text>
+          ) : (
+            <>
+              {ledger.expenses.map((expense) => (
+                <View key={expense.id} style={styles.row}>
+                  <View style={styles.rowText}>
+                    <Text style={styles.rowName} numberOfLines={1}>{expense.description || t('ledger.receipt')}</Text>
+                    <Text style={styles.rowMeta}>
+                      {t('ledger.paidBy', { name: names[expense.paid_by] || '?', count: expense.participant_ids?.length || 0 })}
+                      {' · '}{expense.expense_date}
+                    </Text>
+                  </View>
+                  <Text style={styles.rowAmount}>{formatCents(expense.amount_cents)}</Text>
+                  {expense.paid_by === currentUserId && (
+                    <TouchableOpacity onPress={() => handleDelete(expense)} style={styles.iconBtn}>
+                      <Feather name="trash-2" size={16} color="#A0A0A0" />
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ))}
+              {ledger.settlements.map((s) => (
+                <View key={s.id} style={styles.row}>
+                  <View style={styles.rowText}>
+                    <Text style={styles.rowName} numberOfLines={1}>
+                      {t('ledger.paidBack', { from: names[s.from_user] || '?', to: names[s.to_user] || '?' })}
+                    </Text>
+                    <Text style={styles.rowMeta}>{String(s.created_at || '').slice(0, 10)}</Text>
+                  </View>
+                  <Text style={styles.rowAmount}>{formatCents(s.amount_cents)}</Text>
+                </View>
+              ))}
+            </>
+          )}
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FAF8F5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E8E2DA',
+    backgroundColor: '#FAF8F5',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backText: {
+    fontSize: 32,
+    color: '#FF6B00',
+    fontFamily: 'Inter_400Regular',
+    marginTop: -4,
+  },
+  headerCenter: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 17,
+    fontFamily: 'PlayfairDisplay_700Bold',
+    color: '#1A1000',
+  },
+  headerSubtitle: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#FF6B00',
+    marginTop: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    paddingHorizontal: 16,
+    paddingBottom: 32,
+  },
+  sectionHeader: {
+    fontSize: 12,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FF6B00',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    marginTop: 20,
+    marginBottom: 6,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    padding: 14,
+    gap: 10,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    fontFamily: 'Inter_400Regular',
+    color: '#1A1000',
+    backgroundColor: '#FAF8F5',
+  },
+  hintText: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+  },
+  errorText: {
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#C0392B',
+  },
+  primaryBtn: {
+    backgroundColor: '#FF6B00',
+    borderRadius: 10,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  primaryBtnText: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FEFEFE',
+  },
+  emptyText: {
+    fontSize: 14,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    paddingVertical: 12,
+    paddingHorizontal: 14,
+    marginBottom: 6,
+    gap: 10,
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowName: {
+    flex: 1,
+    fontSize: 15,
+    fontFamily: 'Inter_500Medium',
+    color: '#1A1000',
+  },
+  rowMeta: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginTop: 2,
+  },
+  rowAmount: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+  },
+  positive: {
+    color: '#2E7D32',
+  },
+  negative: {
+    color: '#C0392B',
+  },
+  iconBtn: {
+    padding: 4,
+  },
+});
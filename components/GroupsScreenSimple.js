@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { useFocusEffect } from '@react-navigation/native';
 import { 
   StyleSheet, Text, View, ScrollView, TouchableOpacity, 
@@ -12,11 +12,18 @@ import * as ImagePicker from 'expo-image-picker';
 import * as Clipboard from 'expo-clipboard';
 import { lightHaptic, mediumHaptic, successHaptic } from '../lib/haptics';
 import { supabase } from '../lib/supabase';
-import { setMyResponseToday } from '../lib/dailyResponseService';
+import { setMyResponseToday, getPlannedMealToday, getGroupResponsesToday } from '../lib/dailyResponseService';
+import { isEating, getEffectiveResponse, countResponses, getServingsForTonight, formatResponseTime } from '../lib/dinnerResponses';
 import { useTranslation } from 'react-i18next';
 import { formatDateShortNL } from '../lib/dateFormatting';
 import { log, debugError } from '../lib/debugConfig';
-import { getTopVotedMeals } from '../lib/mealRequestService';
+import { getTopVotedMeals, getActiveMealRequest, getOrCreateDailyMealRequest } from '../lib/mealRequestService';
+import { getTightestConstraint } from '../lib/roundConstraints';
+import RoundSetupModal from './ui/RoundSetupModal';
+import CookRotaBanner from './ui/CookRotaBanner';
+import ResponseOptions from './ui/ResponseOptions';
+import { subscribeToLiveTally } from '../lib/liveVotes';
+import VotingPresence from './ui/VotingPresence';
 import { getGroupRecipes as getGroupSharedRecipes, addChefRecipe, shareRecipeWithGroups } from '../lib/recipesService';
 import { ensureChefProfile } from '../lib/chefService';
 import { importRecipeFromUrl } from '../lib/recipeUrlImporter';
@@ -29,6 +36,7 @@ import { getRecipeExtras } from '../lib/recipeExtrasService';
 import EmptyState, { EmptyGroups, EmptyVotes, EmptyOccasions } from './ui/EmptyState';
 import GroupRecipesScreen from './GroupRecipesScreen';
 import SaveToGroupButton from './ui/SaveToGroupButton';
+import PendingSyncBadge from './ui/PendingSyncBadge';
 import ChefDashboard from './ChefDashboard';
 import { 
   getMySpecialOccasions, 
@@ -49,7 +57,10 @@ import { sortTopMeals } from '../lib/sortTopMeals';
 import { Calendar, LocaleConfig } from 'react-native-calendars';
 import GroupSwitcherDropdown, { loadGroupOrder, saveGroupOrder, sortGroupsByOrder } from './GroupSwitcherDropdown';
 import { getActiveShopperToday, startShopping, stopShopping } from '../lib/shoppingService';
+import { getDinnerDayKey, getGroupToday, getGroupTodaySync, getMyToday } from '../lib/dinnerDayService';
 import { openGroupShareSheet } from '../lib/shareInvite';
+import { getUnreadCounts, subscribeToChatReads, updateAppBadge } from '../lib/chatReadService';
+import { formatUnreadCount } from '../lib/chatReads';
 
 // Configure Dutch locale for calendar
 LocaleConfig.locales['nl'] = {
@@ -85,9 +96,6 @@ const SafeDrawing = ({ source, style, resizeMode = "contain" }) => {
   );
 };
 
-// Get today's date string
-const getTodayDate = () => new Date().toISOString().split('T')[0];
-
 // Safe time display - handles "14:00:00", "14:00", or null
 const formatTimeDisplay = (t) => {
   if (!t) return '';
@@ -225,11 +233,14 @@ const toggleStyles = StyleSheet.create({
 
 // ============================================
 // TOP 3 MODAL - Fetches fresh data every time it opens
+// Group rounds (round = { requestId, groupId }) follow the live tally and
+// show who is still voting; occasions poll loadMeals.
 // ============================================
-const Top3Modal = React.memo(({ visible, onClose, loadMeals, onRecipePress }) => {
+const Top3Modal = React.memo(({ visible, onClose, loadMeals, onRecipePress, round }) => {
   const { t } = useTranslation();
   const [meals, setMeals] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [liveVotes, setLiveVotes] = useState({ votes: [], optionCount: 0 });
   
   // Initial fetch when modal opens
   useEffect(() => {
@@ -241,10 +252,20 @@ const Top3Modal = React.memo(({ visible, onClose, loadMeals, onRecipePress }) =>
       .catch(() => setMeals([]))
       .finally(() => setLoading(false));
   }, [visible, loadMeals]);
+
+  // Live tally of a group round (throttled realtime, see lib/liveVotes)
+  useEffect(() => {
+    if (!visible || !round?.requestId) return undefined;
+    return subscribeToLiveTally(round.requestId, (update) => {
+      setMeals(update.topMeals);
+      setLiveVotes({ votes: update.votes, optionCount: update.optionCount });
+      setLoading(false);
+    });
+  }, [visible, round?.requestId]);
   
-  // Auto-refresh every 1 second while modal is open (live vote updates)
+  // Occasions: auto-refresh every 1 second while modal is open
   useEffect(() => {
-    if (!visible || typeof loadMeals !== 'function') return;
+    if (!visible || round?.requestId || typeof loadMeals !== 'function') return;
     const interval = setInterval(() => {
       loadMeals()
         .then(data => {
@@ -253,7 +274,7 @@ const Top3Modal = React.memo(({ visible, onClose, loadMeals, onRecipePress }) =>
         .catch(() => {}); // Silently fail on refresh
     }, 1000);
     return () => clearInterval(interval);
-  }, [visible, loadMeals]);
+  }, [visible, loadMeals, round?.requestId]);
   
   const displayMeals = meals?.slice(0, 3) || [];
   
@@ -313,6 +334,15 @@ const Top3Modal = React.memo(({ visible, onClose, loadMeals, onRecipePress }) =>
               })}
             </View>
           )}
+          {round?.requestId && liveVotes.optionCount > 0 && (
+            <VotingPresence
+              requestId={round.requestId}
+              groupId={round.groupId}
+              votes={liveVotes.votes}
+              optionCount={liveVotes.optionCount}
+              style={top3ModalStyles.presence}
+            />
+          )}
         </View>
       </TouchableOpacity>
     </Modal>
@@ -424,6 +454,10 @@ const top3ModalStyles = StyleSheet.create({
     color: '#FF6B00',
     marginLeft: 8,
   },
+  presence: {
+    paddingHorizontal: 16,
+    paddingBottom: 16,
+  },
 });
 
 // ============================================
@@ -1462,6 +1496,23 @@ const cardStyles = StyleSheet.create({
     borderRadius: 4,
     backgroundColor: '#FF6B00',
   },
+  unreadCount: {
+    position: 'absolute',
+    top: 2,
+    right: 0,
+    minWidth: 18,
+    height: 18,
+    paddingHorizontal: 4,
+    borderRadius: 9,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#FF6B00',
+  },
+  unreadCountText: {
+    fontSize: 10,
+    fontFamily: 'Inter_700Bold',
+    color: '#FEFEFE',
+  },
   // Actions menu modal
   menuOverlay: {
     flex: 1,
@@ -1782,7 +1833,7 @@ const ExpandableOccasionCard = React.memo(({
   const { t } = useTranslation();
   const expandAnimation = useRef(new Animated.Value(isExpanded ? 1 : 0)).current;
   const occasionInfo = occasionLabels[occasion.occasion_type] || occasionLabels.other;
-  const isToday = occasion.date === getTodayDate();
+  const isToday = occasion.date === getMyToday();
 
   useEffect(() => {
     Animated.spring(expandAnimation, {
@@ -2360,9 +2411,15 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
   const activeRequestIdRef = useRef(null); // Ref to track current request ID for polling
   const [expandedMembers, setExpandedMembers] = useState([]);
   const [expandedResponses, setExpandedResponses] = useState({});
+  // Late / plate / maybe / guests per user: { eta, guests, maybeUntil } (lib/dinnerResponses)
+  const [responseDetails, setResponseDetails] = useState({});
   const [expandedLoading, setExpandedLoading] = useState(false);
   const [myResponse, setMyResponse] = useState(null);
   const [actionLoading, setActionLoading] = useState(false);
+  // Round setup step before a new voting round (lib/roundConstraints)
+  const [roundSetupGroup, setRoundSetupGroup] = useState(null);
+  const [tonightsCook, setTonightsCook] = useState(null);
+  const [roundSetupTooFew, setRoundSetupTooFew] = useState(null);
 
   // Track my response for each group (for collapsed state display)
   const [allGroupResponses, setAllGroupResponses] = useState({});
@@ -2378,6 +2435,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
 
   // Shopping state
   const [activeShopper, setActiveShopper] = useState(null); // { user_id, user_name, started_at }
+  const [plannedMeal, setPlannedMeal] = useState(null); // today's meal_plan_days row from the weekly plan
   const [shoppingLoading, setShoppingLoading] = useState(false);
 
   // When midnight reset fires (refreshTrigger changes), clear all local response state
@@ -2446,49 +2504,46 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
   // Get the currently selected group object
   const selectedGroup = sortedGroups.find(g => (g.group_id || g.id) === selectedGroupId) || null;
 
-  // Unread chat messages per group
+  // Unread chat messages per group ({ [groupId]: count }), counted on the
+  // server from group_chat_reads so every device shows the same
   const [unreadGroups, setUnreadGroups] = useState({});
+  const unreadGroupsRef = useRef({});
   const chatOpenGroupRef = useRef(null);
-  const chatLastReadRef = useRef({});
 
-  // Load last-read timestamps and check for unread messages on mount
+  // App icon badge = chats with unread messages + rounds waiting for my vote.
+  // Pending votes change without the unread counts changing, so this also
+  // runs on focus and when a round starts, closes or changes.
+  const refreshAppBadge = useCallback(() => {
+    if (!currentUserId) return;
+    updateAppBadge(unreadGroupsRef.current);
+  }, [currentUserId]);
+
+  const refreshUnreadCounts = useCallback(async () => {
+    const res = await getUnreadCounts();
+    if (!res.success) {
+      refreshAppBadge();
+      return;
+    }
+    const openGroupId = chatOpenGroupRef.current;
+    if (openGroupId) delete res.counts[openGroupId];
+    setUnreadGroups(res.counts);
+  }, [refreshAppBadge]);
+
   useEffect(() => {
     if (!currentUserId || !groups.length) return;
-    (async () => {
-      try {
-        const AsyncStorageMod = require('@react-native-async-storage/async-storage').default;
-        const stored = await AsyncStorageMod.getItem('chatLastRead');
-        const lastRead = stored ? JSON.parse(stored) : {};
-        chatLastReadRef.current = lastRead;
-
-        // Check each group for messages newer than last read
-        const todayStart = new Date();
-        todayStart.setHours(0, 0, 0, 0);
-        const unread = {};
-
-        for (const group of groups) {
-          const groupId = group.group_id || group.id;
-          const lastReadAt = lastRead[groupId] || todayStart.toISOString();
-
-          const { data } = await supabase
-            .from('group_messages')
-            .select('id')
-            .eq('group_id', groupId)
-            .gt('created_at', lastReadAt)
-            .neq('user_id', currentUserId)
-            .limit(1);
-
-          if (data?.length > 0) {
-            unread[groupId] = true;
-          }
-        }
+    refreshUnreadCounts();
+  }, [currentUserId, groups.length, refreshUnreadCounts]);
 
-        if (Object.keys(unread).length > 0) {
-          setUnreadGroups(prev => ({ ...prev, ...unread }));
-        }
-      } catch (_) {}
-    })();
-  }, [currentUserId, groups.length]);
+  // Read on another device: fetch the counts again
+  useEffect(() => {
+    if (!currentUserId) return undefined;
+    return subscribeToChatReads({ userId: currentUserId }, refreshUnreadCounts);
+  }, [currentUserId, refreshUnreadCounts]);
+
+  useEffect(() => {
+    unreadGroupsRef.current = unreadGroups;
+    refreshAppBadge();
+  }, [unreadGroups, refreshAppBadge]);
 
   // INSTANT: Load cached responses from AsyncStorage on mount for immediate yes/no display
   useEffect(() => {
@@ -2498,7 +2553,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
         const cached = await AsyncStorage.getItem('cachedDailyResponses');
         if (cached) {
           const data = JSON.parse(cached);
-          const today = new Date().toISOString().split('T')[0];
+          const today = getDinnerDayKey();
           
           // Only use if from today
           if (data.date === today && data.responses) {
@@ -2820,6 +2875,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
   // Top 3 modal - fetches fresh data every time it opens
   const [showTop3Modal, setShowTop3Modal] = useState(false);
   const [top3ModalLoadFn, setTop3ModalLoadFn] = useState(null);
+  const [top3ModalRound, setTop3ModalRound] = useState(null);
   
   // Swipeable refs to close them when tapping elsewhere
   const swipeableRefs = useRef({});
@@ -3129,115 +3185,25 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
     };
   }, [currentUserId, groups]); // Reduced dependencies - only re-run when these actually change
 
-  // Real-time subscription for vote updates - updates Top 3 when anyone votes
-  // Includes error handling and automatic reconnection (max 3 retries)
+  // Live Top 3: realtime vote changes are tallied on the client and
+  // throttled (lib/liveVotes); it resyncs on its own when realtime drops
   useEffect(() => {
     if (!activeRequestId) {
       realtimeHealthyRef.current = false;
       return;
     }
-
-    let channel = null;
-    let debounceTimer = null;
-    let retryCount = 0;
-    let retryTimer = null;
-    let disposed = false;
-    const MAX_RETRIES = 3;
-    
-    // Debounced refresh - short delay for snappy live updates
-    const debouncedRefresh = () => {
-      if (disposed) return;
-      if (debounceTimer) clearTimeout(debounceTimer);
-      debounceTimer = setTimeout(async () => {
-        if (disposed) return;
-        try {
-          const topMealsData = await loadTopMealsRef.current?.(activeRequestId, true);
-          if (!disposed && expandedGroupIdRef.current && activeRequestIdRef.current === activeRequestId) {
-            setTopMeals(topMealsData || []);
-            log.groups('Top meals refreshed after vote change:', topMealsData?.length || 0);
-          }
-        } catch (error) {
-          debugError('COMPONENTS', 'Error refreshing top meals after vote:', error);
+    const unsubscribe = subscribeToLiveTally(
+      activeRequestId,
+      ({ topMeals: liveTopMeals }) => {
+        if (expandedGroupIdRef.current && activeRequestIdRef.current === activeRequestId) {
+          setTopMeals(liveTopMeals);
         }
-      }, 150); // 150ms for fast live updates
-    };
-    
-    const createSubscription = () => {
-      if (disposed) return;
-      
-      // Clean up previous channel before creating new one
-      if (channel) {
-        try { supabase.removeChannel(channel); } catch (e) {}
-        channel = null;
-      }
-
-      try {
-        const channelName = `votes-${activeRequestId}-${Date.now()}`;
-        log.groups('Setting up real-time vote subscription for request:', activeRequestId, '(attempt', retryCount + 1, ')');
-
-        channel = supabase
-          .channel(channelName)
-          .on(
-            'postgres_changes',
-            {
-              event: '*',
-              schema: 'public',
-              table: 'meal_votes',
-              filter: `request_id=eq.${activeRequestId}`
-            },
-            (payload) => {
-              log.groups('Vote change detected via realtime, scheduling refresh...', payload?.eventType);
-              debouncedRefresh();
-            }
-          )
-          .subscribe((status) => {
-            if (disposed) return;
-            
-            if (status === 'SUBSCRIBED') {
-              realtimeHealthyRef.current = true;
-              retryCount = 0; // Reset retry count on success
-              log.groups('Realtime vote subscription active');
-            } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
-              realtimeHealthyRef.current = false;
-              console.warn(`[REALTIME] Vote subscription ${status} for request ${activeRequestId}`);
-              
-              // Auto-retry with exponential backoff
-              if (retryCount < MAX_RETRIES && !disposed) {
-                retryCount++;
-                const delay = Math.min(1000 * Math.pow(2, retryCount - 1), 8000); // 1s, 2s, 4s
-                console.warn(`[REALTIME] Retrying in ${delay}ms (attempt ${retryCount}/${MAX_RETRIES})`);
-                retryTimer = setTimeout(() => {
-                  if (!disposed) createSubscription();
-                }, delay);
-              } else if (retryCount >= MAX_RETRIES) {
-                console.warn(`[REALTIME] Max retries reached. Falling back to polling for Top 3 updates.`);
-              }
-            } else if (status === 'CLOSED') {
-              realtimeHealthyRef.current = false;
-            }
-          });
-      } catch (error) {
-        realtimeHealthyRef.current = false;
-        console.warn('[REALTIME] Could not set up vote subscription:', error);
-      }
-    };
-
-    createSubscription();
-
-    // Initial refresh when subscription is set up
-    loadTopMealsRef.current?.(activeRequestId, true).then(topMealsData => {
-      if (!disposed) setTopMeals(topMealsData || []);
-    }).catch(() => {});
-
+      },
+      { onStatus: (healthy) => { realtimeHealthyRef.current = healthy; } }
+    );
     return () => {
-      disposed = true;
       realtimeHealthyRef.current = false;
-      if (debounceTimer) clearTimeout(debounceTimer);
-      if (retryTimer) clearTimeout(retryTimer);
-      if (channel) {
-        log.groups('Cleaning up vote subscription');
-        try { supabase.removeChannel(channel); } catch (e) {}
-      }
+      unsubscribe();
     };
   }, [activeRequestId]);
 
@@ -3246,56 +3212,6 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
     activeRequestIdRef.current = activeRequestId;
   }, [activeRequestId]);
 
-  // Polling for Top 3 - checks every 1s when expanded for instant vote updates
-  const POLL_INTERVAL_MS = 1000;
-  useEffect(() => {
-    if (!activeRequestId || !expandedGroupId) {
-      return;
-    }
-    
-    // Capture current values for this effect instance
-    const capturedGroupId = expandedGroupId;
-    const capturedRequestId = activeRequestId;
-    let pollTimer = null;
-    let disposed = false;
-    
-    const doPoll = async () => {
-      if (disposed) return;
-      if (expandedGroupIdRef.current !== capturedGroupId || 
-          activeRequestIdRef.current !== capturedRequestId) {
-        return;
-      }
-      try {
-        const topMealsData = await loadTopMealsRef.current?.(capturedRequestId, true);
-        if (!disposed && expandedGroupIdRef.current === capturedGroupId && 
-            activeRequestIdRef.current === capturedRequestId) {
-          setTopMeals(topMealsData || []);
-        }
-      } catch (error) {
-        log.groups('Poll error:', error);
-      }
-    };
-    
-    const schedulePoll = () => {
-      if (disposed) return;
-      pollTimer = setTimeout(() => {
-        doPoll().finally(() => {
-          if (!disposed) schedulePoll();
-        });
-      }, POLL_INTERVAL_MS);
-    };
-    
-    // Immediate poll on expand, then start adaptive schedule
-    doPoll().finally(() => {
-      if (!disposed) schedulePoll();
-    });
-    
-    return () => {
-      disposed = true;
-      if (pollTimer) clearTimeout(pollTimer);
-    };
-  }, [activeRequestId, expandedGroupId]);
-
   // When returning from voting - refresh Top 3 immediately
   // If activeRequestId is null (e.g. because a new meal request was created during voting
   // but the local state wasn't updated), actively fetch the active request first.
@@ -3382,6 +3298,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
     useCallback(() => {
       let isActive = true;
       chatOpenGroupRef.current = null;
+      refreshUnreadCounts();
       
       if (FEATURE_SPECIAL_OCCASIONS) {
         loadSpecialOccasionsIndependent().catch(error => {
@@ -3446,7 +3363,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
       return () => {
         isActive = false;
       };
-    }, [activeRequestId, expandedOccasionId, expandedGroupId, contextLoadActiveMealRequest, invalidateCache, selectedGroupId, loadGroupSavedRecipes])
+    }, [activeRequestId, expandedOccasionId, expandedGroupId, contextLoadActiveMealRequest, invalidateCache, selectedGroupId, loadGroupSavedRecipes, refreshUnreadCounts])
   );
 
   // Global real-time subscription for daily responses across ALL groups
@@ -3477,9 +3394,8 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
             if (!userGroupIdsRef.current.has(groupId)) return;
 
             // Ignore events for other dates (e.g. stale rows from yesterday)
-            const today = new Date().toISOString().split('T')[0];
             const eventDate = payload.new?.response_date || payload.old?.response_date;
-            if (eventDate && eventDate !== today) return;
+            if (eventDate && eventDate !== getGroupTodaySync(groupId)) return;
 
             if (payload.eventType === 'INSERT' || payload.eventType === 'UPDATE') {
               const r = payload.new;
@@ -3504,6 +3420,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
               // Update expanded card if this group is currently expanded
               if (expandedGroupIdRef.current === groupId) {
                 setExpandedResponses(prev => ({ ...prev, [r.user_id]: r.response }));
+                setResponseDetails(prev => ({ ...prev, [r.user_id]: { eta: r.eta, guests: r.guests || 0, maybeUntil: r.maybe_until, autoSource: r.auto_source || null } }));
                 if (isMe) setMyResponse(r.response);
               }
             } else if (payload.eventType === 'DELETE') {
@@ -3525,6 +3442,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
 
               if (expandedGroupIdRef.current === groupId) {
                 setExpandedResponses(prev => { const n = { ...prev }; delete n[r.user_id]; return n; });
+                setResponseDetails(prev => { const n = { ...prev }; delete n[r.user_id]; return n; });
                 if (isMe) setMyResponse(null);
               }
             }
@@ -3572,7 +3490,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
             // Ignore messages for groups the user doesn't belong to
             if (!userGroupIdsRef.current.has(msg.group_id)) return;
             if (chatOpenGroupRef.current === msg.group_id) return;
-            setUnreadGroups(prev => ({ ...prev, [msg.group_id]: true }));
+            setUnreadGroups(prev => ({ ...prev, [msg.group_id]: (prev[msg.group_id] || 0) + 1 }));
           }
         )
         .subscribe((status) => {
@@ -3731,6 +3649,8 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
           // Fetch fresh active meal request for the affected group so the
           // "voting in progress" state appears/disappears immediately.
           contextLoadActiveMealRequest?.(groupId, true).catch(() => {});
+          // A new or closed round changes the votes waiting for me
+          refreshAppBadge();
         } catch (_) {}
       }, 200);
     };
@@ -3770,7 +3690,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
         mealRequestsChannelRef.current = null;
       }
     };
-  }, [currentUserId, groups.length, invalidateGroupCache, contextLoadActiveMealRequest]);
+  }, [currentUserId, groups.length, invalidateGroupCache, contextLoadActiveMealRequest, refreshAppBadge]);
 
   // Real-time subscription for new special occasions (participant invites or own creations)
   useEffect(() => {
@@ -4179,6 +4099,10 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
       if (result.success) setActiveShopper(result.shopper);
     }).catch(() => {});
 
+    // Today's meal from the weekly plan (if the group planned this week)
+    setPlannedMeal(null);
+    getPlannedMealToday(groupId).then(setPlannedMeal).catch(() => {});
+
     // Collapse any expanded occasion card first
     if (expandedOccasionId) {
       setExpandedOccasionId(null);
@@ -4448,7 +4372,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
         }
         
         // Fetch recipe_type from active dinner_request
-        const today = getTodayDate();
+        const today = await getGroupToday(fetchGroupId);
         const { data: dinnerRequest } = await supabase
           .from('dinner_requests')
           .select('recipe_type')
@@ -4478,15 +4402,55 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
     loadGroupData(selectedGroupId);
   }, [selectedGroupId, currentUserId]); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // The response maps only hold the answer; late times, cutoffs and guests come from here
+  useEffect(() => {
+    if (!selectedGroupId || !currentUserId) return undefined;
+    let active = true;
+    setResponseDetails({});
+    getGroupResponsesToday(selectedGroupId).then((result) => {
+      if (!active || !result.success) return;
+      setResponseDetails(Object.fromEntries(result.responses.map((r) => [r.odId, { eta: r.eta, guests: r.guests, maybeUntil: r.maybeUntil, autoSource: r.autoSource }])));
+    });
+    return () => { active = false; };
+  }, [selectedGroupId, currentUserId]);
+
+  // Tonight's answers as they stand now (an expired "maybe" is a "no") and the portions
+  const effectiveResponses = useMemo(() => Object.fromEntries(
+    Object.entries(expandedResponses || {}).map(([userId, response]) => [
+      userId,
+      getEffectiveResponse({ response, maybe_until: responseDetails[userId]?.maybeUntil }),
+    ])
+  ), [expandedResponses, responseDetails]);
+  const tonightCounts = useMemo(() => countResponses(
+    Object.entries(expandedResponses || {}).map(([userId, response]) => ({
+      response,
+      guests: responseDetails[userId]?.guests,
+      maybe_until: responseDetails[userId]?.maybeUntil,
+    }))
+  ), [expandedResponses, responseDetails]);
+  // "later, rond 19:30 · +2 gasten" next to a name; automatic answers say so
+  const describeResponseDetails = (userId) => {
+    const details = responseDetails[userId] || {};
+    const parts = [];
+    if (effectiveResponses[userId] === 'late') {
+      parts.push(details.eta ? t('dinnerResponse.lateAt', { time: formatResponseTime(details.eta) }) : t('dinnerResponse.late').toLowerCase());
+    }
+    if (effectiveResponses[userId] === 'plate') parts.push(t('dinnerResponse.plateShort'));
+    if (details.guests > 0) parts.push(t('dinnerResponse.guests', { count: details.guests }));
+    if (details.autoSource) parts.push(t(`standingRsvp.auto_${details.autoSource}`));
+    return parts.join(' · ');
+  };
+
   // Handle response change (accepts groupId to work for collapsed cards too)
   // Uses optimistic updates for instant feedback
-  const handleResponseChange = async (groupId, userId, newValue) => {
+  const handleResponseChange = async (groupId, userId, newValue, details = {}) => {
     if (userId !== currentUserId) return;
     
     // Store previous values for potential rollback
     const previousAllGroupResponse = allGroupResponses[groupId];
     const previousMyResponse = myResponse;
     const previousExpandedResponse = expandedResponses[userId];
+    const previousDetails = responseDetails[userId];
     
     lightHaptic(); // Immediate feedback
     
@@ -4497,6 +4461,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
     setAllGroupResponses(prev => ({ ...prev, [groupId]: newValue }));
     setMyResponse(newValue);
     setExpandedResponses(prev => ({ ...prev, [userId]: newValue }));
+    setResponseDetails(prev => ({ ...prev, [userId]: { guests: 0, ...details } }));
     
     // Optimistic update - context cache
     updateCachedResponse(groupId, userId, newValue);
@@ -4511,7 +4476,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
         return;
       }
       
-      const result = await setMyResponseToday(groupId, newValue);
+      const result = await setMyResponseToday(groupId, newValue, details);
       const error = result.success ? null : new Error(result.error);
 
       // Realtime callback clears optimisticUpdateInProgress; safety fallback in case realtime is slow
@@ -4532,6 +4497,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
             ...prev,
             [userId]: previousExpandedResponse
           }));
+          setResponseDetails(prev => ({ ...prev, [userId]: previousDetails }));
         }
         
         // Revert context cache
@@ -4550,21 +4516,48 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
     }
   };
 
-  // Start voting
+  // Start voting: join today's round, or set up a new one first
   const handleStartVoting = async (group) => {
     mediumHaptic(); // Feedback for starting voting
     const groupId = group.group_id || group.id;
     setActionLoading(true);
+
+    try {
+      const active = await getActiveMealRequest(groupId);
+      if (active.hasActiveRequest && active.request) {
+        await startRound(group);
+        return;
+      }
+      setRoundSetupTooFew(null);
+      setRoundSetupGroup(group);
+    } catch (error) {
+      debugError('COMPONENTS', 'Error starting voting:', error);
+      toast.error(t('errors.generic'));
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const startRound = async (group, constraints = null) => {
+    const groupId = group.group_id || group.id;
+    setActionLoading(true);
     
     try {
-      const { getOrCreateDailyMealRequest } = require('../lib/mealRequestService');
-      
-      const result = await getOrCreateDailyMealRequest(groupId, 10);
+      const result = await getOrCreateDailyMealRequest(groupId, 10, { constraints });
       
+      if (result.reason === 'too_few') {
+        // Keep the setup open so the constraints can be loosened
+        setRoundSetupTooFew({ matched: result.matched, tightest: getTightestConstraint(result.rejected) });
+        return;
+      }
       if (!result.success) {
         toast.error(result.error || t('errors.generic'));
         return;
       }
+      setRoundSetupGroup(null);
+      if (result.shortfall) {
+        toast.info(t('roundSetup.shortfall', { count: result.mealOptions?.length || 0 }));
+      }
       
       const requestId = result.request?.id;
       const mealOptions = result.mealOptions || [];
@@ -4711,10 +4704,16 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
     lightHaptic();
     log.ui('Recipe pressed:', meal?.meal_data?.name);
     const extras = getRecipeExtras(meal?.meal_data?.name);
-    setServingCount(extras.default_servings);
+    setServingCount(getServingsForTonight(tonightCounts, extras.default_servings));
     setSelectedRecipe(meal);
     setShowRecipeModal(true);
-  }, []);
+  }, [tonightCounts]);
+
+  // Recipe card tapped in group chat (GroupChatScreen navigates back with openRecipe)
+  useEffect(() => {
+    const meal = route?.params?.openRecipe?.meal;
+    if (meal) handleRecipePress(meal);
+  }, [route?.params?.openRecipe?.at]);
 
   // Open Top 3 modal - always fetches fresh data when opened (all votes in group)
   const handleOpenTop3Group = useCallback(() => {
@@ -4727,8 +4726,9 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
     // the inner function (which returns a Promise on call) is stored as-is.
     const loadFn = () => contextLoadTopMeals(activeRequestId, true);
     setTop3ModalLoadFn(() => loadFn);
+    setTop3ModalRound({ requestId: activeRequestId, groupId: expandedGroupId });
     setShowTop3Modal(true);
-  }, [activeRequestId, contextLoadTopMeals, toast, t]);
+  }, [activeRequestId, expandedGroupId, contextLoadTopMeals, toast, t]);
 
 
   const handleOpenTop3Occasion = useCallback(() => {
@@ -4736,6 +4736,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
     lightHaptic();
     const loadFn = () => getOccasionTopMeals(expandedOccasionId).then(r => r.topMeals || []);
     setTop3ModalLoadFn(() => loadFn);
+    setTop3ModalRound(null);
     setShowTop3Modal(true);
   }, [expandedOccasionId]);
 
@@ -4952,7 +4953,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
           const notifBody = newOccasionMessage?.trim()
             ? `${userName || 'Iemand'} heeft je uitgenodigd: ${newOccasionMessage.trim()}`
             : `${userName || 'Iemand'} heeft je uitgenodigd voor een ${typeLabel.toLowerCase()}`;
-          notifyOccasionParticipants(result.occasion.id, result.occasion.creator_id, notifTitle, notifBody)
+          notifyOccasionParticipants(result.occasion.id, notifTitle, notifBody)
             .catch(err => console.error('Notification send error:', err));
         }
       } else {
@@ -5265,6 +5266,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
                 </Text>
                 <Text style={styles.headerSubtitle}>
                   {(selectedGroup.member_count ?? selectedGroup.memberCount ?? expandedMembers?.length ?? 0)} {t('common.members').toLowerCase()}
+                  {!!tonightsCook?.name && ` · ${t('cookRota.cooksShort', { name: tonightsCook.name })}`}
                 </Text>
               </View>
             </View>
@@ -5283,10 +5285,6 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
                   const groupId = selectedGroupId;
                   chatOpenGroupRef.current = groupId;
                   setUnreadGroups(prev => { const n = { ...prev }; delete n[groupId]; return n; });
-                  const now = new Date().toISOString();
-                  chatLastReadRef.current[groupId] = now;
-                  const AsyncStorageMod = require('@react-native-async-storage/async-storage').default;
-                  AsyncStorageMod.setItem('chatLastRead', JSON.stringify(chatLastReadRef.current)).catch(() => {});
                   navigation.navigate('GroupChat', {
                     groupId,
                     groupName: selectedGroup.name || selectedGroup.group_name,
@@ -5295,7 +5293,11 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
                 }}
               >
                 <Feather name="message-circle" size={24} color="#6B5B4A" />
-                {!!unreadGroups[selectedGroupId] && <View style={cardStyles.unreadDot} />}
+                {!!unreadGroups[selectedGroupId] && (
+                  <View style={cardStyles.unreadCount}>
+                    <Text style={cardStyles.unreadCountText}>{formatUnreadCount(unreadGroups[selectedGroupId])}</Text>
+                  </View>
+                )}
               </TouchableOpacity>
               <TouchableOpacity
                 style={{ width: 44, height: 44, alignItems: 'center', justifyContent: 'center' }}
@@ -5329,6 +5331,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
             setExpandedMembers([]);
             setExpandedResponses({});
             setMyResponse(null);
+            setTonightsCook(null);
             // Set new selection (useEffect will call loadGroupData)
             setSelectedGroupId(id);
             expandedGroupIdRef.current = id;
@@ -5368,16 +5371,23 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
           <EmptyGroups onAction={() => { lightHaptic(); setShowCreateModal(true); }} />
         ) : selectedGroup && (
           <View>
+            <PendingSyncBadge onPress={() => navigation.navigate('Outbox')} />
+
             {/* === SECTION 1: PARTICIPATION (primary action) === */}
             <View style={gpStyles.card}>
               <Text style={gpStyles.cardTitle}>{'Eet je mee vanavond?'}</Text>
+              {!!plannedMeal?.meal_data?.name && (
+                <Text style={gpStyles.plannedMealText} numberOfLines={1}>
+                  {t('weekPlan.onTheMenu', { name: plannedMeal.meal_data.name })}
+                </Text>
+              )}
               <View style={gpStyles.segmentedControl}>
                 <TouchableOpacity
                   style={[
                     gpStyles.segmentBtn,
                     myResponse === 'yes' && gpStyles.segmentBtnYesActive
                   ]}
-                  onPress={() => handleResponseChange(selectedGroupId, currentUserId, myResponse === 'yes' ? null : 'yes')}
+                  onPress={() => handleResponseChange(selectedGroupId, currentUserId, myResponse === 'yes' ? null : 'yes', { guests: responseDetails[currentUserId]?.guests })}
                   activeOpacity={0.7}
                 >
                   <Text style={[gpStyles.segmentBtnText, myResponse === 'yes' && gpStyles.segmentBtnTextActive]}>
@@ -5397,6 +5407,11 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
                   </Text>
                 </TouchableOpacity>
               </View>
+              <ResponseOptions
+                response={myResponse}
+                details={responseDetails[currentUserId]}
+                onChange={(response, details) => handleResponseChange(selectedGroupId, currentUserId, response, details)}
+              />
             </View>
 
             {/* === SECTION 2: LIVE PARTICIPATION FEEDBACK === */}
@@ -5406,13 +5421,16 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
                   <Text style={gpStyles.attendeesLabelYes}>{'EET MEE'}</Text>
                   {expandedLoading ? (
                     <ActivityIndicator size="small" color="#FF6B00" style={{ marginTop: 6 }} />
-                  ) : expandedMembers?.filter(m => expandedResponses?.[m.user_id] === 'yes').length > 0 ? (
+                  ) : expandedMembers?.filter(m => isEating(effectiveResponses[m.user_id])).length > 0 ? (
                     expandedMembers
-                      .filter(m => expandedResponses?.[m.user_id] === 'yes')
+                      .filter(m => isEating(effectiveResponses[m.user_id]))
                       .map(m => (
                         <Text key={m.user_id} style={gpStyles.attendeeName}>
                           {m.full_name || m.user_name || t('common.unknown')}
                           {m.user_id === currentUserId && ` (${t('common.you')})`}
+                          {!!describeResponseDetails(m.user_id) && (
+                            <Text style={gpStyles.attendeeDetail}>{` · ${describeResponseDetails(m.user_id)}`}</Text>
+                          )}
                         </Text>
                       ))
                   ) : (
@@ -5424,13 +5442,16 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
                   <Text style={gpStyles.attendeesLabelNo}>{'EET NIET MEE'}</Text>
                   {expandedLoading ? (
                     <ActivityIndicator size="small" color="#E57373" style={{ marginTop: 6 }} />
-                  ) : expandedMembers?.filter(m => expandedResponses?.[m.user_id] === 'no').length > 0 ? (
+                  ) : expandedMembers?.filter(m => effectiveResponses[m.user_id] === 'no').length > 0 ? (
                     expandedMembers
-                      .filter(m => expandedResponses?.[m.user_id] === 'no')
+                      .filter(m => effectiveResponses[m.user_id] === 'no')
                       .map(m => (
                         <Text key={m.user_id} style={gpStyles.attendeeNameNo}>
                           {m.full_name || m.user_name || t('common.unknown')}
                           {m.user_id === currentUserId && ` (${t('common.you')})`}
+                          {!!describeResponseDetails(m.user_id) && (
+                            <Text style={gpStyles.attendeeDetail}>{` · ${describeResponseDetails(m.user_id)}`}</Text>
+                          )}
                         </Text>
                       ))
                   ) : (
@@ -5438,13 +5459,38 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
                   )}
                 </View>
               </View>
+              {!expandedLoading && expandedMembers?.some(m => effectiveResponses[m.user_id] === 'maybe') && (
+                <View style={gpStyles.maybeRow}>
+                  <Text style={gpStyles.attendeesLabelMaybe}>{t('dinnerResponse.maybeColumn')}</Text>
+                  {expandedMembers
+                    .filter(m => effectiveResponses[m.user_id] === 'maybe')
+                    .map(m => (
+                      <Text key={m.user_id} style={gpStyles.attendeeNameNo}>
+                        {m.full_name || m.user_name || t('common.unknown')}
+                        {m.user_id === currentUserId && ` (${t('common.you')})`}
+                        {!!responseDetails[m.user_id]?.maybeUntil && ` · ${t('dinnerResponse.maybeUntil', { time: formatResponseTime(responseDetails[m.user_id].maybeUntil) })}`}
+                      </Text>
+                    ))}
+                </View>
+              )}
+              {tonightCounts.portions > 0 && (
+                <Text style={gpStyles.portionsText}>{t('dinnerResponse.portions', { count: tonightCounts.portions })}</Text>
+              )}
             </View>
 
+            {/* === SECTION 2b: TONIGHT'S COOK (rota) === */}
+            <CookRotaBanner
+              groupId={selectedGroupId}
+              currentUserId={currentUserId}
+              refreshKey={Object.keys(effectiveResponses).filter(id => isEating(effectiveResponses[id])).sort().join(',')}
+              onCookChange={setTonightsCook}
+            />
+
             {/* === SECTION 3: GROUP RECIPES CAROUSEL — shared in-group saved recipes === */}
             <View style={gpStyles.sectionSpaced}>
               <View style={gpStyles.sectionHeader}>
                 <Text style={gpStyles.sectionTitle}>{'Recepten'}</Text>
-                {activeRecipeType !== 'no_voting' && myResponse === 'yes' && (
+                {activeRecipeType !== 'no_voting' && isEating(myResponse) && (
                   actionLoading ? (
                     <ActivityIndicator color="#FF6B00" size="small" />
                   ) : topMeals && topMeals.length > 0 ? (
@@ -5953,7 +5999,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
             </View>
 
             {/* === SHOPPING STATUS === */}
-            {myResponse === 'yes' && (
+            {isEating(myResponse) && (
               <View style={gpStyles.sectionSpaced}>
                 {activeShopper ? (
                   <View style={gpStyles.shoppingCard}>
@@ -6000,6 +6046,36 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
                     )}
                   </TouchableOpacity>
                 )}
+                <TouchableOpacity
+                  style={gpStyles.shoppingListLink}
+                  onPress={() => {
+                    lightHaptic();
+                    navigation.navigate('ShoppingList', {
+                      groupId: selectedGroupId,
+                      groupName: selectedGroup.name || selectedGroup.group_name,
+                      requestId: activeRequestId,
+                    });
+                  }}
+                  activeOpacity={0.7}
+                >
+                  <Feather name="list" size={15} color="#6B5A48" />
+                  <Text style={gpStyles.shoppingListLinkText}>{t('shopping.openList')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={gpStyles.shoppingListLink}
+                  onPress={() => {
+                    lightHaptic();
+                    navigation.navigate('GroupLedger', {
+                      groupId: selectedGroupId,
+                      groupName: selectedGroup.name || selectedGroup.group_name,
+                      requestId: activeRequestId,
+                    });
+                  }}
+                  activeOpacity={0.7}
+                >
+                  <Feather name="credit-card" size={15} color="#6B5A48" />
+                  <Text style={gpStyles.shoppingListLinkText}>{t('ledger.openLedger')}</Text>
+                </TouchableOpacity>
               </View>
             )}
 
@@ -6019,6 +6095,40 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
                   <Text style={gpStyles.secondaryBtnText}>{'Top 3'}</Text>
                 </TouchableOpacity>
               </View>
+              <View style={[gpStyles.secondaryRow, { marginTop: 10 }]}>
+                <TouchableOpacity style={gpStyles.secondaryBtn} onPress={() => {
+                  lightHaptic();
+                  navigation.navigate('WeeklyPlan', {
+                    groupId: selectedGroupId,
+                    groupName: selectedGroup.name || selectedGroup.group_name,
+                  });
+                }}>
+                  <Feather name="calendar" size={16} color="#FF6B00" />
+                  <Text style={gpStyles.secondaryBtnText}>{t('weekPlan.title')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={gpStyles.secondaryBtn} onPress={() => {
+                  lightHaptic();
+                  navigation.navigate('VotingMethod', {
+                    groupId: selectedGroupId,
+                    groupName: selectedGroup.name || selectedGroup.group_name,
+                  });
+                }}>
+                  <Feather name="sliders" size={16} color="#FF6B00" />
+                  <Text style={gpStyles.secondaryBtnText}>{t('votingMethod.title')}</Text>
+                </TouchableOpacity>
+              </View>
+              <View style={[gpStyles.secondaryRow, { marginTop: 10 }]}>
+                <TouchableOpacity style={gpStyles.secondaryBtn} onPress={() => {
+                  lightHaptic();
+                  navigation.navigate('Availability', {
+                    groupId: selectedGroupId,
+                    groupName: selectedGroup.name || selectedGroup.group_name,
+                  });
+                }}>
+                  <Feather name="repeat" size={16} color="#FF6B00" />
+                  <Text style={gpStyles.secondaryBtnText}>{t('standingRsvp.title')}</Text>
+                </TouchableOpacity>
+              </View>
             </View>
           </View>
         )}
@@ -6639,8 +6749,9 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
       {/* Top 3 Modal - fetches fresh data every time it opens */}
       <Top3Modal
         visible={showTop3Modal}
-        onClose={() => { setShowTop3Modal(false); setTop3ModalLoadFn(null); }}
+        onClose={() => { setShowTop3Modal(false); setTop3ModalLoadFn(null); setTop3ModalRound(null); }}
         loadMeals={top3ModalLoadFn}
+        round={top3ModalRound}
         onRecipePress={handleRecipePress}
       />
 
@@ -6694,6 +6805,16 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
         </View>
       </Modal>
 
+      {/* Round setup before a new voting round */}
+      <RoundSetupModal
+        visible={!!roundSetupGroup}
+        groupId={roundSetupGroup?.group_id || roundSetupGroup?.id}
+        loading={actionLoading}
+        tooFew={roundSetupTooFew}
+        onCancel={() => setRoundSetupGroup(null)}
+        onStart={(constraints) => startRound(roundSetupGroup, constraints)}
+      />
+
       {/* Create Group Modal */}
       <Modal visible={showCreateModal} transparent animationType="fade">
         <View style={styles.modalOverlay}>
@@ -6939,7 +7060,7 @@ export default function GroupsScreenSimple({ navigation, route, isActive = true,
                   markedDates={newOccasionDate ? {
                     [newOccasionDate]: { selected: true, selectedColor: occasionLabels[newOccasionType]?.color || '#FF6B00' }
                   } : {}}
-                  minDate={new Date().toISOString().split('T')[0]}
+                  minDate={getMyToday()}
                   theme={{
                     backgroundColor: 'transparent',
                     calendarBackground: 'transparent',
@@ -7352,6 +7473,13 @@ const gpStyles = StyleSheet.create({
     color: '#1A1000',
     marginBottom: 14,
   },
+  plannedMealText: {
+    fontSize: 13,
+    fontFamily: 'Inter_500Medium',
+    color: '#FF6B00',
+    marginTop: -8,
+    marginBottom: 14,
+  },
   sectionSpaced: {
     marginBottom: 24,
   },
@@ -7446,6 +7574,30 @@ const gpStyles = StyleSheet.create({
     fontFamily: 'Inter_400Regular',
     color: '#CCC',
   },
+  attendeeDetail: {
+    fontSize: 12,
+    color: '#A09485',
+  },
+  maybeRow: {
+    marginTop: 14,
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#F0EBE4',
+  },
+  attendeesLabelMaybe: {
+    fontSize: 11,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#A09485',
+    textTransform: 'uppercase',
+    letterSpacing: 0.8,
+    marginBottom: 8,
+  },
+  portionsText: {
+    fontSize: 13,
+    fontFamily: 'Inter_500Medium',
+    color: '#FF6B00',
+    marginTop: 12,
+  },
 
   // --- Food voting cards ---
   // Bigger, more inviting "Stem nu" CTA — taller, bolder, with a warm
@@ -7623,6 +7775,19 @@ const gpStyles = StyleSheet.create({
     fontFamily: 'Inter_500Medium',
     color: '#999',
   },
+  shoppingListLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingVertical: 10,
+    marginTop: 6,
+  },
+  shoppingListLinkText: {
+    fontSize: 13,
+    fontFamily: 'Inter_500Medium',
+    color: '#6B5A48',
+  },
 });
 
 const styles = StyleSheet.create({
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { StyleSheet, Text, View, ScrollView, TouchableOpacity, Image, Linking, ActivityIndicator, Modal, Animated, Dimensions, Alert, SafeAreaView } from 'react-native';
 import { Image as ExpoImage } from 'expo-image';
 import { getCurrentUserProfile } from '../lib/profileService';
@@ -15,6 +15,8 @@ import { useToast } from './ui/Toast';
 import ServingSelector from './ui/ServingSelector';
 import { scaleIngredients } from '../lib/ingredientScaler';
 import { getRecipeExtras } from '../lib/recipeExtrasService';
+import { filterRecipesForRestrictions } from '../lib/dietaryProfiles';
+import DietBadges from './ui/DietBadges';
 
 // Safe image component that handles missing drawings gracefully
 const SafeDrawing = ({ source, style, resizeMode = "contain" }) => {
@@ -152,10 +154,9 @@ export default function IdeasScreen({ route, navigation, hideBottomNav, isActive
         return;
       }
 
-      // Since we've simplified the profile, no user preferences to load
       const preferences = {
         cuisines: [],
-        dietaryRestrictions: []
+        dietaryRestrictions: profile.dietary_restrictions || []
       };
       
       setUserPreferences(preferences);
@@ -164,6 +165,12 @@ export default function IdeasScreen({ route, navigation, hideBottomNav, isActive
     }
   };
 
+  // Recipes that clash with the user's diet sink to the bottom and get flagged
+  const visibleRecipes = useMemo(
+    () => filterRecipesForRestrictions(recipes, userPreferences.dietaryRestrictions),
+    [recipes, userPreferences.dietaryRestrictions]
+  );
+
   const loadFeaturedRecipes = async (isLoadingMore = false) => {
     if (isLoadingMore) {
       setLoadingMore(true);
@@ -544,7 +551,7 @@ export default function IdeasScreen({ route, navigation, hideBottomNav, isActive
         <View style={styles.recipesContainer}>
           <Text style={styles.sectionTitle}>{t('recipes.featuredRecipes')}</Text>
           
-          {recipes.map((recipe) => (
+          {visibleRecipes.map((recipe) => (
             <TouchableOpacity 
               key={recipe.id} 
               style={styles.recipeCard}
@@ -584,6 +591,8 @@ export default function IdeasScreen({ route, navigation, hideBottomNav, isActive
 
                 <Text style={styles.recipeDescription}>{recipe.description}</Text>
 
+                <DietBadges recipe={recipe} />
+
                 {(() => { const ex = getRecipeExtras(recipe.name || recipe.title); return ex.estimated_cost ? (
                   <View style={styles.priceBadgeRow}>
                     <View style={styles.priceBadge}>
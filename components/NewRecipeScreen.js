@@ -19,6 +19,7 @@ import { useToast } from './ui/Toast';
 import { addUserRecipe } from '../lib/userRecipesService';
 import { uploadRecipeImage } from '../lib/recipeImageService';
 import { importRecipeFromUrl } from '../lib/recipeUrlImporter';
+import { importRecipeFromInput } from '../lib/recipeTextImporter';
 import { useTheme } from '../lib/ThemeContext';
 import PhotoPickerCard from './ui/PhotoPickerCard';
 import Input from './ui/Input';
@@ -49,10 +50,39 @@ export default function NewRecipeScreen({ navigation }) {
   const [steps, setSteps] = useState(['']);
   const [urlInput, setUrlInput] = useState('');
   const [importing, setImporting] = useState(false);
+  // Free-text import (WhatsApp message, notes, text copied from a photo)
+  const [showTextImport, setShowTextImport] = useState(false);
+  const [textInput, setTextInput] = useState('');
   // Form is hidden by default — URL import is the primary path.
   // Shown after a successful import or when the user explicitly picks manual.
   const [showForm, setShowForm] = useState(false);
 
+  /* ── fill the form from an import result ── */
+  const applyImport = (result) => {
+    if (!result.success) {
+      toast.error(result.error || 'Kon recept niet importeren');
+      return;
+    }
+    const r = result.recipe;
+    if (r.name) setName(r.name);
+    if (r.description) setDescription(r.description);
+    if (r.cooking_time_minutes) setCookingTime(String(r.cooking_time_minutes));
+    if (r.cuisine_type) setCuisine(r.cuisine_type);
+    if (r.image) setImageUri(r.image);
+    setIngredients(r.ingredients?.length ? r.ingredients : ['']);
+    setSteps(r.steps?.length ? r.steps : ['']);
+    setShowForm(true);
+    successHaptic();
+    if (result.partial) {
+      toast.success(
+        t('userRecipes.importedPartial') ||
+          'Deels geïmporteerd — vul de rest zelf aan',
+      );
+    } else {
+      toast.success(t('userRecipes.imported') || 'Recept geïmporteerd!');
+    }
+  };
+
   /* ── import from URL ── */
   const handleImport = async () => {
     const url = urlInput.trim();
@@ -63,29 +93,24 @@ export default function NewRecipeScreen({ navigation }) {
     setImporting(true);
     lightHaptic();
     try {
-      const result = await importRecipeFromUrl(url);
-      if (!result.success) {
-        toast.error(result.error || 'Kon recept niet importeren');
-        return;
-      }
-      const r = result.recipe;
-      if (r.name) setName(r.name);
-      if (r.description) setDescription(r.description);
-      if (r.cooking_time_minutes) setCookingTime(String(r.cooking_time_minutes));
-      if (r.cuisine_type) setCuisine(r.cuisine_type);
-      if (r.image) setImageUri(r.image);
-      setIngredients(r.ingredients?.length ? r.ingredients : ['']);
-      setSteps(r.steps?.length ? r.steps : ['']);
-      setShowForm(true);
-      successHaptic();
-      if (result.partial) {
-        toast.success(
-          t('userRecipes.importedPartial') ||
-            'Deels geïmporteerd — vul de rest zelf aan',
-        );
-      } else {
-        toast.success(t('userRecipes.imported') || 'Recept geïmporteerd!');
-      }
+      applyImport(await importRecipeFromUrl(url));
+    } catch (e) {
+      toast.error(e?.message || 'Kon recept niet importeren');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  /* ── import from pasted text ── */
+  const handleTextImport = async () => {
+    if (!textInput.trim()) {
+      toast.error(t('userRecipes.textRequired') || 'Plak eerst de recepttekst');
+      return;
+    }
+    setImporting(true);
+    lightHaptic();
+    try {
+      applyImport(await importRecipeFromInput(textInput));
     } catch (e) {
       toast.error(e?.message || 'Kon recept niet importeren');
     } finally {
@@ -231,6 +256,43 @@ export default function NewRecipeScreen({ navigation }) {
                   )}
                 </TouchableOpacity>
               </View>
+
+              {/* Paste text instead of a link */}
+              {showTextImport ? (
+                <View style={imp.textBlock}>
+                  <TextInput
+                    style={[imp.input, imp.textArea]}
+                    placeholder={
+                      t('userRecipes.textPlaceholder') ||
+                      'Plak hier een recept uit WhatsApp, Notities of een foto'
+                    }
+                    placeholderTextColor={theme.colors.textPlaceholder}
+                    value={textInput}
+                    onChangeText={setTextInput}
+                    multiline
+                    textAlignVertical="top"
+                    editable={!importing}
+                  />
+                  <PrimaryButton
+                    icon="file-text"
+                    label={t('userRecipes.importText') || 'Tekst importeren'}
+                    onPress={handleTextImport}
+                    loading={importing}
+                    disabled={importing || !textInput.trim()}
+                  />
+                </View>
+              ) : (
+                <TouchableOpacity
+                  style={imp.textToggle}
+                  onPress={() => { lightHaptic(); setShowTextImport(true); }}
+                  activeOpacity={0.75}
+                >
+                  <Feather name="file-text" size={13} color={theme.colors.primary} />
+                  <Text style={imp.textToggleText}>
+                    {t('userRecipes.pasteText') || 'Of plak recepttekst'}
+                  </Text>
+                </TouchableOpacity>
+              )}
             </View>
 
             {/* ─── Enter manually (only when form hidden) ─── */}
@@ -475,6 +537,26 @@ const createStyles = (theme) => ({
       justifyContent: 'center',
     },
     btnDisabled: { opacity: 0.6 },
+    textToggle: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 6,
+      marginTop: 12,
+    },
+    textToggleText: {
+      fontSize: 13,
+      fontFamily: 'Inter_500Medium',
+      color: theme.colors.primary,
+    },
+    textBlock: {
+      marginTop: 12,
+      gap: 10,
+    },
+    textArea: {
+      flex: 0,
+      minHeight: 140,
+      maxHeight: 260,
+    },
   }),
 
 });
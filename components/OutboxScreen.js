@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  StyleSheet, Text, View, FlatList, TouchableOpacity,
+  ActivityIndicator, SafeAreaView } from 'react-native';
+import { useTranslation } from 'react-i18next';
+import { Feather } from '@expo/vector-icons';
+import {
+  subscribeToOutbox,
+  flushOutbox,
+  retryOutboxItem,
+  discardOutboxItem,
+} from '../lib/outbox';
+import { formatTime24h } from '../lib/dateFormatting';
+import { lightHaptic } from '../lib/haptics';
+
+const TYPE_ICONS = {
+  vote: 'thumbs-up',
+  daily_response: 'check-circle',
+  chat_message: 'message-circle',
+  system_message: 'message-circle',
+  shopping_toggle: 'shopping-cart',
+};
+
+const describe = (item, t) => {
+  const p = item.payload || {};
+  switch (item.type) {
+    case 'vote': return t('outbox.vote', { vote: p.vote === 'yes' ? t('outbox.yes') : t('outbox.no') });
+    case 'daily_response': return p.response ? t('outbox.response', { response: ['yes', 'no'].includes(p.response) ? t(`outbox.${p.response}`) : t(`dinnerResponse.${p.response}`) }) : t('outbox.responseCleared');
+    case 'chat_message': return `"${p.message}"`;
+    case 'system_message': return `/${p.command}`;
+    case 'shopping_toggle': return p.checked ? t('outbox.itemChecked') : t('outbox.itemUnchecked');
+    default: return item.type;
+  }
+};
+
+export default function OutboxScreen({ navigation }) {
+  const { t } = useTranslation();
+  const [queue, setQueue] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+
+  useEffect(() => subscribeToOutbox(setQueue), []);
+
+  const handleSync = useCallback(async () => {
+    lightHaptic();
+    setSyncing(true);
+    await flushOutbox();
+    setSyncing(false);
+  }, []);
+
+  const renderItem = useCallback(({ item }) => (
+    <View style={[styles.row, item.status === 'failed' && styles.rowFailed]}>
+      <Feather name={TYPE_ICONS[item.type] || 'circle'} size={18} color={item.status === 'failed' ? '#C0392B' : '#6B5A48'} />
+      <View style={styles.rowText}>
+        <Text style={styles.rowTitle} numberOfLines={2}>{describe(item, t)}</Text>
+        <Text style={styles.rowMeta}>
+          {formatTime24h(item.createdAt)}
+          {' · '}
+          {item.status === 'failed' ? t('outbox.failed') : t('outbox.waiting')}
+        </Text>
+        {!!item.lastError && <Text style={styles.rowError} numberOfLines={2}>{item.lastError}</Text>}
+      </View>
+      {item.status === 'failed' && (
+        <TouchableOpacity onPress={() => retryOutboxItem(item.id)} style={styles.iconBtn}>
+          <Feather name="rotate-cw" size={17} color="#FF6B00" />
+        </TouchableOpacity>
+      )}
+      <TouchableOpacity onPress={() => discardOutboxItem(item.id)} style={styles.iconBtn}>
+        <Feather name="x" size={17} color="#A0A0A0" />
+      </TouchableOpacity>
+    </View>
+  ), [t]);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Text style={styles.backText}>‹</Text>
+        </TouchableOpacity>
+        <View style={styles.headerCenter}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{t('outbox.title')}</Text>
+        </View>
+        <TouchableOpacity onPress={handleSync} style={styles.backButton} disabled={syncing}>
+          {syncing
+            ? <ActivityIndicator size="small" color="#FF6B00" />
+            : <Feather name="refresh-cw" size={18} color="#FF6B00" />}
+        </TouchableOpacity>
+      </View>
+
+      {queue.length === 0 ? (
+        <View style={styles.centered}>
+          <Feather name="cloud" size={48} color="#D0CCC7" />
+          <Text style={styles.emptyText}>{t('outbox.empty')}</Text>
+        </View>
+      ) : (
+        <FlatList
+          data={queue}
+          keyExtractor={(item) => item.id}
+          renderItem={renderItem}
+          ListHeaderComponent={<Text style={styles.hintText}>{t('outbox.hint')}</Text>}
+          contentContainerStyle={styles.listContent}
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FAF8F5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E8E2DA',
+    backgroundColor: '#FAF8F5',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backText: {
+    fontSize: 32,
+    color: '#FF6B00',
+    fontFamily: 'Inter_400Regular',
+    marginTop: -4,
+  },
+  headerCenter: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 17,
+    fontFamily: 'PlayfairDisplay_700Bold',
+    color: '#1A1000',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 12,
+    paddingHorizontal: 32,
+  },
+  emptyText: {
+    fontSize: 14,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    textAlign: 'center',
+  },
+  listContent: {
+    paddingHorizontal: 16,
+    paddingBottom: 32,
+  },
+  hintText: {
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginVertical: 16,
+    lineHeight: 18,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    paddingVertical: 12,
+    paddingHorizontal: 14,
+    marginBottom: 6,
+    gap: 12,
+  },
+  rowFailed: {
+    borderColor: '#F5C6C0',
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 14,
+    fontFamily: 'Inter_500Medium',
+    color: '#1A1000',
+  },
+  rowMeta: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginTop: 2,
+  },
+  rowError: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#C0392B',
+    marginTop: 2,
+  },
+  iconBtn: {
+    padding: 4,
+  },
+});
@@ -5,7 +5,9 @@ import {
 import { Image as ExpoImage } from 'expo-image';
 import * as ImagePicker from 'expo-image-picker';
 import { supabase } from '../lib/supabase';
-import { createOrUpdateProfile, getCurrentUserProfile, updateUserLanguage } from '../lib/profileService';
+import { createOrUpdateProfile, getCurrentUserProfile, updateUserLanguage, updateDietaryRestrictions } from '../lib/profileService';
+import { DIETARY_RESTRICTIONS } from '../lib/dietaryProfiles';
+import { clearPushToken } from '../lib/notificationService';
 import { useTranslation } from 'react-i18next';
 import i18n, { saveLanguage } from '../lib/i18n';
 import { mediumHaptic, successHaptic, lightHaptic } from '../lib/haptics';
@@ -42,6 +44,9 @@ export default function ProfileScreen({ route, navigation }) {
   // Chat notification preference
   const [chatNotifications, setChatNotifications] = useState(true);
 
+  // Dietary restrictions / allergies (profiles.dietary_restrictions)
+  const [dietaryRestrictions, setDietaryRestrictions] = useState([]);
+
   useEffect(() => {
     if (!isGuest) {
       loadProfile();
@@ -71,6 +76,7 @@ export default function ProfileScreen({ route, navigation }) {
         if (result.profile.chat_notifications !== undefined) {
           setChatNotifications(result.profile.chat_notifications !== false);
         }
+        setDietaryRestrictions(result.profile.dietary_restrictions || []);
       } else if (user) {
           // Fallback: use registration name from user metadata
           const userName = user.user_metadata?.full_name || '';
@@ -262,10 +268,7 @@ export default function ProfileScreen({ route, navigation }) {
           onPress: async () => {
             try {
               // Clear push token from server so next account doesn't get this user's notifications
-              const { data: { user } } = await supabase.auth.getUser();
-              if (user) {
-                await supabase.from('profiles').update({ push_token: null }).eq('id', user.id);
-              }
+              await clearPushToken();
               
               // Clear all local cached data
               await appState.clearAllCachedData();
@@ -295,6 +298,7 @@ export default function ProfileScreen({ route, navigation }) {
       t('profile.deleteAccountWarning'),
       [
         { text: t('common.cancel'), style: 'cancel' },
+        { text: t('backup.backupFirst'), onPress: () => navigation.navigate('RecipeBackup') },
         {
           text: t('profile.deleteAccountConfirm'),
           style: 'destructive',
@@ -347,6 +351,20 @@ export default function ProfileScreen({ route, navigation }) {
     } catch (_) {}
   };
 
+  const handleToggleRestriction = async (restriction) => {
+    lightHaptic();
+    const previous = dietaryRestrictions;
+    const next = previous.includes(restriction)
+      ? previous.filter((r) => r !== restriction)
+      : [...previous, restriction];
+    setDietaryRestrictions(next);
+    const result = await updateDietaryRestrictions(next);
+    if (!result.success) {
+      setDietaryRestrictions(previous);
+      toast.error(t('diet.saveFailed'));
+    }
+  };
+
   const handleLanguageChange = async (lang) => {
     lightHaptic();
     await i18n.changeLanguage(lang);
@@ -494,6 +512,33 @@ export default function ProfileScreen({ route, navigation }) {
           </View>
         </View>
               
+        {/* Dietary restrictions */}
+        {!isGuest && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>{t('diet.title').toUpperCase()}</Text>
+            <View style={[styles.settingsCard, styles.dietCard]}>
+              <Text style={styles.dietHint}>{t('diet.profileHint')}</Text>
+              <View style={styles.dietChips}>
+                {DIETARY_RESTRICTIONS.map((restriction) => {
+                  const active = dietaryRestrictions.includes(restriction);
+                  return (
+                    <TouchableOpacity
+                      key={restriction}
+                      style={[styles.dietChip, active && styles.dietChipActive]}
+                      onPress={() => handleToggleRestriction(restriction)}
+                      activeOpacity={0.7}
+                    >
+                      <Text style={[styles.dietChipText, active && styles.dietChipTextActive]}>
+                        {t(`diet.${restriction}`)}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+          </View>
+        )}
+
         {/* Invite Friends */}
         <View style={styles.section}>
           <View style={styles.settingsCard}>
@@ -516,6 +561,28 @@ export default function ProfileScreen({ route, navigation }) {
           </View>
         </View>
 
+        {/* Recipe export & backup */}
+        <View style={styles.section}>
+          <View style={styles.settingsCard}>
+            <TouchableOpacity 
+              style={styles.inviteRow}
+              onPress={() => { lightHaptic(); navigation.navigate('RecipeBackup'); }}
+              activeOpacity={0.7}
+            >
+              <View style={styles.inviteLeft}>
+                <View style={styles.inviteIconContainer}>
+                  <Text style={styles.inviteIcon}>⇩</Text>
+                </View>
+                <View>
+                  <Text style={styles.inviteLabel}>{t('backup.title')}</Text>
+                  <Text style={styles.inviteHint}>{t('backup.profileHint')}</Text>
+                </View>
+              </View>
+              <Text style={styles.chevron}>›</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
         {/* Logout */}
         <View style={styles.section}>
           <TouchableOpacity 
@@ -824,6 +891,39 @@ const styles = StyleSheet.create({
     color: '#FEFEFE',
   },
 
+  dietCard: {
+    padding: 16,
+  },
+  dietHint: {
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#8B8B8B',
+    marginBottom: 12,
+    lineHeight: 18,
+  },
+  dietChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  dietChip: {
+    paddingVertical: 7,
+    paddingHorizontal: 12,
+    borderRadius: 14,
+    backgroundColor: '#FEFEFE',
+  },
+  dietChipActive: {
+    backgroundColor: '#FF6B00',
+  },
+  dietChipText: {
+    fontSize: 13,
+    fontFamily: 'Inter_500Medium',
+    color: '#8B8B8B',
+  },
+  dietChipTextActive: {
+    color: '#FEFEFE',
+  },
+
   inviteRow: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,331 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  StyleSheet, Text, View, ScrollView, TouchableOpacity,
+  ActivityIndicator, SafeAreaView, Alert } from 'react-native';
+import { useTranslation } from 'react-i18next';
+import { Feather } from '@expo/vector-icons';
+import {
+  getProposalState, getProposalSources, proposeRoundOption, PROPOSAL_SOURCES,
+} from '../lib/roundProposalService';
+import { lightHaptic, successHaptic } from '../lib/haptics';
+
+const SOURCE_ICONS = {
+  mine: 'user',
+  group: 'users',
+  wishlist: 'heart',
+};
+
+const FAILURE_KEYS = {
+  closed: 'proposals.closed',
+  cap: 'proposals.capReached',
+  duplicate: 'proposals.duplicate',
+  liked: 'proposals.liked',
+};
+
+export default function ProposeMealScreen({ route, navigation }) {
+  const { requestId, groupId, groupName } = route?.params || {};
+  const { t } = useTranslation();
+  const [state, setState] = useState(null);
+  const [sources, setSources] = useState({ mine: [], group: [], wishlist: [] });
+  const [source, setSource] = useState('group');
+  const [replaceId, setReplaceId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    const [stateRes, sourcesRes] = await Promise.all([
+      getProposalState(requestId),
+      getProposalSources(groupId),
+    ]);
+    if (stateRes.success) setState(stateRes);
+    setSources(sourcesRes.sources);
+    setLoading(false);
+  }, [requestId, groupId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const replaceable = (state?.options || []).filter((o) => state.replaceableIds.includes(o.meal_option_id));
+  const replacing = replaceable.find((o) => o.meal_option_id === replaceId) || null;
+  // Swapping out a proposed meal frees its slot again
+  const canPropose = !!state?.open && (state.left > 0 || !!replacing?.proposed_by);
+
+  const submit = async (recipe) => {
+    setSaving(true);
+    const result = await proposeRoundOption(requestId, recipe, { source, replaceOptionId: replaceId });
+    setSaving(false);
+    if (!result.success) {
+      Alert.alert(t('proposals.title'), t(FAILURE_KEYS[result.reason] || 'proposals.failed'));
+      load();
+      return;
+    }
+    successHaptic();
+    Alert.alert(
+      t('proposals.title'),
+      replacing
+        ? t('proposals.replaced', { name: recipe.name, old: replacing.meal_data?.name })
+        : t('proposals.added', { name: recipe.name })
+    );
+    navigation.goBack();
+  };
+
+  const handlePick = (recipe) => {
+    if (!canPropose || saving) return;
+    lightHaptic();
+    Alert.alert(
+      t('proposals.title'),
+      replacing
+        ? t('proposals.confirmReplace', { name: recipe.name, old: replacing.meal_data?.name })
+        : t('proposals.confirmAdd', { name: recipe.name }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: replacing ? t('proposals.replace') : t('proposals.add'), onPress: () => submit(recipe) },
+      ]
+    );
+  };
+
+  const renderStatus = () => {
+    if (!state) return <Text style={styles.hintText}>{t('proposals.failed')}</Text>;
+    if (!state.open) return <Text style={styles.hintText}>{t('proposals.closed')}</Text>;
+    if (!state.cap) return <Text style={styles.hintText}>{t('proposals.disabled')}</Text>;
+    return (
+      <Text style={styles.hintText}>
+        {t('proposals.hint')} {t('proposals.left', { count: state.left, cap: state.cap })}
+      </Text>
+    );
+  };
+
+  const recipes = sources[source] || [];
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Text style={styles.backText}>‹</Text>
+        </TouchableOpacity>
+        <View style={styles.headerCenter}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{t('proposals.title')}</Text>
+          {groupName ? <Text style={styles.headerSubtitle} numberOfLines={1}>{groupName}</Text> : null}
+        </View>
+        <View style={styles.backButton}>
+          {saving && <ActivityIndicator size="small" color="#FF6B00" />}
+        </View>
+      </View>
+
+      {loading ? (
+        <ActivityIndicator color="#FF6B00" style={styles.loader} />
+      ) : (
+        <ScrollView contentContainerStyle={styles.content}>
+          {renderStatus()}
+
+          {state?.open && replaceable.length > 0 && (
+            <>
+              <Text style={styles.sectionTitle}>{t('proposals.replaceTitle')}</Text>
+              <Text style={styles.sectionHint}>{t('proposals.replaceHint')}</Text>
+              {[null, ...replaceable].map((option) => {
+                const id = option?.meal_option_id || null;
+                const active = id === replaceId;
+                return (
+                  <TouchableOpacity
+                    key={id || 'add'}
+                    style={[styles.row, active && styles.rowActive]}
+                    onPress={() => setReplaceId(id)}
+                    activeOpacity={0.7}
+                  >
+                    <Feather name={id ? 'repeat' : 'plus'} size={16} color="#FF6B00" />
+                    <Text style={[styles.rowTitle, styles.rowText]} numberOfLines={1}>
+                      {id ? option.meal_data?.name || t('recipes.defaultName') : t('proposals.addInstead')}
+                    </Text>
+                    <Feather name={active ? 'check-circle' : 'circle'} size={18} color={active ? '#FF6B00' : '#D0CCC7'} />
+                  </TouchableOpacity>
+                );
+              })}
+            </>
+          )}
+
+          <View style={styles.tabs}>
+            {PROPOSAL_SOURCES.map((key) => (
+              <TouchableOpacity
+                key={key}
+                style={[styles.tab, source === key && styles.tabActive]}
+                onPress={() => setSource(key)}
+                activeOpacity={0.7}
+              >
+                <Feather name={SOURCE_ICONS[key]} size={14} color={source === key ? '#FFFFFF' : '#6B5A48'} />
+                <Text style={[styles.tabText, source === key && styles.tabTextActive]}>
+                  {t(`proposals.source_${key}`)} ({(sources[key] || []).length})
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {recipes.length === 0 ? (
+            <Text style={styles.emptyText}>{t(`proposals.empty_${source}`)}</Text>
+          ) : recipes.map((recipe) => (
+            <TouchableOpacity
+              key={`${source}-${recipe.share_id || recipe.id}`}
+              style={[styles.row, !canPropose && styles.rowDisabled]}
+              onPress={() => handlePick(recipe)}
+              disabled={!canPropose || saving}
+              activeOpacity={0.7}
+            >
+              <View style={styles.rowText}>
+                <Text style={styles.rowTitle} numberOfLines={1}>{recipe.name}</Text>
+                {(recipe.cuisine_type || recipe.cooking_time_minutes) ? (
+                  <Text style={styles.rowMeta} numberOfLines={1}>
+                    {[recipe.cuisine_type, recipe.cooking_time_minutes ? t('proposals.minutes', { count: recipe.cooking_time_minutes }) : null]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </Text>
+                ) : null}
+              </View>
+              <Feather name={replacing ? 'repeat' : 'plus-circle'} size={18} color={canPropose ? '#FF6B00' : '#D0CCC7'} />
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FAF8F5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E8E2DA',
+    backgroundColor: '#FAF8F5',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backText: {
+    fontSize: 32,
+    color: '#FF6B00',
+    fontFamily: 'Inter_400Regular',
+    marginTop: -4,
+  },
+  headerCenter: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 17,
+    fontFamily: 'PlayfairDisplay_700Bold',
+    color: '#1A1000',
+  },
+  headerSubtitle: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginTop: 2,
+  },
+  loader: {
+    marginVertical: 24,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  hintText: {
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginBottom: 12,
+    lineHeight: 18,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+    marginTop: 8,
+  },
+  sectionHint: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginTop: 2,
+    marginBottom: 8,
+    lineHeight: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    paddingVertical: 12,
+    paddingHorizontal: 14,
+    marginBottom: 6,
+    gap: 12,
+  },
+  rowActive: {
+    borderColor: '#FF6B00',
+    backgroundColor: '#FFF3EA',
+  },
+  rowDisabled: {
+    opacity: 0.5,
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 14,
+    fontFamily: 'Inter_500Medium',
+    color: '#1A1000',
+  },
+  rowMeta: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginTop: 2,
+  },
+  tabs: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 16,
+    marginBottom: 12,
+  },
+  tab: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    backgroundColor: '#FFFFFF',
+  },
+  tabActive: {
+    backgroundColor: '#FF6B00',
+    borderColor: '#FF6B00',
+  },
+  tabText: {
+    fontSize: 13,
+    fontFamily: 'Inter_500Medium',
+    color: '#6B5A48',
+  },
+  tabTextActive: {
+    color: '#FFFFFF',
+  },
+  emptyText: {
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#8B8B8B',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+});
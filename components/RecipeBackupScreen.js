@@ -0,0 +1,310 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  StyleSheet, Text, View, ScrollView, TouchableOpacity,
+  ActivityIndicator, SafeAreaView, Share, Alert } from 'react-native';
+import { useTranslation } from 'react-i18next';
+import { Feather } from '@expo/vector-icons';
+import * as Clipboard from 'expo-clipboard';
+import * as Sharing from 'expo-sharing';
+import { File, Paths } from 'expo-file-system';
+import { collectRecipesForExport, importRecipeBackup, BACKUP_SOURCES } from '../lib/recipeBackupService';
+import { exportRecipes, parseRecipeBackup } from '../lib/recipeExport';
+import { lightHaptic, successHaptic } from '../lib/haptics';
+
+const FORMATS = [
+  { key: 'jsonld', icon: 'code' },
+  { key: 'paprika', icon: 'package' },
+  { key: 'markdown', icon: 'file-text' },
+  { key: 'html', icon: 'printer' },
+];
+
+export default function RecipeBackupScreen({ navigation }) {
+  const { t } = useTranslation();
+  const [sources, setSources] = useState(BACKUP_SOURCES);
+  const [recipes, setRecipes] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [pasted, setPasted] = useState(null);
+  const [importing, setImporting] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    const res = await collectRecipesForExport(BACKUP_SOURCES);
+    if (res.success) {
+      setRecipes(res.recipes);
+      setCounts(res.counts);
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => { load(); }, [load]);
+
+  const toggleSource = (source) => {
+    lightHaptic();
+    setSources((prev) => (prev.includes(source) ? prev.filter((s) => s !== source) : [...prev, source]));
+  };
+
+  const handleExport = async (format) => {
+    lightHaptic();
+    // Re-collect for the chosen sources so de-duplication follows the selection
+    const res = await collectRecipesForExport(sources);
+    if (!res.success || !res.recipes.length) {
+      Alert.alert(t('backup.title'), t('backup.nothingToExport'));
+      return;
+    }
+    const title = `Happie - ${t(`backup.format_${format}`)}`;
+    if (format !== 'paprika') {
+      Share.share({ title, message: exportRecipes(res.recipes, format) });
+      return;
+    }
+    // Paprika and Mealie only import the archive as a file
+    try {
+      const file = new File(Paths.cache, 'Happie.paprikarecipes');
+      file.create({ overwrite: true });
+      file.write(exportRecipes(res.recipes, format));
+      await Sharing.shareAsync(file.uri, { mimeType: 'application/zip', UTI: 'public.data', dialogTitle: title });
+    } catch (e) {
+      Alert.alert(t('common.error'), e?.message);
+    }
+  };
+
+  const handlePaste = async () => {
+    lightHaptic();
+    const text = await Clipboard.getStringAsync();
+    const parsed = parseRecipeBackup(text);
+    if (!parsed.success) {
+      Alert.alert(t('backup.importTitle'), t('backup.nothingFound'));
+      return;
+    }
+    setPasted({ text, count: parsed.recipes.length, format: parsed.format });
+  };
+
+  const handleImport = async () => {
+    if (!pasted) return;
+    setImporting(true);
+    const res = await importRecipeBackup(pasted.text);
+    setImporting(false);
+    if (!res.imported && !res.skipped) {
+      Alert.alert(t('common.error'), res.error || res.errors?.[0] || t('backup.nothingFound'));
+      return;
+    }
+    successHaptic();
+    Alert.alert(t('backup.importTitle'), t('backup.importDone', { imported: res.imported, skipped: res.skipped, failed: res.failed }));
+    setPasted(null);
+    load();
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Text style={styles.backText}>‹</Text>
+        </TouchableOpacity>
+        <View style={styles.headerCenter}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{t('backup.title')}</Text>
+        </View>
+        <View style={styles.backButton} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={styles.sectionTitle}>{t('backup.exportTitle')}</Text>
+        <Text style={styles.hintText}>{t('backup.exportHint')}</Text>
+
+        {loading ? (
+          <ActivityIndicator color="#FF6B00" style={styles.loader} />
+        ) : (
+          <>
+            <View style={styles.chipRow}>
+              {BACKUP_SOURCES.map((source) => {
+                const active = sources.includes(source);
+                return (
+                  <TouchableOpacity
+                    key={source}
+                    style={[styles.chip, active && styles.chipActive]}
+                    onPress={() => toggleSource(source)}
+                  >
+                    <Text style={[styles.chipText, active && styles.chipTextActive]}>
+                      {t(`backup.source_${source}`)} ({counts[source] || 0})
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            <Text style={styles.totalText}>{t('backup.total', { count: recipes.length })}</Text>
+
+            {FORMATS.map(({ key, icon }) => (
+              <TouchableOpacity
+                key={key}
+                style={[styles.row, !sources.length && styles.rowDisabled]}
+                onPress={() => handleExport(key)}
+                disabled={!sources.length}
+              >
+                <Feather name={icon} size={18} color="#FF6B00" />
+                <View style={styles.rowText}>
+                  <Text style={styles.rowTitle}>{t(`backup.format_${key}`)}</Text>
+                  <Text style={styles.rowMeta}>{t(`backup.format_${key}_hint`)}</Text>
+                </View>
+                <Feather name="share" size={16} color="#6B5A48" />
+              </TouchableOpacity>
+            ))}
+          </>
+        )}
+
+        <Text style={[styles.sectionTitle, styles.sectionSpacing]}>{t('backup.importTitle')}</Text>
+        <Text style={styles.hintText}>{t('backup.importHint')}</Text>
+
+        <TouchableOpacity style={styles.row} onPress={handlePaste}>
+          <Feather name="clipboard" size={18} color="#FF6B00" />
+          <View style={styles.rowText}>
+            <Text style={styles.rowTitle}>{t('backup.paste')}</Text>
+            {pasted && (
+              <Text style={styles.rowMeta}>
+                {t('backup.found', { count: pasted.count, format: t(`backup.format_${pasted.format}`) })}
+              </Text>
+            )}
+          </View>
+        </TouchableOpacity>
+
+        {pasted && (
+          <TouchableOpacity style={styles.primaryButton} onPress={handleImport} disabled={importing}>
+            {importing
+              ? <ActivityIndicator size="small" color="#FFFFFF" />
+              : <Text style={styles.primaryButtonText}>{t('backup.importAction', { count: pasted.count })}</Text>}
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FAF8F5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E8E2DA',
+    backgroundColor: '#FAF8F5',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backText: {
+    fontSize: 32,
+    color: '#FF6B00',
+    fontFamily: 'Inter_400Regular',
+    marginTop: -4,
+  },
+  headerCenter: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 17,
+    fontFamily: 'PlayfairDisplay_700Bold',
+    color: '#1A1000',
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  loader: {
+    marginVertical: 24,
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+  },
+  sectionSpacing: {
+    marginTop: 28,
+  },
+  hintText: {
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginTop: 4,
+    marginBottom: 12,
+    lineHeight: 18,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    backgroundColor: '#FFFFFF',
+  },
+  chipActive: {
+    borderColor: '#FF6B00',
+    backgroundColor: '#FFF3EA',
+  },
+  chipText: {
+    fontSize: 13,
+    fontFamily: 'Inter_500Medium',
+    color: '#6B5A48',
+  },
+  chipTextActive: {
+    color: '#FF6B00',
+  },
+  totalText: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginVertical: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    paddingVertical: 12,
+    paddingHorizontal: 14,
+    marginBottom: 6,
+    gap: 12,
+  },
+  rowDisabled: {
+    opacity: 0.5,
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 14,
+    fontFamily: 'Inter_500Medium',
+    color: '#1A1000',
+  },
+  rowMeta: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginTop: 2,
+  },
+  primaryButton: {
+    backgroundColor: '#FF6B00',
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  primaryButtonText: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FFFFFF',
+  },
+});
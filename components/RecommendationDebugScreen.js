@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  StyleSheet, Text, View, ScrollView, TouchableOpacity,
+  ActivityIndicator, SafeAreaView, Alert } from 'react-native';
+import { useTranslation } from 'react-i18next';
+import { Feather } from '@expo/vector-icons';
+import { previewRoundCandidates } from '../lib/mealRequestService';
+import { getGroupExploration, setGroupExploration } from '../lib/recommendationService';
+import { lightHaptic } from '../lib/haptics';
+
+const PREVIEW_COUNT = 10;
+
+const formatPoints = (points) => (points > 0 ? `+${points}` : `${points}`);
+
+export default function RecommendationDebugScreen({ route, navigation }) {
+  const { groupId, groupName } = route?.params || {};
+  const { t } = useTranslation();
+  const [exploration, setExploration] = useState(null);
+  const [candidates, setCandidates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    const [value, preview] = await Promise.all([
+      getGroupExploration(groupId),
+      previewRoundCandidates(groupId, PREVIEW_COUNT),
+    ]);
+    setExploration(value);
+    setCandidates(preview.candidates || []);
+    setLoading(false);
+  }, [groupId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const changeExploration = async (delta) => {
+    const next = Math.round(Math.min(1, Math.max(0, exploration + delta)) * 10) / 10;
+    if (next === exploration) return;
+    lightHaptic();
+    const result = await setGroupExploration(groupId, next);
+    if (!result.success) {
+      Alert.alert(t('recommend.exploration'), t('recommend.saveFailed'));
+      return;
+    }
+    setExploration(result.exploration);
+    load();
+  };
+
+  const describeReason = (reason) => {
+    switch (reason.signal) {
+      case 'taste':
+        return t('recommend.reason_taste', { yes: reason.yes, no: reason.no });
+      case 'recent':
+        return t('recommend.reason_recent', { count: reason.days });
+      case 'cuisine':
+        return t('recommend.reason_cuisine', { cuisine: reason.cuisine, count: reason.count });
+      case 'variety':
+        return t('recommend.reason_variety', { cuisine: reason.cuisine });
+      case 'time':
+        return t(reason.weekend ? 'recommend.reason_time_weekend' : 'recommend.reason_time_weekday', { minutes: reason.minutes });
+      case 'diet':
+        return t('recommend.reason_diet', { diets: reason.conflicts.map((c) => t(`diet.${c}`)).join(', ') });
+      default:
+        return t(`recommend.reason_${reason.signal}`);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Text style={styles.backText}>‹</Text>
+        </TouchableOpacity>
+        <View style={styles.headerCenter}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{t('recommend.title')}</Text>
+          {groupName ? <Text style={styles.headerSubtitle} numberOfLines={1}>{groupName}</Text> : null}
+        </View>
+        <TouchableOpacity onPress={load} style={styles.backButton} disabled={loading}>
+          <Feather name="refresh-cw" size={18} color="#FF6B00" />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={styles.hintText}>{t('recommend.hint')}</Text>
+
+        {exploration !== null && (
+          <View style={styles.knobRow}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowTitle}>{t('recommend.exploration')}</Text>
+              <Text style={styles.rowMeta}>{t('recommend.explorationHint')}</Text>
+            </View>
+            <View style={styles.stepper}>
+              <TouchableOpacity onPress={() => changeExploration(-0.1)} style={styles.stepperButton} disabled={exploration <= 0}>
+                <Feather name="minus" size={16} color={exploration <= 0 ? '#D0CCC7' : '#FF6B00'} />
+              </TouchableOpacity>
+              <Text style={styles.stepperValue}>{Math.round(exploration * 100)}%</Text>
+              <TouchableOpacity onPress={() => changeExploration(0.1)} style={styles.stepperButton} disabled={exploration >= 1}>
+                <Feather name="plus" size={16} color={exploration >= 1 ? '#D0CCC7' : '#FF6B00'} />
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        <Text style={styles.sectionTitle}>{t('recommend.previewTitle')}</Text>
+
+        {loading ? (
+          <ActivityIndicator color="#FF6B00" style={styles.loader} />
+        ) : candidates.length === 0 ? (
+          <Text style={styles.hintText}>{t('recommend.empty')}</Text>
+        ) : (
+          candidates.map((recipe, index) => {
+            const rec = recipe.recommendation;
+            const expanded = expandedId === recipe.id;
+            return (
+              <TouchableOpacity
+                key={recipe.id || index}
+                style={styles.row}
+                onPress={() => setExpandedId(expanded ? null : recipe.id)}
+                activeOpacity={0.7}
+              >
+                <View style={styles.rowHeader}>
+                  <Text style={styles.position}>{index + 1}</Text>
+                  <View style={styles.rowText}>
+                    <Text style={styles.rowTitle} numberOfLines={1}>{recipe.name}</Text>
+                    <Text style={styles.rowMeta}>
+                      {rec?.slot === 'exploration' ? t('recommend.slot_exploration') : t('recommend.slot_score')}
+                      {recipe.cuisine_type ? ` · ${recipe.cuisine_type}` : ''}
+                    </Text>
+                  </View>
+                  <Text style={styles.score}>{rec ? formatPoints(rec.score) : '–'}</Text>
+                  <Feather name={expanded ? 'chevron-up' : 'chevron-down'} size={16} color="#6B5A48" />
+                </View>
+                {expanded && rec && (
+                  <View style={styles.reasons}>
+                    {rec.reasons.length === 0 && (
+                      <Text style={styles.reasonText}>{t('recommend.noReasons')}</Text>
+                    )}
+                    {rec.reasons.map((reason, i) => (
+                      <View key={`${reason.signal}-${i}`} style={styles.reasonRow}>
+                        <Text style={styles.reasonText}>{describeReason(reason)}</Text>
+                        <Text style={[styles.reasonPoints, reason.points < 0 && styles.reasonPointsNegative]}>
+                          {formatPoints(reason.points)}
+                        </Text>
+                      </View>
+                    ))}
+                  </View>
+                )}
+              </TouchableOpacity>
+            );
+          })
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FAF8F5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E8E2DA',
+    backgroundColor: '#FAF8F5',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backText: {
+    fontSize: 32,
+    color: '#FF6B00',
+    fontFamily: 'Inter_400Regular',
+    marginTop: -4,
+  },
+  headerCenter: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 17,
+    fontFamily: 'PlayfairDisplay_700Bold',
+    color: '#1A1000',
+  },
+  headerSubtitle: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginTop: 2,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  loader: {
+    marginVertical: 24,
+  },
+  hintText: {
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginBottom: 12,
+    lineHeight: 18,
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+    marginTop: 20,
+    marginBottom: 10,
+  },
+  knobRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    paddingVertical: 12,
+    paddingHorizontal: 14,
+    gap: 12,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  stepperButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperValue: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+    minWidth: 40,
+    textAlign: 'center',
+  },
+  row: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    paddingVertical: 12,
+    paddingHorizontal: 14,
+    marginBottom: 6,
+  },
+  rowHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  position: {
+    fontSize: 14,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FF6B00',
+    width: 20,
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 14,
+    fontFamily: 'Inter_500Medium',
+    color: '#1A1000',
+  },
+  rowMeta: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginTop: 2,
+  },
+  score: {
+    fontSize: 14,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+  },
+  reasons: {
+    marginTop: 10,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#F2EEE9',
+    gap: 4,
+  },
+  reasonRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    gap: 12,
+  },
+  reasonText: {
+    flex: 1,
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+  },
+  reasonPoints: {
+    fontSize: 12,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#3D9A50',
+  },
+  reasonPointsNegative: {
+    color: '#C0392B',
+  },
+});
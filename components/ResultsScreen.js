@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { StyleSheet, Text, View, ScrollView, TouchableOpacity, Image, ActivityIndicator, SafeAreaView } from 'react-native';
-import { getTopVotedMeals } from '../lib/mealRequestService';
+import { getVotingTally } from '../lib/mealRequestService';
+import { subscribeToLiveTally } from '../lib/liveVotes';
 import { useTranslation } from 'react-i18next';
+import VotingPresence from './ui/VotingPresence';
 
 // Safe image component
 const SafeDrawing = ({ source, style, resizeMode = "contain" }) => {
@@ -37,12 +39,25 @@ export default function ResultsScreen({ route, navigation }) {
   // State management
   const [loading, setLoading] = useState(true);
   const [topMeals, setTopMeals] = useState([]);
+  const [tally, setTally] = useState(null);
+  const [liveVotes, setLiveVotes] = useState({ votes: [], optionCount: 0 });
   const [error, setError] = useState(null);
 
   useEffect(() => {
     loadResults();
   }, []);
 
+  // Standings follow the votes as they come in
+  useEffect(() => subscribeToLiveTally(requestId, (update) => {
+    showTally(update.tally);
+    setLiveVotes({ votes: update.votes, optionCount: update.optionCount });
+  }), [requestId]);
+
+  const showTally = (next) => {
+    setTally(next);
+    setTopMeals(next.ranking.filter((m) => m.score > 0 || m.yes_votes > 0).slice(0, 3));
+  };
+
   const loadResults = async () => {
     if (!requestId) {
       setError(t('errors.notFound'));
@@ -54,10 +69,10 @@ export default function ResultsScreen({ route, navigation }) {
     setError(null);
 
     try {
-      const result = await getTopVotedMeals(requestId);
+      const result = await getVotingTally(requestId);
       
       if (result.success) {
-        setTopMeals(result.topMeals || []);
+        showTally(result.tally);
       } else {
         setError(result.error || 'Failed to load voting results');
       }
@@ -99,6 +114,42 @@ export default function ResultsScreen({ route, navigation }) {
     return t('voting.place', { rank: `${rank}` });
   };
 
+  // How the winner was chosen, one line per step
+  const getExplanation = () => {
+    if (!tally) return [];
+    const { method, explanation, winner, voters } = tally;
+    const lines = [t(`votingMethod.explain_${method}`, { count: explanation.approvalLimit })];
+    if (method === 'approval' && explanation.ignored > 0) {
+      lines.push(t('votingMethod.explainIgnored', { count: explanation.ignored }));
+    }
+    if (method === 'veto') {
+      if (explanation.allVetoed) {
+        lines.push(t('votingMethod.explainAllVetoed'));
+      } else if (explanation.vetoed.length) {
+        lines.push(t('votingMethod.explainVetoed', { names: explanation.vetoed.map((v) => v.name).join(', ') }));
+      }
+    }
+    if (method === 'ranked') {
+      explanation.rounds.forEach((round, i) => {
+        if (round.eliminated.length) {
+          lines.push(t('votingMethod.explainRound', { round: i + 1, names: round.eliminated.join(', ') }));
+        } else if (winner) {
+          lines.push(t(round.majority ? 'votingMethod.explainRoundWinner' : 'votingMethod.explainRoundLast', {
+            round: i + 1,
+            name: winner.meal_data?.name || '',
+            votes: round.counts[winner.meal_option_id] || 0,
+            active: round.active,
+          }));
+        }
+      });
+    }
+    if ((method === 'yes_no' || method === 'approval') && explanation.tie) {
+      lines.push(t('votingMethod.explainTie'));
+    }
+    lines.push(t('votingMethod.explainVoters', { count: voters }));
+    return lines;
+  };
+
   const getRankColor = (index) => {
     switch (index) {
       case 0: return '#FFD700'; // Gold
@@ -295,6 +346,29 @@ export default function ResultsScreen({ route, navigation }) {
           )}
         </View>
 
+        {/* Who has voted and who is still swiping */}
+        {groupId && liveVotes.optionCount > 0 && (
+          <View style={styles.summarySection}>
+            <Text style={styles.summaryTitle}>{t('liveVotes.title')}</Text>
+            <VotingPresence
+              requestId={requestId}
+              groupId={groupId}
+              votes={liveVotes.votes}
+              optionCount={liveVotes.optionCount}
+            />
+          </View>
+        )}
+
+        {/* How the winner was chosen */}
+        {tally && tally.voters > 0 && (
+          <View style={[styles.summarySection, styles.explanationSection]}>
+            <Text style={styles.summaryTitle}>{t(`votingMethod.${tally.method}`)}</Text>
+            {getExplanation().map((line, i) => (
+              <Text key={i} style={[styles.summaryText, styles.explanationLine]}>{line}</Text>
+            ))}
+          </View>
+        )}
+
         {/* Summary Section */}
         {topMeals.length > 0 && (
           <View style={styles.summarySection}>
@@ -668,4 +742,10 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     letterSpacing: 0.1,
   },
+  explanationSection: {
+    marginBottom: 16,
+  },
+  explanationLine: {
+    marginBottom: 6,
+  },
 }); 
\ No newline at end of file
@@ -0,0 +1,295 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  StyleSheet, Text, View, SectionList, TouchableOpacity,
+  ActivityIndicator, SafeAreaView } from 'react-native';
+import { useTranslation } from 'react-i18next';
+import { Feather } from '@expo/vector-icons';
+import {
+  getShoppingListToday,
+  generateShoppingList,
+  setShoppingItemChecked,
+  subscribeToShoppingList,
+} from '../lib/shoppingService';
+import { groupItemsByAisle } from '../lib/shoppingList';
+import { lightHaptic, successHaptic } from '../lib/haptics';
+
+export default function ShoppingListScreen({ route, navigation }) {
+  const { groupId, groupName, requestId } = route.params || {};
+  const { t } = useTranslation();
+
+  const [list, setList] = useState(null);
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!groupId) return;
+    (async () => {
+      setLoading(true);
+      const res = await getShoppingListToday(groupId);
+      if (res.success) {
+        setList(res.list);
+        setItems(res.items);
+      } else {
+        setError(res.error);
+      }
+      setLoading(false);
+    })();
+  }, [groupId]);
+
+  // Live sync: the shopper and the people at home see the same checkmarks
+  useEffect(() => {
+    if (!list?.id) return undefined;
+    const unsubscribe = subscribeToShoppingList(list.id, (eventType, row) => {
+      if (!row) return;
+      setItems(prev => {
+        if (eventType === 'DELETE') return prev.filter(i => i.id !== row.id);
+        if (prev.some(i => i.id === row.id)) return prev.map(i => (i.id === row.id ? { ...i, ...row } : i));
+        return eventType === 'INSERT' ? [...prev, row] : prev;
+      });
+    });
+    return unsubscribe;
+  }, [list?.id]);
+
+  const handleGenerate = useCallback(async () => {
+    if (generating) return;
+    lightHaptic();
+    setGenerating(true);
+    setError(null);
+    const res = await generateShoppingList(groupId, requestId);
+    if (res.success) {
+      setList(res.list);
+      setItems(res.items);
+      successHaptic();
+    } else {
+      setError(res.error);
+    }
+    setGenerating(false);
+  }, [groupId, requestId, generating]);
+
+  const handleToggle = useCallback(async (item) => {
+    lightHaptic();
+    const next = !item.checked;
+    // Optimistic: flip immediately, roll back if the write fails
+    setItems(prev => prev.map(i => (i.id === item.id ? { ...i, checked: next } : i)));
+    const res = await setShoppingItemChecked(item.id, next);
+    if (!res.success) {
+      setItems(prev => prev.map(i => (i.id === item.id ? { ...i, checked: item.checked } : i)));
+    }
+  }, []);
+
+  const sections = useMemo(() => groupItemsByAisle(items), [items]);
+  const remaining = items.filter(i => !i.checked).length;
+
+  const subtitle = list
+    ? `${list.meal_name || ''} · ${t('shopping.forPeople', { count: list.servings })}`
+    : groupName || '';
+
+  const renderItem = useCallback(({ item }) => (
+    <TouchableOpacity style={styles.itemRow} onPress={() => handleToggle(item)} activeOpacity={0.7}>
+      <View style={[styles.checkbox, item.checked && styles.checkboxChecked]}>
+        {item.checked && <Feather name="check" size={14} color="#FEFEFE" />}
+      </View>
+      <Text style={[styles.itemName, item.checked && styles.itemChecked]} numberOfLines={2}>
+        {item.name}
+      </Text>
+      {!!item.quantity_text && (
+        <Text style={[styles.itemQty, item.checked && styles.itemChecked]}>{item.quantity_text}</Text>
+      )}
+    </TouchableOpacity>
+  ), [handleToggle]);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Text style={styles.backText}>‹</Text>
+        </TouchableOpacity>
+        <View style={styles.headerCenter}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{t('shopping.title')}</Text>
+          <Text style={styles.headerSubtitle} numberOfLines={1}>{subtitle}</Text>
+        </View>
+        {list ? (
+          <TouchableOpacity onPress={handleGenerate} style={styles.backButton} disabled={generating}>
+            {generating
+              ? <ActivityIndicator size="small" color="#FF6B00" />
+              : <Feather name="refresh-cw" size={18} color="#FF6B00" />}
+          </TouchableOpacity>
+        ) : (
+          <View style={styles.backButton} />
+        )}
+      </View>
+
+      {loading ? (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color="#FF6B00" />
+        </View>
+      ) : !list ? (
+        <View style={styles.centered}>
+          <Feather name="shopping-cart" size={48} color="#D0CCC7" />
+          <Text style={styles.emptyText}>
+            {requestId ? t('shopping.emptyWithWinner') : t('shopping.emptyNoRound')}
+          </Text>
+          {!!error && <Text style={styles.errorText}>{error}</Text>}
+          <TouchableOpacity style={styles.generateBtn} onPress={handleGenerate} disabled={generating}>
+            {generating
+              ? <ActivityIndicator size="small" color="#FEFEFE" />
+              : <Text style={styles.generateBtnText}>{t('shopping.generate')}</Text>}
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <SectionList
+          sections={sections}
+          keyExtractor={(item) => item.id}
+          renderItem={renderItem}
+          renderSectionHeader={({ section }) => (
+            <Text style={styles.sectionHeader}>{section.title}</Text>
+          )}
+          ListHeaderComponent={(
+            <Text style={styles.progressText}>
+              {remaining === 0 ? t('shopping.allDone') : t('shopping.remaining', { count: remaining })}
+            </Text>
+          )}
+          contentContainerStyle={styles.listContent}
+          stickySectionHeadersEnabled={false}
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FAF8F5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E8E2DA',
+    backgroundColor: '#FAF8F5',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backText: {
+    fontSize: 32,
+    color: '#FF6B00',
+    fontFamily: 'Inter_400Regular',
+    marginTop: -4,
+  },
+  headerCenter: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 17,
+    fontFamily: 'PlayfairDisplay_700Bold',
+    color: '#1A1000',
+  },
+  headerSubtitle: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#FF6B00',
+    marginTop: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: 12,
+    paddingHorizontal: 32,
+  },
+  emptyText: {
+    fontSize: 14,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+  errorText: {
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#C0392B',
+    textAlign: 'center',
+  },
+  generateBtn: {
+    backgroundColor: '#FF6B00',
+    borderRadius: 10,
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    minWidth: 180,
+    alignItems: 'center',
+  },
+  generateBtnText: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FEFEFE',
+  },
+  listContent: {
+    paddingHorizontal: 16,
+    paddingBottom: 32,
+  },
+  progressText: {
+    fontSize: 13,
+    fontFamily: 'Inter_500Medium',
+    color: '#6B5A48',
+    marginTop: 16,
+  },
+  sectionHeader: {
+    fontSize: 12,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FF6B00',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    marginTop: 20,
+    marginBottom: 6,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    paddingVertical: 12,
+    paddingHorizontal: 14,
+    marginBottom: 6,
+    gap: 12,
+  },
+  checkbox: {
+    width: 22,
+    height: 22,
+    borderRadius: 6,
+    borderWidth: 1.5,
+    borderColor: '#D0CCC7',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  checkboxChecked: {
+    backgroundColor: '#FF6B00',
+    borderColor: '#FF6B00',
+  },
+  itemName: {
+    flex: 1,
+    fontSize: 15,
+    fontFamily: 'Inter_500Medium',
+    color: '#1A1000',
+  },
+  itemQty: {
+    fontSize: 14,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+  },
+  itemChecked: {
+    color: '#A0A0A0',
+    textDecorationLine: 'line-through',
+  },
+});
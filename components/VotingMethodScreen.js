@@ -0,0 +1,444 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet, Text, View, ScrollView, TouchableOpacity,
+  ActivityIndicator, SafeAreaView, Alert } from 'react-native';
+import { useTranslation } from 'react-i18next';
+import { Feather } from '@expo/vector-icons';
+import { getGroupVotingMethod, setGroupVotingMethod } from '../lib/mealRequestService';
+import { VOTING_METHODS, DEFAULT_APPROVAL_LIMIT } from '../lib/votingMethods';
+import {
+  getGroupSettings,
+  setDeadlineReminderMinutes,
+  setRoundProposalCap,
+  setDayRolloverHour,
+  setChatRetentionDays,
+} from '../lib/groupsService';
+import { DEFAULT_REMINDER_MINUTES, DEFAULT_PROPOSAL_CAP } from '../lib/requestLifecycle';
+import { DEFAULT_ROLLOVER_HOUR, MAX_ROLLOVER_HOUR } from '../lib/dinnerDay';
+import { CHAT_RETENTION_STEPS, DEFAULT_CHAT_RETENTION_DAYS } from '../lib/chatHistory';
+import { lightHaptic, successHaptic } from '../lib/haptics';
+
+const METHOD_ICONS = {
+  yes_no: 'thumbs-up',
+  approval: 'check-square',
+  ranked: 'list',
+  veto: 'slash',
+};
+
+const MAX_APPROVAL_LIMIT = 10;
+
+// Deadline reminder choices in minutes; 0 = off
+const REMINDER_STEPS = [0, 15, 30, 60, 120];
+
+const MAX_PROPOSAL_CAP = 10;
+
+export default function VotingMethodScreen({ route, navigation }) {
+  const { groupId, groupName } = route?.params || {};
+  const { t } = useTranslation();
+  const [method, setMethod] = useState('yes_no');
+  const [approvalLimit, setApprovalLimit] = useState(DEFAULT_APPROVAL_LIMIT);
+  const [reminderMinutes, setReminderMinutes] = useState(DEFAULT_REMINDER_MINUTES);
+  const [proposalCap, setProposalCap] = useState(DEFAULT_PROPOSAL_CAP);
+  const [rolloverHour, setRolloverHour] = useState(DEFAULT_ROLLOVER_HOUR);
+  const [retentionDays, setRetentionDays] = useState(DEFAULT_CHAT_RETENTION_DAYS);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      const [settings, [group]] = await Promise.all([
+        getGroupVotingMethod(groupId),
+        getGroupSettings([groupId]),
+      ]);
+      setMethod(settings.method);
+      setApprovalLimit(settings.approvalLimit);
+      if (group?.deadline_reminder_minutes != null) setReminderMinutes(group.deadline_reminder_minutes);
+      if (group?.round_proposal_cap != null) setProposalCap(group.round_proposal_cap);
+      if (group?.day_rollover_hour != null) setRolloverHour(group.day_rollover_hour);
+      if (group?.chat_retention_days != null) setRetentionDays(group.chat_retention_days);
+      setLoading(false);
+    })();
+  }, [groupId]);
+
+  const save = async (nextMethod, nextLimit) => {
+    const previous = { method, approvalLimit };
+    setMethod(nextMethod);
+    setApprovalLimit(nextLimit);
+    setSaving(true);
+    const result = await setGroupVotingMethod(groupId, nextMethod, nextLimit);
+    setSaving(false);
+    if (!result.success) {
+      setMethod(previous.method);
+      setApprovalLimit(previous.approvalLimit);
+      Alert.alert(t('votingMethod.title'), t('votingMethod.saveFailed'));
+      return;
+    }
+    successHaptic();
+    if (nextMethod !== previous.method) {
+      Alert.alert(
+        t(`votingMethod.${nextMethod}`),
+        result.appliedToOpenRound ? t('votingMethod.appliedNow') : t('votingMethod.appliedNextRound')
+      );
+    }
+  };
+
+  const handleSelect = (nextMethod) => {
+    if (nextMethod === method || saving) return;
+    lightHaptic();
+    save(nextMethod, approvalLimit);
+  };
+
+  const changeLimit = (delta) => {
+    const next = Math.min(MAX_APPROVAL_LIMIT, Math.max(1, approvalLimit + delta));
+    if (next === approvalLimit || saving) return;
+    lightHaptic();
+    save(method, next);
+  };
+
+  const changeReminder = async (direction) => {
+    const index = Math.max(0, REMINDER_STEPS.indexOf(reminderMinutes));
+    const next = REMINDER_STEPS[Math.min(REMINDER_STEPS.length - 1, Math.max(0, index + direction))];
+    if (next === reminderMinutes || saving) return;
+    lightHaptic();
+    const previous = reminderMinutes;
+    setReminderMinutes(next);
+    const result = await setDeadlineReminderMinutes(groupId, next);
+    if (!result.success) {
+      setReminderMinutes(previous);
+      Alert.alert(t('votingMethod.reminderTitle'), t('votingMethod.saveFailed'));
+    }
+  };
+
+  const changeProposalCap = async (delta) => {
+    const next = Math.min(MAX_PROPOSAL_CAP, Math.max(0, proposalCap + delta));
+    if (next === proposalCap || saving) return;
+    lightHaptic();
+    const previous = proposalCap;
+    setProposalCap(next);
+    const result = await setRoundProposalCap(groupId, next);
+    if (!result.success) {
+      setProposalCap(previous);
+      Alert.alert(t('votingMethod.proposalTitle'), t('votingMethod.saveFailed'));
+    }
+  };
+
+  const changeRolloverHour = async (delta) => {
+    const next = Math.min(MAX_ROLLOVER_HOUR, Math.max(0, rolloverHour + delta));
+    if (next === rolloverHour || saving) return;
+    lightHaptic();
+    const previous = rolloverHour;
+    setRolloverHour(next);
+    const result = await setDayRolloverHour(groupId, next);
+    if (!result.success) {
+      setRolloverHour(previous);
+      Alert.alert(t('votingMethod.rolloverTitle'), t('votingMethod.saveFailed'));
+    }
+  };
+
+  // Steps run from a week to forever (0, last)
+  const changeRetention = async (direction) => {
+    const index = Math.max(0, CHAT_RETENTION_STEPS.indexOf(retentionDays));
+    const next = CHAT_RETENTION_STEPS[Math.min(CHAT_RETENTION_STEPS.length - 1, Math.max(0, index + direction))];
+    if (next === retentionDays || saving) return;
+    lightHaptic();
+    const previous = retentionDays;
+    setRetentionDays(next);
+    const result = await setChatRetentionDays(groupId, next);
+    if (!result.success) {
+      setRetentionDays(previous);
+      Alert.alert(t('votingMethod.retentionTitle'), t('votingMethod.saveFailed'));
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Text style={styles.backText}>‹</Text>
+        </TouchableOpacity>
+        <View style={styles.headerCenter}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{t('votingMethod.title')}</Text>
+          {groupName ? <Text style={styles.headerSubtitle} numberOfLines={1}>{groupName}</Text> : null}
+        </View>
+        <View style={styles.backButton}>
+          {saving && <ActivityIndicator size="small" color="#FF6B00" />}
+        </View>
+      </View>
+
+      {loading ? (
+        <ActivityIndicator color="#FF6B00" style={styles.loader} />
+      ) : (
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.hintText}>{t('votingMethod.screenHint')}</Text>
+
+          {VOTING_METHODS.map((key) => {
+            const active = key === method;
+            return (
+              <TouchableOpacity
+                key={key}
+                style={[styles.row, active && styles.rowActive]}
+                onPress={() => handleSelect(key)}
+                activeOpacity={0.7}
+              >
+                <Feather name={METHOD_ICONS[key]} size={18} color="#FF6B00" />
+                <View style={styles.rowText}>
+                  <Text style={styles.rowTitle}>{t(`votingMethod.${key}`)}</Text>
+                  <Text style={styles.rowMeta}>{t(`votingMethod.${key}_hint`)}</Text>
+                </View>
+                <Feather name={active ? 'check-circle' : 'circle'} size={18} color={active ? '#FF6B00' : '#D0CCC7'} />
+              </TouchableOpacity>
+            );
+          })}
+
+          {method === 'approval' && (
+            <View style={styles.limitRow}>
+              <Text style={styles.rowTitle}>{t('votingMethod.approvalLimit')}</Text>
+              <View style={styles.stepper}>
+                <TouchableOpacity onPress={() => changeLimit(-1)} style={styles.stepperButton} disabled={approvalLimit <= 1}>
+                  <Feather name="minus" size={16} color={approvalLimit <= 1 ? '#D0CCC7' : '#FF6B00'} />
+                </TouchableOpacity>
+                <Text style={styles.stepperValue}>{approvalLimit}</Text>
+                <TouchableOpacity onPress={() => changeLimit(1)} style={styles.stepperButton} disabled={approvalLimit >= MAX_APPROVAL_LIMIT}>
+                  <Feather name="plus" size={16} color={approvalLimit >= MAX_APPROVAL_LIMIT ? '#D0CCC7' : '#FF6B00'} />
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
+
+          <View style={[styles.limitRow, styles.reminderRow]}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowTitle}>{t('votingMethod.reminderTitle')}</Text>
+              <Text style={styles.rowMeta}>{t('votingMethod.reminderHint')}</Text>
+            </View>
+            <View style={styles.stepper}>
+              <TouchableOpacity onPress={() => changeReminder(-1)} style={styles.stepperButton} disabled={reminderMinutes <= 0}>
+                <Feather name="minus" size={16} color={reminderMinutes <= 0 ? '#D0CCC7' : '#FF6B00'} />
+              </TouchableOpacity>
+              <Text style={styles.reminderValue}>
+                {reminderMinutes ? t('votingMethod.reminderMinutes', { count: reminderMinutes }) : t('votingMethod.reminderOff')}
+              </Text>
+              <TouchableOpacity
+                onPress={() => changeReminder(1)}
+                style={styles.stepperButton}
+                disabled={reminderMinutes >= REMINDER_STEPS[REMINDER_STEPS.length - 1]}
+              >
+                <Feather name="plus" size={16} color={reminderMinutes >= REMINDER_STEPS[REMINDER_STEPS.length - 1] ? '#D0CCC7' : '#FF6B00'} />
+              </TouchableOpacity>
+            </View>
+          </View>
+
+          <View style={[styles.limitRow, styles.reminderRow]}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowTitle}>{t('votingMethod.proposalTitle')}</Text>
+              <Text style={styles.rowMeta}>{t('votingMethod.proposalHint')}</Text>
+            </View>
+            <View style={styles.stepper}>
+              <TouchableOpacity onPress={() => changeProposalCap(-1)} style={styles.stepperButton} disabled={proposalCap <= 0}>
+                <Feather name="minus" size={16} color={proposalCap <= 0 ? '#D0CCC7' : '#FF6B00'} />
+              </TouchableOpacity>
+              <Text style={styles.reminderValue}>
+                {proposalCap ? proposalCap : t('votingMethod.proposalOff')}
+              </Text>
+              <TouchableOpacity onPress={() => changeProposalCap(1)} style={styles.stepperButton} disabled={proposalCap >= MAX_PROPOSAL_CAP}>
+                <Feather name="plus" size={16} color={proposalCap >= MAX_PROPOSAL_CAP ? '#D0CCC7' : '#FF6B00'} />
+              </TouchableOpacity>
+            </View>
+          </View>
+
+          <View style={[styles.limitRow, styles.reminderRow]}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowTitle}>{t('votingMethod.rolloverTitle')}</Text>
+              <Text style={styles.rowMeta}>{t('votingMethod.rolloverHint')}</Text>
+            </View>
+            <View style={styles.stepper}>
+              <TouchableOpacity onPress={() => changeRolloverHour(-1)} style={styles.stepperButton} disabled={rolloverHour <= 0}>
+                <Feather name="minus" size={16} color={rolloverHour <= 0 ? '#D0CCC7' : '#FF6B00'} />
+              </TouchableOpacity>
+              <Text style={styles.reminderValue}>
+                {`${String(rolloverHour).padStart(2, '0')}:00`}
+              </Text>
+              <TouchableOpacity onPress={() => changeRolloverHour(1)} style={styles.stepperButton} disabled={rolloverHour >= MAX_ROLLOVER_HOUR}>
+                <Feather name="plus" size={16} color={rolloverHour >= MAX_ROLLOVER_HOUR ? '#D0CCC7' : '#FF6B00'} />
+              </TouchableOpacity>
+            </View>
+          </View>
+
+          <View style={[styles.limitRow, styles.reminderRow]}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowTitle}>{t('votingMethod.retentionTitle')}</Text>
+              <Text style={styles.rowMeta}>{t('votingMethod.retentionHint')}</Text>
+            </View>
+            <View style={styles.stepper}>
+              <TouchableOpacity onPress={() => changeRetention(-1)} style={styles.stepperButton} disabled={retentionDays === CHAT_RETENTION_STEPS[0]}>
+                <Feather name="minus" size={16} color={retentionDays === CHAT_RETENTION_STEPS[0] ? '#D0CCC7' : '#FF6B00'} />
+              </TouchableOpacity>
+              <Text style={styles.reminderValue}>
+                {retentionDays ? t('votingMethod.retentionDays', { count: retentionDays }) : t('votingMethod.retentionForever')}
+              </Text>
+              <TouchableOpacity onPress={() => changeRetention(1)} style={styles.stepperButton} disabled={retentionDays === 0}>
+                <Feather name="plus" size={16} color={retentionDays === 0 ? '#D0CCC7' : '#FF6B00'} />
+              </TouchableOpacity>
+            </View>
+          </View>
+
+          <TouchableOpacity
+            style={[styles.row, styles.linkRow]}
+            onPress={() => navigation.navigate('RecommendationDebug', { groupId, groupName })}
+            activeOpacity={0.7}
+          >
+            <Feather name="sliders" size={18} color="#FF6B00" />
+            <View style={styles.rowText}>
+              <Text style={styles.rowTitle}>{t('recommend.title')}</Text>
+              <Text style={styles.rowMeta}>{t('recommend.linkHint')}</Text>
+            </View>
+            <Feather name="chevron-right" size={18} color="#6B5A48" />
+          </TouchableOpacity>
+
+          <Text style={styles.footnote}>{t('votingMethod.adminOnly')}</Text>
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FAF8F5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E8E2DA',
+    backgroundColor: '#FAF8F5',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backText: {
+    fontSize: 32,
+    color: '#FF6B00',
+    fontFamily: 'Inter_400Regular',
+    marginTop: -4,
+  },
+  headerCenter: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 17,
+    fontFamily: 'PlayfairDisplay_700Bold',
+    color: '#1A1000',
+  },
+  headerSubtitle: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginTop: 2,
+  },
+  loader: {
+    marginVertical: 24,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  hintText: {
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginBottom: 12,
+    lineHeight: 18,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    paddingVertical: 12,
+    paddingHorizontal: 14,
+    marginBottom: 6,
+    gap: 12,
+  },
+  rowActive: {
+    borderColor: '#FF6B00',
+    backgroundColor: '#FFF3EA',
+  },
+  linkRow: {
+    marginTop: 20,
+  },
+  reminderRow: {
+    marginTop: 20,
+    gap: 12,
+  },
+  reminderValue: {
+    fontSize: 14,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+    minWidth: 52,
+    textAlign: 'center',
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 14,
+    fontFamily: 'Inter_500Medium',
+    color: '#1A1000',
+  },
+  rowMeta: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginTop: 2,
+    lineHeight: 16,
+  },
+  limitRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    marginTop: 6,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  stepperButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperValue: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+    minWidth: 20,
+    textAlign: 'center',
+  },
+  footnote: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#8B8B8B',
+    marginTop: 16,
+    lineHeight: 16,
+  },
+});
@@ -1,16 +1,22 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { StyleSheet, Text, View, TouchableOpacity, Image, ActivityIndicator, Dimensions, Modal, Animated, ScrollView, PanResponder, SafeAreaView } from 'react-native';
+import { StyleSheet, Text, View, TouchableOpacity, Image, ActivityIndicator, Dimensions, Modal, Animated, ScrollView, PanResponder, SafeAreaView, Alert } from 'react-native';
 import { Feather } from '@expo/vector-icons';
-import { getMealOptions, voteMealOption, getUserVotingProgress } from '../lib/mealRequestService';
+import { getMealOptions, voteMealOption, getUserVotingProgress, getRequestVotingMethod, getMyBallot, saveRanking } from '../lib/mealRequestService';
+import { DEFAULT_APPROVAL_LIMIT } from '../lib/votingMethods';
 import { getOccasionMealOptions, voteOnOccasionMeal, getOccasionVotingProgress } from '../lib/specialOccasionService';
 import { useTranslation } from 'react-i18next';
 import { log, debugError } from '../lib/debugConfig';
 import { mediumHaptic, successHaptic, lightHaptic } from '../lib/haptics';
-import { sendPushNotifications } from '../lib/notificationService';
+import { notifyGroup } from '../lib/notificationService';
+import { runDeadlineChecks } from '../lib/roundCloseService';
+import { trackVotingPresence } from '../lib/liveVotes';
 import { supabase } from '../lib/supabase';
 import ServingSelector from './ui/ServingSelector';
 import { scaleIngredients } from '../lib/ingredientScaler';
 import { getRecipeExtras } from '../lib/recipeExtrasService';
+import { getResponseCounts } from '../lib/dailyResponseService';
+import { getServingsForTonight } from '../lib/dinnerResponses';
+import DietBadges from './ui/DietBadges';
 
 // Swipe configuration
 const SWIPE_THRESHOLD = 100; // pixels to trigger vote
@@ -61,12 +67,22 @@ export default function VotingScreen({ route, navigation }) {
   const [currentIndex, setCurrentIndex] = useState(0);
   const [voting, setVoting] = useState(false);
   const [votes, setVotes] = useState({});
+
+  // Voting method of this round (lib/votingMethods); ranking = ranked ballot, favourite first
+  const [votingMethod, setVotingMethod] = useState({ method: 'yes_no', approvalLimit: DEFAULT_APPROVAL_LIMIT });
+  const [ranking, setRanking] = useState([]);
+  const [rankingSaving, setRankingSaving] = useState(false);
+  const [rankingSaved, setRankingSaved] = useState(false);
   
   // Refs to track state for PanResponder (avoids stale closure issue)
   const votingRef = useRef(false);
+  const votesRef = useRef({});
+  const votingMethodRef = useRef(votingMethod);
   const mealOptionsRef = useRef([]);
   const currentIndexRef = useRef(0);
   const firstVoteNotifSent = useRef(false);
+  const preloadUsedRef = useRef(false);
+  const proposalOpenedRef = useRef(false);
   
   // Keep refs in sync with state
   useEffect(() => {
@@ -76,6 +92,14 @@ export default function VotingScreen({ route, navigation }) {
   useEffect(() => {
     mealOptionsRef.current = mealOptions;
   }, [mealOptions]);
+
+  useEffect(() => {
+    votesRef.current = votes;
+  }, [votes]);
+
+  useEffect(() => {
+    votingMethodRef.current = votingMethod;
+  }, [votingMethod]);
   
   useEffect(() => {
     currentIndexRef.current = currentIndex;
@@ -90,6 +114,8 @@ export default function VotingScreen({ route, navigation }) {
   const [showRecipeModal, setShowRecipeModal] = useState(false);
   const [selectedRecipe, setSelectedRecipe] = useState(null);
   const [servingCount, setServingCount] = useState(4);
+  // Tonight's portions (eaters + guests) as the default servings
+  const [tonightCounts, setTonightCounts] = useState(null);
   const modalAnimation = useRef(new Animated.Value(0)).current;
   const backdropAnimation = useRef(new Animated.Value(0)).current;
   
@@ -415,6 +441,23 @@ export default function VotingScreen({ route, navigation }) {
       swipeY.setValue(0);
       return;
     }
+
+    // Approval voting: only `approvalLimit` yes votes per member
+    const { method, approvalLimit } = votingMethodRef.current;
+    if (!isOccasion && method === 'approval' && vote === 'yes') {
+      const picks = Object.entries(votesRef.current)
+        .filter(([optionId, v]) => v === 'yes' && optionId !== currentMeal.id).length;
+      if (picks >= approvalLimit) {
+        swipeX.setValue(0);
+        swipeY.setValue(0);
+        Alert.alert(t('votingMethod.approval'), t('votingMethod.approvalLimitReached', { count: approvalLimit }));
+        return;
+      }
+    }
+    // Ranked choice: yes votes are ranked in the order they are cast until reordered
+    const rank = !isOccasion && method === 'ranked' && vote === 'yes'
+      ? Object.entries(votesRef.current).filter(([optionId, v]) => v === 'yes' && optionId !== currentMeal.id).length + 1
+      : undefined;
     
     // Set voting state - update ref SYNCHRONOUSLY to prevent race conditions
     votingRef.current = true;
@@ -434,7 +477,7 @@ export default function VotingScreen({ route, navigation }) {
       
       const voteFn = isOccasion && occasionId
         ? () => voteOnOccasionMeal(occasionId, currentMeal.id, vote === 'yes' ? 'yes' : 'no')
-        : () => voteMealOption(requestId, currentMeal.id, vote);
+        : () => voteMealOption(requestId, currentMeal.id, vote, rank !== undefined ? { rank } : {});
       const result = await Promise.race([
         voteFn(),
         timeoutPromise
@@ -442,6 +485,12 @@ export default function VotingScreen({ route, navigation }) {
       
       if (result.success) {
         setVotes(prev => ({ ...prev, [currentMeal.id]: vote }));
+        if (method === 'ranked') {
+          setRanking(prev => {
+            const rest = prev.filter(id => id !== currentMeal.id);
+            return vote === 'yes' ? [...rest, currentMeal.id] : rest;
+          });
+        }
         
         // Notify group members when this is the first vote (fire-and-forget)
         if (currentIdx === 0 && groupId && !isOccasion && !firstVoteNotifSent.current) {
@@ -450,29 +499,13 @@ export default function VotingScreen({ route, navigation }) {
             try {
               const { data: { user } } = await supabase.auth.getUser();
               if (!user) return;
-              const { data: members } = await supabase
-                .from('group_members')
-                .select('user_id')
-                .eq('group_id', groupId)
-                .eq('is_active', true)
-                .neq('user_id', user.id);
-              if (!members?.length) return;
-              const memberIds = members.map(m => m.user_id);
-              const { data: profiles } = await supabase
-                .from('profiles')
-                .select('push_token')
-                .in('id', memberIds)
-                .not('push_token', 'is', null);
-              const tokens = (profiles || []).map(p => p.push_token).filter(Boolean);
-              if (tokens.length > 0) {
-                const userName = user.user_metadata?.full_name || user.email?.split('@')[0] || 'Someone';
-                await sendPushNotifications(
-                  tokens,
-                  groupName || 'Happie',
-                  `${userName} eet vanavond mee. vergeet niet te stemmen`,
-                  { type: 'voting_started', groupId, requestId }
-                );
-              }
+              const userName = user.user_metadata?.full_name || user.email?.split('@')[0] || 'Someone';
+              await notifyGroup('voting_started', {
+                groupId,
+                title: groupName || 'Happie',
+                body: `${userName} eet vanavond mee. vergeet niet te stemmen`,
+                data: { groupId, requestId },
+              });
             } catch (e) {
             }
           })();
@@ -516,7 +549,10 @@ export default function VotingScreen({ route, navigation }) {
       let mealData = [];
       
       // Check if we have pre-loaded meal options first
-      if (preloadedMealOptions && Array.isArray(preloadedMealOptions) && preloadedMealOptions.length > 0) {
+      // Preloaded options are only good for the first load; a reload after a
+      // proposal needs the current set
+      if (!preloadUsedRef.current && preloadedMealOptions && Array.isArray(preloadedMealOptions) && preloadedMealOptions.length > 0) {
+        preloadUsedRef.current = true;
         log.voting(` Using ${preloadedMealOptions.length} pre-loaded meal options`);
         
         // Validate preloaded data has required fields
@@ -579,6 +615,17 @@ export default function VotingScreen({ route, navigation }) {
       setMealOptions(validatedMealData);
       log.voting(` Set ${validatedMealData.length} meal options for voting`);
       
+      // Voting method and the votes cast so far (approval picks, veto, ranking)
+      if (!isOccasion && requestId) {
+        const [settings, ballot] = await Promise.all([getRequestVotingMethod(requestId), getMyBallot(requestId)]);
+        setVotingMethod(settings);
+        setVotes(Object.fromEntries(ballot.map(b => [b.meal_option_id, b.vote])));
+        setRanking(ballot
+          .filter(b => b.vote === 'yes')
+          .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity))
+          .map(b => b.meal_option_id));
+      }
+
       // Check user's voting progress
       const sessionId = requestId || occasionId;
       if (sessionId) {
@@ -632,6 +679,71 @@ export default function VotingScreen({ route, navigation }) {
     }
   };
 
+  // Back from ProposeMeal: reload so an added or swapped meal shows up to vote on
+  useEffect(() => navigation.addListener('focus', () => {
+    if (!proposalOpenedRef.current) return;
+    proposalOpenedRef.current = false;
+    loadMealOptions();
+  }), [navigation]);
+
+  const openProposals = () => {
+    lightHaptic();
+    proposalOpenedRef.current = true;
+    navigation.navigate('ProposeMeal', { requestId, groupId, groupName });
+  };
+
+  const vetoUsed = Object.values(votes).includes('veto');
+
+  const handleVeto = () => {
+    const meal = getCurrentMeal();
+    if (!meal || vetoUsed) return;
+    lightHaptic();
+    Alert.alert(
+      t('votingMethod.vetoTitle'),
+      t('votingMethod.vetoConfirm', { name: meal.meal_data?.name || t('recipes.defaultName') }),
+      [
+        { text: t('common.cancel'), style: 'cancel' },
+        { text: t('votingMethod.vetoAction'), style: 'destructive', onPress: () => handleVote('veto') },
+      ]
+    );
+  };
+
+  const moveRanking = (index, delta) => {
+    lightHaptic();
+    setRankingSaved(false);
+    setRanking(prev => {
+      const next = [...prev];
+      const target = index + delta;
+      if (target < 0 || target >= next.length) return prev;
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const handleSaveRanking = async () => {
+    setRankingSaving(true);
+    const result = await saveRanking(requestId, ranking);
+    setRankingSaving(false);
+    if (result.success) {
+      successHaptic();
+      setRankingSaved(true);
+    } else {
+      alert(result.error || t('common.error'));
+    }
+  };
+
+  const getMethodHint = () => {
+    const { method, approvalLimit } = votingMethod;
+    if (isOccasion) return null;
+    if (method === 'approval') {
+      const picks = Object.values(votes).filter(v => v === 'yes').length;
+      return t('votingMethod.approvalHint', { left: Math.max(0, approvalLimit - picks), count: approvalLimit });
+    }
+    if (method === 'ranked') return t('votingMethod.rankedHint');
+    if (method === 'veto') return vetoUsed ? t('votingMethod.vetoUsed') : t('votingMethod.vetoHint');
+    return null;
+  };
+
   const getCurrentMeal = () => {
     return mealOptions.length > 0 ? mealOptions[currentIndex] : null;
   };
@@ -681,7 +793,7 @@ export default function VotingScreen({ route, navigation }) {
     // Set serving count from extras
     const recipeName = meal?.meal_data?.name || '';
     const extras = getRecipeExtras(recipeName);
-    setServingCount(extras.default_servings);
+    setServingCount(getServingsForTonight(tonightCounts, extras.default_servings));
 
     setShowRecipeModal(true);
 
@@ -721,6 +833,50 @@ export default function VotingScreen({ route, navigation }) {
     });
   };
 
+  // Finishing the last card may mean everyone who eats tonight has voted:
+  // close the round right away instead of waiting for the deadline
+  const roundCheckDone = useRef(false);
+  useEffect(() => {
+    if (loading || isOccasion || !groupId || roundCheckDone.current) return;
+    if (mealOptions.length > 0 && currentIndex >= mealOptions.length) {
+      roundCheckDone.current = true;
+      runDeadlineChecks({ groupIds: [groupId] });
+    }
+  }, [loading, currentIndex, mealOptions.length, isOccasion, groupId]);
+
+  useEffect(() => {
+    if (isOccasion || !groupId) return;
+    getResponseCounts(groupId).then((counts) => { if (counts.success) setTonightCounts(counts); });
+  }, [groupId, isOccasion]);
+
+  // Let the rest of the group see who is still swiping (lib/liveVotes)
+  const presenceRef = useRef(null);
+  const presenceProgress = useRef({ voted: 0, total: 0 });
+  useEffect(() => {
+    if (isOccasion || !requestId) return undefined;
+    let presence = null;
+    let cancelled = false;
+    supabase.auth.getUser().then(({ data: { user } }) => {
+      if (cancelled || !user) return;
+      presence = trackVotingPresence(requestId, {
+        user_id: user.id,
+        name: user.user_metadata?.full_name || user.email?.split('@')[0],
+        ...presenceProgress.current,
+      });
+      presenceRef.current = presence;
+    }).catch(() => {});
+    return () => {
+      cancelled = true;
+      presence?.leave();
+      presenceRef.current = null;
+    };
+  }, [requestId, isOccasion]);
+
+  useEffect(() => {
+    presenceProgress.current = { voted: Math.min(currentIndex, mealOptions.length), total: mealOptions.length };
+    presenceRef.current?.update(presenceProgress.current);
+  }, [currentIndex, mealOptions.length]);
+
   const getProgress = () => {
     if (currentIndex >= mealOptions.length) {
       return `Complete! ${mealOptions.length} / ${mealOptions.length}`;
@@ -745,7 +901,7 @@ export default function VotingScreen({ route, navigation }) {
   if (!currentMeal) {
     return (
       <SafeAreaView style={styles.container}>
-        <View style={styles.completedContainer}>
+        <ScrollView contentContainerStyle={styles.completedContainer}>
           <Text style={styles.completedTitle}>{t('meals.votingComplete')}</Text>
           <Text style={styles.completedText}>
             You've voted on all {mealOptions.length} meals for "{displayName}".
@@ -753,6 +909,50 @@ export default function VotingScreen({ route, navigation }) {
           <Text style={styles.completedSubtext}>
             Check back later to see the results or wait for others to finish voting.
           </Text>
+
+          {!isOccasion && votingMethod.method === 'ranked' && ranking.length > 1 && (
+            <View style={styles.rankingContainer}>
+              <Text style={styles.rankingTitle}>{t('votingMethod.rankTitle')}</Text>
+              <Text style={styles.rankingHint}>{t('votingMethod.rankHint')}</Text>
+              {ranking.map((optionId, index) => {
+                const option = mealOptions.find(o => o.id === optionId);
+                return (
+                  <View key={optionId} style={styles.rankingRow}>
+                    <Text style={styles.rankingPosition}>{index + 1}</Text>
+                    <Text style={styles.rankingName} numberOfLines={1}>
+                      {option?.meal_data?.name || t('recipes.defaultName')}
+                    </Text>
+                    <TouchableOpacity onPress={() => moveRanking(index, -1)} disabled={index === 0} style={styles.rankingArrow}>
+                      <Feather name="chevron-up" size={20} color={index === 0 ? '#D0CCC7' : '#FF6B00'} />
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => moveRanking(index, 1)} disabled={index === ranking.length - 1} style={styles.rankingArrow}>
+                      <Feather name="chevron-down" size={20} color={index === ranking.length - 1 ? '#D0CCC7' : '#FF6B00'} />
+                    </TouchableOpacity>
+                  </View>
+                );
+              })}
+              <TouchableOpacity
+                style={[styles.rankingSaveButton, (rankingSaving || rankingSaved) && styles.buttonDisabled]}
+                onPress={handleSaveRanking}
+                disabled={rankingSaving || rankingSaved}
+              >
+                {rankingSaving ? (
+                  <ActivityIndicator size="small" color="#FEFEFE" />
+                ) : (
+                  <Text style={styles.actionButtonLabel}>
+                    {rankingSaved ? t('votingMethod.rankSaved') : t('votingMethod.rankSave')}
+                  </Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {!isOccasion && requestId && (
+            <TouchableOpacity style={styles.proposeButton} onPress={openProposals}>
+              <Feather name="plus-circle" size={16} color="#FF6B00" />
+              <Text style={styles.proposeButtonText}>{t('proposals.button')}</Text>
+            </TouchableOpacity>
+          )}
           
           <TouchableOpacity 
             style={styles.backToGroupButton}
@@ -760,7 +960,7 @@ export default function VotingScreen({ route, navigation }) {
           >
             <Text style={styles.backToGroupButtonText}>← {t('meals.backToGroup')}</Text>
           </TouchableOpacity>
-        </View>
+        </ScrollView>
       </SafeAreaView>
     );
   }
@@ -804,7 +1004,13 @@ export default function VotingScreen({ route, navigation }) {
           </View>
         </View>
         
-        <View style={styles.headerRight} />
+        <View style={styles.headerRight}>
+          {!isOccasion && requestId && (
+            <TouchableOpacity onPress={openProposals} style={styles.headerProposeButton}>
+              <Feather name="plus-circle" size={22} color="#FF6B00" />
+            </TouchableOpacity>
+          )}
+        </View>
       </View>
 
       {/* Instructions */}
@@ -831,6 +1037,9 @@ export default function VotingScreen({ route, navigation }) {
             <Feather name="arrow-right" size={14} color="#3D9A50" />
           </View>
         </View>
+        {getMethodHint() && (
+          <Text style={styles.methodHintText}>{getMethodHint()}</Text>
+        )}
       </View>
 
       {/* Card Stack Container */}
@@ -934,6 +1143,12 @@ export default function VotingScreen({ route, navigation }) {
                 <Text style={styles.swipeOverlayText}>{t('voting.dislike')}</Text>
               </Animated.View>
             
+            {currentMeal.proposed_by && (
+              <View style={styles.votingProposedTag}>
+                <Text style={styles.votingChefTagText}>{t('proposals.proposedBadge')}</Text>
+              </View>
+            )}
+
             {currentMeal.meal_data.chef && (
               <View style={styles.votingChefTag}>
                 <Text style={styles.votingChefTagText}>@{currentMeal.meal_data.chef.tag}</Text>
@@ -954,6 +1169,7 @@ export default function VotingScreen({ route, navigation }) {
                     {currentMeal.meal_data.description}
                   </Text>
                 )}
+                <DietBadges recipe={currentMeal.meal_data} />
               </View>
             </View>
           </TouchableOpacity>
@@ -986,6 +1202,13 @@ export default function VotingScreen({ route, navigation }) {
           </Text>
         </TouchableOpacity>
       </View>
+
+      {!isOccasion && votingMethod.method === 'veto' && !vetoUsed && (
+        <TouchableOpacity style={styles.vetoLink} onPress={handleVeto} disabled={voting}>
+          <Feather name="slash" size={14} color="#CC4444" />
+          <Text style={styles.vetoLinkText}>{t('votingMethod.vetoAction')}</Text>
+        </TouchableOpacity>
+      )}
       
       {/* Recipe Details Modal */}
       <Modal
@@ -1137,7 +1360,7 @@ export default function VotingScreen({ route, navigation }) {
                       <ServingSelector count={servingCount} onChange={setServingCount} />
                       <View style={styles.ingredientsList}>
                         {scaleIngredients(
-                          selectedRecipe.meal_data.ingredients.map(i => typeof i === 'string' ? i : (i.raw_text || i.text || '')),
+                          selectedRecipe.meal_data.ingredients,
                           getRecipeExtras(selectedRecipe.meal_data.name).default_servings,
                           servingCount
                         ).map((ingredient, index) => (
@@ -1367,6 +1590,10 @@ const styles = StyleSheet.create({
   },
   headerRight: {
     width: 100, // Same width as back button for centering
+    alignItems: 'flex-end',
+  },
+  headerProposeButton: {
+    padding: 8,
   },
   instructionsContainer: {
     alignItems: 'center',
@@ -1514,8 +1741,80 @@ const styles = StyleSheet.create({
   buttonDisabled: {
     opacity: 0.6,
   },
-  completedContainer: {
+  methodHintText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 13,
+    lineHeight: 18,
+    color: '#6B5A48',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  vetoLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    gap: 6,
+    marginTop: -12,
+    marginBottom: 12,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  vetoLinkText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 14,
+    color: '#CC4444',
+  },
+  rankingContainer: {
+    alignSelf: 'stretch',
+    marginBottom: 24,
+  },
+  rankingTitle: {
+    fontFamily: 'Inter_600SemiBold',
+    fontSize: 16,
+    color: '#1A1000',
+    textAlign: 'center',
+  },
+  rankingHint: {
+    fontFamily: 'Inter_400Regular',
+    fontSize: 13,
+    color: '#6B6B6B',
+    textAlign: 'center',
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  rankingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F8F6F3',
+    borderRadius: 10,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginBottom: 6,
+  },
+  rankingPosition: {
+    fontFamily: 'Inter_600SemiBold',
+    fontSize: 15,
+    color: '#FF6B00',
+    width: 24,
+  },
+  rankingName: {
     flex: 1,
+    fontFamily: 'Inter_500Medium',
+    fontSize: 14,
+    color: '#1A1000',
+  },
+  rankingArrow: {
+    padding: 4,
+  },
+  rankingSaveButton: {
+    backgroundColor: '#3D9A50',
+    borderRadius: 12,
+    paddingVertical: 12,
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  completedContainer: {
+    flexGrow: 1,
     justifyContent: 'center',
     alignItems: 'center',
     padding: 32,
@@ -1547,6 +1846,23 @@ const styles = StyleSheet.create({
     marginBottom: 32,
     letterSpacing: 0.1,
   },
+  proposeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    borderWidth: 1,
+    borderColor: '#FF6B00',
+    borderRadius: 12,
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    marginBottom: 16,
+  },
+  proposeButtonText: {
+    fontFamily: 'Inter_500Medium',
+    fontSize: 15,
+    lineHeight: 20,
+    color: '#FF6B00',
+  },
   backToGroupButton: {
     backgroundColor: '#FF6B00',
     borderRadius: 12,
@@ -1920,6 +2236,16 @@ const styles = StyleSheet.create({
   modalBottomSpacer: {
     height: 20,
   },
+  votingProposedTag: {
+    position: 'absolute',
+    top: 12,
+    left: 12,
+    backgroundColor: 'rgba(255, 107, 0, 0.85)',
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    zIndex: 5,
+  },
   votingChefTag: {
     position: 'absolute',
     bottom: 12,
@@ -0,0 +1,463 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+  StyleSheet, Text, View, ScrollView, TouchableOpacity,
+  ActivityIndicator, SafeAreaView } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { useTranslation } from 'react-i18next';
+import { Feather } from '@expo/vector-icons';
+import {
+  getWeeklyRound,
+  startWeeklyRound,
+  getWeeklyPlan,
+  proposeWeeklyPlan,
+  setPlanDayLocked,
+  swapPlanDays,
+  setPlanDayMeal,
+  closeWeeklyRound,
+  subscribeToWeeklyPlan,
+} from '../lib/weeklyPlanService';
+import { getUpcomingWeekStart, getWeekDates, addDays, findCuisineRepeats } from '../lib/weeklyPlanner';
+import { lightHaptic, successHaptic } from '../lib/haptics';
+
+const dayFormat = new Intl.DateTimeFormat('nl-NL', { weekday: 'long', day: 'numeric', month: 'short', timeZone: 'UTC' });
+const formatPlanDate = (date) => dayFormat.format(new Date(`${date}T00:00:00Z`));
+
+export default function WeeklyPlanScreen({ route, navigation }) {
+  const { groupId, groupName } = route.params || {};
+  const { t } = useTranslation();
+
+  const [weekStart, setWeekStart] = useState(() => getUpcomingWeekStart(new Date()));
+  const [round, setRound] = useState(null);
+  const [mealOptions, setMealOptions] = useState([]);
+  const [days, setDays] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [swapFrom, setSwapFrom] = useState(null);
+  const [pickingDate, setPickingDate] = useState(null);
+
+  const loadPlan = useCallback(async () => {
+    const res = await getWeeklyPlan(groupId, weekStart);
+    if (res.success) setDays(res.days);
+  }, [groupId, weekStart]);
+
+  const load = useCallback(async () => {
+    setError(null);
+    const [roundRes] = await Promise.all([getWeeklyRound(groupId, weekStart), loadPlan()]);
+    setRound(roundRes.request);
+    setMealOptions(roundRes.mealOptions || []);
+  }, [groupId, weekStart, loadPlan]);
+
+  // Reload on focus too: votes may have changed while the user was on the VotingScreen
+  useFocusEffect(useCallback(() => {
+    if (!groupId) return;
+    load().finally(() => setLoading(false));
+  }, [groupId, load]));
+
+  useEffect(() => {
+    if (!groupId) return undefined;
+    return subscribeToWeeklyPlan(groupId, loadPlan);
+  }, [groupId, loadPlan]);
+
+  const run = useCallback(async (action) => {
+    if (busy) return;
+    setBusy(true);
+    setError(null);
+    const res = await action();
+    if (res && !res.success) setError(res.error);
+    setBusy(false);
+  }, [busy]);
+
+  const handleStart = () => run(async () => {
+    lightHaptic();
+    const res = await startWeeklyRound(groupId, weekStart);
+    if (res.success) {
+      setRound(res.request);
+      setMealOptions(res.mealOptions || []);
+      successHaptic();
+    }
+    return res;
+  });
+
+  const handleVote = () => {
+    lightHaptic();
+    navigation.navigate('VotingScreen', {
+      requestId: round.id,
+      groupName,
+      groupId,
+      preloadedMealOptions: mealOptions,
+    });
+  };
+
+  const handlePropose = () => run(async () => {
+    lightHaptic();
+    const res = await proposeWeeklyPlan(groupId, round.id, weekStart);
+    if (res.success) {
+      setDays(res.days);
+      successHaptic();
+    }
+    return res;
+  });
+
+  const handleClose = () => run(async () => {
+    const res = await closeWeeklyRound(round.id);
+    if (res.success) setRound(null);
+    return res;
+  });
+
+  const handleToggleLock = (day) => run(async () => {
+    lightHaptic();
+    setDays(prev => prev.map(d => (d.plan_date === day.plan_date ? { ...d, locked: !day.locked } : d)));
+    const res = await setPlanDayLocked(groupId, day.plan_date, !day.locked);
+    if (!res.success) await loadPlan();
+    return res;
+  });
+
+  // Tap the swap icon on one day, then on another to swap their meals
+  const handleSwap = (day) => {
+    lightHaptic();
+    if (!swapFrom) {
+      setSwapFrom(day.plan_date);
+      return;
+    }
+    const from = swapFrom;
+    setSwapFrom(null);
+    if (from === day.plan_date) return;
+    run(async () => {
+      const res = await swapPlanDays(groupId, from, day.plan_date);
+      await loadPlan();
+      return res;
+    });
+  };
+
+  const handlePick = (date, option) => run(async () => {
+    lightHaptic();
+    setPickingDate(null);
+    const res = await setPlanDayMeal(groupId, round?.id || null, date, option);
+    await loadPlan();
+    return res;
+  });
+
+  const changeWeek = (offset) => {
+    setSwapFrom(null);
+    setPickingDate(null);
+    setWeekStart(addDays(weekStart, offset));
+  };
+
+  const planByDate = useMemo(() => {
+    const map = {};
+    days.forEach((d) => { map[d.plan_date] = d; });
+    return map;
+  }, [days]);
+  const weekDates = useMemo(() => getWeekDates(weekStart), [weekStart]);
+  const repeats = useMemo(() => new Set(findCuisineRepeats(weekDates.map(d => planByDate[d] || { plan_date: d }))), [weekDates, planByDate]);
+
+  const renderDay = (date) => {
+    const day = planByDate[date];
+    const meal = day?.meal_data;
+    const isSwapSource = swapFrom === date;
+    return (
+      <View key={date} style={[styles.dayCard, isSwapSource && styles.dayCardActive]}>
+        <View style={styles.dayRow}>
+          <TouchableOpacity
+            style={styles.dayText}
+            onPress={() => round && setPickingDate(pickingDate === date ? null : date)}
+            activeOpacity={round ? 0.7 : 1}
+          >
+            <Text style={styles.dayLabel}>{formatPlanDate(date)}</Text>
+            <Text style={[styles.mealName, !meal && styles.mealEmpty]} numberOfLines={1}>
+              {meal?.name || t('weekPlan.noMeal')}
+            </Text>
+            {!!meal?.cuisine_type && (
+              <Text style={[styles.cuisine, repeats.has(date) && styles.cuisineWarn]}>
+                {meal.cuisine_type}{repeats.has(date) ? ` · ${t('weekPlan.sameCuisine')}` : ''}
+              </Text>
+            )}
+          </TouchableOpacity>
+          {!!day && (
+            <>
+              <TouchableOpacity onPress={() => handleSwap(day)} style={styles.iconBtn} disabled={busy}>
+                <Feather name="repeat" size={17} color={isSwapSource ? '#FF6B00' : '#6B5A48'} />
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => handleToggleLock(day)} style={styles.iconBtn} disabled={busy}>
+                <Feather name={day.locked ? 'lock' : 'unlock'} size={17} color={day.locked ? '#FF6B00' : '#A0A0A0'} />
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+        {pickingDate === date && (
+          <View style={styles.optionsWrap}>
+            {mealOptions.map(option => (
+              <TouchableOpacity key={option.id} style={styles.optionChip} onPress={() => handlePick(date, option)}>
+                <Text style={styles.optionChipText} numberOfLines={1}>{option.meal_data?.name}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Text style={styles.backText}>‹</Text>
+        </TouchableOpacity>
+        <View style={styles.headerCenter}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{t('weekPlan.title')}</Text>
+          <Text style={styles.headerSubtitle} numberOfLines={1}>{groupName || ''}</Text>
+        </View>
+        <View style={styles.backButton} />
+      </View>
+
+      <View style={styles.weekNav}>
+        <TouchableOpacity onPress={() => changeWeek(-7)} style={styles.iconBtn}>
+          <Feather name="chevron-left" size={20} color="#FF6B00" />
+        </TouchableOpacity>
+        <Text style={styles.weekLabel}>
+          {t('weekPlan.weekOf', { date: formatPlanDate(weekStart) })}
+        </Text>
+        <TouchableOpacity onPress={() => changeWeek(7)} style={styles.iconBtn}>
+          <Feather name="chevron-right" size={20} color="#FF6B00" />
+        </TouchableOpacity>
+      </View>
+
+      {loading ? (
+        <View style={styles.centered}>
+          <ActivityIndicator size="large" color="#FF6B00" />
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.content}>
+          {round ? (
+            <View style={styles.roundCard}>
+              <Text style={styles.roundText}>{t('weekPlan.roundOpen', { count: mealOptions.length })}</Text>
+              <View style={styles.roundActions}>
+                <TouchableOpacity style={styles.primaryBtn} onPress={handleVote}>
+                  <Text style={styles.primaryBtnText}>{t('weekPlan.vote')}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.secondaryBtn} onPress={handlePropose} disabled={busy}>
+                  {busy
+                    ? <ActivityIndicator size="small" color="#FF6B00" />
+                    : <Text style={styles.secondaryBtnText}>{t('weekPlan.propose')}</Text>}
+                </TouchableOpacity>
+              </View>
+              {days.length > 0 && (
+                <TouchableOpacity onPress={handleClose} disabled={busy}>
+                  <Text style={styles.closeText}>{t('weekPlan.closeRound')}</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          ) : days.length === 0 ? (
+            <View style={styles.roundCard}>
+              <Text style={styles.roundText}>{t('weekPlan.empty')}</Text>
+              <TouchableOpacity style={styles.primaryBtn} onPress={handleStart} disabled={busy}>
+                {busy
+                  ? <ActivityIndicator size="small" color="#FEFEFE" />
+                  : <Text style={styles.primaryBtnText}>{t('weekPlan.start')}</Text>}
+              </TouchableOpacity>
+            </View>
+          ) : null}
+
+          {!!error && <Text style={styles.errorText}>{error}</Text>}
+          {!!swapFrom && <Text style={styles.hintText}>{t('weekPlan.swapHint')}</Text>}
+
+          {weekDates.map(renderDay)}
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FAF8F5',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E8E2DA',
+    backgroundColor: '#FAF8F5',
+  },
+  backButton: {
+    width: 40,
+    height: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backText: {
+    fontSize: 32,
+    color: '#FF6B00',
+    fontFamily: 'Inter_400Regular',
+    marginTop: -4,
+  },
+  headerCenter: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 17,
+    fontFamily: 'PlayfairDisplay_700Bold',
+    color: '#1A1000',
+  },
+  headerSubtitle: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#FF6B00',
+    marginTop: 1,
+  },
+  weekNav: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  weekLabel: {
+    fontSize: 14,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    paddingHorizontal: 16,
+    paddingBottom: 32,
+  },
+  roundCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    padding: 14,
+    gap: 12,
+    marginBottom: 16,
+  },
+  roundText: {
+    fontSize: 14,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    lineHeight: 20,
+  },
+  roundActions: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  primaryBtn: {
+    flex: 1,
+    backgroundColor: '#FF6B00',
+    borderRadius: 10,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  primaryBtnText: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FEFEFE',
+  },
+  secondaryBtn: {
+    flex: 1,
+    borderRadius: 10,
+    borderWidth: 1.5,
+    borderColor: '#FF6B00',
+    paddingVertical: 11,
+    alignItems: 'center',
+  },
+  secondaryBtnText: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FF6B00',
+  },
+  closeText: {
+    fontSize: 13,
+    fontFamily: 'Inter_500Medium',
+    color: '#999',
+    textAlign: 'center',
+  },
+  errorText: {
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#C0392B',
+    marginBottom: 8,
+  },
+  hintText: {
+    fontSize: 13,
+    fontFamily: 'Inter_500Medium',
+    color: '#FF6B00',
+    marginBottom: 8,
+  },
+  dayCard: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    paddingVertical: 12,
+    paddingHorizontal: 14,
+    marginBottom: 6,
+  },
+  dayCardActive: {
+    borderColor: '#FF6B00',
+  },
+  dayRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  dayText: {
+    flex: 1,
+  },
+  dayLabel: {
+    fontSize: 12,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FF6B00',
+    textTransform: 'capitalize',
+  },
+  mealName: {
+    fontSize: 15,
+    fontFamily: 'Inter_500Medium',
+    color: '#1A1000',
+    marginTop: 2,
+  },
+  mealEmpty: {
+    color: '#A0A0A0',
+  },
+  cuisine: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginTop: 2,
+  },
+  cuisineWarn: {
+    color: '#C0392B',
+  },
+  iconBtn: {
+    padding: 6,
+  },
+  optionsWrap: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 10,
+  },
+  optionChip: {
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    backgroundColor: '#FAF8F5',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    maxWidth: '100%',
+  },
+  optionChipText: {
+    fontSize: 13,
+    fontFamily: 'Inter_500Medium',
+    color: '#1A1000',
+  },
+});
@@ -0,0 +1,203 @@
+/**
+ * CookRotaBanner
+ *
+ * Tonight's cook on the group home: who is cooking (or whose turn it is
+ * according to the rota, see lib/cookRota), "Ik kook vandaag" for everyone
+ * and pass / hand over for the cook.
+ *
+ * Props:
+ *   groupId       — the group
+ *   currentUserId — signed-in user
+ *   refreshKey    — changes when tonight's responses change (new suggestion)
+ *   onCookChange  — ({ cookId, name, assigned }) after every load
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
+import { getGroupMembers } from '../../lib/groupsService';
+import { getTonightsCook, volunteerToCook, skipTonight, handOverCooking } from '../../lib/cookRotaService';
+import { lightHaptic } from '../../lib/haptics';
+import { useToast } from './Toast';
+
+export default function CookRotaBanner({ groupId, currentUserId, refreshKey, onCookChange, style }) {
+  const { t } = useTranslation();
+  const toast = useToast();
+  const [members, setMembers] = useState([]);
+  const [rota, setRota] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [showHandOver, setShowHandOver] = useState(false);
+
+  const load = useCallback(async () => {
+    if (!groupId) return;
+    const [membersRes, rotaRes] = await Promise.all([getGroupMembers(groupId), getTonightsCook(groupId)]);
+    const list = membersRes.members || [];
+    setMembers(list);
+    if (!rotaRes.success) return;
+    setRota(rotaRes);
+    const cookId = rotaRes.suggestedCookId;
+    onCookChange?.({
+      cookId,
+      name: list.find((m) => m.user_id === cookId)?.full_name || null,
+      assigned: !!rotaRes.cookId,
+    });
+  }, [groupId, onCookChange]);
+
+  useEffect(() => {
+    setRota(null);
+    setShowHandOver(false);
+    load();
+  }, [load, refreshKey]);
+
+  const run = async (action, successKey) => {
+    lightHaptic();
+    setBusy(true);
+    const result = await action();
+    setBusy(false);
+    setShowHandOver(false);
+    if (!result.success) {
+      toast.error(result.error || t('errors.generic'));
+      return;
+    }
+    if (successKey) toast.success(t(successKey));
+    load();
+  };
+
+  if (!rota) return null;
+
+  const cookId = rota.suggestedCookId;
+  const isMe = !!cookId && cookId === currentUserId;
+  const nameOf = (id) => members.find((m) => m.user_id === id)?.full_name || t('common.unknown');
+  const title = !cookId
+    ? t('cookRota.nobody')
+    : isMe
+      ? t(rota.cookId ? 'cookRota.youCook' : 'cookRota.yourTurn')
+      : t(rota.cookId ? 'cookRota.cooks' : 'cookRota.turnOf', { name: nameOf(cookId) });
+  const others = members.filter((m) => m.user_id !== currentUserId);
+
+  return (
+    <View style={[styles.card, style]}>
+      <View style={styles.row}>
+        <Feather name="award" size={18} color="#FF6B00" />
+        <View style={styles.text}>
+          <Text style={styles.title} numberOfLines={1}>{title}</Text>
+          {!rota.cookId && !!cookId && <Text style={styles.hint}>{t('cookRota.suggestionHint')}</Text>}
+        </View>
+        {busy && <ActivityIndicator size="small" color="#FF6B00" />}
+      </View>
+
+      {!busy && (
+        <View style={styles.actions}>
+          {!isMe && (
+            <TouchableOpacity style={styles.primaryBtn} onPress={() => run(() => volunteerToCook(groupId), 'cookRota.volunteered')}>
+              <Text style={styles.primaryBtnText}>{t('cookRota.volunteer')}</Text>
+            </TouchableOpacity>
+          )}
+          {isMe && (
+            <>
+              <TouchableOpacity style={styles.secondaryBtn} onPress={() => run(() => skipTonight(groupId), 'cookRota.skipped')}>
+                <Text style={styles.secondaryBtnText}>{t('cookRota.skip')}</Text>
+              </TouchableOpacity>
+              {others.length > 0 && (
+                <TouchableOpacity style={styles.secondaryBtn} onPress={() => setShowHandOver((v) => !v)}>
+                  <Text style={styles.secondaryBtnText}>{t('cookRota.handOver')}</Text>
+                </TouchableOpacity>
+              )}
+            </>
+          )}
+        </View>
+      )}
+
+      {showHandOver && !busy && (
+        <View style={styles.memberList}>
+          {others.map((m) => (
+            <TouchableOpacity
+              key={m.user_id}
+              style={styles.memberRow}
+              onPress={() => run(() => handOverCooking(groupId, m.user_id), 'cookRota.handedOver')}
+            >
+              <Text style={styles.memberName}>{m.full_name || t('common.unknown')}</Text>
+              <Feather name="chevron-right" size={16} color="#A09485" />
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    padding: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    borderColor: '#EEEBE6',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  text: {
+    flex: 1,
+  },
+  title: {
+    fontSize: 15,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+  },
+  hint: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#A09485',
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 12,
+  },
+  primaryBtn: {
+    backgroundColor: '#FF6B00',
+    borderRadius: 20,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  primaryBtnText: {
+    fontSize: 13,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FFFFFF',
+  },
+  secondaryBtn: {
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+  },
+  secondaryBtnText: {
+    fontSize: 13,
+    fontFamily: 'Inter_500Medium',
+    color: '#6B5B4A',
+  },
+  memberList: {
+    marginTop: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#F0EBE4',
+  },
+  memberRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+  },
+  memberName: {
+    fontSize: 14,
+    fontFamily: 'Inter_400Regular',
+    color: '#1A1000',
+  },
+});
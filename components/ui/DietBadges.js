@@ -0,0 +1,87 @@
+/**
+ * DietBadges
+ *
+ * Row of small pills with the diets a recipe suits (Vegan, Glutenvrij, ...)
+ * and a warning pill when it conflicts with someone's restrictions.
+ * Tags come from meal_data.diet_tags when the voting round stored them,
+ * otherwise they are derived from the ingredients.
+ *
+ * Props:
+ *   recipe       — recipe row or meal_data
+ *   restrictions — restrictions to check (e.g. the user's own); optional
+ *   max          — max number of diet pills (default 3)
+ */
+
+import React from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
+import { getRecipeDietTags, getRecipeConflicts } from '../../lib/dietaryProfiles';
+
+// Shown when the recipe suits them; vegan already implies vegetarian
+const HIGHLIGHTED = ['vegan', 'vegetarian', 'pescatarian', 'gluten_free', 'lactose_free'];
+
+export default function DietBadges({ recipe, restrictions = [], max = 3, style }) {
+  const { t } = useTranslation();
+  if (!recipe) return null;
+
+  const tags = recipe.diet_tags || getRecipeDietTags(recipe);
+  const conflicts = restrictions.length
+    ? getRecipeConflicts(recipe, restrictions)
+    : recipe.diet_conflicts || [];
+
+  const shown = HIGHLIGHTED
+    .filter((tag) => tags.includes(tag))
+    .filter((tag) => !(tag === 'vegetarian' && tags.includes('vegan')))
+    .filter((tag) => !(tag === 'pescatarian' && tags.includes('vegetarian')))
+    .slice(0, max);
+
+  if (!shown.length && !conflicts.length) return null;
+
+  return (
+    <View style={[styles.row, style]}>
+      {conflicts.length > 0 && (
+        <View style={[styles.pill, styles.pillConflict]}>
+          <Feather name="alert-triangle" size={11} color="#C0392B" />
+          <Text style={[styles.text, styles.textConflict]} numberOfLines={1}>
+            {t('diet.notSuitable', { diets: conflicts.map((c) => t(`diet.${c}`)).join(', ') })}
+          </Text>
+        </View>
+      )}
+      {shown.map((tag) => (
+        <View key={tag} style={styles.pill}>
+          <Text style={styles.text}>{t(`diet.badge_${tag}`)}</Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+    marginTop: 6,
+  },
+  pill: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 3,
+    paddingHorizontal: 8,
+    borderRadius: 10,
+    backgroundColor: '#EAF5EC',
+  },
+  pillConflict: {
+    backgroundColor: '#FDECEA',
+  },
+  text: {
+    fontSize: 11,
+    fontFamily: 'Inter_500Medium',
+    color: '#2E7D4F',
+  },
+  textConflict: {
+    color: '#C0392B',
+  },
+});
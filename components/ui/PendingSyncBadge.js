@@ -0,0 +1,64 @@
+/**
+ * PendingSyncBadge
+ *
+ * Small pill that shows how many offline changes (votes, yes/no, chat,
+ * shopping) are still waiting in the outbox. Turns red when an item failed
+ * and needs attention. Renders nothing when the outbox is empty.
+ *
+ * Props:
+ *   onPress — e.g. navigate to the OutboxScreen
+ */
+
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Text, TouchableOpacity } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
+import { subscribeToOutbox } from '../../lib/outbox';
+
+export default function PendingSyncBadge({ onPress, style }) {
+  const { t } = useTranslation();
+  const [queue, setQueue] = useState([]);
+
+  useEffect(() => subscribeToOutbox(setQueue), []);
+
+  if (!queue.length) return null;
+  const failed = queue.filter(i => i.status === 'failed').length;
+
+  return (
+    <TouchableOpacity
+      style={[styles.badge, failed > 0 && styles.badgeFailed, style]}
+      onPress={onPress}
+      activeOpacity={0.7}
+    >
+      <Feather name={failed > 0 ? 'alert-circle' : 'cloud-off'} size={14} color={failed > 0 ? '#C0392B' : '#6B5A48'} />
+      <Text style={[styles.text, failed > 0 && styles.textFailed]}>
+        {failed > 0 ? t('outbox.failedCount', { count: failed }) : t('outbox.pendingCount', { count: queue.length })}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'center',
+    gap: 6,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 14,
+    backgroundColor: '#F2EEE9',
+    marginBottom: 12,
+  },
+  badgeFailed: {
+    backgroundColor: '#FDECEA',
+  },
+  text: {
+    fontSize: 12,
+    fontFamily: 'Inter_500Medium',
+    color: '#6B5A48',
+  },
+  textFailed: {
+    color: '#C0392B',
+  },
+});
@@ -0,0 +1,174 @@
+/**
+ * ResponseOptions
+ *
+ * The in-between answers under "Ik eet mee / Ik niet": eat along later (with
+ * an expected time), keep a plate, maybe (with a cutoff) and +N guests for
+ * everyone who eats (see lib/dinnerResponses).
+ *
+ * Props:
+ *   response — my answer for tonight
+ *   details  — { eta, guests, maybeUntil }
+ *   onChange — (response, details) new answer; response null clears it
+ */
+
+import React from 'react';
+import { StyleSheet, Text, View, TouchableOpacity } from 'react-native';
+import { useTranslation } from 'react-i18next';
+import {
+  ETA_TIMES,
+  MAYBE_CUTOFFS,
+  MAX_GUESTS,
+  isEating,
+  getTodayAt,
+  formatResponseTime,
+} from '../../lib/dinnerResponses';
+
+const EXTRA_STATES = ['late', 'plate', 'maybe'];
+
+export default function ResponseOptions({ response, details = {}, onChange, style }) {
+  const { t } = useTranslation();
+  const guests = details.guests || 0;
+
+  const toggleState = (state) => {
+    if (response === state) {
+      onChange(null, {});
+      return;
+    }
+    if (state === 'late') onChange('late', { guests, eta: details.eta || ETA_TIMES[1] });
+    else if (state === 'maybe') onChange('maybe', { maybeUntil: getTodayAt(MAYBE_CUTOFFS[2]) });
+    else onChange(state, { guests });
+  };
+
+  const chip = (key, label, active, onPress) => (
+    <TouchableOpacity key={key} style={[styles.chip, active && styles.chipActive]} onPress={onPress} activeOpacity={0.7}>
+      <Text style={[styles.chipText, active && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const now = new Date();
+  const selectedCutoff = formatResponseTime(details.maybeUntil);
+
+  return (
+    <View style={style}>
+      <View style={styles.row}>
+        {EXTRA_STATES.map((state) => chip(state, t(`dinnerResponse.${state}`), response === state, () => toggleState(state)))}
+      </View>
+
+      {response === 'late' && (
+        <>
+          <Text style={styles.label}>{t('dinnerResponse.pickTime')}</Text>
+          <View style={styles.row}>
+            {ETA_TIMES.map((time) => chip(time, time, formatResponseTime(details.eta) === time, () => onChange('late', { ...details, eta: time })))}
+          </View>
+        </>
+      )}
+
+      {response === 'maybe' && (
+        <>
+          <Text style={styles.label}>{t('dinnerResponse.pickCutoff')}</Text>
+          <View style={styles.row}>
+            {MAYBE_CUTOFFS.filter((time) => new Date(getTodayAt(time, now)) > now || time === selectedCutoff)
+              .map((time) => chip(time, time, selectedCutoff === time, () => onChange('maybe', { maybeUntil: getTodayAt(time) })))}
+          </View>
+        </>
+      )}
+
+      {isEating(response) && (
+        <View style={styles.guestsRow}>
+          <Text style={styles.guestsLabel}>{t('dinnerResponse.guestsLabel')}</Text>
+          <View style={styles.stepper}>
+            <TouchableOpacity
+              style={styles.stepBtn}
+              disabled={guests <= 0}
+              onPress={() => onChange(response, { ...details, guests: guests - 1 })}
+            >
+              <Text style={[styles.stepText, guests <= 0 && styles.stepTextDisabled]}>−</Text>
+            </TouchableOpacity>
+            <Text style={styles.stepValue}>{guests > 0 ? t('dinnerResponse.guests', { count: guests }) : '0'}</Text>
+            <TouchableOpacity
+              style={styles.stepBtn}
+              disabled={guests >= MAX_GUESTS}
+              onPress={() => onChange(response, { ...details, guests: guests + 1 })}
+            >
+              <Text style={[styles.stepText, guests >= MAX_GUESTS && styles.stepTextDisabled]}>+</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 10,
+  },
+  chip: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    backgroundColor: '#FFFFFF',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+  },
+  chipActive: {
+    borderColor: '#FF6B00',
+    backgroundColor: '#FFF3EA',
+  },
+  chipText: {
+    fontSize: 13,
+    fontFamily: 'Inter_500Medium',
+    color: '#6B5B4A',
+  },
+  chipTextActive: {
+    color: '#FF6B00',
+  },
+  label: {
+    fontSize: 12,
+    fontFamily: 'Inter_500Medium',
+    color: '#A09485',
+    marginTop: 12,
+  },
+  guestsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  guestsLabel: {
+    fontSize: 13,
+    fontFamily: 'Inter_500Medium',
+    color: '#6B5B4A',
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
+  stepBtn: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stepText: {
+    fontSize: 18,
+    color: '#FF6B00',
+  },
+  stepTextDisabled: {
+    color: '#D5CEC5',
+  },
+  stepValue: {
+    minWidth: 64,
+    textAlign: 'center',
+    fontSize: 13,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+  },
+});
@@ -0,0 +1,367 @@
+/**
+ * RoundSetupModal
+ *
+ * The "round setup" step before a new voting round: max cooking time, max
+ * cost per person, cuisines to include or leave out and "only our group's
+ * recipes" (see lib/roundConstraints). The last setup is remembered per
+ * group on this device.
+ *
+ * Props:
+ *   visible  — show the modal
+ *   groupId  — group the round is for (cuisines, remembered setup)
+ *   loading  — the round is being created
+ *   tooFew   — { matched, tightest } when the last attempt matched too few recipes
+ *   onCancel — close without starting
+ *   onStart  — (constraints) start the round
+ */
+
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Text, View, Modal, ScrollView, TouchableOpacity, ActivityIndicator, Dimensions } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Feather } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
+import { getVotingCuisines } from '../../lib/recipesService';
+import { normalizeRoundConstraints } from '../../lib/roundConstraints';
+import { lightHaptic } from '../../lib/haptics';
+
+const { width: screenWidth } = Dimensions.get('window');
+
+// null = no limit
+const MINUTE_STEPS = [null, 20, 30, 45, 60, 90];
+const COST_STEPS = [null, 3, 5, 7.5, 10, 15];
+
+const storageKey = (groupId) => `round_constraints_${groupId}`;
+
+// Cuisine chip cycles: no preference -> include -> exclude -> no preference
+const nextCuisineState = (state) => (state === 'include' ? 'exclude' : state === 'exclude' ? null : 'include');
+
+export default function RoundSetupModal({ visible, groupId, loading = false, tooFew = null, onCancel, onStart }) {
+  const { t } = useTranslation();
+  const [cuisines, setCuisines] = useState([]);
+  const [maxMinutes, setMaxMinutes] = useState(null);
+  const [maxCost, setMaxCost] = useState(null);
+  const [cuisineStates, setCuisineStates] = useState({});
+  const [groupOnly, setGroupOnly] = useState(false);
+
+  useEffect(() => {
+    if (!visible || !groupId) return undefined;
+    let active = true;
+    (async () => {
+      const [list, stored] = await Promise.all([
+        getVotingCuisines(groupId),
+        AsyncStorage.getItem(storageKey(groupId)).catch(() => null),
+      ]);
+      if (!active) return;
+      setCuisines(list);
+      const last = normalizeRoundConstraints(stored ? JSON.parse(stored) : {});
+      setMaxMinutes(last.maxMinutes);
+      setMaxCost(last.maxCostPerPerson);
+      setGroupOnly(last.groupOnly);
+      setCuisineStates({
+        ...Object.fromEntries(last.includeCuisines.map((c) => [c, 'include'])),
+        ...Object.fromEntries(last.excludeCuisines.map((c) => [c, 'exclude'])),
+      });
+    })();
+    return () => { active = false; };
+  }, [visible, groupId]);
+
+  const step = (steps, value, setValue, direction) => {
+    const index = Math.max(0, steps.indexOf(value));
+    const next = steps[Math.min(steps.length - 1, Math.max(0, index + direction))];
+    if (next !== value) {
+      lightHaptic();
+      setValue(next);
+    }
+  };
+
+  const toggleCuisine = (cuisine) => {
+    lightHaptic();
+    const key = cuisine.toLowerCase();
+    setCuisineStates((prev) => ({ ...prev, [key]: nextCuisineState(prev[key]) }));
+  };
+
+  const handleStart = () => {
+    const constraints = normalizeRoundConstraints({
+      maxMinutes,
+      maxCostPerPerson: maxCost,
+      includeCuisines: Object.keys(cuisineStates).filter((c) => cuisineStates[c] === 'include'),
+      excludeCuisines: Object.keys(cuisineStates).filter((c) => cuisineStates[c] === 'exclude'),
+      groupOnly,
+    });
+    AsyncStorage.setItem(storageKey(groupId), JSON.stringify(constraints)).catch(() => {});
+    onStart(constraints);
+  };
+
+  const renderStepper = (label, value, steps, setValue, format) => (
+    <View style={styles.row}>
+      <Text style={styles.rowTitle}>{label}</Text>
+      <View style={styles.stepper}>
+        <TouchableOpacity onPress={() => step(steps, value, setValue, -1)} style={styles.stepperButton} disabled={value == null}>
+          <Feather name="minus" size={16} color={value == null ? '#D0CCC7' : '#FF6B00'} />
+        </TouchableOpacity>
+        <Text style={styles.stepperValue}>{value == null ? t('roundSetup.noLimit') : format(value)}</Text>
+        <TouchableOpacity
+          onPress={() => step(steps, value, setValue, 1)}
+          style={styles.stepperButton}
+          disabled={value === steps[steps.length - 1]}
+        >
+          <Feather name="plus" size={16} color={value === steps[steps.length - 1] ? '#D0CCC7' : '#FF6B00'} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <TouchableOpacity style={styles.backdrop} onPress={onCancel} activeOpacity={1} />
+        <View style={styles.modal}>
+          <Text style={styles.title}>{t('roundSetup.title')}</Text>
+          <Text style={styles.subtitle}>{t('roundSetup.subtitle')}</Text>
+
+          <ScrollView style={styles.scroll} contentContainerStyle={styles.scrollContent}>
+            {renderStepper(t('roundSetup.maxTime'), maxMinutes, MINUTE_STEPS, setMaxMinutes,
+              (v) => t('roundSetup.minutes', { count: v }))}
+            {renderStepper(t('roundSetup.maxCost'), maxCost, COST_STEPS, setMaxCost,
+              (v) => t('roundSetup.costPerPerson', { amount: v.toFixed(2).replace('.', ',') }))}
+
+            <TouchableOpacity style={styles.row} onPress={() => { lightHaptic(); setGroupOnly(!groupOnly); }} activeOpacity={0.7}>
+              <View style={styles.rowText}>
+                <Text style={styles.rowTitle}>{t('roundSetup.groupOnly')}</Text>
+                <Text style={styles.rowMeta}>{t('roundSetup.groupOnlyHint')}</Text>
+              </View>
+              <Feather name={groupOnly ? 'check-square' : 'square'} size={20} color={groupOnly ? '#FF6B00' : '#D0CCC7'} />
+            </TouchableOpacity>
+
+            {cuisines.length > 0 && (
+              <>
+                <Text style={styles.sectionTitle}>{t('roundSetup.cuisines')}</Text>
+                <Text style={styles.rowMeta}>{t('roundSetup.cuisinesHint')}</Text>
+                <View style={styles.chips}>
+                  {cuisines.map((cuisine) => {
+                    const state = cuisineStates[cuisine.toLowerCase()];
+                    return (
+                      <TouchableOpacity
+                        key={cuisine}
+                        style={[styles.chip, state === 'include' && styles.chipInclude, state === 'exclude' && styles.chipExclude]}
+                        onPress={() => toggleCuisine(cuisine)}
+                      >
+                        {state && <Feather name={state === 'include' ? 'check' : 'x'} size={12} color="#FFFFFF" />}
+                        <Text style={[styles.chipText, state && styles.chipTextActive]}>{cuisine}</Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </>
+            )}
+          </ScrollView>
+
+          {tooFew && (
+            <View style={styles.warning}>
+              <Feather name="alert-circle" size={16} color="#CC4444" />
+              <Text style={styles.warningText}>
+                {t('roundSetup.tooFew', { count: tooFew.matched })}
+                {tooFew.tightest ? ` ${t(`roundSetup.loosen_${tooFew.tightest}`)}` : ''}
+              </Text>
+            </View>
+          )}
+
+          <View style={styles.buttons}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+              <Text style={styles.cancelButtonText}>{t('common.cancel')}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.confirmButton} onPress={handleStart} disabled={loading}>
+              {loading ? (
+                <ActivityIndicator color="#FFF" size="small" />
+              ) : (
+                <Text style={styles.confirmButtonText}>{t('roundSetup.start')}</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  backdrop: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  modal: {
+    backgroundColor: '#FDFCFA',
+    borderRadius: 28,
+    padding: 24,
+    width: screenWidth - 48,
+    maxWidth: 380,
+    maxHeight: '85%',
+    shadowColor: '#FF6B00',
+    shadowOffset: { width: 0, height: 12 },
+    shadowOpacity: 0.12,
+    shadowRadius: 32,
+    elevation: 12,
+  },
+  title: {
+    fontSize: 22,
+    fontFamily: 'PlayfairDisplay_700Bold',
+    color: '#1A1000',
+    textAlign: 'center',
+    marginBottom: 6,
+  },
+  subtitle: {
+    fontSize: 14,
+    fontFamily: 'Inter_400Regular',
+    color: '#999',
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  scroll: {
+    flexGrow: 0,
+  },
+  scrollContent: {
+    paddingBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    marginBottom: 6,
+    gap: 12,
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 14,
+    fontFamily: 'Inter_500Medium',
+    color: '#1A1000',
+  },
+  rowMeta: {
+    fontSize: 12,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+    marginTop: 2,
+    lineHeight: 16,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  stepperButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  stepperValue: {
+    fontSize: 14,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+    minWidth: 64,
+    textAlign: 'center',
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+    marginTop: 12,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 10,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#E8E2DA',
+    backgroundColor: '#FFFFFF',
+  },
+  chipInclude: {
+    backgroundColor: '#3D9A50',
+    borderColor: '#3D9A50',
+  },
+  chipExclude: {
+    backgroundColor: '#CC4444',
+    borderColor: '#CC4444',
+  },
+  chipText: {
+    fontSize: 13,
+    fontFamily: 'Inter_500Medium',
+    color: '#6B5A48',
+  },
+  chipTextActive: {
+    color: '#FFFFFF',
+  },
+  warning: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 8,
+    backgroundColor: '#FDECEC',
+    borderRadius: 10,
+    padding: 10,
+    marginTop: 12,
+  },
+  warningText: {
+    flex: 1,
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#8A2A2A',
+    lineHeight: 18,
+  },
+  buttons: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 16,
+  },
+  cancelButton: {
+    flex: 1,
+    paddingVertical: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    backgroundColor: '#F0EDE8',
+  },
+  cancelButtonText: {
+    fontSize: 16,
+    fontFamily: 'Inter_500Medium',
+    color: '#8B8580',
+  },
+  confirmButton: {
+    flex: 1,
+    paddingVertical: 16,
+    borderRadius: 16,
+    alignItems: 'center',
+    backgroundColor: '#FF6B00',
+  },
+  confirmButtonText: {
+    fontSize: 16,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#FEFEFE',
+  },
+});
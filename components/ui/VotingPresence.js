@@ -0,0 +1,99 @@
+/**
+ * VotingPresence
+ *
+ * Who of tonight's eaters has finished voting, who is swiping right now and
+ * who hasn't started. "Done" comes from the votes, "swiping" from the
+ * round's realtime presence channel (see lib/liveVotes).
+ *
+ * Props:
+ *   requestId   — the round
+ *   groupId     — its group (members and today's yes responses)
+ *   votes       — meal_votes rows of the round (from the live tally)
+ *   optionCount — number of options in the round
+ */
+
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+import { Feather } from '@expo/vector-icons';
+import { useTranslation } from 'react-i18next';
+import { getGroupMembers } from '../../lib/groupsService';
+import { getYesResponders } from '../../lib/dailyResponseService';
+import { subscribeToVotingPresence, getVotingStatus } from '../../lib/liveVotes';
+
+const GROUPS = [
+  { key: 'done', icon: 'check-circle', color: '#3D9A50' },
+  { key: 'swiping', icon: 'loader', color: '#FF6B00' },
+  { key: 'waiting', icon: 'clock', color: '#A09485' },
+];
+
+export default function VotingPresence({ requestId, groupId, votes = [], optionCount = 0, style }) {
+  const { t } = useTranslation();
+  const [names, setNames] = useState({});
+  const [eaterIds, setEaterIds] = useState([]);
+  const [presence, setPresence] = useState([]);
+
+  useEffect(() => {
+    if (!groupId) return undefined;
+    let active = true;
+    (async () => {
+      const [membersRes, yesIds] = await Promise.all([getGroupMembers(groupId), getYesResponders(groupId)]);
+      if (!active) return;
+      setNames(Object.fromEntries((membersRes.members || []).map((m) => [m.user_id, m.full_name])));
+      setEaterIds(yesIds);
+    })();
+    return () => { active = false; };
+  }, [groupId]);
+
+  useEffect(() => subscribeToVotingPresence(requestId, setPresence), [requestId]);
+
+  const status = getVotingStatus({ eaterIds, votes, optionCount, presence });
+  if (!status.done.length && !status.swiping.length && !status.waiting.length) return null;
+
+  const progressOf = Object.fromEntries(presence.map((p) => [p.user_id, p]));
+  const nameOf = (id) => names[id] || progressOf[id]?.name || t('common.unknown');
+
+  return (
+    <View style={[styles.container, style]}>
+      {GROUPS.filter((group) => status[group.key].length > 0).map((group) => (
+        <View key={group.key} style={styles.row}>
+          <Feather name={group.icon} size={13} color={group.color} style={styles.icon} />
+          <Text style={styles.label}>{t(`liveVotes.${group.key}`)}</Text>
+          <Text style={styles.names} numberOfLines={2}>
+            {status[group.key].map((id) => {
+              const progress = progressOf[id];
+              return group.key === 'swiping' && progress?.total
+                ? `${nameOf(id)} (${progress.voted}/${progress.total})`
+                : nameOf(id);
+            }).join(', ')}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  icon: {
+    marginTop: 2,
+    marginRight: 6,
+  },
+  label: {
+    fontSize: 13,
+    fontFamily: 'Inter_600SemiBold',
+    color: '#1A1000',
+    marginRight: 6,
+  },
+  names: {
+    flex: 1,
+    fontSize: 13,
+    fontFamily: 'Inter_400Regular',
+    color: '#6B5A48',
+  },
+});
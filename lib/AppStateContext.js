@@ -11,6 +11,20 @@ import { loadAllGroupsOverview, preloadAllGroupData as batchPreloadAllGroupData,
 import { log, debugError } from './debugConfig';
 import { loadRecipeExtras } from './recipeExtrasService';
 import { sortTopMeals } from './sortTopMeals';
+import { getDashboardTopMeals } from './votingMethods';
+import { checkAndPerformMidnightReset } from './midnightResetService';
+import { runDeadlineChecks } from './roundCloseService';
+import { applyAutoResponses } from './standingRsvpService';
+import { flushOutbox } from './outbox';
+import { getDinnerDay } from './dinnerDay';
+import {
+  getDinnerDayKey,
+  getGroupToday,
+  getGroupTodaySync,
+  getKnownDayOptions,
+  getMsUntilNextRollover,
+  rememberGroupDayOptions,
+} from './dinnerDayService';
 
 // AsyncStorage keys for persistent caching
 const STORAGE_KEYS = {
@@ -34,6 +48,9 @@ const CACHE_EXPIRY = {
   RECIPES: 60 * 60 * 1000           // 1 hour - recipes change rarely
 };
 
+// How often open rounds are checked against their deadline
+const DEADLINE_CHECK_INTERVAL_MS = 60 * 1000;
+
 // Initial state
 const initialState = {
   // User data
@@ -409,16 +426,19 @@ export const AppStateProvider = ({ children }) => {
   const [state, dispatch] = useReducer(appStateReducer, initialState);
   const midnightResetPerformed = useRef(false);
   const initialLoadPerformed = useRef(false);
-  const lastCheckedDate = useRef(new Date().toISOString().split('T')[0]);
+  const lastCheckedDate = useRef(getDinnerDayKey());
 
   // Check if date has changed (for midnight reset while app is open)
   const checkDateChange = useCallback(async () => {
-    const today = new Date().toISOString().split('T')[0];
+    const today = getDinnerDayKey();
     if (lastCheckedDate.current !== today) {
       log.cache('Date changed from', lastCheckedDate.current, 'to', today, '- performing midnight reset...');
       lastCheckedDate.current = today;
 
       try {
+        // Close yesterday's rounds (snapshot top 3, merge duplicates) before refetching
+        await checkAndPerformMidnightReset({ force: true });
+
         // Clear AsyncStorage daily responses (prevents stale data on next app launch)
         await AsyncStorage.removeItem(STORAGE_KEYS.CACHED_DAILY_RESPONSES);
         log.cache('Cleared AsyncStorage daily responses cache');
@@ -465,16 +485,28 @@ export const AppStateProvider = ({ children }) => {
       midnightResetPerformed.current = true;
       log.cache('Checking for date change on app startup...');
       checkDateChange();
+      checkAndPerformMidnightReset();
+      // Today's standing RSVPs and absences (lib/standingRsvp)
+      applyAutoResponses();
+      // Send whatever was queued while offline last session
+      flushOutbox();
     }
   }, [checkDateChange]);
 
-  // Schedule a timer for the next midnight so responses reset even if the app stays open
+  // Close rounds at their deadline (and send deadline reminders) while the app is open
+  useEffect(() => {
+    runDeadlineChecks();
+    const interval = setInterval(() => {
+      if (AppState.currentState === 'active') runDeadlineChecks();
+    }, DEADLINE_CHECK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Schedule a timer for the next dinner day (group timezone and rollover hour,
+  // lib/dinnerDay) so responses reset even if the app stays open
   useEffect(() => {
     const scheduleMidnightTimer = () => {
-      const now = new Date();
-      const midnight = new Date(now);
-      midnight.setHours(24, 0, 0, 0); // next midnight
-      const msUntilMidnight = midnight.getTime() - now.getTime();
+      const msUntilMidnight = getMsUntilNextRollover();
 
       log.cache('Scheduling midnight reset timer in', Math.round(msUntilMidnight / 1000 / 60), 'minutes');
       return setTimeout(() => {
@@ -498,6 +530,10 @@ export const AppStateProvider = ({ children }) => {
       if (appStateRef.current.match(/inactive|background/) && nextAppState === 'active') {
         log.cache('App returned to foreground, checking for date change...');
         checkDateChange();
+        checkAndPerformMidnightReset();
+        applyAutoResponses();
+        runDeadlineChecks();
+        flushOutbox();
       }
       appStateRef.current = nextAppState;
     });
@@ -509,7 +545,7 @@ export const AppStateProvider = ({ children }) => {
     if (!lastUpdated) return false;
     
     // Check if date has changed (cache is stale if day changed)
-    const today = new Date().toISOString().split('T')[0];
+    const today = getDinnerDayKey();
     if (lastCheckedDate.current !== today) {
       // Trigger date change check asynchronously
       checkDateChange();
@@ -584,7 +620,7 @@ export const AppStateProvider = ({ children }) => {
   // Load cached daily responses from AsyncStorage
   // Only dispatches if cache is empty to avoid double-render
   const loadCachedDailyResponses = useCallback(async () => {
-    const today = new Date().toISOString().split('T')[0];
+    const today = getDinnerDayKey();
 
     // If in-memory cache exists, verify it's from today before using it
     if (state.dailyResponsesCache && Object.keys(state.dailyResponsesCache).length > 0) {
@@ -626,7 +662,7 @@ export const AppStateProvider = ({ children }) => {
   // Save daily responses to AsyncStorage
   const saveCachedDailyResponses = useCallback(async (groupId, responses) => {
     try {
-      const today = new Date().toISOString().split('T')[0];
+      const today = getDinnerDayKey();
       const existingRaw = await AsyncStorage.getItem(STORAGE_KEYS.CACHED_DAILY_RESPONSES);
       const existing = existingRaw ? JSON.parse(existingRaw) : { date: today, responses: {} };
       
@@ -866,7 +902,7 @@ export const AppStateProvider = ({ children }) => {
   const loadDailyResponses = useCallback(async (groupId, force = false) => {
     if (state.isGuest || !groupId) return {};
     
-    const today = new Date().toISOString().split('T')[0];
+    const today = getDinnerDayKey();
     const cached = state.dailyResponsesCache[groupId];
     
     // Check if cache is valid (same day and not expired)
@@ -881,7 +917,7 @@ export const AppStateProvider = ({ children }) => {
         .from('daily_responses')
         .select('user_id, response')
         .eq('group_id', groupId)
-        .eq('response_date', today);
+        .eq('response_date', await getGroupToday(groupId));
 
       if (error) {
         debugError('CACHE', 'Error loading daily responses:', error);
@@ -910,7 +946,7 @@ export const AppStateProvider = ({ children }) => {
 
   // Update single response in cache (for optimistic updates)
   const updateCachedResponse = useCallback((groupId, userId, response) => {
-    const today = new Date().toISOString().split('T')[0];
+    const today = getDinnerDayKey();
     dispatch({ 
       type: actionTypes.UPDATE_SINGLE_RESPONSE, 
       payload: { groupId, userId, response, date: today } 
@@ -1140,7 +1176,7 @@ export const AppStateProvider = ({ children }) => {
         
         // ALSO save to AsyncStorage for instant loading on next app start
         try {
-          const today = new Date().toISOString().split('T')[0];
+          const today = getDinnerDayKey();
           await AsyncStorage.setItem(STORAGE_KEYS.CACHED_EXPANSION_DATA, JSON.stringify({
             date: today,
             data: result.preloadedData,
@@ -1163,7 +1199,7 @@ export const AppStateProvider = ({ children }) => {
           
           // Cache daily responses
           if (data.responses && Object.keys(data.responses).length > 0) {
-            const today = new Date().toISOString().split('T')[0];
+            const today = getDinnerDayKey();
             dispatch({ 
               type: actionTypes.SET_DAILY_RESPONSES, 
               payload: { groupId, responses: data.responses, date: today } 
@@ -1204,7 +1240,7 @@ export const AppStateProvider = ({ children }) => {
       const cached = await AsyncStorage.getItem(STORAGE_KEYS.CACHED_EXPANSION_DATA);
       if (cached) {
         const data = JSON.parse(cached);
-        const today = new Date().toISOString().split('T')[0];
+        const today = getDinnerDayKey();
         
         // Only use if from today and not too old (< 30 min)
         if (data.date === today && data.data && data.timestamp) {
@@ -1318,28 +1354,40 @@ export const AppStateProvider = ({ children }) => {
       
       // Build preloaded expansion data from the dashboard response
       const preloadedData = {};
-      const today = new Date().toISOString().split('T')[0];
+      rememberGroupDayOptions(result.groups);
+      const today = getDinnerDayKey();
       const timestamp = Date.now();
       
-      const isTodayDate = (dateStr) => {
-        if (!dateStr) return false;
-        const d = new Date(dateStr);
-        const now = new Date();
-        return d.getFullYear() === now.getFullYear() &&
-          d.getMonth() === now.getMonth() &&
-          d.getDate() === now.getDate();
-      };
+      // Same dinner day as now, in the group's timezone and rollover hour
+      const isTodayDate = (groupId, dateStr) => (
+        !!dateStr && getDinnerDay(dateStr, getKnownDayOptions(groupId)) === getGroupTodaySync(groupId)
+      );
+
+      // The RPC ranks top meals by yes votes; tally today's rounds that use
+      // another voting method on the client
+      const talliedTopMeals = {};
+      await Promise.all((result.groups || [])
+        .filter(g => g.active_meal_request
+          && isTodayDate(g.group_id, g.active_meal_request.created_at)
+          && getDashboardTopMeals(g.active_meal_request, g.top_meals) === null)
+        .map(async (g) => {
+          const res = await getTopVotedMeals(g.active_meal_request.id);
+          talliedTopMeals[g.group_id] = res.success ? res.topMeals : [];
+        }));
 
       (result.groups || []).forEach(g => {
         const groupId = g.group_id;
         
-        const mealRequestIsFromToday = g.active_meal_request && isTodayDate(g.active_meal_request.created_at);
+        const mealRequestIsFromToday = g.active_meal_request && isTodayDate(groupId, g.active_meal_request.created_at);
+        const topMeals = mealRequestIsFromToday
+          ? getDashboardTopMeals(g.active_meal_request, g.top_meals) ?? talliedTopMeals[groupId] ?? []
+          : [];
         
         preloadedData[groupId] = {
           members: g.members || [],
           responses: g.today_responses || {},
           mealRequest: mealRequestIsFromToday ? g.active_meal_request : null,
-          topMeals: mealRequestIsFromToday ? sortTopMeals(g.top_meals || []) : [],
+          topMeals,
           recipeType: mealRequestIsFromToday ? g.active_meal_request?.recipe_type : null,
           timestamp: timestamp
         };
@@ -1369,10 +1417,10 @@ export const AppStateProvider = ({ children }) => {
             } 
           });
           
-          if (g.top_meals?.length > 0) {
+          if (topMeals.length > 0) {
             dispatch({ 
               type: actionTypes.SET_TOP_MEALS, 
-              payload: { requestId: g.active_meal_request.id, meals: sortTopMeals(g.top_meals) } 
+              payload: { requestId: g.active_meal_request.id, meals: topMeals } 
             });
           }
         }
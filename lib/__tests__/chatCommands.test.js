@@ -0,0 +1,40 @@
+/**
+ * Chat command tests: parsing, hint chips, typed triggers
+ */
+
+import {
+  parseChatCommand,
+  getCommandSuggestions,
+  detectChatIntent,
+} from '../chatCommands';
+
+describe('slash commands', () => {
+  it('reads the command in any case and ignores the rest', () => {
+    expect(parseChatCommand('/ja')).toEqual({ command: 'ja' });
+    expect(parseChatCommand('  /NEE sorry ')).toEqual({ command: 'nee' });
+    expect(parseChatCommand('/pizza')).toEqual({ unknown: 'pizza' });
+    expect(parseChatCommand('ja /shop')).toBeNull();
+  });
+
+  it('suggests commands while typing one', () => {
+    expect(getCommandSuggestions('/')).toEqual(['ja', 'nee', 'shop', 'stem', 'wie']);
+    expect(getCommandSuggestions('/s')).toEqual(['shop', 'stem']);
+    expect(getCommandSuggestions('/shop nu')).toEqual([]);
+  });
+});
+
+describe('typed triggers', () => {
+  it('recognises eating along or not', () => {
+    expect(detectChatIntent('Ik eet mee!')).toBe('ja');
+    expect(detectChatIntent('ik eet vanavond ook mee')).toBe('ja');
+    expect(detectChatIntent('Ik eet niet mee, sorry')).toBe('nee');
+    expect(detectChatIntent('ik ben vanavond niet thuis')).toBe('nee');
+  });
+
+  it('recognises groceries and who-questions', () => {
+    expect(detectChatIntent('Wie gaat er boodschappen doen?')).toBe('shop');
+    expect(detectChatIntent('ik doe de boodschappen wel')).toBe('shop');
+    expect(detectChatIntent('wie eet er vanavond mee?')).toBe('wie');
+    expect(detectChatIntent('lekker gegeten')).toBeNull();
+  });
+});
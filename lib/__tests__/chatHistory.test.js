@@ -0,0 +1,62 @@
+/**
+ * Chat history tests: cursors, merging pages, day lines, search filters
+ */
+
+import {
+  getCursor,
+  buildBeforeFilter,
+  mergeMessages,
+  startsNewDay,
+  normalizeSearchQuery,
+  findSenderIds,
+  buildSearchFilter,
+} from '../chatHistory';
+
+const msg = (id, createdAt, extra = {}) => ({ id, user_id: 'u1', message: id, created_at: createdAt, ...extra });
+
+describe('paging', () => {
+  it('pages back from the oldest message that was actually sent', () => {
+    const messages = [
+      msg('temp-1', '2026-11-09T17:00:00Z', { _optimistic: true }),
+      msg('a', '2026-11-09T18:00:00Z'),
+      msg('b', '2026-11-09T18:05:00Z'),
+    ];
+    expect(getCursor(messages)).toEqual({ created_at: '2026-11-09T18:00:00Z', id: 'a' });
+    expect(getCursor([])).toBeNull();
+  });
+
+  it('breaks created_at ties by id', () => {
+    expect(buildBeforeFilter({ created_at: '2026-11-09T18:00:00+00:00', id: 'a1' })).toBe(
+      'created_at.lt."2026-11-09T18:00:00+00:00",and(created_at.eq."2026-11-09T18:00:00+00:00",id.lt."a1")'
+    );
+  });
+
+  it('merges an older page in front without duplicates', () => {
+    const onScreen = [msg('c', '2026-11-09T18:10:00Z'), msg('d', '2026-11-09T18:20:00Z')];
+    const older = [msg('a', '2026-11-08T19:00:00Z'), msg('b', '2026-11-09T18:10:00Z'), msg('c', '2026-11-09T18:10:00Z')];
+    expect(mergeMessages(onScreen, older).map((m) => m.id)).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('draws a day line at the first message of each dinner day', () => {
+    // 23:30 UTC on Nov 9 is already Nov 10 in Amsterdam
+    const messages = [msg('a', '2026-11-09T18:00:00Z'), msg('b', '2026-11-09T22:30:00Z'), msg('c', '2026-11-09T23:30:00Z')];
+    expect(messages.map((_, i) => startsNewDay(messages, i, 'Europe/Amsterdam'))).toEqual([true, false, true]);
+    expect(messages.map((_, i) => startsNewDay(messages, i, { timeZone: 'Europe/Amsterdam', rolloverHour: 4 }))).toEqual([true, false, false]);
+  });
+});
+
+describe('search', () => {
+  it('needs two characters and drops PostgREST wildcards', () => {
+    expect(normalizeSearchQuery(' a ')).toBe('');
+    expect(normalizeSearchQuery('  pasta*  bolo ')).toBe('pasta bolo');
+  });
+
+  it('finds senders by part of their name', () => {
+    expect(findSenderIds('an', { u1: 'Anna', u2: 'Dirk', u3: 'Johan' })).toEqual(['u1', 'u3']);
+  });
+
+  it('matches text literally and includes matching senders', () => {
+    expect(buildSearchFilter('50%, "ok"', [])).toBe('message.ilike."*50\\\\%, \\"ok\\"*"');
+    expect(buildSearchFilter('anna', ['u1'])).toBe('message.ilike."*anna*",user_id.in.(u1)');
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Chat message tests: recipe cards, polls, previews, reactions and tallies
+ */
+
+import {
+  buildRecipeCard,
+  buildPoll,
+  getMessageText,
+  getMessagePreview,
+  getQuoteText,
+  aggregateReactions,
+  applyReactionChange,
+  applyVoteChange,
+  tallyPoll,
+} from '../chatMessages';
+
+const pasta = { id: 'opt-1', meal_data: { name: 'Pasta pesto', ingredients: ['pasta', 'pesto'] } };
+
+describe('recipe cards', () => {
+  it('links a round option or a recipe and keeps a copy of the meal', () => {
+    expect(buildRecipeCard(pasta)).toEqual({ meal_option_id: 'opt-1', recipe_id: null, meal_data: pasta.meal_data });
+    expect(buildRecipeCard({ meal_data: pasta.meal_data }, { recipeId: 'r-9' })).toMatchObject({ meal_option_id: null, recipe_id: 'r-9' });
+    expect(buildRecipeCard({ id: 'x', meal_data: {} })).toBeNull();
+  });
+});
+
+describe('polls', () => {
+  it('drops empty and repeated options and caps at four', () => {
+    expect(buildPoll(' Toetje? ', ['Ijs', '', 'ijs ', 'Fruit', 'Taart', 'Koek', 'Pudding'])).toEqual({
+      question: 'Toetje?',
+      options: ['Ijs', 'Fruit', 'Taart', 'Koek'],
+    });
+  });
+
+  it('needs a question and two options', () => {
+    expect(buildPoll('', ['a', 'b'])).toBeNull();
+    expect(buildPoll('Wat?', ['a', 'A'])).toBeNull();
+  });
+
+  it('tallies votes with shares and my choice', () => {
+    const poll = { question: 'Wanneer?', options: ['18:00', '19:00'] };
+    const votes = [
+      { user_id: 'u1', option_index: 1 },
+      { user_id: 'u2', option_index: 1 },
+      { user_id: 'u3', option_index: 0 },
+      { user_id: 'u4', option_index: 5 },
+    ];
+    expect(tallyPoll(poll, votes, 'u3')).toEqual({
+      options: [
+        { label: '18:00', count: 1, share: 1 / 3 },
+        { label: '19:00', count: 2, share: 2 / 3 },
+      ],
+      total: 3,
+      myChoice: 0,
+    });
+    expect(tallyPoll(poll, [], 'u1').myChoice).toBeNull();
+  });
+});
+
+describe('previews', () => {
+  it('stores a plain-text version for search', () => {
+    expect(getMessageText({ kind: 'recipe', payload: buildRecipeCard(pasta) })).toBe('Pasta pesto');
+    expect(getMessageText({ kind: 'poll', payload: { question: 'Toetje?', options: ['Ijs', 'Fruit'] } })).toBe('Toetje? (Ijs / Fruit)');
+  });
+
+  it('describes each kind in the push body', () => {
+    expect(getMessagePreview({ kind: 'text', message: 'Ik neem wijn mee' }, 'Anna')).toBe('Anna: Ik neem wijn mee');
+    expect(getMessagePreview({ kind: 'text', message: 'Top', reply_to_id: 'm1' }, 'Anna')).toBe('Anna antwoordde: Top');
+    expect(getMessagePreview({ kind: 'recipe', message: 'Pasta pesto', payload: buildRecipeCard(pasta) }, 'Dirk')).toBe('Dirk deelde een recept: Pasta pesto');
+    expect(getMessagePreview({ kind: 'poll', payload: { question: 'Toetje?', options: ['Ijs', 'Fruit'] } }, 'Dirk')).toBe('Dirk vraagt: Toetje? (Ijs / Fruit)');
+    expect(getMessagePreview({ message: 'x'.repeat(200) }, 'Anna')).toHaveLength(100);
+  });
+
+  it('quotes the original on one short line', () => {
+    expect(getQuoteText({ message: 'Eerste regel\ntweede regel' })).toBe('Eerste regel tweede regel');
+    expect(getQuoteText({ kind: 'recipe', payload: buildRecipeCard(pasta) })).toBe('Pasta pesto');
+    expect(getQuoteText({ message: 'y'.repeat(120) })).toHaveLength(80);
+  });
+});
+
+describe('reactions', () => {
+  it('counts each emoji per message, most used first', () => {
+    const rows = [
+      { message_id: 'm1', user_id: 'u1', emoji: '👍' },
+      { message_id: 'm1', user_id: 'u2', emoji: '😋' },
+      { message_id: 'm1', user_id: 'u3', emoji: '😋' },
+      { message_id: 'm2', user_id: 'u2', emoji: '🎉' },
+    ];
+    expect(aggregateReactions(rows, 'u1')).toEqual({
+      m1: [
+        { emoji: '😋', count: 2, mine: false },
+        { emoji: '👍', count: 1, mine: true },
+      ],
+      m2: [{ emoji: '🎉', count: 1, mine: false }],
+    });
+  });
+});
+
+describe('live changes', () => {
+  it('adds a reaction once and removes it by key', () => {
+    const row = { message_id: 'm1', user_id: 'u1', emoji: '👍' };
+    const rows = applyReactionChange([], 'INSERT', row);
+    expect(applyReactionChange(rows, 'INSERT', { ...row })).toBe(rows);
+    expect(applyReactionChange(rows, 'DELETE', { ...row })).toEqual([]);
+  });
+
+  it('keeps one vote per member per poll', () => {
+    const votes = [{ message_id: 'p1', user_id: 'u1', option_index: 0 }, { message_id: 'p2', user_id: 'u1', option_index: 1 }];
+    const moved = applyVoteChange(votes, 'UPDATE', { message_id: 'p1', user_id: 'u1', option_index: 2 });
+    expect(moved.filter((v) => v.message_id === 'p1')).toEqual([{ message_id: 'p1', user_id: 'u1', option_index: 2 }]);
+    expect(applyVoteChange(moved, 'DELETE', { message_id: 'p1', user_id: 'u1' })).toHaveLength(1);
+  });
+});
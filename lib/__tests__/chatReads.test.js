@@ -0,0 +1,61 @@
+/**
+ * Chat read tests: unread counts, badge total, read receipts
+ */
+
+import { formatUnreadCount, toUnreadCounts, getBadgeTotal, getReadReceipts, applyReadChange } from '../chatReads';
+
+const msg = (id, userId, createdAt, extra = {}) => ({ id, user_id: userId, message: id, created_at: createdAt, ...extra });
+
+describe('unread counts', () => {
+  it('keeps only groups with unread messages', () => {
+    const rows = [
+      { group_id: 'g1', unread_count: 3, last_read_at: null },
+      { group_id: 'g2', unread_count: 0, last_read_at: '2026-11-09T18:00:00Z' },
+    ];
+    expect(toUnreadCounts(rows)).toEqual({ g1: 3 });
+  });
+
+  it('caps the label at 99+', () => {
+    expect(formatUnreadCount(5)).toBe('5');
+    expect(formatUnreadCount(140)).toBe('99+');
+  });
+
+  it('adds unread chats and pending votes for the app badge', () => {
+    expect(getBadgeTotal({ g1: 12, g2: 1, g3: 0 }, 2)).toBe(4);
+    expect(getBadgeTotal({}, 0)).toBe(0);
+  });
+});
+
+describe('read receipts', () => {
+  const messages = [
+    msg('a', 'me', '2026-11-09T18:00:00Z'),
+    msg('b', 'anna', '2026-11-09T18:01:00Z'),
+    msg('c', 'me', '2026-11-09T18:02:00Z'),
+    msg('d', 'me', '2026-11-09T18:03:00Z', { _optimistic: true }),
+  ];
+
+  it('shows each member under the newest message they read', () => {
+    const reads = [
+      { user_id: 'anna', last_read_at: '2026-11-09T18:02:30Z' },
+      { user_id: 'dirk', last_read_at: '2026-11-09T18:01:30Z' },
+      { user_id: 'me', last_read_at: '2026-11-09T18:05:00Z' },
+    ];
+    expect(getReadReceipts(messages, reads, 'me')).toEqual({ c: ['anna'], b: ['dirk'] });
+  });
+
+  it('skips members own messages and members who read nothing on screen', () => {
+    const reads = [
+      { user_id: 'anna', last_read_at: '2026-11-09T18:01:30Z' },
+      { user_id: 'dirk', last_read_at: '2026-11-08T10:00:00Z' },
+    ];
+    expect(getReadReceipts(messages, reads, 'me')).toEqual({ a: ['anna'] });
+  });
+
+  it('only moves a member forward', () => {
+    const reads = [{ user_id: 'anna', last_read_at: '2026-11-09T18:02:00Z' }];
+    expect(applyReadChange(reads, { group_id: 'g1', user_id: 'anna', last_read_at: '2026-11-09T18:01:00Z' })).toBe(reads);
+    expect(applyReadChange(reads, { group_id: 'g1', user_id: 'anna', last_read_at: '2026-11-09T18:03:00Z' })).toEqual([
+      { user_id: 'anna', last_read_at: '2026-11-09T18:03:00Z' },
+    ]);
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Cook rota tests: fairness ledger weighted by eaters, turn order and skips
+ */
+
+import { buildCookLedger, rankCooks, pickNextCook } from '../cookRota';
+
+const yes = (userId, date) => ({ user_id: userId, response_date: date, response: 'yes' });
+
+describe('buildCookLedger', () => {
+  it('credits the cook per person fed and debits every other eater', () => {
+    const ledger = buildCookLedger({
+      assignments: [
+        { cook_date: '2026-03-01', cook_id: 'anna' },
+        { cook_date: '2026-03-02', cook_id: 'ben' },
+      ],
+      responses: [
+        yes('anna', '2026-03-01'), yes('ben', '2026-03-01'), yes('cas', '2026-03-01'),
+        yes('ben', '2026-03-02'), yes('anna', '2026-03-02'),
+        { user_id: 'cas', response_date: '2026-03-02', response: 'no' },
+      ],
+    });
+    expect(ledger.anna).toEqual({ cookedFor: 2, ate: 1, timesCooked: 1, lastCooked: '2026-03-01', balance: 1 });
+    expect(ledger.ben).toEqual({ cookedFor: 1, ate: 1, timesCooked: 1, lastCooked: '2026-03-02', balance: 0 });
+    expect(ledger.cas.balance).toBe(-1);
+  });
+
+  it('ignores days without a cook', () => {
+    expect(buildCookLedger({ assignments: [{ cook_date: '2026-03-01', cook_id: null }], responses: [yes('anna', '2026-03-01')] }))
+      .toEqual({});
+  });
+});
+
+describe('rankCooks', () => {
+  const ledger = {
+    anna: { cookedFor: 2, ate: 1, timesCooked: 1, lastCooked: '2026-03-01', balance: 1 },
+    ben: { cookedFor: 1, ate: 1, timesCooked: 1, lastCooked: '2026-03-02', balance: 0 },
+    dirk: { cookedFor: 1, ate: 1, timesCooked: 1, lastCooked: '2026-02-20', balance: 0 },
+  };
+
+  it('puts whoever owes the most meals first, then whoever cooked longest ago', () => {
+    const order = rankCooks({ candidateIds: ['anna', 'ben', 'cas', 'dirk'], ledger }).map((r) => r.user_id);
+    // cas never cooked, so goes before dirk and ben on the same balance
+    expect(order).toEqual(['cas', 'dirk', 'ben', 'anna']);
+  });
+
+  it('leaves out members who passed and returns null when everyone did', () => {
+    expect(pickNextCook({ candidateIds: ['anna', 'ben'], ledger, skippedIds: ['ben'] })).toBe('anna');
+    expect(pickNextCook({ candidateIds: ['anna'], ledger, skippedIds: ['anna'] })).toBeNull();
+  });
+});
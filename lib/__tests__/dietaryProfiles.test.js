@@ -0,0 +1,72 @@
+/**
+ * Dietary profile tests: ingredient tagging, conflicts and voting pool filtering
+ */
+
+import {
+  detectIngredientFlags,
+  getRecipeDietTags,
+  getRecipeConflicts,
+  filterRecipesForRestrictions,
+  mergeRestrictions,
+} from '../dietaryProfiles';
+
+const stamppot = { id: 'stamppot', ingredients: ['1 kg aardappelen', '500 g boerenkool', '1 rookworst', '100 ml melk', '50 g boter'] };
+const curry = { id: 'curry', ingredients: ['400 ml kokosmelk', '1 bloemkool', '2 el currypasta', '1 tl nootmuskaat', 'rijst'] };
+const pesto = { id: 'pesto', ingredients: ['400 g spaghetti', '1 potje pesto', '50 g Parmezaanse kaas'] };
+const zalm = { id: 'zalm', ingredients: ['2 zalmfilets', '1 citroen', 'dille'] };
+
+describe('detectIngredientFlags', () => {
+  it('catches Dutch compounds and English ingredients', () => {
+    expect(detectIngredientFlags(['600 g kippendijfilet', '2 eieren', '250 g tarwebloem'])).toEqual(['egg', 'gluten', 'meat']);
+    expect(detectIngredientFlags(['4 shrimps', '1 tbsp peanut butter', '2 tbsp honey'])).toEqual(['honey', 'peanuts', 'shellfish']);
+    expect(detectIngredientFlags(stamppot.ingredients)).toEqual(['dairy', 'meat', 'pork']);
+  });
+
+  it('ignores look-alikes and plant-based substitutes', () => {
+    expect(detectIngredientFlags(curry.ingredients)).toEqual([]);
+    expect(detectIngredientFlags(['300 g vegetarisch gehakt', '100 g vegan kaas', '1 ananas'])).toEqual([]);
+    expect(detectIngredientFlags([{ name: '250 g champignons' }, 'mushroom'])).toEqual([]);
+    expect(detectIngredientFlags(['1 butternut squash', '1 pot pastasaus'])).toEqual([]);
+    expect(detectIngredientFlags(['2 tonijnsteaks', '1 zalmsteak', '1 tonijnsteak'])).toEqual(['fish']);
+  });
+});
+
+describe('recipe tags and conflicts', () => {
+  it('derives the diets a recipe suits', () => {
+    expect(getRecipeDietTags(curry)).toEqual(expect.arrayContaining(['vegan', 'vegetarian', 'gluten_free', 'nut_allergy']));
+    expect(getRecipeDietTags(zalm)).toEqual(expect.arrayContaining(['pescatarian', 'gluten_free']));
+    expect(getRecipeDietTags(zalm)).not.toContain('vegetarian');
+    expect(getRecipeDietTags({ meal_data: { ingredients: pesto.ingredients } })).toContain('vegetarian');
+  });
+
+  it('does not tag recipes without ingredients', () => {
+    expect(getRecipeDietTags({ name: 'Pizza' })).toEqual([]);
+  });
+
+  it('lists the restrictions a recipe breaks', () => {
+    expect(getRecipeConflicts(stamppot, ['vegetarian', 'halal', 'nut_allergy'])).toEqual(['vegetarian', 'halal']);
+    expect(getRecipeConflicts(pesto, ['gluten_free', 'nut_allergy'])).toEqual(['gluten_free', 'nut_allergy']);
+    expect(getRecipeConflicts(pesto, [])).toEqual([]);
+  });
+});
+
+describe('filterRecipesForRestrictions', () => {
+  const pool = [stamppot, pesto, curry, zalm];
+
+  it('puts meals that fit first and only fills up with conflicting ones', () => {
+    const result = filterRecipesForRestrictions(pool, ['vegetarian', 'nut_allergy'], 3);
+    expect(result.map((r) => r.id)).toEqual(['curry', 'stamppot', 'pesto']);
+    expect(result[0].diet_conflicts).toEqual([]);
+    expect(result[1].diet_conflicts).toEqual(['vegetarian']);
+  });
+
+  it('keeps the order and tags every recipe without restrictions', () => {
+    const result = filterRecipesForRestrictions(pool);
+    expect(result.map((r) => r.id)).toEqual(['stamppot', 'pesto', 'curry', 'zalm']);
+    expect(result.every((r) => Array.isArray(r.diet_tags) && r.diet_conflicts.length === 0)).toBe(true);
+  });
+
+  it('merges the restrictions of everyone eating', () => {
+    expect(mergeRestrictions([['vegan'], null, ['halal', 'vegan'], []])).toEqual(['vegan', 'halal']);
+  });
+});
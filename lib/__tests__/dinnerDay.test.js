@@ -0,0 +1,91 @@
+/**
+ * Dinner day tests: group timezone, rollover hour, DST transitions
+ */
+
+import {
+  toDayOptions,
+  getGroupDayOptions,
+  getDinnerDay,
+  getDinnerDayStart,
+  getDinnerDayRange,
+  getDinnerDayTime,
+  getMsUntilNextDinnerDay,
+  DEFAULT_GROUP_TIMEZONE,
+} from '../dinnerDay';
+
+const HOUR_MS = 60 * 60 * 1000;
+const AMS = 'Europe/Amsterdam';
+const lateHouse = { timeZone: AMS, rolloverHour: 4 };
+const rangeHours = (day, options) => {
+  const { start, end } = getDinnerDayRange(day, options);
+  return (new Date(end) - new Date(start)) / HOUR_MS;
+};
+
+describe('day options', () => {
+  it('reads groups rows and falls back to the defaults', () => {
+    expect(getGroupDayOptions({ timezone: 'America/New_York', day_rollover_hour: 4 })).toEqual({ timeZone: 'America/New_York', rolloverHour: 4 });
+    expect(getGroupDayOptions(null)).toEqual({ timeZone: DEFAULT_GROUP_TIMEZONE, rolloverHour: 0 });
+    expect(toDayOptions('Not/AZone')).toEqual({ timeZone: DEFAULT_GROUP_TIMEZONE, rolloverHour: 0 });
+    expect(toDayOptions({ timeZone: AMS, rolloverHour: 9 }).rolloverHour).toBe(6);
+  });
+});
+
+describe('getDinnerDay', () => {
+  it('is already tomorrow in Amsterdam while UTC is still on today', () => {
+    // 00:30 on Nov 10 in Amsterdam, 23:30 on Nov 9 in UTC
+    expect(getDinnerDay('2026-11-09T23:30:00Z', AMS)).toBe('2026-11-10');
+    expect(getDinnerDay('2026-11-09T23:30:00Z', 'America/New_York')).toBe('2026-11-09');
+  });
+
+  it('stays on last night until the rollover hour', () => {
+    expect(getDinnerDay('2026-11-10T02:30:00Z', lateHouse)).toBe('2026-11-09'); // 03:30
+    expect(getDinnerDay('2026-11-10T03:00:00Z', lateHouse)).toBe('2026-11-10'); // 04:00
+  });
+
+  it('follows the wall clock over the spring-forward night', () => {
+    // 2026-03-29: 02:00 CET jumps to 03:00 CEST at 01:00 UTC
+    const options = { timeZone: AMS, rolloverHour: 2 };
+    expect(getDinnerDay('2026-03-29T00:30:00Z', options)).toBe('2026-03-28'); // 01:30 CET
+    expect(getDinnerDay('2026-03-29T01:00:00Z', options)).toBe('2026-03-29'); // 03:00 CEST
+  });
+
+  it('follows the wall clock over the fall-back night', () => {
+    // 2026-10-25: 03:00 CEST falls back to 02:00 CET at 01:00 UTC
+    const options = { timeZone: AMS, rolloverHour: 2 };
+    expect(getDinnerDay('2026-10-24T23:30:00Z', options)).toBe('2026-10-24'); // 01:30 CEST
+    expect(getDinnerDay('2026-10-25T00:30:00Z', options)).toBe('2026-10-25'); // 02:30 CEST
+    expect(getDinnerDay('2026-10-25T01:30:00Z', options)).toBe('2026-10-25'); // 02:30 CET
+  });
+});
+
+describe('getDinnerDayStart', () => {
+  it('starts at the rollover hour, local time', () => {
+    expect(getDinnerDayStart('2026-11-10', AMS)).toBe('2026-11-09T23:00:00.000Z');
+    expect(getDinnerDayStart('2026-07-01', AMS)).toBe('2026-06-30T22:00:00.000Z');
+    expect(getDinnerDayStart('2026-11-10', lateHouse)).toBe('2026-11-10T03:00:00.000Z');
+  });
+
+  it('has 23 and 25 hour days around DST', () => {
+    expect(rangeHours('2026-03-29', AMS)).toBe(23);
+    expect(rangeHours('2026-10-25', AMS)).toBe(25);
+    expect(rangeHours('2026-11-10', lateHouse)).toBe(24);
+  });
+
+  it('starts right after a skipped rollover hour and at the first of a repeated one', () => {
+    const options = { timeZone: AMS, rolloverHour: 2 };
+    expect(getDinnerDayStart('2026-03-29', options)).toBe('2026-03-29T01:00:00.000Z'); // 03:00 CEST
+    expect(getDinnerDayStart('2026-10-25', options)).toBe('2026-10-25T00:00:00.000Z'); // first 02:00
+  });
+
+  it('places a deadline on the group wall clock', () => {
+    expect(getDinnerDayTime('2026-07-01', '17:30', AMS)).toBe('2026-07-01T15:30:00.000Z');
+    expect(getDinnerDayTime('2026-11-10', '17:30', 'America/New_York')).toBe('2026-11-10T22:30:00.000Z');
+    expect(getDinnerDayTime('2026-11-10', '01:30', lateHouse)).toBe('2026-11-11T00:30:00.000Z');
+  });
+
+  it('counts down to the next dinner day', () => {
+    expect(getMsUntilNextDinnerDay(new Date('2026-10-24T21:00:00Z'), AMS)).toBe(HOUR_MS);
+    expect(getMsUntilNextDinnerDay(new Date('2026-10-25T12:00:00Z'), AMS)).toBe(11 * HOUR_MS);
+    expect(getMsUntilNextDinnerDay(new Date('2026-11-10T02:30:00Z'), lateHouse)).toBe(HOUR_MS / 2);
+  });
+});
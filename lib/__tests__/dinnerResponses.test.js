@@ -0,0 +1,68 @@
+/**
+ * Dinner response tests: late / plate / maybe states, guests and portions
+ */
+
+import {
+  isEating,
+  getEffectiveResponse,
+  normalizeResponseDetails,
+  countResponses,
+  getServingsForTonight,
+  getTodayAt,
+  formatResponseTime,
+  MAX_GUESTS,
+} from '../dinnerResponses';
+
+const now = new Date('2026-03-10T15:00:00Z');
+
+describe('getEffectiveResponse', () => {
+  it('turns a maybe past its cutoff into a no', () => {
+    expect(getEffectiveResponse({ response: 'maybe', maybe_until: '2026-03-10T14:00:00Z' }, now)).toBe('no');
+    expect(getEffectiveResponse({ response: 'maybe', maybe_until: '2026-03-10T16:00:00Z' }, now)).toBe('maybe');
+    expect(getEffectiveResponse({ response: 'maybe' }, now)).toBe('maybe');
+    expect(getEffectiveResponse(null, now)).toBeNull();
+  });
+
+  it('treats yes, late and plate as eating', () => {
+    expect(['yes', 'late', 'plate', 'maybe', 'no'].filter(isEating)).toEqual(['yes', 'late', 'plate']);
+  });
+});
+
+describe('normalizeResponseDetails', () => {
+  it('keeps only the fields that belong to the answer', () => {
+    expect(normalizeResponseDetails('late', { eta: '19:30', guests: 2, maybeUntil: 'x' }))
+      .toEqual({ eta: '19:30', maybe_until: null, guests: 2 });
+    expect(normalizeResponseDetails('maybe', { eta: '19:30', guests: 2, maybeUntil: 'x' }))
+      .toEqual({ eta: null, maybe_until: 'x', guests: 0 });
+    expect(normalizeResponseDetails('yes', { guests: 99 }).guests).toBe(MAX_GUESTS);
+    expect(normalizeResponseDetails('no').guests).toBe(0);
+  });
+});
+
+describe('countResponses', () => {
+  it('counts eaters plus their guests as portions', () => {
+    const counts = countResponses([
+      { response: 'yes', guests: 2 },
+      { response: 'late', guests: 0 },
+      { response: 'plate', guests: 1 },
+      { response: 'maybe', maybe_until: '2026-03-10T16:00:00Z' },
+      { response: 'maybe', maybe_until: '2026-03-10T12:00:00Z' },
+      { response: 'no', guests: 3 },
+    ], now);
+    expect(counts).toEqual({ yes: 1, late: 1, plate: 1, maybe: 1, no: 2, eaters: 3, guests: 3, portions: 6 });
+  });
+
+  it('falls back to the recipe servings while nobody eats', () => {
+    expect(getServingsForTonight(countResponses([], now), 4)).toBe(4);
+    expect(getServingsForTonight(countResponses([{ response: 'yes', guests: 1 }], now), 4)).toBe(2);
+  });
+});
+
+describe('response times', () => {
+  it('builds a cutoff for today and formats TIME columns and timestamps', () => {
+    const cutoff = getTodayAt('18:00', now);
+    expect(formatResponseTime(cutoff)).toBe('18:00');
+    expect(formatResponseTime('19:30:00')).toBe('19:30');
+    expect(formatResponseTime(null)).toBe('');
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Ingredient parser and scaler tests
+ */
+
+import {
+  parseIngredient,
+  formatIngredient,
+  scaleIngredient,
+  scaleIngredients,
+  toIngredientFields,
+  fromIngredientFields,
+} from '../ingredientScaler';
+
+describe('parseIngredient', () => {
+  it('splits quantity, unit and name', () => {
+    expect(parseIngredient('2 el olie')).toEqual({ qty: 2, qtyMax: null, unit: 'el', name: 'olie', note: null });
+    expect(parseIngredient('400g spaghetti')).toMatchObject({ qty: 400, unit: 'g', name: 'spaghetti' });
+    expect(parseIngredient('1,5L melk')).toMatchObject({ qty: 1.5, unit: 'l', name: 'melk' });
+  });
+
+  it('understands ranges, mixed numbers and unicode fractions', () => {
+    expect(parseIngredient('2-3 tenen knoflook, geperst')).toEqual({
+      qty: 2, qtyMax: 3, unit: 'teen', name: 'knoflook', note: 'geperst',
+    });
+    expect(parseIngredient('1 1/2 kopje rijst')).toMatchObject({ qty: 1.5, unit: 'kopje', name: 'rijst' });
+    expect(parseIngredient('½ tl komijn')).toMatchObject({ qty: 0.5, unit: 'tl' });
+  });
+
+  it('maps English units onto the Dutch ones', () => {
+    expect(parseIngredient('2 tbsp olive oil').unit).toBe('el');
+    expect(parseIngredient('1 cup rice').unit).toBe('kopje');
+    expect(parseIngredient('3 pieces bell pepper').unit).toBe('stuks');
+  });
+
+  it('keeps lines without a quantity intact', () => {
+    expect(parseIngredient('Peper en zout')).toEqual({ qty: null, qtyMax: null, unit: null, name: 'Peper en zout', note: null });
+    expect(parseIngredient('1 ui (gesnipperd)')).toMatchObject({ qty: 1, unit: null, name: 'ui', note: 'gesnipperd' });
+  });
+});
+
+describe('scaleIngredient', () => {
+  it('switches to larger units when crossing a threshold', () => {
+    expect(scaleIngredient('750 g gehakt', 2, 4)).toBe('1,5 kg gehakt');
+    expect(scaleIngredient('500 ml water', 4, 8)).toBe('1 l water');
+    expect(scaleIngredient('1½ tl komijn', 2, 4)).toBe('1 el komijn');
+  });
+
+  it('switches to smaller units when scaling down', () => {
+    expect(scaleIngredient('1,5 l melk', 4, 2)).toBe('750 ml melk');
+    expect(scaleIngredient('1 el olie', 4, 2)).toBe('1½ tl olie');
+  });
+
+  it('scales both ends of a range', () => {
+    expect(scaleIngredient('2-3 tenen knoflook', 2, 4)).toBe('4-6 tenen knoflook');
+  });
+
+  it('writes countable units in the plural for the scaled quantity', () => {
+    expect(scaleIngredient('1 blik tomaten', 2, 4)).toBe('2 blikken tomaten');
+    expect(scaleIngredient('2 blikken tomaten', 4, 2)).toBe('1 blik tomaten');
+    expect(scaleIngredient('1 teen knoflook', 2, 1)).toBe('½ teen knoflook');
+    expect(scaleIngredient('2 stuks paprika', 2, 4)).toBe('4 stuks paprika');
+  });
+
+  it('leaves pinches and to-taste lines alone', () => {
+    expect(scaleIngredient('1 snufje zout', 2, 6)).toBe('1 snufje zout');
+    expect(scaleIngredient('Peper en zout', 2, 6)).toBe('Peper en zout');
+  });
+
+  it('leaves handfuls, knobs and "some" alone', () => {
+    expect(scaleIngredient('1 handvol spinazie', 2, 4)).toBe('1 handvol spinazie');
+    expect(scaleIngredient('1 klontje boter', 2, 4)).toBe('1 klontje boter');
+    expect(scaleIngredient('1 beetje citroensap', 2, 4)).toBe('1 beetje citroensap');
+    expect(scaleIngredient('2 el wat olie', 2, 4)).toBe('2 el wat olie');
+    expect(scaleIngredient('500 ml water', 2, 4)).toBe('1 l water');
+  });
+
+  it('accepts structured editor rows', () => {
+    expect(scaleIngredients([{ qty: '2', unit: 'el', name: 'olie' }], 4, 8)).toEqual(['4 el olie']);
+  });
+});
+
+describe('editor fields', () => {
+  it('round-trips through the structured editor', () => {
+    const fields = toIngredientFields('2-3 tenen knoflook, geperst');
+    expect(fields).toEqual({ qty: '2-3', unit: 'teen', name: 'knoflook, geperst' });
+    expect(fromIngredientFields(fields)).toBe('2-3 tenen knoflook, geperst');
+    expect(formatIngredient(parseIngredient(fromIngredientFields(fields)))).toBe('2-3 tenen knoflook, geperst');
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Live tally tests: applying realtime vote changes, throttling and voting presence
+ */
+
+import { applyVoteChange, createThrottle, getVotingStatus } from '../liveVotes';
+import { tallyVotes, getTopMeals } from '../votingMethods';
+
+const options = ['Curry', 'Pizza'].map((name, i) => ({ meal_option_id: `o${i + 1}`, meal_data: { name } }));
+
+describe('applyVoteChange', () => {
+  it('adds, replaces and removes votes by id', () => {
+    let votes = [];
+    votes = applyVoteChange(votes, { eventType: 'INSERT', new: { id: 'v1', user_id: 'a', meal_option_id: 'o1', vote: 'yes' } });
+    votes = applyVoteChange(votes, { eventType: 'INSERT', new: { id: 'v2', user_id: 'b', meal_option_id: 'o2', vote: 'yes' } });
+    votes = applyVoteChange(votes, { eventType: 'UPDATE', new: { id: 'v1', user_id: 'a', meal_option_id: 'o1', vote: 'no' } });
+    expect(votes).toHaveLength(2);
+    expect(votes.find((v) => v.id === 'v1').vote).toBe('no');
+
+    votes = applyVoteChange(votes, { eventType: 'DELETE', old: { id: 'v2' } });
+    expect(votes.map((v) => v.id)).toEqual(['v1']);
+  });
+
+  it('keeps the tally in step with incoming votes', () => {
+    let votes = [];
+    ['a', 'b'].forEach((user, i) => {
+      votes = applyVoteChange(votes, { eventType: 'INSERT', new: { id: `p${i}`, user_id: user, meal_option_id: 'o2', vote: 'yes' } });
+    });
+    const top = getTopMeals(tallyVotes({ options, votes }));
+    expect(top[0]).toMatchObject({ meal_option_id: 'o2', yes_votes: 2 });
+  });
+});
+
+describe('createThrottle', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  it('runs the first call at once and collapses a burst into one trailing call', () => {
+    const fn = jest.fn();
+    const throttle = createThrottle(fn, 1000);
+    for (let i = 0; i < 10; i++) throttle.call();
+    expect(fn).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1000);
+    expect(fn).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(5000);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('drops the pending call on cancel', () => {
+    const fn = jest.fn();
+    const throttle = createThrottle(fn, 1000);
+    throttle.call();
+    throttle.call();
+    throttle.cancel();
+    jest.advanceTimersByTime(2000);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getVotingStatus', () => {
+  it('splits eaters into done, swiping and waiting', () => {
+    const votes = [
+      { user_id: 'a', meal_option_id: 'o1' }, { user_id: 'a', meal_option_id: 'o2' },
+      { user_id: 'b', meal_option_id: 'o1' },
+    ];
+    const status = getVotingStatus({
+      eaterIds: ['a', 'b', 'c'],
+      votes,
+      optionCount: 2,
+      presence: [{ user_id: 'b', voted: 1, total: 2 }, { user_id: 'a', voted: 2, total: 2 }],
+    });
+    expect(status).toEqual({ done: ['a'], swiping: ['b'], waiting: ['c'] });
+  });
+});
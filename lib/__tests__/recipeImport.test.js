@@ -0,0 +1,263 @@
+/**
+ * Recipe import tests: site adapters against saved HTML pages (no network),
+ * the free-text importer and export/backup round trips
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseRecipeHtml, getAdapterForUrl } from '../recipeImportAdapters';
+import { importRecipeFromUrl } from '../recipeUrlImporter';
+import { parseRecipeText, importRecipeFromInput } from '../recipeTextImporter';
+import { exportRecipes, parseRecipeBackup, normalizeRecipe, EXPORT_FORMATS } from '../recipeExport';
+import { unzipSync, gunzipSync, strFromU8 } from 'fflate';
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, 'fixtures', 'recipes', name), 'utf8');
+
+describe('getAdapterForUrl', () => {
+  it('matches hosts with and without subdomains', () => {
+    expect(getAdapterForUrl('https://www.ah.nl/allerhande/recept/R-R1196776/pasta')?.id).toBe('ah');
+    expect(getAdapterForUrl('https://www.jumbo.com/recepten/kip-tandoori-123')?.id).toBe('jumbo');
+    expect(getAdapterForUrl('https://www.bbcgoodfood.com/recipes/chilli-con-carne')?.id).toBe('bbcgoodfood');
+    expect(getAdapterForUrl('https://example.com/recept')).toBeNull();
+    expect(getAdapterForUrl('geen url')).toBeNull();
+  });
+});
+
+describe('parseRecipeHtml fixtures', () => {
+  it('AH Allerhande: reads __NEXT_DATA__ when there is no JSON-LD', () => {
+    const url = 'https://www.ah.nl/allerhande/recept/R-R1196776/romige-pasta';
+    const { recipe, adapter, strategy } = parseRecipeHtml(fixture('ah-allerhande-nextdata.html'), url);
+    expect(adapter).toBe('ah');
+    expect(strategy).toBe('nextData');
+    expect(recipe).toMatchObject({
+      name: 'Romige pasta met spinazie en zalm',
+      description: 'Snelle doordeweekse pasta met roomkaas & citroen.',
+      cooking_time_minutes: 25,
+      cuisine_type: 'Italiaans',
+      image: 'https://static.ah.nl/static/recepten/img_RAM_PRD123456_1024x748_JPG.jpg',
+      source_url: url,
+    });
+    expect(recipe.ingredients).toEqual(['400 g penne', '300 g zalmfilet', '200 g verse spinazie', '150 g roomkaas', '1 citroen']);
+    expect(recipe.steps).toHaveLength(3);
+  });
+
+  it('Jumbo: microdata, ignoring nested author props', () => {
+    const url = 'https://www.jumbo.com/recepten/kip-tandoori-met-naanbrood-123';
+    const { recipe, strategy } = parseRecipeHtml(fixture('jumbo-microdata.html'), url);
+    expect(strategy).toBe('microdata');
+    expect(recipe.name).toBe('Kip tandoori met naanbrood');
+    expect(recipe.image).toBe('https://www.jumbo.com/dam/images/recipes/kip-tandoori.jpg');
+    expect(recipe.cooking_time_minutes).toBe(45);
+    expect(recipe.cuisine_type).toBe('Indiaas');
+    expect(recipe.ingredients).toEqual(['600 g kippendijfilet', '150 ml Griekse yoghurt', '2 el tandoori kruiden', '4 naanbroden']);
+    expect(recipe.steps[1]).toBe('Rooster de kip 25 min. in een oven van 200 °C.');
+  });
+
+  it('Leukerecepten: WordPress Recipe Maker markup', () => {
+    const url = 'https://www.leukerecepten.nl/recepten/shakshuka-met-feta/';
+    const { recipe, strategy } = parseRecipeHtml(fixture('leukerecepten-wprm.html'), url);
+    expect(strategy).toBe('wprm');
+    expect(recipe).toMatchObject({
+      name: 'Shakshuka met feta',
+      description: 'Eieren gepocheerd in een pittige tomatensaus.',
+      cooking_time_minutes: 30,
+      cuisine_type: 'Midden-Oosters',
+      image: 'https://www.leukerecepten.nl/wp-content/uploads/2023/02/shakshuka.jpg',
+    });
+    expect(recipe.ingredients).toEqual(['1 blik tomatenblokjes', '4 eieren', '½ tl komijn', '100 gram feta (verkruimeld)']);
+    expect(recipe.steps).toHaveLength(3);
+  });
+
+  it('24Kitchen: microdata with HowToStep items and <time datetime>', () => {
+    const url = 'https://www.24kitchen.nl/recepten/stamppot-boerenkool';
+    const { recipe } = parseRecipeHtml(fixture('24kitchen-microdata.html'), url);
+    expect(recipe.name).toBe('Stamppot boerenkool met rookworst');
+    expect(recipe.image).toBe('https://www.24kitchen.nl/files/styles/recipe/stamppot.jpg');
+    expect(recipe.cooking_time_minutes).toBe(70);
+    expect(recipe.ingredients).toHaveLength(3);
+    expect(recipe.steps).toEqual([
+      'Kook de aardappelen met de boerenkool gaar.',
+      'Verwarm de rookworst 20 minuten.',
+      'Stamp alles fijn met melk en boter.',
+    ]);
+  });
+
+  it('BBC Good Food: JSON-LD @graph with HowToSection', () => {
+    const url = 'https://www.bbcgoodfood.com/recipes/chilli-con-carne';
+    const { recipe, strategy } = parseRecipeHtml(fixture('bbcgoodfood-jsonld.html'), url);
+    expect(strategy).toBe('jsonLd');
+    expect(recipe.name).toBe('Chilli con carne');
+    expect(recipe.cooking_time_minutes).toBe(80);
+    expect(recipe.cuisine_type).toBe('Mexican');
+    expect(recipe.ingredients).toHaveLength(5);
+    expect(recipe.steps).toEqual([
+      'Chop the onion.',
+      'Heat the oil and fry the onion for 5 mins.',
+      'Add the mince and tomatoes, simmer 20 mins.',
+      'Stir in the beans & serve.',
+    ]);
+  });
+
+  it('returns null for pages without recipe markup', () => {
+    expect(parseRecipeHtml(fixture('og-only.html'), 'https://example.com/appeltaart')).toBeNull();
+  });
+});
+
+describe('importRecipeFromUrl', () => {
+  const realFetch = global.fetch;
+  afterEach(() => { global.fetch = realFetch; });
+
+  const serve = (name) => {
+    global.fetch = jest.fn(async () => ({ ok: true, status: 200, text: async () => fixture(name) }));
+  };
+
+  it('imports through the site adapter on a direct fetch', async () => {
+    serve('leukerecepten-wprm.html');
+    const result = await importRecipeFromUrl('https://www.leukerecepten.nl/recepten/shakshuka-met-feta/');
+    expect(result.success).toBe(true);
+    expect(result.partial).toBeUndefined();
+    expect(result.recipe.ingredients).toHaveLength(4);
+  });
+
+  it('falls back to OpenGraph data as a partial import', async () => {
+    serve('og-only.html');
+    const result = await importRecipeFromUrl('https://example.com/appeltaart');
+    expect(result).toMatchObject({ success: true, partial: true });
+    expect(result.recipe.name).toBe("Oma's appeltaart");
+  });
+});
+
+describe('parseRecipeText', () => {
+  it('splits a WhatsApp message on Dutch headings', () => {
+    const text = [
+      '[12-03-2024 18:22] Mama: Oma\'s gehaktballen',
+      '[12-03-2024 18:22] Mama: Lekker met jus!',
+      'Bereidingstijd: 45 min',
+      '',
+      'Ingrediënten (4 personen):',
+      '- 500 g half-om-half gehakt',
+      '- 1 ei',
+      'Voor de jus:',
+      '- 50 g boter',
+      '',
+      'Werkwijze',
+      '1. Meng het gehakt met het ei',
+      'en kruid met peper en zout.',
+      '2. Draai 8 ballen en bak ze bruin.',
+    ].join('\n');
+    expect(parseRecipeText(text)).toEqual({
+      success: true,
+      recipe: {
+        name: "Oma's gehaktballen",
+        description: 'Lekker met jus!',
+        image: null,
+        cooking_time_minutes: 45,
+        cuisine_type: null,
+        ingredients: ['500 g half-om-half gehakt', '1 ei', '50 g boter'],
+        steps: ['Meng het gehakt met het ei en kruid met peper en zout.', 'Draai 8 ballen en bak ze bruin.'],
+        source_url: null,
+      },
+    });
+  });
+
+  it('understands English headings', () => {
+    const { recipe } = parseRecipeText('# Tomato soup\nIngredients:\n* 1 kg tomatoes\n* 1 onion\nMethod:\nRoast the tomatoes.\nBlend and season.');
+    expect(recipe.name).toBe('Tomato soup');
+    expect(recipe.ingredients).toEqual(['1 kg tomatoes', '1 onion']);
+    expect(recipe.steps).toEqual(['Roast the tomatoes.', 'Blend and season.']);
+  });
+
+  it('guesses ingredients from quantities when there are no headings', () => {
+    const { recipe } = parseRecipeText('Pannenkoeken\n250 g bloem\n2 eieren\n500 ml melk\nKlop alles tot een glad beslag.\nBak dunne pannenkoeken.');
+    expect(recipe.ingredients).toEqual(['250 g bloem', '2 eieren', '500 ml melk']);
+    expect(recipe.steps).toHaveLength(2);
+  });
+
+  it('marks a recipe without steps as partial and rejects empty text', () => {
+    expect(parseRecipeText('Boodschappen\n2 uien')).toMatchObject({ success: true, partial: true });
+    expect(parseRecipeText('  \n ').success).toBe(false);
+  });
+});
+
+describe('importRecipeFromInput', () => {
+  const realFetch = global.fetch;
+  afterEach(() => { global.fetch = realFetch; });
+
+  it('sends shared links to the URL importer and text to the text parser', async () => {
+    global.fetch = jest.fn(async () => ({ ok: true, status: 200, text: async () => fixture('bbcgoodfood-jsonld.html') }));
+    const fromLink = await importRecipeFromInput('Kijk deze! https://www.bbcgoodfood.com/recipes/chilli-con-carne');
+    expect(global.fetch).toHaveBeenCalledWith('https://www.bbcgoodfood.com/recipes/chilli-con-carne', expect.anything());
+    expect(fromLink.recipe.name).toBe('Chilli con carne');
+
+    const fromText = await importRecipeFromInput('Tosti\nIngrediënten\n2 sneetjes brood\nBereiding\nBak goudbruin.');
+    expect(fromText.recipe.steps).toEqual(['Bak goudbruin.']);
+  });
+});
+
+describe('recipe export', () => {
+  const recipes = [
+    {
+      // user_recipes row as returned by getMyRecipes
+      name: 'Pasta pesto',
+      description: 'Snel & groen',
+      image: 'https://example.com/pesto.jpg',
+      cooking_time_minutes: 20,
+      cuisine_type: 'Italiaans',
+      ingredients: ['400 g pasta', '1 potje pesto'],
+      steps: ['Kook de pasta.', 'Roer de pesto erdoor.'],
+    },
+    {
+      // recipe_group_shares snapshot with only an instructions string
+      recipe_data: {
+        title: 'Tomatensoep',
+        ingredients: ['1 kg tomaten', '1 ui'],
+        instructions: 'Fruit de ui.\nKook de tomaten mee en pureer.',
+        default_servings: 4,
+      },
+    },
+  ];
+
+  it('normalizes every recipe source to the addUserRecipe shape', () => {
+    expect(normalizeRecipe(recipes[1])).toMatchObject({
+      name: 'Tomatensoep',
+      steps: ['Fruit de ui.', 'Kook de tomaten mee en pureer.'],
+      servings: 4,
+    });
+  });
+
+  it.each(EXPORT_FORMATS)('round-trips through %s', (format) => {
+    const parsed = parseRecipeBackup(exportRecipes(recipes, format));
+    expect(parsed.success).toBe(true);
+    expect(parsed.recipes).toHaveLength(2);
+    expect(parsed.recipes[0]).toMatchObject({
+      name: 'Pasta pesto',
+      cooking_time_minutes: 20,
+      cuisine_type: 'Italiaans',
+      ingredients: ['400 g pasta', '1 potje pesto'],
+      steps: ['Kook de pasta.', 'Roer de pesto erdoor.'],
+    });
+    expect(parsed.recipes[1].steps).toEqual(['Fruit de ui.', 'Kook de tomaten mee en pureer.']);
+  });
+
+  it('writes a .paprikarecipes zip with one gzipped recipe per file', () => {
+    const files = unzipSync(exportRecipes(recipes, 'paprika'));
+    expect(Object.keys(files)).toEqual(['Pasta pesto.paprikarecipe', 'Tomatensoep.paprikarecipe']);
+    const entry = JSON.parse(strFromU8(gunzipSync(files['Pasta pesto.paprikarecipe'])));
+    expect(entry).toMatchObject({
+      name: 'Pasta pesto',
+      ingredients: '400 g pasta\n1 potje pesto',
+      directions: 'Kook de pasta.\nRoer de pesto erdoor.',
+      total_time: '20 min',
+      categories: ['Italiaans'],
+    });
+    expect(entry.uid).toMatch(/^[0-9A-F]{8}-[0-9A-F]{4}-4[0-9A-F]{3}-8[0-9A-F]{3}-[0-9A-F]{12}$/);
+    expect(entry.hash).toMatch(/^[0-9A-F]{64}$/);
+  });
+
+  it('writes schema.org JSON-LD and escapes the printable card', () => {
+    const jsonLd = JSON.parse(exportRecipes(recipes, 'jsonld'));
+    expect(jsonLd.itemListElement[0].item).toMatchObject({ '@type': 'Recipe', totalTime: 'PT20M' });
+    expect(exportRecipes(recipes, 'html')).toContain('Snel &amp; groen');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Recommendation engine tests: history signals, reasons and exploration slots
+ */
+
+import { buildSignals, scoreRecipe, pickCandidates } from '../recommendationEngine';
+
+const wednesday = new Date('2025-03-12T15:00:00');
+const saturday = new Date('2025-03-15T15:00:00');
+const daysAgo = (n, from = wednesday) => new Date(from.getTime() - n * 24 * 60 * 60 * 1000).toISOString();
+
+const recipe = (id, name, extra = {}) => ({ id, name, cuisine_type: 'Dutch', cooking_time_minutes: 35, ...extra });
+const option = (id, r) => ({ id, recipe_id: r.id, meal_data: { name: r.name, cuisine_type: r.cuisine_type } });
+const noRandom = { exploration: 0, random: () => 0 };
+
+const signalOf = (result, signal) => result.reasons.find((r) => r.signal === signal);
+
+describe('buildSignals / scoreRecipe', () => {
+  const stamppot = recipe('r1', 'Stamppot');
+  const curry = recipe('r2', 'Curry', { cuisine_type: 'Indian' });
+
+  it('penalises meals the eaters voted down and rewards meals they liked', () => {
+    const signals = buildSignals({
+      options: [option('o1', stamppot), option('o2', curry)],
+      votes: [
+        { meal_option_id: 'o1', user_id: 'a', vote: 'no', created_at: daysAgo(1) },
+        { meal_option_id: 'o1', user_id: 'b', vote: 'no', created_at: daysAgo(1) },
+        { meal_option_id: 'o1', user_id: 'c', vote: 'no', created_at: daysAgo(1) },
+        { meal_option_id: 'o2', user_id: 'a', vote: 'yes', created_at: daysAgo(1) },
+        { meal_option_id: 'o2', user_id: 'b', vote: 'yes', created_at: daysAgo(1) },
+        { meal_option_id: 'o2', user_id: 'c', vote: 'yes', created_at: daysAgo(1) },
+      ],
+      now: wednesday,
+    });
+    expect(signalOf(scoreRecipe(stamppot, signals, noRandom), 'taste')).toMatchObject({ yes: 0, no: 3 });
+    expect(signalOf(scoreRecipe(stamppot, signals, noRandom), 'taste').points).toBeLessThan(0);
+    expect(signalOf(scoreRecipe(curry, signals, noRandom), 'taste').points).toBeGreaterThan(0);
+  });
+
+  it('only counts votes of tonight\'s eaters', () => {
+    const signals = buildSignals({
+      options: [option('o1', stamppot)],
+      votes: [{ meal_option_id: 'o1', user_id: 'away', vote: 'no', created_at: daysAgo(1) }],
+      eaterIds: ['a'],
+      now: wednesday,
+    });
+    expect(signalOf(scoreRecipe(stamppot, signals, noRandom), 'taste')).toBeUndefined();
+  });
+
+  it('penalises recent winners and their cuisine, matching by name as well', () => {
+    const signals = buildSignals({
+      winners: [{ meal_data: { name: 'curry', cuisine_type: 'Indian' }, date: daysAgo(2) }],
+      now: wednesday,
+    });
+    const result = scoreRecipe(curry, signals, noRandom);
+    expect(signalOf(result, 'recent')).toMatchObject({ days: 2 });
+    expect(signalOf(result, 'recent').points).toBeLessThan(-3);
+    expect(signalOf(result, 'cuisine')).toMatchObject({ cuisine: 'indian', count: 1 });
+
+    const old = buildSignals({ winners: [{ meal_data: { name: 'Curry' }, date: daysAgo(20) }], now: wednesday });
+    expect(signalOf(scoreRecipe(curry, old, noRandom), 'recent')).toBeUndefined();
+  });
+
+  it('prefers quick meals on weekdays and allows long ones in the weekend', () => {
+    const slow = recipe('r3', 'Stoofvlees', { cooking_time_minutes: 180 });
+    const quick = recipe('r4', 'Wrap', { cooking_time_minutes: 15 });
+    const weekday = buildSignals({ now: wednesday });
+    const weekend = buildSignals({ now: saturday });
+
+    expect(signalOf(scoreRecipe(slow, weekday, noRandom), 'time').points).toBeLessThan(0);
+    expect(signalOf(scoreRecipe(quick, weekday, noRandom), 'time').points).toBeGreaterThan(0);
+    expect(signalOf(scoreRecipe(slow, weekend, noRandom), 'time')).toMatchObject({ weekend: true });
+    expect(signalOf(scoreRecipe(slow, weekend, noRandom), 'time').points).toBeGreaterThan(0);
+  });
+
+  it('rewards group-saved recipes and penalises diet conflicts', () => {
+    const signals = buildSignals({ sharedIds: ['r1'], now: wednesday });
+    expect(signalOf(scoreRecipe(stamppot, signals, noRandom), 'shared').points).toBeGreaterThan(0);
+    const conflicting = { ...curry, diet_conflicts: ['vegetarian'] };
+    expect(signalOf(scoreRecipe(conflicting, signals, noRandom), 'diet')).toMatchObject({ conflicts: ['vegetarian'] });
+  });
+
+  it('adds up the reasons into the score', () => {
+    const signals = buildSignals({ sharedIds: ['r1'], now: wednesday });
+    const result = scoreRecipe(stamppot, signals, { exploration: 0.5, random: () => 0.5 });
+    const total = Math.round(result.reasons.reduce((sum, r) => sum + r.points, 0) * 10) / 10;
+    expect(result.score).toBe(total);
+    expect(result.reasons.map((r) => r.signal)).toEqual(['shared', 'novelty', 'jitter']);
+  });
+});
+
+describe('pickCandidates', () => {
+  const known = ['Pasta', 'Pizza', 'Risotto'].map((name, i) => recipe(`k${i}`, name, { cuisine_type: 'Italian' }));
+  const fresh = ['Pho', 'Tacos'].map((name, i) => recipe(`n${i}`, name, { cuisine_type: name === 'Pho' ? 'Vietnamese' : 'Mexican' }));
+
+  const signals = buildSignals({
+    options: known.map((r, i) => option(`o${i}`, r)),
+    votes: known.flatMap((r, i) => ['a', 'b', 'c'].map((user) => ({
+      meal_option_id: `o${i}`, user_id: user, vote: 'yes', created_at: daysAgo(1),
+    }))),
+    now: wednesday,
+  });
+
+  it('reserves exploration slots for recipes the group never saw', () => {
+    const picks = pickCandidates([...known, ...fresh], signals, 3, { exploration: 0.4, random: () => 0 });
+    expect(picks).toHaveLength(3);
+    const explored = picks.filter((p) => p.recommendation.slot === 'exploration');
+    expect(explored).toHaveLength(1);
+    expect(fresh.map((r) => r.id)).toContain(explored[0].id);
+  });
+
+  it('sticks to favourites without exploration but keeps cuisines varied', () => {
+    const picks = pickCandidates([...known, ...fresh], signals, 3, { exploration: 0, random: () => 0 });
+    expect(picks.every((p) => p.recommendation.slot === 'score')).toBe(true);
+    const variety = picks.flatMap((p) => p.recommendation.reasons).filter((r) => r.signal === 'variety');
+    expect(variety.length).toBeGreaterThan(0);
+    expect(variety[0]).toMatchObject({ cuisine: 'italian' });
+  });
+
+  it('returns picks best first', () => {
+    const picks = pickCandidates([...known, ...fresh], signals, 5, { exploration: 0.2, random: () => 0 });
+    const scores = picks.map((p) => p.recommendation.score);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+  });
+});
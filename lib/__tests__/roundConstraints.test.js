@@ -0,0 +1,73 @@
+/**
+ * Round constraint tests: time, budget, cuisines, group recipes and the "too few" signal
+ */
+
+import {
+  normalizeRoundConstraints,
+  hasRoundConstraints,
+  getCostPerPerson,
+  applyRoundConstraints,
+  getTightestConstraint,
+  getConstraintQueryFilter,
+} from '../roundConstraints';
+
+const recipe = (id, extra = {}) => ({ id, name: id, cooking_time_minutes: 30, cuisine_type: 'Italian', ...extra });
+
+describe('normalizeRoundConstraints', () => {
+  it('drops empty values and lowercases cuisines', () => {
+    expect(normalizeRoundConstraints({ maxMinutes: '0', maxCostPerPerson: 5, includeCuisines: [' Italian ', 'italian'], excludeCuisines: ['Italian', 'Thai'] }))
+      .toEqual({ maxMinutes: null, maxCostPerPerson: 5, includeCuisines: ['italian'], excludeCuisines: ['thai'], groupOnly: false });
+    expect(hasRoundConstraints(null)).toBe(false);
+    expect(hasRoundConstraints({ groupOnly: true })).toBe(true);
+  });
+});
+
+describe('getCostPerPerson', () => {
+  it('divides recipe_extras cost by its servings and falls back to the recipe', () => {
+    expect(getCostPerPerson(recipe('a'), { estimated_cost: 12, default_servings: 4 })).toBe(3);
+    expect(getCostPerPerson(recipe('a', { estimated_cost: 10 }), {})).toBe(2.5);
+    expect(getCostPerPerson(recipe('a'), {})).toBeNull();
+  });
+});
+
+describe('applyRoundConstraints', () => {
+  const pool = [
+    recipe('quick', { cooking_time_minutes: 20 }),
+    recipe('slow', { cooking_time_minutes: 90 }),
+    recipe('pricey', { estimated_cost: 40 }),
+    recipe('thai', { cuisine_type: 'Thai' }),
+    recipe('untimed', { cooking_time_minutes: null }),
+  ];
+
+  it('keeps what fits and counts what each constraint ruled out', () => {
+    const { matching, rejected } = applyRoundConstraints(pool, { maxMinutes: 45, maxCostPerPerson: 6, excludeCuisines: ['thai'] });
+    expect(matching.map((r) => r.id)).toEqual(['quick', 'untimed']);
+    expect(rejected).toEqual({ time: 1, cost: 1, cuisine: 1, group: 0 });
+  });
+
+  it('limits to included cuisines and group recipes', () => {
+    expect(applyRoundConstraints(pool, { includeCuisines: ['Thai'] }).matching.map((r) => r.id)).toEqual(['thai']);
+    const { matching, rejected } = applyRoundConstraints(pool, { groupOnly: true }, { sharedIds: ['slow'] });
+    expect(matching.map((r) => r.id)).toEqual(['slow']);
+    expect(getTightestConstraint(rejected)).toBe('group');
+  });
+
+  it('uses recipe_extras for the budget', () => {
+    const extras = { quick: { estimated_cost: 40, default_servings: 2 } };
+    const { matching } = applyRoundConstraints([pool[0]], { maxCostPerPerson: 10 }, { getExtras: (r) => extras[r.id] });
+    expect(matching).toHaveLength(0);
+    expect(getTightestConstraint({ time: 0, cost: 0 })).toBeNull();
+  });
+});
+
+describe('getConstraintQueryFilter', () => {
+  it('turns time and cuisines into one PostgREST filter', () => {
+    expect(getConstraintQueryFilter({ maxMinutes: 30, includeCuisines: ['Italian', 'Thai'] })).toBe(
+      'and(or(cooking_time_minutes.is.null,cooking_time_minutes.lte.30),or(cuisine_type.ilike."italian",cuisine_type.ilike."thai"))'
+    );
+    expect(getConstraintQueryFilter({ maxMinutes: 30, excludeCuisines: ['Tex, Mex'] }, ['cuisine'])).toBe(
+      'and(or(cuisine_type.is.null,cuisine_type.not.ilike."tex, mex"))'
+    );
+    expect(getConstraintQueryFilter({ maxCostPerPerson: 5, groupOnly: true })).toBeNull();
+  });
+});
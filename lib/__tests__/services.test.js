@@ -83,6 +83,25 @@ describe('dinnerRequestService', () => {
   });
 });
 
+describe('chatService', () => {
+  it('leaves the text of system messages to the server', async () => {
+    let rpcSpy;
+    let res;
+    await jest.isolateModulesAsync(async () => {
+      jest.doMock('../notificationService', () => ({ notifyGroup: async () => ({ success: true }) }));
+      const { supabase } = require('../supabase');
+      rpcSpy = jest.spyOn(supabase, 'rpc').mockResolvedValue({
+        data: { success: true, message: { id: 'm1', kind: 'system', message: 'Anna eet mee vanavond', payload: { command: 'ja' } } },
+        error: null,
+      });
+      const { sendSystemMessage } = require('../chatService');
+      res = await sendSystemMessage('g1', 'ja');
+    });
+    expect(rpcSpy).toHaveBeenCalledWith('post_system_message', { p_group_id: 'g1', p_command: 'ja' });
+    expect(res).toMatchObject({ success: true, message: { id: 'm1', reply_to: null } });
+  });
+});
+
 describe('specialOccasionService', () => {
   it('exports required functions', () => {
     const s = require('../specialOccasionService');
@@ -120,3 +139,357 @@ describe('batchDataService', () => {
     expect(res.groups).toBeDefined();
   });
 });
+
+describe('shoppingList', () => {
+  it('buildShoppingItems scales, merges duplicates and assigns aisles', () => {
+    const { buildShoppingItems, groupItemsByAisle } = require('../shoppingList');
+    const items = buildShoppingItems([
+      { ingredients: ['500 g gehakt', '1 ui', '250 g gehakt', '2 el olijfolie'], defaultServings: 2, servings: 4 },
+    ]);
+    const gehakt = items.find((i) => i.name === 'gehakt');
+    expect(gehakt.quantity_text).toBe('1,5 kg');
+    expect(gehakt.aisle).toBe('meat_fish');
+    expect(items.find((i) => i.name === 'ui').aisle).toBe('produce');
+    expect(groupItemsByAisle(items).map((s) => s.key)).toEqual(['produce', 'meat_fish', 'spices_oil']);
+  });
+
+  it('keys rows by name and unit so separate rows keep their own checked state', () => {
+    const { buildShoppingItems } = require('../shoppingList');
+    const items = buildShoppingItems([
+      { ingredients: ['2 el olie', '100 ml olie', '1 l olie', '1 ui'], defaultServings: 2, servings: 2 },
+    ]);
+    expect(items.map((i) => i.key)).toEqual(['olie|spoon', 'olie|volume', 'ui|']);
+  });
+});
+
+describe('costSplitting', () => {
+  it('splits receipts, tracks balances and suggests settle-up transfers', () => {
+    const { splitAmount, computeBalances, suggestSettlements, parseEuroToCents } = require('../costSplitting');
+    expect(splitAmount(1000, ['c', 'a', 'b'])).toEqual({ a: 334, b: 333, c: 333 });
+    expect(parseEuroToCents('12,50')).toBe(1250);
+
+    const balances = computeBalances(
+      [{ paid_by: 'a', amount_cents: 900, participant_ids: ['a', 'b', 'c'] }],
+      [{ from_user: 'b', to_user: 'a', amount_cents: 300 }],
+    );
+    expect(balances).toEqual({ a: 300, c: -300 });
+    expect(suggestSettlements(balances)).toEqual([{ from: 'c', to: 'a', amount_cents: 300 }]);
+  });
+});
+
+describe('weeklyPlanner', () => {
+  const meal = (id, cuisine) => ({ id, meal_data: { name: id, cuisine_type: cuisine } });
+
+  it('computes Monday-based weeks', () => {
+    const { getWeekStart, getUpcomingWeekStart, getWeekDates } = require('../weeklyPlanner');
+    expect(getWeekStart('2025-03-16')).toBe('2025-03-10');
+    expect(getUpcomingWeekStart('2025-03-16')).toBe('2025-03-17');
+    expect(getUpcomingWeekStart('2025-03-17')).toBe('2025-03-17');
+    expect(getWeekDates('2025-03-31')).toEqual([
+      '2025-03-31', '2025-04-01', '2025-04-02', '2025-04-03', '2025-04-04', '2025-04-05', '2025-04-06',
+    ]);
+  });
+
+  it('builds a plan from votes without repeating a cuisine on consecutive days', () => {
+    const { rankMealOptions, buildWeeklyPlan, getWeekDates, findCuisineRepeats } = require('../weeklyPlanner');
+    const options = [meal('a', 'Italiaans'), meal('b', 'Italiaans'), meal('c', 'Aziatisch'), meal('d', 'Mexicaans')];
+    const votes = [
+      { meal_option_id: 'a', vote: 'yes' }, { meal_option_id: 'a', vote: 'yes' },
+      { meal_option_id: 'b', vote: 'yes' }, { meal_option_id: 'b', vote: 'yes' },
+      { meal_option_id: 'c', vote: 'yes' }, { meal_option_id: 'd', vote: 'no' },
+    ];
+    const ranked = rankMealOptions(options, votes);
+    expect(ranked.map((m) => m.meal_option_id)).toEqual(['a', 'b', 'c', 'd']);
+
+    const dates = getWeekDates('2025-03-10').slice(0, 3);
+    const plan = buildWeeklyPlan(ranked, dates);
+    expect(plan.map((d) => d.meal_option_id)).toEqual(['a', 'c', 'b']);
+    expect(findCuisineRepeats(plan)).toEqual([]);
+
+    const locked = buildWeeklyPlan(ranked, dates, { [dates[1]]: { meal_option_id: 'b', meal_data: options[1].meal_data } });
+    expect(locked.map((d) => d.meal_option_id)).toEqual(['c', 'b', 'd']);
+    expect(locked[1].locked).toBe(true);
+  });
+});
+
+describe('request lifecycle', () => {
+  const req = (id, createdAt, extra = {}) => ({ id, group_id: 'g1', status: 'active', plan_type: 'daily', created_at: createdAt, ...extra });
+
+  it('expires rounds by the group timezone, not UTC', () => {
+    const { isRequestExpired } = require('../requestLifecycle');
+    // 23:30 UTC on Mar 10 is already Mar 11 in Amsterdam
+    const request = req('r1', '2025-03-10T22:30:00Z');
+    const now = new Date('2025-03-10T23:30:00Z');
+    expect(isRequestExpired(request, now, 'Europe/Amsterdam')).toBe(true);
+    expect(isRequestExpired(request, now, 'America/New_York')).toBe(false);
+    expect(isRequestExpired({ ...request, status: 'completed' }, now, 'Europe/Amsterdam')).toBe(false);
+    expect(isRequestExpired(
+      { id: 'w', status: 'planning', plan_type: 'weekly', week_start: '2025-03-10', created_at: '2025-03-09T18:00:00Z' },
+      new Date('2025-03-16T20:00:00Z'),
+      'Europe/Amsterdam',
+    )).toBe(false);
+  });
+
+  it('keeps a round open until the group\'s rollover hour', () => {
+    const { isRequestExpired } = require('../requestLifecycle');
+    // Opened 20:00 Amsterdam on Mar 10; 03:00 on Mar 11 is still that night with a 04:00 rollover
+    const request = req('r1', '2025-03-10T19:00:00Z');
+    const lateNight = new Date('2025-03-11T02:00:00Z');
+    expect(isRequestExpired(request, lateNight, 'Europe/Amsterdam')).toBe(true);
+    expect(isRequestExpired(request, lateNight, { timeZone: 'Europe/Amsterdam', rolloverHour: 4 })).toBe(false);
+    expect(isRequestExpired(request, new Date('2025-03-11T03:00:00Z'), { timeZone: 'Europe/Amsterdam', rolloverHour: 4 })).toBe(true);
+  });
+
+  it('keeps the oldest of duplicate active rounds on the same day', () => {
+    const { findDuplicateRequests } = require('../requestLifecycle');
+    const conflicts = findDuplicateRequests([
+      req('b', '2025-03-10T17:00:01Z'),
+      req('a', '2025-03-10T17:00:00Z'),
+      req('c', '2025-03-09T17:00:00Z'),
+    ], 'Europe/Amsterdam');
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0].keep.id).toBe('a');
+    expect(conflicts[0].duplicates.map((d) => d.id)).toEqual(['b']);
+  });
+
+  it('closes daily rounds at the deadline or once every eater finished voting', () => {
+    const { getAutoCloseReason, getStragglers } = require('../requestLifecycle');
+    const request = req('r1', '2025-03-11T10:00:00Z', { deadline: '2025-03-11T17:00:00Z' });
+    const votes = [
+      { user_id: 'a', meal_option_id: 'o1' }, { user_id: 'a', meal_option_id: 'o2' },
+      { user_id: 'b', meal_option_id: 'o1' },
+    ];
+    const before = new Date('2025-03-11T16:00:00Z');
+
+    expect(getStragglers(['a', 'b'], votes, 2)).toEqual(['b']);
+    expect(getAutoCloseReason(request, { now: before, eaterIds: ['a', 'b'], votes, optionCount: 2 })).toBeNull();
+    expect(getAutoCloseReason(request, { now: before, eaterIds: ['a'], votes, optionCount: 2 })).toBe('all_voted');
+    expect(getAutoCloseReason(request, { now: new Date('2025-03-11T17:00:00Z'), eaterIds: ['a', 'b'], votes, optionCount: 2 })).toBe('deadline');
+    // Nobody said yes yet: wait for the deadline
+    expect(getAutoCloseReason({ ...request, deadline: null }, { now: before, eaterIds: [], votes, optionCount: 2 })).toBeNull();
+    expect(getAutoCloseReason({ ...request, plan_type: 'weekly', status: 'planning' }, { now: new Date('2025-03-12T00:00:00Z') })).toBeNull();
+  });
+
+  it('reminds once inside the window before the deadline', () => {
+    const { isReminderDue } = require('../requestLifecycle');
+    const request = req('r1', '2025-03-11T10:00:00Z', { deadline: '2025-03-11T17:00:00Z' });
+    expect(isReminderDue(request, new Date('2025-03-11T16:20:00Z'), 30)).toBe(false);
+    expect(isReminderDue(request, new Date('2025-03-11T16:40:00Z'), 30)).toBe(true);
+    expect(isReminderDue(request, new Date('2025-03-11T17:01:00Z'), 30)).toBe(false);
+    expect(isReminderDue(request, new Date('2025-03-11T16:40:00Z'), 0)).toBe(false);
+    expect(isReminderDue({ ...request, reminder_sent_at: '2025-03-11T16:31:00Z' }, new Date('2025-03-11T16:40:00Z'), 30)).toBe(false);
+  });
+
+  it('caps proposals and only lets members swap out options nobody likes', () => {
+    const { getProposalAllowance, getReplaceableOptionIds, getVotersToRenotify } = require('../requestLifecycle');
+    const options = [
+      { meal_option_id: 'o1', proposed_by: null },
+      { meal_option_id: 'o2', proposed_by: 'b' },
+      { meal_option_id: 'o3', proposed_by: null },
+    ];
+    const votes = [
+      { user_id: 'a', meal_option_id: 'o1', vote: 'yes' }, { user_id: 'a', meal_option_id: 'o2', vote: 'no' },
+      { user_id: 'a', meal_option_id: 'o3', vote: 'yes', rank: 2 },
+      { user_id: 'b', meal_option_id: 'o1', vote: 'no' }, { user_id: 'b', meal_option_id: 'o2', vote: 'veto' },
+    ];
+
+    expect(getProposalAllowance(options, 3)).toEqual({ used: 1, left: 2 });
+    expect(getProposalAllowance(options, 0)).toEqual({ used: 1, left: 0 });
+    // o1 has a yes and a second place on a ranked ballot protects o3 too
+    expect(getReplaceableOptionIds(options, votes)).toEqual(['o2']);
+    // a finished before the change; b was still voting and c made the change
+    expect(getVotersToRenotify(votes, 3, 'c')).toEqual(['a']);
+    expect(getVotersToRenotify(votes, 3, 'a')).toEqual([]);
+  });
+
+  it('merges, snapshots and closes against the mock client, and is idempotent', async () => {
+    let summary;
+    let second;
+    let rpcSpy;
+    let fromSpy;
+    await jest.isolateModulesAsync(async () => {
+      let open = [
+        req('keep', '2025-03-10T17:00:00Z'),
+        req('dup', '2025-03-10T17:05:00Z'),
+        req('today', '2025-03-11T16:00:00Z'),
+      ];
+      jest.doMock('../groupsService', () => ({
+        getGroupSettings: async () => [{ id: 'g1', name: 'Huis', timezone: 'Europe/Amsterdam' }],
+      }));
+      jest.doMock('../mealRequestService', () => ({
+        getOpenMealRequests: async () => open,
+        getTopVotedMeals: async () => ({ success: true, topMeals: [] }),
+        completeMealRequest: async () => ({ success: true }),
+      }));
+      const { supabase } = require('../supabase');
+      rpcSpy = jest.spyOn(supabase, 'rpc');
+      fromSpy = jest.spyOn(supabase, 'from');
+      const { runRequestLifecycle } = require('../midnightResetService');
+      const now = new Date('2025-03-11T18:00:00Z');
+
+      summary = await runRequestLifecycle({ groupIds: ['g1'], now });
+      open = open.filter((r) => r.id === 'today');
+      second = await runRequestLifecycle({ groupIds: ['g1'], now });
+    });
+
+    expect(summary).toEqual({ success: true, merged: 1, closed: 1, errors: [] });
+    expect(rpcSpy).toHaveBeenCalledWith('merge_meal_requests', { keep_request: 'keep', duplicate_request: 'dup' });
+    expect(fromSpy).toHaveBeenCalledWith('terminated_sessions');
+    expect(second).toEqual({ success: true, merged: 0, closed: 0, errors: [] });
+  });
+
+  it('leaves an expired round open when its tally fails', async () => {
+    let summary;
+    let fromSpy;
+    await jest.isolateModulesAsync(async () => {
+      jest.doMock('../groupsService', () => ({
+        getGroupSettings: async () => [{ id: 'g1', name: 'Huis', timezone: 'Europe/Amsterdam' }],
+      }));
+      jest.doMock('../mealRequestService', () => ({
+        getOpenMealRequests: async () => [req('old', '2025-03-10T17:00:00Z')],
+        getTopVotedMeals: async () => ({ success: false, topMeals: [], error: 'Network request failed' }),
+      }));
+      const { supabase } = require('../supabase');
+      fromSpy = jest.spyOn(supabase, 'from');
+      const { runRequestLifecycle } = require('../midnightResetService');
+      summary = await runRequestLifecycle({ groupIds: ['g1'], now: new Date('2025-03-11T18:00:00Z') });
+    });
+
+    expect(summary).toEqual({ success: false, merged: 0, closed: 0, errors: ['Network request failed'] });
+    expect(fromSpy).not.toHaveBeenCalledWith('terminated_sessions');
+    expect(fromSpy).not.toHaveBeenCalledWith('meal_requests');
+  });
+
+  it('claims a round before tallying, so only one device snapshots it and picks the cook', async () => {
+    const updates = [];
+    const calls = [];
+    let claimRows = [{ id: 'r1' }];
+    let results;
+    await jest.isolateModulesAsync(async () => {
+      jest.doMock('../mealRequestService', () => ({
+        getOpenMealRequests: async () => [],
+        getVotingTally: async () => { calls.push('tally'); return { success: true, tally: { winner: { meal_option_id: 'o1', meal_data: { name: 'Curry' } } } }; },
+      }));
+      jest.doMock('../midnightResetService', () => ({
+        saveRequestSnapshot: async () => { calls.push('snapshot'); return { success: true }; },
+      }));
+      jest.doMock('../cookRotaService', () => ({
+        assignTonightsCook: async () => { calls.push('cook'); return { success: true, cookId: 'c1' }; },
+      }));
+      jest.doMock('../notificationService', () => ({
+        notifyUsers: async () => { calls.push('push'); return { success: true }; },
+      }));
+      const { supabase } = require('../supabase');
+      jest.spyOn(supabase, 'from').mockImplementation(() => {
+        let rows = [];
+        const chain = {
+          update: (values) => { updates.push(values); rows = values.closed_at ? claimRows : [{ id: 'r1' }]; return chain; },
+          select: () => chain, eq: () => chain, is: () => chain, in: () => chain,
+          single: async () => ({ data: null, error: null }),
+          then: (resolve) => resolve({ data: rows, error: null }),
+        };
+        return chain;
+      });
+      const { closeRound } = require('../roundCloseService');
+      const request = req('r1', '2025-03-11T10:00:00Z', { deadline: '2025-03-11T17:00:00Z' });
+      const group = { id: 'g1', name: 'Huis', timezone: 'Europe/Amsterdam' };
+      const now = new Date('2025-03-11T17:00:30Z');
+
+      results = [await closeRound(request, group, 'deadline', now)];
+      claimRows = [];
+      results.push(await closeRound(request, group, 'deadline', now));
+      // Claimed a minute ago by a device that may still be busy
+      results.push(await closeRound({ ...request, closed_at: '2025-03-11T16:59:40Z' }, group, 'deadline', now));
+    });
+
+    expect(results.map((r) => r.closed)).toEqual([true, false, false]);
+    expect(calls).toEqual(['tally', 'snapshot', 'cook', 'push']);
+    expect(updates[0]).toEqual({ closed_at: '2025-03-11T17:00:30.000Z', closed_reason: 'deadline' });
+    expect(updates[1]).toMatchObject({ status: 'completed', winner_option_id: 'o1', cook_id: 'c1' });
+    expect(updates).toHaveLength(4);
+  });
+});
+
+describe('outbox', () => {
+  // Fresh module (and AsyncStorage mock) per test; fake timers swallow the retry timer
+  const withOutbox = async (fn) => {
+    jest.useFakeTimers();
+    try {
+      await jest.isolateModulesAsync(async () => {
+        await fn(require('../outbox'));
+      });
+    } finally {
+      jest.clearAllTimers();
+      jest.useRealTimers();
+    }
+  };
+
+  it('collapses items with the same key, last write wins', async () => {
+    await withOutbox(async ({ enqueue, getOutbox }) => {
+      await enqueue('vote', { vote: 'yes' }, 'vote:r1:m1');
+      await enqueue('chat_message', { message: 'hoi' });
+      await enqueue('vote', { vote: 'no' }, 'vote:r1:m1');
+      const queue = await getOutbox();
+      expect(queue.map((i) => i.type)).toEqual(['chat_message', 'vote']);
+      expect(queue[1].payload).toEqual({ vote: 'no' });
+    });
+  });
+
+  it('queues while offline and replays in order once back online', async () => {
+    await withOutbox(async ({ registerOutboxHandler, runOrQueue, flushOutbox, getOutbox }) => {
+      let online = false;
+      const sent = [];
+      registerOutboxHandler('chat_message', async ({ message }) => {
+        if (!online) return { success: false, error: 'TypeError: Network request failed' };
+        sent.push(message);
+        return { success: true };
+      });
+
+      expect(await runOrQueue('chat_message', { message: 'een' })).toMatchObject({ success: true, queued: true });
+      await flushOutbox();
+      // A later message must wait behind the queued one, even when it could go straight out
+      online = true;
+      await runOrQueue('chat_message', { message: 'twee' });
+      await flushOutbox();
+
+      expect(sent).toEqual(['een', 'twee']);
+      expect(await getOutbox()).toEqual([]);
+    });
+  });
+
+  it('sends an item queued while a replay is running in that same replay', async () => {
+    await withOutbox(async ({ registerOutboxHandler, enqueue, runOrQueue, flushOutbox, getOutbox }) => {
+      const sent = [];
+      let release;
+      const held = new Promise((resolve) => { release = resolve; });
+      registerOutboxHandler('chat_message', async ({ message }) => {
+        if (message === 'een') await held;
+        sent.push(message);
+        return { success: true };
+      });
+
+      await enqueue('chat_message', { message: 'een' });
+      const running = flushOutbox();
+      // 'een' is still pending, so this one is queued and joins the running replay
+      expect(await runOrQueue('chat_message', { message: 'twee' })).toMatchObject({ queued: true });
+      release();
+      await running;
+
+      expect(sent).toEqual(['een', 'twee']);
+      expect(await getOutbox()).toEqual([]);
+    });
+  });
+
+  it('parks an item as failed after repeated server rejections', async () => {
+    await withOutbox(async ({ registerOutboxHandler, enqueue, flushOutbox, getOutbox, MAX_ATTEMPTS }) => {
+      registerOutboxHandler('shopping_toggle', async () => ({ success: false, error: 'permission denied' }));
+      await enqueue('shopping_toggle', { itemId: 'i1', checked: true }, 'shopping:i1');
+      for (let i = 0; i < MAX_ATTEMPTS; i += 1) await flushOutbox();
+
+      const [item] = await getOutbox();
+      expect(item.status).toBe('failed');
+      expect(item.attempts).toBe(MAX_ATTEMPTS);
+      expect(item.lastError).toBe('permission denied');
+    });
+  });
+});
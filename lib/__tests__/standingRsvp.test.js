@@ -0,0 +1,57 @@
+/**
+ * Standing RSVP tests: weekly defaults, absences winning, engagement
+ */
+
+import {
+  normalizeWeekdayDefaults,
+  getWeekday,
+  getAutoResponse,
+  isEngagement,
+  isValidAbsence,
+  nextWeekdayDefault,
+} from '../standingRsvp';
+
+const weekdays = { 1: 'yes', 2: 'yes', 3: 'yes', 4: 'yes', 5: 'no' };
+
+describe('normalizeWeekdayDefaults', () => {
+  it('keeps yes / no for real weekdays only', () => {
+    expect(normalizeWeekdayDefaults({ 1: 'yes', 7: 'yes', 2: 'maybe', 0: 'no' })).toEqual({ 1: 'yes', 0: 'no' });
+    expect(normalizeWeekdayDefaults(null)).toEqual({});
+  });
+
+  it('cycles a weekday through none, yes and no', () => {
+    expect([null, 'yes', 'no'].map(nextWeekdayDefault)).toEqual(['yes', 'no', null]);
+  });
+});
+
+describe('getAutoResponse', () => {
+  it('answers from the weekly default of that weekday', () => {
+    // 2026-11-09 is a Monday, 2026-11-13 a Friday, 2026-11-14 a Saturday
+    expect(getWeekday('2026-11-09')).toBe(1);
+    expect(getAutoResponse({ weekdays, date: '2026-11-09' })).toEqual({ response: 'yes', source: 'standing' });
+    expect(getAutoResponse({ weekdays, date: '2026-11-13' })).toEqual({ response: 'no', source: 'standing' });
+    expect(getAutoResponse({ weekdays, date: '2026-11-14' })).toBeNull();
+  });
+
+  it('lets an absence win over the weekly default, bounds included', () => {
+    const absences = [{ starts_on: '2026-11-12', ends_on: '2026-11-20' }];
+    expect(getAutoResponse({ weekdays, absences, date: '2026-11-12' })).toEqual({ response: 'no', source: 'absence' });
+    expect(getAutoResponse({ weekdays, absences, date: '2026-11-20' })).toEqual({ response: 'no', source: 'absence' });
+    expect(getAutoResponse({ weekdays, absences, date: '2026-11-11' })).toEqual({ response: 'yes', source: 'standing' });
+  });
+});
+
+describe('engagement', () => {
+  it('only counts answers the member gave themselves', () => {
+    expect(isEngagement({ response: 'yes', auto_source: null })).toBe(true);
+    expect(isEngagement({ response: 'yes', auto_source: 'standing' })).toBe(false);
+    expect(isEngagement({ response: 'no', auto_source: 'absence' })).toBe(false);
+    expect(isEngagement(null)).toBe(false);
+  });
+
+  it('accepts absences that are in order and not over', () => {
+    expect(isValidAbsence({ startsOn: '2026-11-12', endsOn: '2026-11-20' }, '2026-11-01')).toBe(true);
+    expect(isValidAbsence({ startsOn: '2026-11-20', endsOn: '2026-11-12' }, '2026-11-01')).toBe(false);
+    expect(isValidAbsence({ startsOn: '2026-10-01', endsOn: '2026-10-02' }, '2026-11-01')).toBe(false);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Voting method tests: yes/no, approval, ranked choice (instant runoff) and veto tallies
+ */
+
+import { tallyVotes, getTopMeals, getDashboardTopMeals } from '../votingMethods';
+import { sortTopMeals } from '../sortTopMeals';
+
+const options = ['Curry', 'Lasagne', 'Nasi', 'Pizza'].map((name, i) => ({
+  meal_option_id: `o${i + 1}`,
+  meal_data: { name },
+}));
+const [curry, lasagne, nasi, pizza] = options.map((o) => o.meal_option_id);
+
+let clock = 0;
+const vote = (user, option, value = 'yes', rank) => ({
+  user_id: user,
+  meal_option_id: option,
+  vote: value,
+  rank,
+  created_at: `2025-03-10T17:00:${String(clock++).padStart(2, '0')}Z`,
+});
+
+const names = (tally) => tally.ranking.map((m) => m.meal_data.name);
+
+describe('yes/no', () => {
+  it('ranks by yes votes and breaks ties alphabetically', () => {
+    const tally = tallyVotes({
+      options,
+      votes: [vote('a', pizza), vote('b', pizza), vote('a', curry), vote('b', curry), vote('c', nasi, 'no')],
+    });
+    expect(names(tally).slice(0, 2)).toEqual(['Curry', 'Pizza']);
+    expect(tally.winner.meal_data.name).toBe('Curry');
+    expect(tally.explanation.tie).toBe(true);
+    expect(tally.voters).toBe(3);
+  });
+
+  it('has no winner without yes votes', () => {
+    expect(tallyVotes({ options, votes: [vote('a', curry, 'no')] }).winner).toBeNull();
+  });
+});
+
+describe('approval', () => {
+  it('only counts the first picks up to the limit', () => {
+    const tally = tallyVotes({
+      method: 'approval',
+      approvalLimit: 1,
+      options,
+      votes: [vote('a', nasi), vote('a', pizza), vote('b', pizza), vote('c', nasi)],
+    });
+    expect(tally.winner.meal_data.name).toBe('Nasi');
+    expect(tally.ranking[0].score).toBe(2);
+    expect(tally.explanation).toMatchObject({ approvalLimit: 1, ignored: 1 });
+  });
+});
+
+describe('veto', () => {
+  it('knocks vetoed meals out even with the most yes votes', () => {
+    const tally = tallyVotes({
+      method: 'veto',
+      options,
+      votes: [vote('a', pizza), vote('b', pizza), vote('c', pizza, 'veto'), vote('a', lasagne)],
+    });
+    expect(tally.winner.meal_data.name).toBe('Lasagne');
+    expect(names(tally)[3]).toBe('Pizza');
+    expect(tally.explanation.vetoed).toEqual([{ meal_option_id: pizza, name: 'Pizza', vetoes: 1 }]);
+  });
+
+  it('counts one veto per person and falls back to yes votes when all are vetoed', () => {
+    const twoVetoes = tallyVotes({
+      method: 'veto',
+      options: options.slice(0, 2),
+      votes: [vote('a', curry, 'veto'), vote('a', lasagne, 'veto'), vote('b', lasagne)],
+    });
+    expect(twoVetoes.winner.meal_data.name).toBe('Lasagne');
+
+    const allVetoed = tallyVotes({
+      method: 'veto',
+      options: options.slice(0, 2),
+      votes: [vote('a', curry, 'veto'), vote('b', lasagne, 'veto'), vote('c', lasagne)],
+    });
+    expect(allVetoed.explanation.allVetoed).toBe(true);
+    expect(allVetoed.winner.meal_data.name).toBe('Lasagne');
+  });
+});
+
+describe('ranked choice', () => {
+  it('resolves by instant runoff, not by first choices alone', () => {
+    const ballots = [
+      ['a', [curry]], ['b', [curry]], ['c', [curry]],
+      ['d', [lasagne]], ['e', [lasagne]],
+      ['f', [nasi, lasagne]], ['g', [nasi, lasagne]],
+    ];
+    const votes = ballots.flatMap(([user, picks]) => picks.map((id, i) => vote(user, id, 'yes', i + 1)));
+    const tally = tallyVotes({ method: 'ranked', options, votes });
+
+    expect(tally.winner.meal_data.name).toBe('Lasagne');
+    expect(names(tally)).toEqual(['Lasagne', 'Curry', 'Nasi', 'Pizza']);
+    const { rounds, majority } = tally.explanation;
+    expect(rounds).toHaveLength(3);
+    expect(rounds[0].eliminated).toEqual(['Pizza']);
+    expect(rounds[1].eliminated).toEqual(['Nasi']);
+    expect(rounds[2].counts[lasagne]).toBe(4);
+    expect(majority).toBe(true);
+  });
+
+  it('uses the rank, not the order the votes were cast', () => {
+    const tally = tallyVotes({
+      method: 'ranked',
+      options,
+      votes: [vote('a', pizza, 'yes', 2), vote('a', nasi, 'yes', 1)],
+    });
+    expect(tally.winner.meal_data.name).toBe('Nasi');
+  });
+});
+
+describe('sortTopMeals', () => {
+  it('keeps the tally order of non yes/no rounds', () => {
+    const meals = [
+      { meal_option_id: 'x', yes_votes: 5, tally_rank: 2, meal_data: { name: 'A' } },
+      { meal_option_id: 'y', yes_votes: 3, tally_rank: 1, meal_data: { name: 'B' } },
+    ];
+    expect(sortTopMeals(meals).map((m) => m.meal_option_id)).toEqual(['y', 'x']);
+  });
+});
+
+describe('getDashboardTopMeals', () => {
+  it('uses the yes-vote list only for yes/no rounds', () => {
+    const meals = [
+      { meal_option_id: 'x', yes_votes: 1, meal_data: { name: 'A' } },
+      { meal_option_id: 'y', yes_votes: 2, meal_data: { name: 'B' } },
+    ];
+    expect(getDashboardTopMeals({ voting_method: 'yes_no' }, meals).map((m) => m.meal_option_id)).toEqual(['y', 'x']);
+    expect(getDashboardTopMeals({}, null)).toEqual([]);
+  });
+
+  it('leaves a veto round with a vetoed leader to the tally', () => {
+    const votes = [vote('a', pizza), vote('b', pizza), vote('c', pizza, 'veto'), vote('a', lasagne)];
+    const byYesVotes = [
+      { meal_option_id: pizza, yes_votes: 2, meal_data: { name: 'Pizza' } },
+      { meal_option_id: lasagne, yes_votes: 1, meal_data: { name: 'Lasagne' } },
+    ];
+    expect(getDashboardTopMeals({ voting_method: 'veto' }, byYesVotes)).toBeNull();
+    const top = getTopMeals(tallyVotes({ method: 'veto', options, votes }));
+    expect(top.map((m) => m.meal_data.name)).toEqual(['Lasagne']);
+  });
+
+  it('never lists a vetoed meal first when the others have no yes votes', () => {
+    const votes = [vote('a', pizza), vote('b', pizza), vote('c', pizza, 'veto')];
+    const tally = tallyVotes({ method: 'veto', options, votes });
+    expect(tally.winner).toBeNull();
+    expect(getTopMeals(tally)).toEqual([]);
+
+    const allVetoed = tallyVotes({
+      method: 'veto',
+      options: options.slice(0, 2),
+      votes: [vote('a', curry, 'veto'), vote('b', lasagne, 'veto'), vote('c', lasagne)],
+    });
+    expect(getTopMeals(allVetoed).map((m) => m.meal_data.name)).toEqual(['Lasagne']);
+  });
+});
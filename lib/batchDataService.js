@@ -99,7 +99,6 @@ export const preloadAllGroupData = async (groups) => {
     return { success: true, preloadedData: {}, timestamp: Date.now() };
   }
   try {
-    const today = new Date().toISOString().split('T')[0];
     const results = await Promise.all(
       groups.map(async (g) => {
         const gid = g.group_id || g.id;
@@ -0,0 +1,58 @@
+/**
+ * Chat Commands - slash commands and light triggers in group chat
+ *   /ja    eat along tonight (setMyResponseToday 'yes')
+ *   /nee   don't eat along tonight
+ *   /shop  start doing the groceries (startShopping)
+ *   /stem  open today's voting round
+ *   /wie   post who eats along tonight
+ * Commands that change something post a system message (kind 'system',
+ * payload { command, ... }, written by the post_system_message RPC) so the
+ * group sees what happened. Typed phrases like "ik eet mee" only suggest
+ * the command; nothing runs without a tap.
+ * No Supabase here; GroupChatScreen runs the commands.
+ */
+
+export const CHAT_COMMANDS = ['ja', 'nee', 'shop', 'stem', 'wie'];
+
+// Commands that post a system message when they succeed
+export const ANNOUNCED_COMMANDS = ['ja', 'nee', 'shop', 'wie'];
+
+/**
+ * { command } for "/ja" and friends (any case, extra words ignored),
+ * { unknown: name } for other slash commands, null for normal messages
+ */
+export const parseChatCommand = (text) => {
+  const match = /^\/(\S*)/.exec(String(text || '').trim());
+  if (!match) return null;
+  const name = match[1].toLowerCase();
+  return CHAT_COMMANDS.includes(name) ? { command: name } : { unknown: name };
+};
+
+/**
+ * Commands matching what's typed after "/", for the hint chips
+ */
+export const getCommandSuggestions = (text) => {
+  const match = /^\/(\S*)$/.exec(String(text || '').trim());
+  if (!match) return [];
+  const prefix = match[1].toLowerCase();
+  return CHAT_COMMANDS.filter((c) => c.startsWith(prefix));
+};
+
+// Checked in order: "niet mee" before "mee"
+const TRIGGERS = [
+  ['nee', /\bik\s+(eet|ben)\s+(vanavond\s+)?niet\s+(mee|thuis)\b/],
+  ['nee', /\bik\s+schuif\s+(vanavond\s+)?niet\s+aan\b/],
+  ['ja', /\bik\s+eet\s+(vanavond\s+)?(ook\s+)?mee\b/],
+  ['ja', /\bik\s+schuif\s+(vanavond\s+)?(ook\s+)?aan\b/],
+  ['shop', /\b(ik\s+(ga|doe)\s+(wel\s+)?(de\s+)?boodschappen|wie\s+(gaat|doet)\s+(er\s+)?(de\s+)?boodschappen)\b/],
+  ['wie', /\bwie\s+(eet|eten|schuift|schuiven)\s+(er\s+)?(vanavond\s+)?(mee|aan)\b/],
+];
+
+/**
+ * The command a plain message seems to ask for, or null
+ */
+export const detectChatIntent = (text) => {
+  const lower = String(text || '').toLowerCase();
+  const hit = TRIGGERS.find(([, pattern]) => pattern.test(lower));
+  return hit ? hit[0] : null;
+};
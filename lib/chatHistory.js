@@ -0,0 +1,92 @@
+/**
+ * Chat History - paging and search rules for group chat
+ * Messages are kept for groups.chat_retention_days (0 = forever) and read
+ * back in pages of CHAT_PAGE_SIZE, newest first, with a (created_at, id)
+ * cursor so messages sent in the same millisecond are never skipped.
+ * No Supabase here; queries live in chatService.js.
+ */
+
+import { getDinnerDay } from './dinnerDay';
+
+export const CHAT_PAGE_SIZE = 40;
+
+// Retention choices in days; 0 = keep forever
+export const CHAT_RETENTION_STEPS = [7, 30, 90, 365, 0];
+export const DEFAULT_CHAT_RETENTION_DAYS = 30;
+export const MAX_CHAT_RETENTION_DAYS = 365;
+
+export const MIN_SEARCH_LENGTH = 2;
+
+// Most messages loaded at once when jumping to an old search result
+export const MAX_JUMP_MESSAGES = 500;
+
+const compareMessages = (a, b) => (
+  String(a.created_at).localeCompare(String(b.created_at)) || String(a.id).localeCompare(String(b.id))
+);
+
+/**
+ * Cursor of the oldest message on screen, or null. Messages that are
+ * still being sent don't count.
+ */
+export const getCursor = (messages = []) => {
+  const oldest = messages.find((m) => !m._optimistic && !m._pending);
+  return oldest ? { created_at: oldest.created_at, id: oldest.id } : null;
+};
+
+// Double-quoted PostgREST value, so commas, dots and colons stay literal
+const quote = (value) => `"${String(value).replace(/["\\]/g, (c) => `\\${c}`)}"`;
+
+/**
+ * PostgREST or() filter for messages strictly older than a cursor
+ */
+export const buildBeforeFilter = (cursor) => {
+  const at = quote(cursor.created_at);
+  return `created_at.lt.${at},and(created_at.eq.${at},id.lt.${quote(cursor.id)})`;
+};
+
+/**
+ * Messages on screen plus a fetched page, oldest first, each id once.
+ * Fetched rows win over the ones on screen.
+ */
+export const mergeMessages = (current = [], incoming = []) => {
+  const byId = new Map(current.map((m) => [m.id, m]));
+  incoming.forEach((m) => byId.set(m.id, m));
+  return [...byId.values()].sort(compareMessages);
+};
+
+/**
+ * True when a message is the first of its dinner day in the list, so the
+ * chat shows a date line above it
+ */
+export const startsNewDay = (messages, index, dayOptions) => (
+  index === 0 || getDinnerDay(messages[index - 1].created_at, dayOptions) !== getDinnerDay(messages[index].created_at, dayOptions)
+);
+
+/**
+ * Search text as typed, without PostgREST wildcards; '' when too short
+ */
+export const normalizeSearchQuery = (query) => {
+  const text = String(query || '').replace(/\*/g, ' ').replace(/\s+/g, ' ').trim();
+  return text.length >= MIN_SEARCH_LENGTH ? text : '';
+};
+
+/**
+ * User ids whose name contains the query. names: { [userId]: name }
+ */
+export const findSenderIds = (query, names = {}) => {
+  const needle = query.toLowerCase();
+  return Object.entries(names)
+    .filter(([, name]) => String(name || '').toLowerCase().includes(needle))
+    .map(([userId]) => userId);
+};
+
+/**
+ * PostgREST or() filter: message text contains the query, or the sender
+ * is one of senderIds
+ */
+export const buildSearchFilter = (query, senderIds = []) => {
+  const pattern = `*${query.replace(/[\\%_]/g, (c) => `\\${c}`)}*`;
+  const parts = [`message.ilike.${quote(pattern)}`];
+  if (senderIds.length) parts.push(`user_id.in.(${senderIds.join(',')})`);
+  return parts.join(',');
+};
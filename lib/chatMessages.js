@@ -0,0 +1,143 @@
+/**
+ * Chat Messages - kinds of group chat messages and how they read
+ * group_messages.kind is 'text', 'recipe', 'poll' or 'system' (what a chat
+ * command did, see chatCommands.js); recipe cards, polls and system messages
+ * keep their content in payload, and message holds a plain-text version so
+ * search and older app versions still show something. Any kind can reply to
+ * another message (reply_to_id). Reactions and poll votes live in their own
+ * tables and are tallied here.
+ * No Supabase here so previews and tallies are unit-testable.
+ */
+
+export const MESSAGE_KINDS = ['text', 'recipe', 'poll', 'system'];
+
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '😋', '🎉', '😮'];
+
+export const MIN_POLL_OPTIONS = 2;
+export const MAX_POLL_OPTIONS = 4;
+const MAX_POLL_TEXT = 80;
+
+const PREVIEW_LENGTH = 100;
+const QUOTE_LENGTH = 80;
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 3)}...` : text);
+
+export const getMessageKind = (message) => (MESSAGE_KINDS.includes(message?.kind) ? message.kind : 'text');
+
+/**
+ * Recipe card payload from a meal ({ id, meal_data }, like round options;
+ * use mealRequestService.toMealData for recipes). meal_data is copied so the
+ * card keeps working after the round closes or the recipe changes.
+ */
+export const buildRecipeCard = (meal, { recipeId = null } = {}) => {
+  if (!meal?.meal_data?.name) return null;
+  return {
+    meal_option_id: recipeId ? null : meal.id || null,
+    recipe_id: recipeId,
+    meal_data: meal.meal_data,
+  };
+};
+
+/**
+ * Poll payload { question, options } from user input, or null when it
+ * has no question or fewer than two distinct options
+ */
+export const buildPoll = (question, options = []) => {
+  const text = String(question || '').trim().slice(0, MAX_POLL_TEXT);
+  const seen = new Set();
+  const cleaned = options
+    .map((o) => String(o || '').trim().slice(0, MAX_POLL_TEXT))
+    .filter((o) => o && !seen.has(o.toLowerCase()) && seen.add(o.toLowerCase()))
+    .slice(0, MAX_POLL_OPTIONS);
+  if (!text || cleaned.length < MIN_POLL_OPTIONS) return null;
+  return { question: text, options: cleaned };
+};
+
+/**
+ * Plain text of a message, stored in group_messages.message
+ */
+export const getMessageText = ({ kind = 'text', message = '', payload = null }) => {
+  if (kind === 'recipe') return payload?.meal_data?.name || message;
+  if (kind === 'poll') return payload ? `${payload.question} (${payload.options.join(' / ')})` : message;
+  return message;
+};
+
+/**
+ * Push notification body for a new message, in Dutch like the other pushes
+ */
+export const getMessagePreview = (message, senderName) => {
+  const kind = getMessageKind(message);
+  if (kind === 'recipe') return truncate(`${senderName} deelde een recept: ${getMessageText(message)}`, PREVIEW_LENGTH);
+  if (kind === 'poll') return truncate(`${senderName} vraagt: ${getMessageText(message)}`, PREVIEW_LENGTH);
+  if (kind === 'system') return truncate(message.message, PREVIEW_LENGTH);
+  const prefix = message.reply_to_id ? `${senderName} antwoordde` : senderName;
+  return truncate(`${prefix}: ${message.message}`, PREVIEW_LENGTH);
+};
+
+/**
+ * Short text for the quote above a reply
+ */
+export const getQuoteText = (message) => {
+  const kind = getMessageKind(message);
+  const text = kind === 'text' ? message.message : getMessageText(message);
+  return truncate(String(text || '').replace(/\s+/g, ' '), QUOTE_LENGTH);
+};
+
+/**
+ * Reactions per message: { [messageId]: [{ emoji, count, mine }] }, most
+ * used first. rows: [{ message_id, user_id, emoji }]
+ */
+export const aggregateReactions = (rows = [], currentUserId) => {
+  const byMessage = {};
+  rows.forEach((r) => {
+    const list = (byMessage[r.message_id] = byMessage[r.message_id] || []);
+    let entry = list.find((e) => e.emoji === r.emoji);
+    if (!entry) {
+      entry = { emoji: r.emoji, count: 0, mine: false };
+      list.push(entry);
+    }
+    entry.count += 1;
+    if (r.user_id === currentUserId) entry.mine = true;
+  });
+  Object.values(byMessage).forEach((list) => list.sort((a, b) => b.count - a.count));
+  return byMessage;
+};
+
+/**
+ * Reaction rows after a change from realtime or from this device; adding
+ * one that's already there changes nothing
+ */
+export const applyReactionChange = (rows, eventType, row) => {
+  const same = (r) => r.message_id === row.message_id && r.user_id === row.user_id && r.emoji === row.emoji;
+  if (eventType === 'DELETE') return rows.filter((r) => !same(r));
+  return rows.some(same) ? rows : [...rows, row];
+};
+
+/**
+ * Vote rows after a change; a member's new vote replaces their old one
+ */
+export const applyVoteChange = (votes, eventType, row) => {
+  const others = votes.filter((v) => !(v.message_id === row.message_id && v.user_id === row.user_id));
+  return eventType === 'DELETE' ? others : [...others, row];
+};
+
+/**
+ * Live poll result: { options: [{ label, count, share }], total, myChoice }.
+ * votes: [{ user_id, option_index }], one per member
+ */
+export const tallyPoll = (payload, votes = [], currentUserId) => {
+  const labels = payload?.options || [];
+  const counts = labels.map(() => 0);
+  let myChoice = null;
+  votes.forEach((v) => {
+    if (v.option_index < 0 || v.option_index >= labels.length) return;
+    counts[v.option_index] += 1;
+    if (v.user_id === currentUserId) myChoice = v.option_index;
+  });
+  const total = counts.reduce((sum, n) => sum + n, 0);
+  return {
+    options: labels.map((label, i) => ({ label, count: counts[i], share: total ? counts[i] / total : 0 })),
+    total,
+    myChoice,
+  };
+};
@@ -0,0 +1,110 @@
+/**
+ * Chat Read Service - server-side read state for group chat
+ * Maps to: group_chat_reads (group_id, user_id, last_read_at),
+ * rpc mark_group_chat_read, get_chat_unread_counts, get_pending_vote_count
+ * Rules (receipts, badge total) live in chatReads.js.
+ */
+
+import { supabase, USE_REAL_SUPABASE } from './supabase';
+import { setBadgeCount } from './notificationService';
+import { getBadgeTotal, toUnreadCounts } from './chatReads';
+
+/**
+ * Mark the group's chat as read up to now (or up to readAt)
+ */
+export const markChatRead = async (groupId, readAt = null) => {
+  if (!USE_REAL_SUPABASE) return { success: true };
+  try {
+    const params = { p_group_id: groupId };
+    if (readAt) params.p_read_at = readAt;
+    const { data, error } = await supabase.rpc('mark_group_chat_read', params);
+    if (error) return { success: false, error: error.message };
+    return { success: true, lastReadAt: data };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+};
+
+/**
+ * Unread messages per group for the current user: { success, counts }
+ * with counts { [groupId]: n } for groups that have any
+ */
+export const getUnreadCounts = async () => {
+  if (!USE_REAL_SUPABASE) return { success: true, counts: {} };
+  try {
+    const { data, error } = await supabase.rpc('get_chat_unread_counts');
+    if (error) return { success: false, counts: {}, error: error.message };
+    return { success: true, counts: toUnreadCounts(data || []) };
+  } catch (e) {
+    return { success: false, counts: {}, error: e.message };
+  }
+};
+
+/**
+ * How far each member of a group has read: { success, reads: [{ user_id, last_read_at }] }
+ */
+export const getGroupReads = async (groupId) => {
+  if (!USE_REAL_SUPABASE) return { success: true, reads: [] };
+  try {
+    const { data, error } = await supabase
+      .from('group_chat_reads')
+      .select('user_id, last_read_at')
+      .eq('group_id', groupId);
+    if (error) return { success: false, reads: [], error: error.message };
+    return { success: true, reads: data || [] };
+  } catch (e) {
+    return { success: false, reads: [], error: e.message };
+  }
+};
+
+/**
+ * Live read updates for a group (read receipts) or for one user across
+ * groups (unread badges on other devices): pass { groupId } or { userId }.
+ * onRead gets the group_chat_reads row.
+ */
+export const subscribeToChatReads = ({ groupId, userId }, onRead) => {
+  if (!USE_REAL_SUPABASE) return () => {};
+  const filter = groupId ? `group_id=eq.${groupId}` : `user_id=eq.${userId}`;
+  const channel = supabase
+    .channel(`chat-reads-${groupId || userId}`)
+    .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'group_chat_reads', filter }, (payload) => {
+      if (payload.new) onRead(payload.new);
+    })
+    .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'group_chat_reads', filter }, (payload) => {
+      if (payload.new) onRead(payload.new);
+    })
+    .subscribe();
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+};
+
+/**
+ * Open rounds the current user hasn't voted in yet
+ */
+export const getPendingVoteCount = async () => {
+  if (!USE_REAL_SUPABASE) return 0;
+  try {
+    const { data, error } = await supabase.rpc('get_pending_vote_count');
+    if (error) return 0;
+    return data || 0;
+  } catch (e) {
+    return 0;
+  }
+};
+
+/**
+ * Set the app icon badge to unread chats plus pending votes.
+ * unreadCounts: { [groupId]: n } as kept by the groups screen.
+ */
+export const updateAppBadge = async (unreadCounts) => {
+  try {
+    const pendingVotes = await getPendingVoteCount();
+    const total = getBadgeTotal(unreadCounts, pendingVotes);
+    await setBadgeCount(total);
+    return { success: true, total };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+};
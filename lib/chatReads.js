@@ -0,0 +1,65 @@
+/**
+ * Chat Reads - unread counts, read receipts and the app icon badge
+ * Each member's last_read_at per group lives in group_chat_reads; the
+ * server counts unread messages from it (get_chat_unread_counts) and other
+ * members see it as "gelezen door". No Supabase here; queries live in
+ * chatReadService.js.
+ */
+
+// Badges show at most this; more reads as "99+"
+export const MAX_BADGE_COUNT = 99;
+
+export const formatUnreadCount = (count) => (count > MAX_BADGE_COUNT ? `${MAX_BADGE_COUNT}+` : String(count || 0));
+
+/**
+ * { [groupId]: unreadCount } from get_chat_unread_counts rows, leaving out
+ * groups without unread messages
+ */
+export const toUnreadCounts = (rows = []) => {
+  const counts = {};
+  rows.forEach((r) => {
+    if (r.unread_count > 0) counts[r.group_id] = r.unread_count;
+  });
+  return counts;
+};
+
+/**
+ * App icon badge: chats with unread messages plus rounds still waiting for
+ * my vote
+ */
+export const getBadgeTotal = (unreadCounts = {}, pendingVotes = 0) => (
+  Object.values(unreadCounts).filter((n) => n > 0).length + Math.max(0, pendingVotes || 0)
+);
+
+/**
+ * Where to show "gelezen door": each member (except me) under the newest
+ * message they have read that they didn't write themselves.
+ * reads: [{ user_id, last_read_at }]. Returns { [messageId]: [userId] }.
+ */
+export const getReadReceipts = (messages = [], reads = [], currentUserId) => {
+  const sent = messages.filter((m) => !m._optimistic && !m._pending);
+  const receipts = {};
+  reads.forEach((r) => {
+    if (r.user_id === currentUserId || !r.last_read_at) return;
+    const readUntil = new Date(r.last_read_at).getTime();
+    for (let i = sent.length - 1; i >= 0; i--) {
+      const m = sent[i];
+      if (m.user_id === r.user_id) continue;
+      if (new Date(m.created_at).getTime() <= readUntil) {
+        (receipts[m.id] = receipts[m.id] || []).push(r.user_id);
+        break;
+      }
+    }
+  });
+  return receipts;
+};
+
+/**
+ * Read rows after a realtime change; a member's newer read replaces the
+ * older one, an older one (from a slower device) is ignored
+ */
+export const applyReadChange = (reads = [], row) => {
+  const current = reads.find((r) => r.user_id === row.user_id);
+  if (current && new Date(current.last_read_at) >= new Date(row.last_read_at)) return reads;
+  return [...reads.filter((r) => r.user_id !== row.user_id), { user_id: row.user_id, last_read_at: row.last_read_at }];
+};
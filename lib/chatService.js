@@ -1,21 +1,76 @@
+/**
+ * Chat Service - group chat messages
+ * Maps to: group_messages (group_id, user_id, message, kind, payload,
+ * reply_to_id, created_at), group_message_reactions, group_poll_votes
+ * Paging and search rules live in chatHistory.js, message kinds in
+ * chatMessages.js; how long messages are kept is groups.chat_retention_days.
+ */
+
 import { supabase } from './supabase';
-import { sendPushNotifications } from './notificationService';
+import { notifyGroup } from './notificationService';
+import { registerOutboxHandler, runOrQueue, isNetworkError } from './outbox';
+import {
+  CHAT_PAGE_SIZE,
+  MAX_JUMP_MESSAGES,
+  buildBeforeFilter,
+  buildSearchFilter,
+  findSenderIds,
+  normalizeSearchQuery,
+} from './chatHistory';
+import { buildPoll, buildRecipeCard, getMessagePreview, getMessageText, REACTION_EMOJIS } from './chatMessages';
+import { ANNOUNCED_COMMANDS } from './chatCommands';
+
+const MESSAGE_FIELDS = 'id, user_id, message, kind, payload, reply_to_id, created_at, reply_to:reply_to_id(id, user_id, message, kind, payload)';
+
+/**
+ * A page of chat history, oldest first.
+ * before: cursor from chatHistory.getCursor to page further back.
+ * since: ISO time to load everything back to (jumping to a search result,
+ * at most MAX_JUMP_MESSAGES) instead of one page.
+ * Returns { success, messages, hasMore }
+ */
+export const getGroupMessages = async (groupId, { before = null, since = null, limit = CHAT_PAGE_SIZE } = {}) => {
+  try {
+    const max = since ? MAX_JUMP_MESSAGES : limit;
+    let query = supabase
+      .from('group_messages')
+      .select(MESSAGE_FIELDS)
+      .eq('group_id', groupId);
+    if (before) query = query.or(buildBeforeFilter(before));
+    if (since) query = query.gte('created_at', since);
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(max + 1);
 
-const getTodayStart = () => {
-  const d = new Date();
-  d.setHours(0, 0, 0, 0);
-  return d.toISOString();
+    if (error) throw error;
+    const rows = data || [];
+    return {
+      success: true,
+      messages: rows.slice(0, max).reverse(),
+      hasMore: rows.length > max,
+    };
+  } catch (e) {
+    return { success: false, messages: [], hasMore: false, error: e.message };
+  }
 };
 
-export const getGroupMessages = async (groupId) => {
+/**
+ * Messages whose text contains query or whose sender's name does, newest
+ * first. senderNames: { [userId]: name } of the group's members.
+ * Returns { success, messages } — empty for queries under MIN_SEARCH_LENGTH.
+ */
+export const searchGroupMessages = async (groupId, query, senderNames = {}) => {
+  const text = normalizeSearchQuery(query);
+  if (!text) return { success: true, messages: [] };
   try {
-    const todayStart = getTodayStart();
     const { data, error } = await supabase
       .from('group_messages')
-      .select('id, user_id, message, created_at')
+      .select(MESSAGE_FIELDS)
       .eq('group_id', groupId)
-      .gte('created_at', todayStart)
-      .order('created_at', { ascending: true });
+      .or(buildSearchFilter(text, findSenderIds(text, senderNames)))
+      .order('created_at', { ascending: false })
+      .limit(CHAT_PAGE_SIZE);
 
     if (error) throw error;
     return { success: true, messages: data || [] };
@@ -24,49 +79,28 @@ export const getGroupMessages = async (groupId) => {
   }
 };
 
-export const sendGroupMessage = async (groupId, message, groupName) => {
+const submitGroupMessage = async ({ groupId, message: trimmed, groupName, kind = 'text', payload = null, replyToId = null }) => {
   try {
     const { data: { user }, error: authErr } = await supabase.auth.getUser();
+    if (isNetworkError(authErr)) return { success: false, error: authErr.message };
     if (authErr || !user) return { success: false, error: 'Not authenticated' };
 
-    const trimmed = message.trim();
-    if (!trimmed || trimmed.length > 1000) return { success: false, error: 'Invalid message' };
-
     const { data, error } = await supabase
       .from('group_messages')
-      .insert({ group_id: groupId, user_id: user.id, message: trimmed })
-      .select('id, user_id, message, created_at')
+      .insert({ group_id: groupId, user_id: user.id, message: trimmed, kind, payload, reply_to_id: replyToId })
+      .select(MESSAGE_FIELDS)
       .single();
 
     if (error) throw error;
 
     // Fire-and-forget: notify other group members
-    (async () => {
-      try {
-        const senderName = user.user_metadata?.full_name || user.email?.split('@')[0] || '?';
-        const { data: members } = await supabase
-          .from('group_members')
-          .select('user_id')
-          .eq('group_id', groupId)
-          .eq('is_active', true)
-          .neq('user_id', user.id);
-        if (!members?.length) return;
-        const memberIds = members.map(m => m.user_id);
-        const { data: profiles } = await supabase
-          .from('profiles')
-          .select('push_token, chat_notifications')
-          .in('id', memberIds)
-          .not('push_token', 'is', null);
-        const tokens = (profiles || [])
-          .filter(p => p.chat_notifications !== false)
-          .map(p => p.push_token)
-          .filter(Boolean);
-        if (tokens.length > 0) {
-          const body = trimmed.length > 100 ? `${senderName}: ${trimmed.slice(0, 97)}...` : `${senderName}: ${trimmed}`;
-          await sendPushNotifications(tokens, groupName || 'Happie', body, { type: 'chat', groupId, groupName });
-        }
-      } catch (_) {}
-    })();
+    const senderName = user.user_metadata?.full_name || user.email?.split('@')[0] || '?';
+    notifyGroup('chat', {
+      groupId,
+      title: groupName || 'Happie',
+      body: getMessagePreview({ kind, payload, message: trimmed, reply_to_id: replyToId }, senderName),
+      data: { groupId, groupName },
+    }).catch(() => {});
 
     return { success: true, message: data };
   } catch (e) {
@@ -74,9 +108,169 @@ export const sendGroupMessage = async (groupId, message, groupName) => {
   }
 };
 
-export const cleanupOldMessages = async () => {
+registerOutboxHandler('chat_message', submitGroupMessage);
+
+/**
+ * Send a chat message, optionally as a reply (replyToId). When offline it is
+ * queued in the outbox and sent (in order) once the connection is back; the
+ * result then has queued: true and no message row yet.
+ */
+export const sendGroupMessage = async (groupId, message, groupName, { replyToId = null } = {}) => {
+  const trimmed = message.trim();
+  if (!trimmed || trimmed.length > 1000) return { success: false, error: 'Invalid message' };
+  return runOrQueue('chat_message', { groupId, message: trimmed, groupName, replyToId });
+};
+
+/**
+ * Share a recipe card. meal: a round option ({ id, meal_data }), or
+ * { meal_data } with recipeId for a recipe.
+ */
+export const sendRecipeCard = async (groupId, meal, groupName, { recipeId = null, replyToId = null } = {}) => {
+  const payload = buildRecipeCard(meal, { recipeId });
+  if (!payload) return { success: false, error: 'Invalid recipe' };
+  const message = getMessageText({ kind: 'recipe', payload });
+  return runOrQueue('chat_message', { groupId, message, groupName, kind: 'recipe', payload, replyToId });
+};
+
+/**
+ * Start a quick poll with 2–4 options
+ */
+export const sendPoll = async (groupId, question, options, groupName) => {
+  const payload = buildPoll(question, options);
+  if (!payload) return { success: false, error: 'Invalid poll' };
+  const message = getMessageText({ kind: 'poll', payload });
+  return runOrQueue('chat_message', { groupId, message, groupName, kind: 'poll', payload });
+};
+
+// System messages don't push; the command itself notifies where that matters
+const submitSystemMessage = async ({ groupId, command }) => {
+  try {
+    const { data, error } = await supabase.rpc('post_system_message', { p_group_id: groupId, p_command: command });
+    if (error) throw error;
+    if (!data?.success) return { success: false, error: data?.error || 'Failed to post message' };
+    return { success: true, message: { ...data.message, reply_to: null } };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+};
+
+registerOutboxHandler('system_message', submitSystemMessage);
+
+/**
+ * Post what a chat command did (see chatCommands.js). The server writes the
+ * text, and for /wie who eats along tonight (post_system_message), so only
+ * real command results show up as system messages.
+ */
+export const sendSystemMessage = async (groupId, command) => {
+  if (!ANNOUNCED_COMMANDS.includes(command)) return { success: false, error: 'Invalid command' };
+  return runOrQueue('system_message', { groupId, command });
+};
+
+/**
+ * Reaction rows ({ message_id, user_id, emoji }) for the given messages;
+ * chatMessages.aggregateReactions turns them into chips
+ */
+export const getMessageReactions = async (messageIds) => {
+  if (!messageIds?.length) return { success: true, reactions: [] };
+  try {
+    const { data, error } = await supabase
+      .from('group_message_reactions')
+      .select('message_id, user_id, emoji')
+      .in('message_id', messageIds);
+
+    if (error) throw error;
+    return { success: true, reactions: data || [] };
+  } catch (e) {
+    return { success: false, reactions: [], error: e.message };
+  }
+};
+
+/**
+ * Add the current user's reaction, or take it back when it's already there
+ * (mine: current state from the chip). Returns { success, added }
+ */
+export const toggleReaction = async (groupId, messageId, emoji, mine) => {
+  if (!REACTION_EMOJIS.includes(emoji)) return { success: false, error: 'Invalid reaction' };
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return { success: false, error: 'Not authenticated' };
+
+    const { error } = mine
+      ? await supabase
+        .from('group_message_reactions')
+        .delete()
+        .eq('message_id', messageId)
+        .eq('user_id', user.id)
+        .eq('emoji', emoji)
+      : await supabase
+        .from('group_message_reactions')
+        .upsert(
+          { message_id: messageId, group_id: groupId, user_id: user.id, emoji },
+          { onConflict: 'message_id,user_id,emoji', ignoreDuplicates: true }
+        );
+
+    if (error) throw error;
+    return { success: true, added: !mine };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+};
+
+/**
+ * Vote rows ({ message_id, user_id, option_index }) for the given polls;
+ * chatMessages.tallyPoll turns them into results
+ */
+export const getPollVotes = async (messageIds) => {
+  if (!messageIds?.length) return { success: true, votes: [] };
+  try {
+    const { data, error } = await supabase
+      .from('group_poll_votes')
+      .select('message_id, user_id, option_index')
+      .in('message_id', messageIds);
+
+    if (error) throw error;
+    return { success: true, votes: data || [] };
+  } catch (e) {
+    return { success: false, votes: [], error: e.message };
+  }
+};
+
+/**
+ * Vote for a poll option; voting again moves the vote, and tapping the
+ * option you already chose (current) takes it back
+ */
+export const votePoll = async (groupId, messageId, optionIndex, current = null) => {
   try {
-    await supabase.rpc('cleanup_old_group_messages');
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return { success: false, error: 'Not authenticated' };
+
+    const { error } = optionIndex === current
+      ? await supabase
+        .from('group_poll_votes')
+        .delete()
+        .eq('message_id', messageId)
+        .eq('user_id', user.id)
+      : await supabase
+        .from('group_poll_votes')
+        .upsert(
+          { message_id: messageId, group_id: groupId, user_id: user.id, option_index: optionIndex },
+          { onConflict: 'message_id,user_id' }
+        );
+
+    if (error) throw error;
+    return { success: true, choice: optionIndex === current ? null : optionIndex };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+};
+
+/**
+ * Delete the group's messages that are past its retention period
+ */
+export const cleanupOldMessages = async (groupId) => {
+  try {
+    const { error } = await supabase.rpc('cleanup_group_messages', { p_group_id: groupId });
+    if (error) return { success: false, error: error.message };
     return { success: true };
   } catch (e) {
     return { success: false, error: e.message };
@@ -84,7 +278,6 @@ export const cleanupOldMessages = async () => {
 };
 
 export const subscribeToGroupMessages = (groupId, onNewMessage) => {
-  const todayStart = getTodayStart();
   const channel = supabase
     .channel(`group-chat-${groupId}`)
     .on(
@@ -96,9 +289,7 @@ export const subscribeToGroupMessages = (groupId, onNewMessage) => {
         filter: `group_id=eq.${groupId}`,
       },
       (payload) => {
-        if (payload.new && payload.new.created_at >= todayStart) {
-          onNewMessage(payload.new);
-        }
+        if (payload.new) onNewMessage(payload.new);
       }
     )
     .subscribe();
@@ -107,3 +298,39 @@ export const subscribeToGroupMessages = (groupId, onNewMessage) => {
     supabase.removeChannel(channel);
   };
 };
+
+/**
+ * Live reactions and poll votes. Each handler gets (eventType, row): row is
+ * the new row for INSERT/UPDATE and the old primary key for DELETE, which
+ * isn't filtered by group — callers ignore messages they don't show.
+ */
+export const subscribeToMessageActivity = (groupId, { onReaction, onVote }) => {
+  const forward = (handler) => (payload) => {
+    const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+    if (row) handler(payload.eventType, row);
+  };
+  const channel = supabase
+    .channel(`group-chat-activity-${groupId}`)
+    .on(
+      'postgres_changes',
+      { event: 'INSERT', schema: 'public', table: 'group_message_reactions', filter: `group_id=eq.${groupId}` },
+      forward(onReaction)
+    )
+    .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'group_message_reactions' }, forward(onReaction))
+    .on(
+      'postgres_changes',
+      { event: 'INSERT', schema: 'public', table: 'group_poll_votes', filter: `group_id=eq.${groupId}` },
+      forward(onVote)
+    )
+    .on(
+      'postgres_changes',
+      { event: 'UPDATE', schema: 'public', table: 'group_poll_votes', filter: `group_id=eq.${groupId}` },
+      forward(onVote)
+    )
+    .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'group_poll_votes' }, forward(onVote))
+    .subscribe();
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+};
@@ -1,18 +1,86 @@
 /**
- * Conflict Resolution Service - Stub (no Supabase)
+ * Conflict Resolution Service - duplicate active meal_requests per group
+ * Two members starting a round at the same moment leaves two 'active'
+ * requests for one day. The oldest is kept and the votes of the others are
+ * moved into it server-side (merge_meal_requests RPC), then they are closed.
+ * Running it twice is harmless: the second run finds no duplicates.
  */
 
+import { supabase } from './supabase';
+import { getOpenMealRequests, completeMealRequest } from './mealRequestService';
+import { getGroupSettings } from './groupsService';
+import { findDuplicateRequests } from './requestLifecycle';
+import { getGroupDayOptions } from './dinnerDay';
+
 class ConflictResolutionService {
-  async resolveGroupConflicts() {
-    return { success: true, hasConflicts: false, conflicts: [], requiresCleanup: false };
+  /**
+   * Detect duplicates for one group.
+   * conflicts: [{ keep, duplicates: [...] }]
+   */
+  async resolveGroupConflicts(groupId) {
+    try {
+      const [groups, requests] = await Promise.all([
+        getGroupSettings([groupId]),
+        getOpenMealRequests([groupId]),
+      ]);
+      const conflicts = findDuplicateRequests(requests, getGroupDayOptions(groups[0]));
+      return {
+        success: true,
+        hasConflicts: conflicts.length > 0,
+        conflicts,
+        requiresCleanup: conflicts.length > 0,
+      };
+    } catch (e) {
+      return { success: false, error: e?.message, hasConflicts: false, conflicts: [], requiresCleanup: false };
+    }
+  }
+
+  /**
+   * Merge the given conflicts (from resolveGroupConflicts / findDuplicateRequests)
+   */
+  async mergeConflicts(conflicts) {
+    let merged = 0;
+    let movedVotes = 0;
+    const errors = [];
+    for (const { keep, duplicates } of conflicts || []) {
+      for (const duplicate of duplicates) {
+        const { data, error } = await supabase.rpc('merge_meal_requests', {
+          keep_request: keep.id,
+          duplicate_request: duplicate.id,
+        });
+        if (error) {
+          errors.push(error.message);
+          continue;
+        }
+        merged += 1;
+        movedVotes += Number(data) || 0;
+      }
+    }
+    return { success: errors.length === 0, merged, movedVotes, errors };
   }
 
-  async cleanupGroupConflicts() {
-    return { success: true, message: 'Cleanup complete' };
+  async cleanupGroupConflicts(groupId) {
+    const detected = await this.resolveGroupConflicts(groupId);
+    if (!detected.success) return detected;
+    if (!detected.hasConflicts) return { success: true, merged: 0, movedVotes: 0, message: 'No conflicts' };
+    const result = await this.mergeConflicts(detected.conflicts);
+    return { ...result, message: `Merged ${result.merged} duplicate request(s)` };
   }
 
-  async forceCleanupGroup() {
-    return { success: true, message: 'Force cleanup complete' };
+  /**
+   * Last resort: close every open daily round of the group without merging
+   */
+  async forceCleanupGroup(groupId) {
+    try {
+      const requests = await getOpenMealRequests([groupId]);
+      const daily = requests.filter((r) => r.status === 'active');
+      for (const request of daily) {
+        await completeMealRequest(request.id);
+      }
+      return { success: true, closed: daily.length, message: 'Force cleanup complete' };
+    } catch (e) {
+      return { success: false, error: e?.message };
+    }
   }
 }
 
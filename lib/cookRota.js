@@ -0,0 +1,70 @@
+/**
+ * Cook Rota - who cooks tonight, fairly
+ * Every day with a cook counts for everyone who ate along that day:
+ *   the cook is credited with the people they cooked for (eaters minus
+ *   themselves), every other eater is debited one meal.
+ * balance = cookedFor - ate. The eater with the lowest balance ate the most
+ * from others and is the fairest next cook. Ties go to whoever cooked
+ * longest ago (never first), then by user id so every device agrees.
+ */
+
+import { isEating } from './dinnerResponses';
+
+// Days of history the ledger looks at
+export const COOK_ROTA_LOOKBACK_DAYS = 60;
+
+const emptyEntry = () => ({ cookedFor: 0, ate: 0, timesCooked: 0, lastCooked: null, balance: 0 });
+
+/**
+ * Fairness ledger of a group.
+ * assignments: [{ cook_date, cook_id }]
+ * responses: daily_responses rows [{ user_id, response_date, response }]
+ * Returns { [userId]: { cookedFor, ate, timesCooked, lastCooked, balance } }
+ */
+export const buildCookLedger = ({ assignments = [], responses = [] }) => {
+  const eatersByDate = {};
+  responses.forEach((r) => {
+    if (!isEating(r.response)) return;
+    (eatersByDate[r.response_date] = eatersByDate[r.response_date] || new Set()).add(r.user_id);
+  });
+
+  const ledger = {};
+  const entry = (id) => (ledger[id] = ledger[id] || emptyEntry());
+
+  assignments.forEach(({ cook_date: date, cook_id: cookId }) => {
+    if (!cookId) return;
+    const eaters = eatersByDate[date] || new Set();
+    const cook = entry(cookId);
+    cook.timesCooked += 1;
+    if (!cook.lastCooked || date > cook.lastCooked) cook.lastCooked = date;
+    eaters.forEach((id) => {
+      if (id === cookId) return;
+      cook.cookedFor += 1;
+      entry(id).ate += 1;
+    });
+  });
+
+  Object.values(ledger).forEach((e) => { e.balance = e.cookedFor - e.ate; });
+  return ledger;
+};
+
+/**
+ * Candidates in order of whose turn it is, fairest first.
+ * skippedIds are left out.
+ */
+export const rankCooks = ({ candidateIds = [], ledger = {}, skippedIds = [] }) => {
+  const skipped = new Set(skippedIds);
+  return [...new Set(candidateIds)]
+    .filter((id) => !skipped.has(id))
+    .map((id) => ({ user_id: id, ...(ledger[id] || emptyEntry()) }))
+    .sort((a, b) => (
+      a.balance - b.balance
+      || (a.lastCooked || '').localeCompare(b.lastCooked || '')
+      || a.user_id.localeCompare(b.user_id)
+    ));
+};
+
+/**
+ * The fairest next cook, or null when everyone passed
+ */
+export const pickNextCook = (args) => rankCooks(args)[0]?.user_id || null;
@@ -0,0 +1,199 @@
+/**
+ * Cook Rota Service - tonight's cook per group
+ * Maps to: cook_assignments (group_id, cook_date, cook_id, source, skipped_ids)
+ * Fairness math lives in cookRota.js.
+ *
+ * Until someone volunteers, skips or hands over, tonight's cook is only a
+ * suggestion; it is written down when the voting round closes
+ * (roundCloseService) and copied to meal_requests.cook_id.
+ */
+
+import { supabase, USE_REAL_SUPABASE } from './supabase';
+import { getGroupSettings } from './groupsService';
+import { notifyUsers } from './notificationService';
+import { buildCookLedger, rankCooks, COOK_ROTA_LOOKBACK_DAYS } from './cookRota';
+import { isEating } from './dinnerResponses';
+import { getGroupToday } from './dinnerDayService';
+import { addDays } from './weeklyPlanner';
+
+export const COOK_ASSIGNED_KIND = 'cook_assigned';
+
+const getCurrentUserId = async () => {
+  const { data: { user } } = await supabase.auth.getUser();
+  return user?.id || null;
+};
+
+/**
+ * Tonight's cook and whose turn it is.
+ * Returns { success, assignment, cookId, suggestedCookId, ranking, ledger }
+ * cookId is set once someone was assigned; until then suggestedCookId is the
+ * fairest pick among tonight's eaters (or all members when nobody said yes).
+ */
+export const getTonightsCook = async (groupId, { date: givenDate } = {}) => {
+  if (!USE_REAL_SUPABASE) return { success: true, assignment: null, cookId: null, suggestedCookId: null, ranking: [], ledger: {} };
+  try {
+    const date = givenDate || await getGroupToday(groupId);
+    const since = addDays(date, -COOK_ROTA_LOOKBACK_DAYS);
+    const [assignmentsRes, responsesRes, membersRes] = await Promise.all([
+      supabase
+        .from('cook_assignments')
+        .select('id, cook_date, cook_id, source, skipped_ids')
+        .eq('group_id', groupId)
+        .gte('cook_date', since)
+        .lte('cook_date', date),
+      supabase
+        .from('daily_responses')
+        .select('user_id, response_date, response')
+        .eq('group_id', groupId)
+        .gte('response_date', since)
+        .lte('response_date', date),
+      supabase
+        .from('group_members')
+        .select('user_id')
+        .eq('group_id', groupId)
+        .eq('is_active', true),
+    ]);
+    if (assignmentsRes.error) return { success: false, error: assignmentsRes.error.message };
+
+    const assignments = assignmentsRes.data || [];
+    const responses = responsesRes.data || [];
+    const assignment = assignments.find((a) => a.cook_date === date) || null;
+    const ledger = buildCookLedger({ assignments: assignments.filter((a) => a.cook_date < date), responses });
+
+    const memberIds = (membersRes.data || []).map((m) => m.user_id);
+    const eaterIds = responses.filter((r) => r.response_date === date && isEating(r.response)).map((r) => r.user_id);
+    const ranking = rankCooks({
+      candidateIds: eaterIds.length ? eaterIds : memberIds,
+      ledger,
+      skippedIds: assignment?.skipped_ids || [],
+    });
+
+    return {
+      success: true,
+      assignment,
+      cookId: assignment?.cook_id || null,
+      suggestedCookId: assignment?.cook_id || ranking[0]?.user_id || null,
+      ranking,
+      ledger,
+    };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+// The open daily round of the day gets the same cook (winner push, results)
+const syncRoundCook = async (groupId, cookId) => {
+  await supabase
+    .from('meal_requests')
+    .update({ cook_id: cookId })
+    .eq('group_id', groupId)
+    .eq('status', 'active');
+};
+
+const saveAssignment = async (groupId, date, fields) => {
+  const { data, error } = await supabase
+    .from('cook_assignments')
+    .upsert(
+      { group_id: groupId, cook_date: date, updated_at: new Date().toISOString(), ...fields },
+      { onConflict: 'group_id,cook_date' }
+    )
+    .select('id, cook_date, cook_id, source, skipped_ids')
+    .single();
+  if (error) return { success: false, error: error.message };
+  if (fields.cook_id !== undefined) await syncRoundCook(groupId, fields.cook_id);
+  return { success: true, assignment: data, cookId: data?.cook_id || null };
+};
+
+const tellNewCook = async (groupId, cookId, body) => {
+  const [group] = await getGroupSettings([groupId]);
+  await notifyUsers([cookId], {
+    kind: COOK_ASSIGNED_KIND,
+    title: group?.name || 'Happie',
+    body,
+    data: { groupId, groupName: group?.name },
+  });
+};
+
+/**
+ * Write tonight's cook down if nobody has been assigned yet: fallbackCookId
+ * (whoever asked who's eating) counts as a volunteer, otherwise the rota
+ * picks. Returns { success, cookId }
+ */
+export const assignTonightsCook = async (groupId, { date: givenDate, fallbackCookId = null } = {}) => {
+  if (!USE_REAL_SUPABASE) return { success: true, cookId: fallbackCookId };
+  const date = givenDate || await getGroupToday(groupId);
+  const rota = await getTonightsCook(groupId, { date });
+  if (!rota.success) return rota;
+  if (rota.cookId) return { success: true, cookId: rota.cookId };
+
+  const cookId = fallbackCookId || rota.suggestedCookId;
+  if (!cookId) return { success: true, cookId: null };
+  return saveAssignment(groupId, date, { cook_id: cookId, source: fallbackCookId ? 'volunteer' : 'rota' });
+};
+
+/**
+ * "Ik kook vandaag": the current user takes tonight
+ */
+export const volunteerToCook = async (groupId, { date: givenDate } = {}) => {
+  if (!USE_REAL_SUPABASE) return { success: true };
+  try {
+    const userId = await getCurrentUserId();
+    if (!userId) return { success: false, error: 'Not authenticated' };
+    const date = givenDate || await getGroupToday(groupId);
+    return saveAssignment(groupId, date, { cook_id: userId, source: 'volunteer', assigned_by: userId });
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+/**
+ * Pass on tonight (tonight's cook only): the next fairest eater becomes the
+ * cook and gets a push.
+ * Returns { success, cookId } — cookId null when everyone passed.
+ */
+export const skipTonight = async (groupId, { date: givenDate } = {}) => {
+  if (!USE_REAL_SUPABASE) return { success: true, cookId: null };
+  try {
+    const userId = await getCurrentUserId();
+    if (!userId) return { success: false, error: 'Not authenticated' };
+    const date = givenDate || await getGroupToday(groupId);
+    const rota = await getTonightsCook(groupId, { date });
+    if (!rota.success) return rota;
+    // Only tonight's cook can pass; anyone else would hand it to someone new
+    if (rota.cookId !== userId) return { success: false, error: 'Only tonight\'s cook can skip' };
+
+    const skippedIds = [...new Set([...(rota.assignment?.skipped_ids || []), userId])];
+    const next = rota.ranking.find((r) => !skippedIds.includes(r.user_id))?.user_id || null;
+    const result = await saveAssignment(groupId, date, {
+      cook_id: next,
+      source: 'rota',
+      skipped_ids: skippedIds,
+      assigned_by: userId,
+    });
+    if (result.success && next) await tellNewCook(groupId, next, 'Jij bent vanavond aan de beurt om te koken.');
+    return result;
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+/**
+ * Hand tonight over to another member (a swap: the rota evens it out later)
+ */
+export const handOverCooking = async (groupId, toUserId, { date: givenDate } = {}) => {
+  if (!USE_REAL_SUPABASE) return { success: true, cookId: toUserId };
+  try {
+    const userId = await getCurrentUserId();
+    if (!userId) return { success: false, error: 'Not authenticated' };
+    const date = givenDate || await getGroupToday(groupId);
+    const result = await saveAssignment(groupId, date, { cook_id: toUserId, source: 'swap', assigned_by: userId });
+    if (result.success && toUserId !== userId) {
+      const { data: me } = await supabase.from('profiles').select('display_name, full_name').eq('id', userId).single();
+      const name = me?.display_name || me?.full_name || 'Iemand';
+      await tellNewCook(groupId, toUserId, `${name} heeft het koken vanavond aan jou doorgegeven.`);
+    }
+    return result;
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
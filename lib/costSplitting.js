@@ -0,0 +1,144 @@
+/**
+ * Cost Splitting - "Wie betaalt wat" ledger math
+ * Pure helpers (no Supabase): splitting receipts, running balances, settle-up
+ * suggestions and exports. All amounts are integer cents to avoid float drift.
+ */
+
+/**
+ * Parse a user-entered euro amount into cents
+ * "12,50" → 1250, "€ 7.5" → 750, 3 → 300, "abc" → null
+ */
+export const parseEuroToCents = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value * 100) : null;
+  if (typeof value !== 'string') return null;
+  const cleaned = value.replace(/[€\s]/g, '').replace(',', '.');
+  if (!/^\d+(\.\d{0,2})?$/.test(cleaned)) return null;
+  return Math.round(parseFloat(cleaned) * 100);
+};
+
+/**
+ * Format cents as a Dutch euro string
+ * 1250 → "€12,50", -300 → "-€3,00"
+ */
+export const formatCents = (cents) => {
+  const sign = cents < 0 ? '-' : '';
+  return `${sign}€${(Math.abs(cents) / 100).toFixed(2).replace('.', ',')}`;
+};
+
+/**
+ * Split an amount over participants. Leftover cents go to the first
+ * participants (sorted by id) so every device computes the same split.
+ * (1000, ['a', 'b', 'c']) → { a: 334, b: 333, c: 333 }
+ */
+export const splitAmount = (amountCents, participantIds) => {
+  const ids = [...new Set(participantIds || [])].sort();
+  if (!ids.length || !(amountCents > 0)) return {};
+  const base = Math.floor(amountCents / ids.length);
+  let remainder = amountCents - base * ids.length;
+  return ids.reduce((shares, id) => {
+    shares[id] = base + (remainder > 0 ? 1 : 0);
+    remainder -= 1;
+    return shares;
+  }, {});
+};
+
+/**
+ * Running balance per member from expenses and settlements.
+ * Positive = the group owes you, negative = you owe the group.
+ *
+ * expenses:    [{ paid_by, amount_cents, participant_ids }]
+ * settlements: [{ from_user, to_user, amount_cents }]
+ */
+export const computeBalances = (expenses, settlements = []) => {
+  const balances = {};
+  const add = (id, cents) => { balances[id] = (balances[id] || 0) + cents; };
+
+  (expenses || []).forEach((e) => {
+    add(e.paid_by, e.amount_cents);
+    Object.entries(splitAmount(e.amount_cents, e.participant_ids)).forEach(([id, share]) => add(id, -share));
+  });
+  (settlements || []).forEach((s) => {
+    add(s.from_user, s.amount_cents);
+    add(s.to_user, -s.amount_cents);
+  });
+
+  Object.keys(balances).forEach((id) => { if (balances[id] === 0) delete balances[id]; });
+  return balances;
+};
+
+/**
+ * Suggest transfers that settle all balances. Greedy: the biggest debtor
+ * pays the biggest creditor until one of them is square. This needs at
+ * most (members - 1) transfers, which for a student house is as good as
+ * the theoretical minimum in practice.
+ * Returns [{ from, to, amount_cents }]
+ */
+export const suggestSettlements = (balances) => {
+  const creditors = [];
+  const debtors = [];
+  Object.entries(balances || {}).forEach(([id, cents]) => {
+    if (cents > 0) creditors.push({ id, cents });
+    if (cents < 0) debtors.push({ id, cents: -cents });
+  });
+  const byAmount = (a, b) => b.cents - a.cents || (a.id < b.id ? -1 : 1);
+
+  const transfers = [];
+  while (creditors.length && debtors.length) {
+    creditors.sort(byAmount);
+    debtors.sort(byAmount);
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const amount = Math.min(creditor.cents, debtor.cents);
+    transfers.push({ from: debtor.id, to: creditor.id, amount_cents: amount });
+    creditor.cents -= amount;
+    debtor.cents -= amount;
+    if (creditor.cents === 0) creditors.shift();
+    if (debtor.cents === 0) debtors.shift();
+  }
+  return transfers;
+};
+
+// Dutch spreadsheet apps expect ";" as separator since "," is the decimal mark.
+const csvCell = (value) => {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[";\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+const csvAmount = (cents) => (cents / 100).toFixed(2).replace('.', ',');
+
+/**
+ * Export balances and history as CSV text (";"-separated, decimal comma).
+ * names: { [userId]: displayName }
+ */
+export const buildLedgerCsv = ({ expenses = [], settlements = [], balances = {} }, names = {}) => {
+  const name = (id) => names[id] || id;
+  const lines = [['Lid', 'Saldo'].join(';')];
+  Object.entries(balances)
+    .sort(([, a], [, b]) => b - a)
+    .forEach(([id, cents]) => lines.push([csvCell(name(id)), csvAmount(cents)].join(';')));
+
+  lines.push('');
+  lines.push(['Datum', 'Type', 'Omschrijving', 'Van', 'Aan / deelnemers', 'Bedrag'].join(';'));
+  const history = [
+    ...expenses.map((e) => ({ at: e.expense_date || e.created_at, row: [
+      'Uitgave', e.description || '', name(e.paid_by), (e.participant_ids || []).map(name).join(', '), csvAmount(e.amount_cents),
+    ] })),
+    ...settlements.map((s) => ({ at: s.created_at, row: [
+      'Terugbetaling', '', name(s.from_user), name(s.to_user), csvAmount(s.amount_cents),
+    ] })),
+  ].sort((a, b) => String(a.at).localeCompare(String(b.at)));
+  history.forEach(({ at, row }) => lines.push([String(at || '').slice(0, 10), ...row].map(csvCell).join(';')));
+
+  return lines.join('\n');
+};
+
+/**
+ * Tikkie-style payment request texts, one per suggested transfer.
+ * Returns [{ from, to, amount_cents, text }]
+ */
+export const buildPaymentRequests = (transfers, names = {}, groupName = 'Happie') => {
+  const name = (id) => names[id] || 'iemand';
+  return (transfers || []).map((t) => ({
+    ...t,
+    text: `Hoi ${name(t.from)}! Wil je ${formatCents(t.amount_cents)} overmaken naar ${name(t.to)} voor het eten bij ${groupName}? Dan staan we weer quitte 🍝`,
+  }));
+};
@@ -1,18 +1,22 @@
 /**
- * Daily Response Service - Yes/No dinner today per group
- * Maps to: daily_responses (group_id, user_id, response_date, response)
+ * Daily Response Service - dinner today per group
+ * Maps to: daily_responses (group_id, user_id, response_date, response, eta, guests, maybe_until, auto_source)
+ * What the answers mean (late, plate, maybe, guests) lives in dinnerResponses.js;
+ * answers with auto_source were written by standing RSVPs (standingRsvp.js).
  */
 
-import { supabase } from './supabase';
-
-const getTodayDate = () => new Date().toISOString().split('T')[0];
+import { supabase, USE_REAL_SUPABASE } from './supabase';
+import { getPlannedMeal } from './weeklyPlanService';
+import { registerOutboxHandler, runOrQueue, isNetworkError } from './outbox';
+import { normalizeResponseDetails, countResponses, getEffectiveResponse, EATING_RESPONSES } from './dinnerResponses';
+import { getGroupToday } from './dinnerDayService';
 
 export const getGroupResponsesToday = async (groupId) => {
   try {
-    const today = getTodayDate();
+    const today = await getGroupToday(groupId);
     const { data, error } = await supabase
       .from('daily_responses')
-      .select('id, user_id, response, created_at')
+      .select('id, user_id, response, eta, guests, maybe_until, auto_source, created_at')
       .eq('group_id', groupId)
       .eq('response_date', today);
 
@@ -21,7 +25,11 @@ export const getGroupResponsesToday = async (groupId) => {
     const memberResponses = (data || []).map((r) => ({
       odId: r.user_id,
       userName: null,
-      response: r.response,
+      response: getEffectiveResponse(r),
+      eta: r.eta,
+      guests: r.guests || 0,
+      maybeUntil: r.maybe_until,
+      autoSource: r.auto_source || null,
       respondedAt: r.created_at,
     }));
 
@@ -38,22 +46,23 @@ export const getGroupResponsesToday = async (groupId) => {
   }
 };
 
-export const setMyResponseToday = async (groupId, response) => {
+// The date is captured when the user answers, so a replay after midnight
+// doesn't answer for the next day.
+const submitResponse = async ({ groupId, response, date, details }) => {
   try {
     const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (isNetworkError(userError)) return { success: false, error: userError.message };
     if (userError || !user) {
       return { success: false, error: 'You must be signed in' };
     }
 
-    const today = getTodayDate();
-
     if (response === null || response === undefined) {
       const { error } = await supabase
         .from('daily_responses')
         .delete()
         .eq('group_id', groupId)
         .eq('user_id', user.id)
-        .eq('response_date', today);
+        .eq('response_date', date);
       if (error) throw error;
       return { success: true, message: 'Response cleared' };
     }
@@ -64,8 +73,11 @@ export const setMyResponseToday = async (groupId, response) => {
         {
           group_id: groupId,
           user_id: user.id,
-          response_date: today,
+          response_date: date,
           response,
+          ...normalizeResponseDetails(response, details),
+          // Answering yourself overrides a standing RSVP or absence
+          auto_source: null,
         },
         { onConflict: 'group_id,user_id,response_date' }
       );
@@ -80,15 +92,27 @@ export const setMyResponseToday = async (groupId, response) => {
   }
 };
 
+registerOutboxHandler('daily_response', submitResponse);
+
+/**
+ * Answer (or clear with null) today's question. Queued in the outbox when
+ * offline; the last answer for a day wins.
+ * details: { eta, guests, maybeUntil } for late / guests / maybe
+ */
+export const setMyResponseToday = async (groupId, response, details = {}) => {
+  const date = await getGroupToday(groupId);
+  return runOrQueue('daily_response', { groupId, response: response ?? null, date, details }, `response:${groupId}:${date}`);
+};
+
 export const getMyResponseToday = async (groupId) => {
   try {
     const { data: { user }, error: userError } = await supabase.auth.getUser();
     if (userError || !user) return { success: false, response: null };
 
-    const today = getTodayDate();
+    const today = await getGroupToday(groupId);
     const { data, error } = await supabase
       .from('daily_responses')
-      .select('response')
+      .select('response, eta, guests, maybe_until')
       .eq('group_id', groupId)
       .eq('user_id', user.id)
       .eq('response_date', today)
@@ -97,7 +121,8 @@ export const getMyResponseToday = async (groupId) => {
     if (error) throw error;
     return {
       success: true,
-      response: data?.response ?? null,
+      response: data ? getEffectiveResponse(data) : null,
+      details: { eta: data?.eta || null, guests: data?.guests || 0, maybeUntil: data?.maybe_until || null },
       date: today,
     };
   } catch (error) {
@@ -105,19 +130,23 @@ export const getMyResponseToday = async (groupId) => {
   }
 };
 
+/**
+ * Tonight's tally: { yesCount, noCount, lateCount, plateCount, maybeCount,
+ * eaterCount, guestCount, portions, totalMembers }. yesCount is only the
+ * plain yeses; eaterCount includes late and plate, portions adds guests.
+ */
 export const getResponseCounts = async (groupId) => {
   try {
-    const today = getTodayDate();
+    const today = await getGroupToday(groupId);
     const { data, error } = await supabase
       .from('daily_responses')
-      .select('response')
+      .select('response, guests, maybe_until')
       .eq('group_id', groupId)
       .eq('response_date', today);
 
     if (error) throw error;
 
-    const yesCount = (data || []).filter((r) => r.response === 'yes').length;
-    const noCount = (data || []).filter((r) => r.response === 'no').length;
+    const counts = countResponses(data || []);
 
     const { count } = await supabase
       .from('group_members')
@@ -127,11 +156,44 @@ export const getResponseCounts = async (groupId) => {
 
     return {
       success: true,
-      yesCount,
-      noCount,
+      yesCount: counts.yes,
+      noCount: counts.no,
+      lateCount: counts.late,
+      plateCount: counts.plate,
+      maybeCount: counts.maybe,
+      eaterCount: counts.eaters,
+      guestCount: counts.guests,
+      portions: counts.portions,
       totalMembers: count ?? 0,
     };
   } catch (error) {
-    return { success: false, yesCount: 0, noCount: 0, totalMembers: 0 };
+    return { success: false, yesCount: 0, noCount: 0, eaterCount: 0, guestCount: 0, portions: 0, totalMembers: 0 };
   }
 };
+
+/**
+ * User ids that eat along with a group on a given day: "yes", but also
+ * "late" and "plate" (see dinnerResponses.js).
+ */
+export const getYesResponders = async (groupId, givenDate) => {
+  if (!USE_REAL_SUPABASE) return [];
+  try {
+    const date = givenDate || await getGroupToday(groupId);
+    const { data, error } = await supabase
+      .from('daily_responses')
+      .select('user_id')
+      .eq('group_id', groupId)
+      .eq('response_date', date)
+      .in('response', EATING_RESPONSES);
+    if (error) return [];
+    return (data || []).map((r) => r.user_id);
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * Meal from the weekly plan for today, if the group planned this week.
+ * Shown above the Yes/No question and used for the shopping list.
+ */
+export const getPlannedMealToday = async (groupId) => getPlannedMeal(groupId, await getGroupToday(groupId));
@@ -0,0 +1,152 @@
+/**
+ * Dietary Profiles - diet/allergen tagging of recipes from their ingredients
+ *
+ * Recipes have no diet metadata, so tags are derived from the ingredient
+ * lines (Dutch + English keywords). A user's restrictions (profiles.
+ * dietary_restrictions) are checked against those tags to exclude or flag
+ * meals in a voting pool and to show badges on recipe cards.
+ *
+ * Keyword matching works per word so Dutch compounds are caught
+ * ("kippendijfilet", "rundergehakt"):
+ *   'kip'   word starts or ends with it
+ *   '^bloem' word starts with it      'bloem$' word ends with it
+ *   '=ei'   the whole word
+ * It is a heuristic: it errs on the side of flagging.
+ */
+
+export const DIETARY_RESTRICTIONS = [
+  'vegetarian',
+  'vegan',
+  'pescatarian',
+  'halal',
+  'gluten_free',
+  'lactose_free',
+  'nut_allergy',
+  'peanut_allergy',
+  'shellfish_allergy',
+  'egg_allergy',
+];
+
+// Ingredient families detected in a recipe
+const FLAG_KEYWORDS = {
+  meat: ['kip', 'chicken', 'rund', 'beef', 'gehakt', 'mince', '^lam', 'lamb', 'kalkoen', 'turkey', 'eend', 'duck', 'worst', 'sausage', 'salami', 'chorizo', 'spek', 'bacon', '=ham', '^hamburger', 'varken', 'pork', 'biefstuk', 'steak', 'vlees', 'meat', 'kalfs', 'veal', 'shoarma', 'gyros', 'kebab', 'pancetta', 'prosciutto', 'konijn', 'hert', 'frikandel', 'schnitzel', 'saucijs'],
+  pork: ['varken', 'pork', 'spek', 'bacon', '=ham', 'chorizo', 'salami', 'pancetta', 'prosciutto', 'worst', 'saucijs', 'half-om-half', 'gelatine'],
+  fish: ['^vis', 'fish', 'zalm', 'salmon', 'tonijn', 'tuna', 'kabeljauw', '=cod', 'ansjovis', 'anchov', 'makreel', 'mackerel', 'haring', 'herring', 'forel', 'trout', 'pangasius', 'tilapia', 'sardine', 'sardien', 'schol', 'heek', 'koolvis', 'vissaus'],
+  shellfish: ['garnal', 'shrimp', 'prawn', 'mossel', 'mussel', 'kreeft', 'lobster', 'krab', 'crab', 'scampi', 'langoustine', 'oester', 'oyster', 'jakobsschelp', 'scallop', 'inktvis', 'calamar', 'octopus'],
+  dairy: ['melk', 'milk', 'boter', 'butter', 'kaas', 'cheese', '^room', 'slagroom', 'kookroom', 'cream', 'yoghurt', 'yogurt', 'kwark', 'fraiche', 'mascarpone', 'mozzarella', 'parmezaan', 'parmesan', 'parmigiano', 'feta', 'ricotta', 'ghee', 'burrata', 'cheddar', 'gouda', 'brie', 'halloumi'],
+  egg: ['=ei', '=eieren', '^eier', '=eitje', '=eitjes', 'eidooier', '^eiwit', '=egg', '=eggs', 'mayonaise', 'mayonnaise', '=mayo'],
+  gluten: ['=bloem', 'bloem$', 'tarwe', 'wheat', 'flour', '^pasta', 'spaghetti', 'penne', 'macaroni', 'tagliatelle', 'fusilli', 'lasagne', 'lasagna', 'noedel', 'noodle', 'brood', 'bread', 'paneermeel', 'breadcrumb', 'panko', 'couscous', 'bulgur', 'gerst', 'barley', 'rogge', 'spelt', 'seitan', 'sojasaus', 'ketjap', 'wrap', 'tortilla', 'pita', 'naan', 'deeg', 'pizza', 'cracker', 'beschuit', 'biscuit', 'bakmeel'],
+  nuts: ['noot', 'noten', '=nut', '=nuts', 'walnut', 'hazelnut', 'amandel', 'almond', 'cashew', 'pecan', 'pistache', 'pistachio', 'macadamia', 'pijnboompit', '=pine', 'pesto', 'marsepein', 'marzipan', 'praline', 'nutella'],
+  peanuts: ['pinda', 'peanut', 'satesaus', 'satésaus'],
+  alcohol: ['wijn', 'wine', '=bier', '=beer', '=rum', 'cognac', 'brandy', 'whisky', 'wodka', 'vodka', '=port', 'sherry', 'likeur', 'liqueur', 'mirin', 'marsala', 'amaretto'],
+  honey: ['honing', 'honey'],
+};
+
+// Phrases that look like a keyword but aren't that family
+const FLAG_EXCEPTIONS = {
+  meat: ['tonijnsteak', 'zalmsteak', 'tuna steak', 'salmon steak'],
+  dairy: ['butternut', 'kokosmelk', 'kokosroom', 'amandelmelk', 'havermelk', 'sojamelk', 'rijstmelk', 'coconut milk', 'coconut cream', 'almond milk', 'oat milk', 'soy milk', 'pindakaas', 'pindaboter', 'peanut butter', 'cacaoboter', 'notenboter'],
+  nuts: ['nootmuskaat', 'notenmuskaat', 'nutmeg', 'butternut', 'kokosnoot', 'coconut', 'pine nuts free'],
+  gluten: ['pastasaus', 'glutenvrij', 'glutenvrije', 'gluten-free', 'gluten free', 'rijstnoedel', 'rice noodle', 'rijstbloem', 'maisbloem', 'maizena', 'tamari', 'mais tortilla', 'corn tortilla'],
+};
+
+// Vegetarian/vegan substitutes: "vegetarisch gehakt", "vegan kaas"
+const PLANT_BASED = /\b(vega|vegan|vegetarisch|vegetarische|plantaardig|plantaardige|plant-based|veggie)\b/;
+
+// Which ingredient families each restriction rules out
+export const RESTRICTION_CONFLICTS = {
+  vegetarian: ['meat', 'fish', 'shellfish'],
+  vegan: ['meat', 'fish', 'shellfish', 'dairy', 'egg', 'honey'],
+  pescatarian: ['meat'],
+  halal: ['pork', 'alcohol'],
+  gluten_free: ['gluten'],
+  lactose_free: ['dairy'],
+  nut_allergy: ['nuts'],
+  peanut_allergy: ['peanuts'],
+  shellfish_allergy: ['shellfish'],
+  egg_allergy: ['egg'],
+};
+
+const normalize = (s) =>
+  String(s || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+const matchesKeyword = (word, keyword) => {
+  if (keyword.startsWith('=')) return word === keyword.slice(1);
+  if (keyword.startsWith('^')) return word.startsWith(keyword.slice(1));
+  if (keyword.endsWith('$')) return word.endsWith(keyword.slice(0, -1));
+  return word.startsWith(keyword) || word.endsWith(keyword);
+};
+
+const ingredientText = (ingredient) =>
+  typeof ingredient === 'string' ? ingredient : ingredient?.name || ingredient?.text || ingredient?.original || '';
+
+/**
+ * Ingredient families found in a list of ingredient lines.
+ * Returns a sorted array, e.g. ['dairy', 'gluten', 'meat'].
+ */
+export const detectIngredientFlags = (ingredients = []) => {
+  const flags = new Set();
+  for (const ingredient of ingredients) {
+    const line = normalize(ingredientText(ingredient));
+    if (!line) continue;
+    const plantBased = PLANT_BASED.test(line);
+    for (const [flag, keywords] of Object.entries(FLAG_KEYWORDS)) {
+      if (flags.has(flag)) continue;
+      if (plantBased && ['meat', 'pork', 'fish', 'dairy', 'egg'].includes(flag)) continue;
+      let cleaned = line;
+      (FLAG_EXCEPTIONS[flag] || []).forEach((phrase) => { cleaned = cleaned.split(normalize(phrase)).join(' '); });
+      const words = cleaned.split(/[^a-z0-9-]+/).filter(Boolean);
+      if (words.some((word) => keywords.some((keyword) => matchesKeyword(word, normalize(keyword))))) {
+        flags.add(flag);
+      }
+    }
+  }
+  return [...flags].sort();
+};
+
+/**
+ * Restrictions a recipe is suitable for, derived from its ingredients.
+ * Only recipes with ingredients get tags; an empty list means "unknown".
+ */
+export const getRecipeDietTags = (recipe) => {
+  const ingredients = recipe?.ingredients || recipe?.meal_data?.ingredients || [];
+  if (!ingredients.length) return [];
+  const flags = detectIngredientFlags(ingredients);
+  return DIETARY_RESTRICTIONS.filter((r) => !RESTRICTION_CONFLICTS[r].some((f) => flags.includes(f)));
+};
+
+/**
+ * Restrictions (from the given list) the recipe conflicts with.
+ */
+export const getRecipeConflicts = (recipe, restrictions = []) => {
+  if (!restrictions.length) return [];
+  const ingredients = recipe?.ingredients || recipe?.meal_data?.ingredients || [];
+  const flags = detectIngredientFlags(ingredients);
+  return restrictions.filter((r) => (RESTRICTION_CONFLICTS[r] || []).some((f) => flags.includes(f)));
+};
+
+/**
+ * Build a voting pool that respects restrictions.
+ * Meals that fit everyone come first; conflicting meals are only used to
+ * reach `count`, and carry diet_conflicts so cards can flag them.
+ * Every returned recipe gets diet_tags and diet_conflicts.
+ */
+export const filterRecipesForRestrictions = (recipes, restrictions = [], count = recipes.length) => {
+  const tagged = recipes.map((recipe) => ({
+    ...recipe,
+    diet_tags: getRecipeDietTags(recipe),
+    diet_conflicts: getRecipeConflicts(recipe, restrictions),
+  }));
+  const fits = tagged.filter((r) => r.diet_conflicts.length === 0);
+  const conflicting = tagged
+    .filter((r) => r.diet_conflicts.length > 0)
+    .sort((a, b) => a.diet_conflicts.length - b.diet_conflicts.length);
+  return [...fits, ...conflicting].slice(0, count);
+};
+
+/** Union of several members' restrictions */
+export const mergeRestrictions = (lists) =>
+  DIETARY_RESTRICTIONS.filter((r) => lists.some((list) => (list || []).includes(r)));
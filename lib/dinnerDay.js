@@ -0,0 +1,158 @@
+/**
+ * Dinner Day - which day's dinner a moment belongs to
+ * A group's day runs from its rollover hour (0-6, default 0) local time in
+ * the group's timezone until that hour the next day, so a student house
+ * that rolls over at 04:00 still answers for "tonight" at 01:30. Every date
+ * the app stores or queries (response_date, shopping lists, rounds) is a
+ * dinner day 'YYYY-MM-DD'. No Supabase here; per-group lookups live in
+ * dinnerDayService.js.
+ */
+
+import { addDays } from './weeklyPlanner';
+
+export const DEFAULT_GROUP_TIMEZONE = 'Europe/Amsterdam';
+export const DEFAULT_ROLLOVER_HOUR = 0;
+export const MAX_ROLLOVER_HOUR = 6;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const partFormatters = {};
+
+const getPartFormatter = (zone) => {
+  if (!partFormatters[zone]) {
+    partFormatters[zone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+  }
+  return partFormatters[zone];
+};
+
+const isKnownZone = (zone) => {
+  try {
+    getPartFormatter(zone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * { timeZone, rolloverHour } from a zone name, partial options or nothing.
+ * Unknown zones fall back to the default group zone.
+ */
+export const toDayOptions = (options) => {
+  const given = typeof options === 'string' ? { timeZone: options } : (options || {});
+  const timeZone = given.timeZone && isKnownZone(given.timeZone) ? given.timeZone : DEFAULT_GROUP_TIMEZONE;
+  const hour = Math.floor(Number(given.rolloverHour));
+  const rolloverHour = Number.isFinite(hour)
+    ? Math.min(Math.max(hour, 0), MAX_ROLLOVER_HOUR)
+    : DEFAULT_ROLLOVER_HOUR;
+  return { timeZone, rolloverHour };
+};
+
+// Day options of a groups row ({ timezone, day_rollover_hour })
+export const getGroupDayOptions = (group) => toDayOptions({
+  timeZone: group?.timezone,
+  rolloverHour: group?.day_rollover_hour,
+});
+
+// Wall-clock date and time of an instant in a zone
+const getLocalParts = (instant, zone) => {
+  const parts = {};
+  getPartFormatter(zone).formatToParts(new Date(instant)).forEach((p) => { parts[p.type] = p.value; });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+};
+
+/**
+ * Calendar date ('YYYY-MM-DD') of an instant in a time zone
+ */
+export const getDateInTimeZone = (instant, timeZone) => (
+  getLocalParts(instant, toDayOptions(timeZone).timeZone).date
+);
+
+/**
+ * Dinner day ('YYYY-MM-DD') an instant belongs to. options: zone name or
+ * { timeZone, rolloverHour }. Goes by the local wall clock, so DST days
+ * of 23 or 25 hours need nothing special.
+ */
+export const getDinnerDay = (instant = new Date(), options) => {
+  const { timeZone, rolloverHour } = toDayOptions(options);
+  const local = getLocalParts(instant, timeZone);
+  return local.hour < rolloverHour ? addDays(local.date, -1) : local.date;
+};
+
+// Zone offset from UTC at an instant, in ms
+const getZoneOffset = (instant, zone) => {
+  const local = getLocalParts(instant, zone);
+  const [y, m, d] = local.date.split('-').map(Number);
+  const asUtc = Date.UTC(y, m - 1, d, local.hour, local.minute, local.second);
+  return asUtc - Math.floor(instant / 1000) * 1000;
+};
+
+/**
+ * Moment (ISO string) a wall-clock time ('HH:MM') falls on a date in a zone.
+ * A time DST skips moves forward by the gap; a time that happens twice is
+ * the first one.
+ */
+export const getZonedTime = (day, time, options) => {
+  const { timeZone } = toDayOptions(options);
+  const [y, m, d] = day.split('-').map(Number);
+  const [hour, minute = 0] = String(time).split(':').map(Number);
+  const wall = Date.UTC(y, m - 1, d, hour, minute);
+
+  // Offsets before and after the day cover both sides of a DST change
+  const candidates = [wall - getZoneOffset(wall - 14 * HOUR_MS, timeZone), wall - getZoneOffset(wall + 14 * HOUR_MS, timeZone)];
+  const matching = candidates.filter((instant) => {
+    const local = getLocalParts(instant, timeZone);
+    return local.date === day && local.hour === hour && local.minute === minute;
+  });
+  const instant = matching.length ? Math.min(...matching) : Math.max(...candidates);
+  return new Date(instant).toISOString();
+};
+
+/**
+ * Moment (ISO string) a dinner day starts: the rollover hour on that date,
+ * local time. When DST skips that hour the day starts right after the gap;
+ * when the hour happens twice it starts at the first one.
+ */
+export const getDinnerDayStart = (day, options) => (
+  getZonedTime(day, `${toDayOptions(options).rolloverHour}:00`, options)
+);
+
+/**
+ * Moment (ISO string) of a wall-clock time ('HH:MM[:SS]') on a dinner day.
+ * Times before the rollover hour are in the night after that date.
+ */
+export const getDinnerDayTime = (day, time, options) => {
+  const { rolloverHour } = toDayOptions(options);
+  const hour = Number(String(time).split(':')[0]);
+  return getZonedTime(hour < rolloverHour ? addDays(day, 1) : day, time, options);
+};
+
+/**
+ * Start and (exclusive) end of a dinner day, as ISO strings
+ */
+export const getDinnerDayRange = (day, options) => ({
+  start: getDinnerDayStart(day, options),
+  end: getDinnerDayStart(addDays(day, 1), options),
+});
+
+/**
+ * Milliseconds until the next dinner day starts
+ */
+export const getMsUntilNextDinnerDay = (now = new Date(), options) => {
+  const next = getDinnerDayStart(addDays(getDinnerDay(now, options), 1), options);
+  return new Date(next).getTime() - new Date(now).getTime();
+};
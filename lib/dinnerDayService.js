@@ -0,0 +1,109 @@
+/**
+ * Dinner Day Service - "today" for a group
+ * Maps to: groups.timezone, groups.day_rollover_hour
+ * The rules live in dinnerDay.js; this keeps each group's day options
+ * around so services can ask for a group's today without a round trip
+ * every time.
+ */
+
+import { supabase, USE_REAL_SUPABASE } from './supabase';
+import {
+  getDinnerDay,
+  getDinnerDayStart,
+  getGroupDayOptions,
+  getMsUntilNextDinnerDay,
+  toDayOptions,
+} from './dinnerDay';
+import { debugError } from './debugConfig';
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+
+// groupId -> { options, fetchedAt }
+const dayOptionsByGroup = {};
+
+/**
+ * Keep day options of groups that were loaded anyway ({ id or group_id,
+ * timezone, day_rollover_hour }), e.g. by getGroupSettings or the dashboard.
+ */
+export const rememberGroupDayOptions = (groups) => {
+  (groups || []).forEach((group) => {
+    const groupId = group?.group_id || group?.id;
+    if (!groupId || group.timezone === undefined) return;
+    dayOptionsByGroup[groupId] = { options: getGroupDayOptions(group), fetchedAt: Date.now() };
+  });
+};
+
+/**
+ * Day options of a group from the cache, the default ones when unknown
+ */
+export const getKnownDayOptions = (groupId) => dayOptionsByGroup[groupId]?.options || toDayOptions();
+
+/**
+ * Day options of a group ({ timeZone, rolloverHour }), fetched when the
+ * cached ones are missing or stale. Never fails: falls back to the cache
+ * or the defaults.
+ */
+export const getDayOptions = async (groupId) => {
+  const cached = dayOptionsByGroup[groupId];
+  if (!groupId || !USE_REAL_SUPABASE || (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS)) {
+    return getKnownDayOptions(groupId);
+  }
+  try {
+    const { data, error } = await supabase
+      .from('groups')
+      .select('id, timezone, day_rollover_hour')
+      .eq('id', groupId)
+      .single();
+    if (error || !data) return getKnownDayOptions(groupId);
+    rememberGroupDayOptions([data]);
+  } catch (e) {
+    debugError('SERVICES', 'getDayOptions failed:', e);
+  }
+  return getKnownDayOptions(groupId);
+};
+
+/**
+ * The group's dinner day ('YYYY-MM-DD') right now
+ */
+export const getGroupToday = async (groupId, now = new Date()) => getDinnerDay(now, await getDayOptions(groupId));
+
+/**
+ * Same as getGroupToday from the cache only, for render code
+ */
+export const getGroupTodaySync = (groupId, now = new Date()) => getDinnerDay(now, getKnownDayOptions(groupId));
+
+/**
+ * Moment (ISO string) the group's current dinner day started
+ */
+export const getGroupTodayStart = async (groupId, now = new Date()) => {
+  const options = await getDayOptions(groupId);
+  return getDinnerDayStart(getDinnerDay(now, options), options);
+};
+
+const getAllKnownDayOptions = () => {
+  const list = Object.values(dayOptionsByGroup).map((entry) => entry.options);
+  return list.length ? list : [toDayOptions()];
+};
+
+/**
+ * Today for the member across all their groups: the earliest dinner day of
+ * the known groups, so nothing counts as over while a group is still on it
+ */
+export const getMyToday = (now = new Date()) => (
+  getAllKnownDayOptions().map((options) => getDinnerDay(now, options)).sort()[0]
+);
+
+/**
+ * Changes whenever the dinner day of any known group rolls over; used as
+ * the "date" of cached daily data on the device.
+ */
+export const getDinnerDayKey = (now = new Date()) => (
+  [...new Set(getAllKnownDayOptions().map((options) => getDinnerDay(now, options)))].sort().join(',')
+);
+
+/**
+ * Milliseconds until the first known group rolls over to a new dinner day
+ */
+export const getMsUntilNextRollover = (now = new Date()) => (
+  Math.min(...getAllKnownDayOptions().map((options) => getMsUntilNextDinnerDay(now, options)))
+);
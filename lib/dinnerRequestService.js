@@ -6,6 +6,8 @@
 import { supabase } from './supabase';
 import { USE_REAL_SUPABASE } from './supabase';
 import { createMealRequest } from './mealRequestService';
+import { getDayOptions } from './dinnerDayService';
+import { getDinnerDay, getDinnerDayTime } from './dinnerDay';
 
 const toAppResponse = (r) => (r === 'yes' ? 'accepted' : r === 'no' ? 'declined' : r);
 const toDbResponse = (r) => (r === 'accepted' ? 'yes' : r === 'declined' ? 'no' : r);
@@ -18,8 +20,11 @@ export const saveDinnerRequest = async (requestData) => {
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) return { success: false, error: 'Not authenticated' };
 
-    const date = requestData.date || new Date().toISOString().split('T')[0];
-    const deadlineStr = `${date}T${(requestData.deadlineTime || '12:00:00').slice(0, 8)}:00.000Z`;
+    // The deadline is a wall-clock time in the group's timezone
+    const dayOptions = await getDayOptions(requestData.groupId);
+    const today = getDinnerDay(new Date(), dayOptions);
+    const date = requestData.date || today;
+    const deadlineStr = getDinnerDayTime(date, (requestData.deadlineTime || '12:00').slice(0, 5), dayOptions);
 
     const { data, error } = await supabase
       .from('dinner_requests')
@@ -39,6 +44,18 @@ export const saveDinnerRequest = async (requestData) => {
       .single();
 
     if (error) return { success: false, error: error.message };
+
+    // A round that is already running today closes at this deadline too
+    if (date === today) {
+      await supabase
+        .from('meal_requests')
+        .update({ deadline: deadlineStr, cook_id: user.id })
+        .eq('group_id', requestData.groupId)
+        .eq('status', 'active')
+        .eq('plan_type', 'daily')
+        .is('deadline', null);
+    }
+
     return {
       success: true,
       request: { id: data.id, ...data },
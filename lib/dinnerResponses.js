@@ -0,0 +1,94 @@
+/**
+ * Dinner Responses - what a daily answer means for tonight
+ * daily_responses.response is one of RESPONSE_STATES:
+ *   yes    eats along
+ *   late   eats along later, expected at eta ('HH:MM')
+ *   plate  not at the table, keep a plate
+ *   maybe  undecided until maybe_until; after that it counts as no
+ *   no     doesn't eat along
+ * yes / late / plate may bring guests (+N). Every eater and guest is a
+ * portion; portions set the servings of the recipe and the shopping list.
+ */
+
+export const RESPONSE_STATES = ['yes', 'late', 'plate', 'maybe', 'no'];
+
+// Answers that need food
+export const EATING_RESPONSES = ['yes', 'late', 'plate'];
+
+export const MAX_GUESTS = 10;
+
+export const isEating = (response) => EATING_RESPONSES.includes(response);
+
+const clampGuests = (guests) => {
+  const n = Math.floor(Number(guests));
+  return Number.isFinite(n) ? Math.min(Math.max(n, 0), MAX_GUESTS) : 0;
+};
+
+/**
+ * The answer as it stands now: a "maybe" past its cutoff is a "no".
+ * row: { response, maybe_until }
+ */
+export const getEffectiveResponse = (row, now = new Date()) => {
+  if (!row?.response) return null;
+  if (row.response === 'maybe' && row.maybe_until && new Date(row.maybe_until) <= now) return 'no';
+  return row.response;
+};
+
+// Choices offered for "eet later mee" and for the "misschien" cutoff
+export const ETA_TIMES = ['18:30', '19:00', '19:30', '20:00', '20:30', '21:00'];
+export const MAYBE_CUTOFFS = ['16:00', '17:00', '18:00', '19:00'];
+
+/**
+ * 'HH:MM' today (local time) as an ISO timestamp, for maybe_until
+ */
+export const getTodayAt = (time, now = new Date()) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  const at = new Date(now);
+  at.setHours(hours || 0, minutes || 0, 0, 0);
+  return at.toISOString();
+};
+
+/**
+ * 'HH:MM' of a TIME column ('19:30:00') or a timestamp, in local time
+ */
+export const formatResponseTime = (value) => {
+  if (!value) return '';
+  if (/^\d{1,2}:\d{2}/.test(value)) return value.slice(0, 5);
+  const at = new Date(value);
+  return `${String(at.getHours()).padStart(2, '0')}:${String(at.getMinutes()).padStart(2, '0')}`;
+};
+
+/**
+ * Columns to store with an answer; fields that don't belong to it are cleared.
+ * details: { eta, guests, maybeUntil }
+ */
+export const normalizeResponseDetails = (response, details = {}) => ({
+  eta: response === 'late' ? details.eta || null : null,
+  maybe_until: response === 'maybe' ? details.maybeUntil || null : null,
+  guests: isEating(response) ? clampGuests(details.guests) : 0,
+});
+
+/**
+ * Tally of tonight's answers.
+ * rows: [{ response, guests, maybe_until }]
+ * Returns { yes, late, plate, maybe, no, eaters, guests, portions }
+ */
+export const countResponses = (rows = [], now = new Date()) => {
+  const counts = { ...Object.fromEntries(RESPONSE_STATES.map((s) => [s, 0])), eaters: 0, guests: 0, portions: 0 };
+  rows.forEach((row) => {
+    const response = getEffectiveResponse(row, now);
+    if (!response || counts[response] === undefined) return;
+    counts[response] += 1;
+    if (isEating(response)) {
+      counts.eaters += 1;
+      counts.guests += clampGuests(row.guests);
+    }
+  });
+  counts.portions = counts.eaters + counts.guests;
+  return counts;
+};
+
+/**
+ * Servings to cook tonight: the portions, or fallback while nobody eats yet
+ */
+export const getServingsForTonight = (counts, fallback) => (counts?.portions > 0 ? counts.portions : fallback);
@@ -0,0 +1,146 @@
+/**
+ * Expense Service - "Wie betaalt wat" ledger per group
+ * Maps to: group_expenses (group_id, paid_by, amount_cents, participant_ids, expense_date)
+ *          group_settlements (group_id, from_user, to_user, amount_cents)
+ * Split/balance math lives in costSplitting.js.
+ */
+
+import { supabase } from './supabase';
+import { USE_REAL_SUPABASE } from './supabase';
+import { loadRecipeExtras, getRecipeExtras } from './recipeExtrasService';
+import { parseEuroToCents, computeBalances, suggestSettlements } from './costSplitting';
+import { getYesResponders } from './dailyResponseService';
+import { getGroupToday } from './dinnerDayService';
+
+/**
+ * Default receipt amount from recipe_extras.estimated_cost, scaled from the
+ * recipe's default_servings to the number of eaters. Returns cents or null.
+ */
+export const getSuggestedExpenseCents = async (mealName, eaters) => {
+  if (!mealName) return null;
+  await loadRecipeExtras();
+  const { default_servings: defaultServings, estimated_cost: estimatedCost } = getRecipeExtras(mealName);
+  if (!estimatedCost) return null;
+  const ratio = eaters > 0 && defaultServings ? eaters / defaultServings : 1;
+  return Math.round(estimatedCost * ratio * 100);
+};
+
+/**
+ * Record a receipt paid by the current user.
+ * amount may be a number (euros) or user input like "12,50".
+ * participantIds defaults to that day's yes-responders.
+ */
+export const addGroupExpense = async (groupId, { amount, description, date, participantIds, requestId } = {}) => {
+  if (!USE_REAL_SUPABASE) return { success: false, error: 'Demo mode' };
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return { success: false, error: 'Not authenticated' };
+
+    const amountCents = parseEuroToCents(amount);
+    if (!amountCents || amountCents <= 0) return { success: false, error: 'Ongeldig bedrag' };
+
+    const expenseDate = date || await getGroupToday(groupId);
+    const participants = participantIds?.length ? participantIds : await getYesResponders(groupId, expenseDate);
+    if (!participants.length) return { success: false, error: 'Niemand heeft ja gezegd vandaag' };
+
+    const { data, error } = await supabase
+      .from('group_expenses')
+      .insert({
+        group_id: groupId,
+        paid_by: user.id,
+        amount_cents: amountCents,
+        description: description?.trim() || null,
+        expense_date: expenseDate,
+        participant_ids: [...new Set(participants)],
+        request_id: requestId || null,
+      })
+      .select('id, group_id, paid_by, amount_cents, description, expense_date, participant_ids, created_at')
+      .single();
+
+    if (error) return { success: false, error: error.message };
+    return { success: true, expense: data };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+export const deleteGroupExpense = async (expenseId) => {
+  if (!USE_REAL_SUPABASE) return { success: false, error: 'Demo mode' };
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return { success: false, error: 'Not authenticated' };
+
+    const { error } = await supabase
+      .from('group_expenses')
+      .delete()
+      .eq('id', expenseId)
+      .eq('paid_by', user.id);
+    return error ? { success: false, error: error.message } : { success: true };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+/**
+ * Mark a transfer between two members as paid. The current user must be
+ * one of the two sides (enforced by RLS).
+ */
+export const recordSettlement = async (groupId, fromUserId, toUserId, amountCents) => {
+  if (!USE_REAL_SUPABASE) return { success: false, error: 'Demo mode' };
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return { success: false, error: 'Not authenticated' };
+    if (!(amountCents > 0) || fromUserId === toUserId) return { success: false, error: 'Ongeldige betaling' };
+
+    const { data, error } = await supabase
+      .from('group_settlements')
+      .insert({
+        group_id: groupId,
+        from_user: fromUserId,
+        to_user: toUserId,
+        amount_cents: amountCents,
+        created_by: user.id,
+      })
+      .select('id, group_id, from_user, to_user, amount_cents, created_at')
+      .single();
+
+    if (error) return { success: false, error: error.message };
+    return { success: true, settlement: data };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+/**
+ * Full ledger for a group: history, running balances and settle-up suggestions.
+ */
+export const getGroupLedger = async (groupId) => {
+  const empty = { expenses: [], settlements: [], balances: {}, suggestions: [] };
+  if (!USE_REAL_SUPABASE) return { success: true, ...empty };
+  try {
+    const [{ data: expenses, error: expErr }, { data: settlements, error: setErr }] = await Promise.all([
+      supabase
+        .from('group_expenses')
+        .select('id, group_id, paid_by, amount_cents, description, expense_date, participant_ids, created_at')
+        .eq('group_id', groupId)
+        .order('created_at', { ascending: false }),
+      supabase
+        .from('group_settlements')
+        .select('id, group_id, from_user, to_user, amount_cents, created_at')
+        .eq('group_id', groupId)
+        .order('created_at', { ascending: false }),
+    ]);
+    if (expErr || setErr) return { success: false, error: (expErr || setErr).message, ...empty };
+
+    const balances = computeBalances(expenses || [], settlements || []);
+    return {
+      success: true,
+      expenses: expenses || [],
+      settlements: settlements || [],
+      balances,
+      suggestions: suggestSettlements(balances),
+    };
+  } catch (e) {
+    return { success: false, error: e?.message, ...empty };
+  }
+};
@@ -6,6 +6,9 @@
 import { supabase } from './supabase';
 import { USE_REAL_SUPABASE } from './supabase';
 import { log, debugError } from './debugConfig';
+import { rememberGroupDayOptions } from './dinnerDayService';
+import { MAX_ROLLOVER_HOUR } from './dinnerDay';
+import { MAX_CHAT_RETENTION_DAYS } from './chatHistory';
 
 const MOCK_GROUP = {
   id: 'mock-group-1',
@@ -284,3 +287,122 @@ export const getFavoriteGroupId = async () => {
     return null;
   }
 };
+
+/**
+ * Name, timezone, day rollover, deadline reminder, proposal cap and chat
+ * retention per group, for the request lifecycle and group settings.
+ * Defaults to all groups the current user is an active member of.
+ * Returns [{ id, name, timezone, day_rollover_hour, deadline_reminder_minutes,
+ *            round_proposal_cap, chat_retention_days }]
+ */
+export const getGroupSettings = async (groupIds) => {
+  try {
+    let ids = groupIds;
+    if (!ids) {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return [];
+      const { data: memberships } = await supabase
+        .from('group_members')
+        .select('group_id')
+        .eq('user_id', user.id)
+        .eq('is_active', true);
+      ids = (memberships || []).map((m) => m.group_id);
+    }
+    if (!ids.length) return [];
+
+    const { data, error } = await supabase
+      .from('groups')
+      .select('id, name, timezone, day_rollover_hour, deadline_reminder_minutes, round_proposal_cap, chat_retention_days')
+      .in('id', ids);
+    if (error) return [];
+    rememberGroupDayOptions(data);
+    return data || [];
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * Minutes before a round's deadline that members who haven't finished voting
+ * get a reminder. 0 turns the reminder off. Group admin only (RLS).
+ */
+export const setDeadlineReminderMinutes = async (groupId, minutes) => {
+  const value = Math.max(0, Math.round(Number(minutes) || 0));
+  if (!USE_REAL_SUPABASE) return { success: true, minutes: value };
+  try {
+    const { data, error } = await supabase
+      .from('groups')
+      .update({ deadline_reminder_minutes: value })
+      .eq('id', groupId)
+      .select('id');
+    if (error) return { success: false, error: error.message };
+    if (!data?.length) return { success: false, error: 'Only the group admin can change this' };
+    return { success: true, minutes: value };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+/**
+ * How many meals members may propose in one voting round. 0 turns proposing
+ * off. Group admin only (RLS).
+ */
+export const setRoundProposalCap = async (groupId, cap) => {
+  const value = Math.max(0, Math.round(Number(cap) || 0));
+  if (!USE_REAL_SUPABASE) return { success: true, cap: value };
+  try {
+    const { data, error } = await supabase
+      .from('groups')
+      .update({ round_proposal_cap: value })
+      .eq('id', groupId)
+      .select('id');
+    if (error) return { success: false, error: error.message };
+    if (!data?.length) return { success: false, error: 'Only the group admin can change this' };
+    return { success: true, cap: value };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+/**
+ * Hour (0-6, local time) the group's dinner day rolls over to the next one;
+ * 4 keeps "tonight" going until 04:00. Group admin only (RLS).
+ */
+export const setDayRolloverHour = async (groupId, hour) => {
+  const value = Math.min(MAX_ROLLOVER_HOUR, Math.max(0, Math.round(Number(hour) || 0)));
+  if (!USE_REAL_SUPABASE) return { success: true, hour: value };
+  try {
+    const { data, error } = await supabase
+      .from('groups')
+      .update({ day_rollover_hour: value })
+      .eq('id', groupId)
+      .select('id, timezone, day_rollover_hour');
+    if (error) return { success: false, error: error.message };
+    if (!data?.length) return { success: false, error: 'Only the group admin can change this' };
+    rememberGroupDayOptions(data);
+    return { success: true, hour: value };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+/**
+ * Days chat messages are kept before cleanup_group_messages() deletes
+ * them. 0 keeps them forever. Group admin only (RLS).
+ */
+export const setChatRetentionDays = async (groupId, days) => {
+  const value = Math.min(MAX_CHAT_RETENTION_DAYS, Math.max(0, Math.round(Number(days) || 0)));
+  if (!USE_REAL_SUPABASE) return { success: true, days: value };
+  try {
+    const { data, error } = await supabase
+      .from('groups')
+      .update({ chat_retention_days: value })
+      .eq('id', groupId)
+      .select('id');
+    if (error) return { success: false, error: error.message };
+    if (!data?.length) return { success: false, error: 'Only the group admin can change this' };
+    return { success: true, days: value };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
@@ -2,7 +2,9 @@
  * Inactive-user reminder logic
  *
  * Fires a local push notification when the current user has not voted
- * for at least 4 days. Gated by a 14-day cooldown so nobody is spammed.
+ * or answered for dinner themselves for at least 4 days. Automatic answers
+ * (standing RSVPs, absences) don't count. Gated by a 14-day cooldown so
+ * nobody is spammed.
  *
  * This is intentionally client-side (no backend cron). It runs on app
  * launch — when the user opens the app, we check if they deserve a
@@ -58,6 +60,28 @@ const getLastVoteAt = async (userId) => {
   }
 };
 
+/**
+ * Get the timestamp of the current user's most recent dinner answer they
+ * gave themselves. Answers written by a standing RSVP or an absence
+ * (auto_source set, see standingRsvp.js) don't count as activity.
+ */
+const getLastOwnResponseAt = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('daily_responses')
+      .select('updated_at')
+      .eq('user_id', userId)
+      .is('auto_source', null)
+      .order('updated_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) return null;
+    return data?.updated_at || null;
+  } catch {
+    return null;
+  }
+};
+
 /**
  * Main entry point — call this on app launch (or when the user reaches
  * a main screen). Returns `{ sent: boolean, reason?: string }` so the
@@ -84,12 +108,16 @@ export const checkAndSendInactiveReminder = async () => {
       }
     }
 
-    // Activity check — when did they last vote?
-    const lastVoteAt = await getLastVoteAt(user.id);
+    // Activity check — when did they last vote or answer for dinner themselves?
+    const [lastVoteAt, lastResponseAt] = await Promise.all([
+      getLastVoteAt(user.id),
+      getLastOwnResponseAt(user.id),
+    ]);
+    const lastActiveAt = [lastVoteAt, lastResponseAt].filter(Boolean).sort().pop() || null;
 
-    // If we have no vote history at all, fall back to account creation
+    // If we have no activity at all, fall back to account creation
     // date so brand-new users don't get nagged on day 1.
-    const reference = lastVoteAt || user.created_at;
+    const reference = lastActiveAt || user.created_at;
     if (!reference) return { sent: false, reason: 'no_reference_time' };
 
     const inactiveDays = daysBetween(reference, new Date());
@@ -1,18 +1,69 @@
 /**
- * Ingredient Scaler - Parse and scale ingredient strings based on serving count
+ * Ingredient Scaler - Parse, scale and format ingredient lines
+ *
+ * Ingredients are stored as free-text strings ("400g spaghetti",
+ * "2-3 tenen knoflook, geperst"). parseIngredient turns such a line into
+ * { qty, qtyMax, unit, name, note } so recipe modals, the shopping list and
+ * the structured editor in ChefDashboard all read ingredients the same way.
  */
 
-// Words that indicate an ingredient should NOT be scaled
-const NO_SCALE_WORDS = [
-  'peper', 'zout', 'optioneel', 'scheut', 'snuf', 'handvol', 'klontje',
-  'naar keuze', 'naar smaak', 'wat', 'beetje',
-];
+// Canonical unit keys with the spellings (Dutch + English) that map to them.
+// `dimension` + `factor` allow conversion within a family (g ↔ kg, tl ↔ el).
+// `forms` is the [singular, plural] written for countable units.
+const UNITS = {
+  g: { dimension: 'mass', factor: 1, aliases: ['g', 'gr', 'gram', 'grams', 'gramm'] },
+  kg: { dimension: 'mass', factor: 1000, aliases: ['kg', 'kilo', 'kilos', 'kilogram', 'kilograms'] },
+  ml: { dimension: 'volume', factor: 1, aliases: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+  dl: { dimension: 'volume', factor: 100, aliases: ['dl', 'deciliter', 'deciliters'] },
+  l: { dimension: 'volume', factor: 1000, aliases: ['l', 'liter', 'liters', 'litre', 'litres'] },
+  tl: { dimension: 'spoon', factor: 1, aliases: ['tl', 'theelepel', 'theelepels', 'tsp', 'teaspoon', 'teaspoons'] },
+  el: { dimension: 'spoon', factor: 3, aliases: ['el', 'eetlepel', 'eetlepels', 'tbsp', 'tablespoon', 'tablespoons'] },
+  kopje: { dimension: 'cup', factor: 1, forms: ['kopje', 'kopjes'], aliases: ['kopje', 'kopjes', 'kop', 'koppen', 'cup', 'cups'] },
+  stuks: { dimension: 'count', factor: 1, forms: ['stuk', 'stuks'], aliases: ['stuk', 'stuks', 'st', 'pcs', 'piece', 'pieces'] },
+  teen: { dimension: 'clove', factor: 1, forms: ['teen', 'tenen'], aliases: ['teen', 'tenen', 'teentje', 'teentjes', 'clove', 'cloves'] },
+  blik: { dimension: 'can', factor: 1, forms: ['blik', 'blikken'], aliases: ['blik', 'blikken', 'blikje', 'blikjes', 'can', 'cans', 'tin', 'tins'] },
+  zakje: { dimension: 'bag', factor: 1, forms: ['zakje', 'zakjes'], aliases: ['zakje', 'zakjes', 'zak', 'zakken', 'bag', 'bags'] },
+  takje: { dimension: 'sprig', factor: 1, forms: ['takje', 'takjes'], aliases: ['takje', 'takjes', 'sprig', 'sprigs'] },
+  snuf: { dimension: 'pinch', factor: 1, aliases: ['snuf', 'snufje', 'snufjes', 'pinch', 'pinches'] },
+  scheutje: { dimension: 'dash', factor: 1, aliases: ['scheut', 'scheutje', 'scheutjes', 'dash', 'splash'] },
+};
+
+const UNIT_ALIASES = Object.entries(UNITS).reduce((map, [key, def]) => {
+  def.aliases.forEach((alias) => { map[alias] = key; });
+  return map;
+}, {});
+
+// Unit keys offered by the structured ingredient editor, in display order.
+export const INGREDIENT_UNITS = Object.keys(UNITS);
+
+// Units that are decimals by nature ("1,5 kg"), as opposed to kitchen
+// measures that read better as fractions ("1½ el").
+const METRIC_UNITS = ['g', 'kg', 'ml', 'dl', 'l'];
+
+// "A pinch" doesn't double when you cook for twice as many people.
+const NO_SCALE_UNITS = ['snuf', 'scheutje'];
+const NO_SCALE_PHRASES = ['naar smaak', 'naar keuze', 'to taste'];
+// Whole words that mean "some" or seasoning, as in "1 handvol spinazie"
+const NO_SCALE_WORDS = ['peper', 'zout', 'optioneel', 'handvol', 'klontje', 'wat', 'beetje'];
+const NO_SCALE_WORD_PATTERN = new RegExp(`(?:^|[^a-zë])(?:${NO_SCALE_WORDS.join('|')})(?=$|[^a-zë])`);
+
+const UNICODE_FRACTIONS = {
+  '¼': '1/4', '½': '1/2', '¾': '3/4', '⅓': '1/3', '⅔': '2/3', '⅛': '1/8',
+};
+
+const NUMBER = '\\d+(?:[.,]\\d+)?(?:\\/\\d+)?';
+const QUANTITY = `(?:\\d+\\s+\\d+\\/\\d+|${NUMBER})`;
+const RANGE_SEPARATOR = '\\s*(?:-|–|—|tot|à|a|to|or|of)\\s*';
+const QUANTITY_PATTERN = new RegExp(`^(${QUANTITY})(?:${RANGE_SEPARATOR}(${QUANTITY}))?\\s*(.*)$`, 'i');
+const UNIT_TOKEN_PATTERN = /^([a-zA-Zë']+)\.?(?:\s+|$)(.*)$/;
 
 /**
- * Parse a number from a string, supporting fractions and decimals
- * "1/2" → 0.5, "1,5" → 1.5, "3" → 3
+ * Parse a number from a string, supporting fractions, mixed numbers and decimals
+ * "1/2" → 0.5, "1,5" → 1.5, "1 1/2" → 1.5, "3" → 3
  */
 function parseNumber(str) {
+  const parts = str.trim().split(/\s+/);
+  if (parts.length === 2) return parseNumber(parts[0]) + parseNumber(parts[1]);
   if (str.includes('/')) {
     const [num, den] = str.split('/').map(Number);
     return den ? num / den : num;
@@ -21,8 +72,16 @@ function parseNumber(str) {
 }
 
 /**
- * Format a scaled number nicely
- * 1 → "1", 1.5 → "1,5", 0.333 → "⅓", 2.0 → "2"
+ * Replace unicode fractions with plain ones: "1½" → "1 1/2", "¼" → "1/4"
+ */
+function expandUnicodeFractions(str) {
+  return str.replace(/(\d*)\s*([¼½¾⅓⅔⅛])/g, (_, whole, frac) =>
+    (whole ? `${whole} ${UNICODE_FRACTIONS[frac]}` : UNICODE_FRACTIONS[frac]));
+}
+
+/**
+ * Format a number with kitchen fractions
+ * 1 → "1", 1.5 → "1½", 0.333 → "⅓", 2.0 → "2"
  */
 function formatNumber(n) {
   if (Number.isNaN(n) || n <= 0) return '';
@@ -48,42 +107,275 @@ function formatNumber(n) {
 }
 
 /**
- * Scale a single ingredient string
- * "400g spaghetti" with ratio 2 → "800g spaghetti"
- * "Peper en zout" → "Peper en zout" (unchanged)
+ * Format a metric number with a decimal comma
+ * 1500 (g) → "1500", 1.5 (kg) → "1,5", 7.25 (g) → "7,3"
  */
-export function scaleIngredient(ingredient, defaultServings, targetServings) {
-  if (!ingredient || defaultServings === targetServings) return ingredient;
+function formatDecimal(n, unit) {
+  if (Number.isNaN(n) || n <= 0) return '';
+  let rounded;
+  if (unit === 'g' || unit === 'ml') {
+    if (n >= 50) rounded = Math.round(n / 5) * 5;
+    else if (n >= 10) rounded = Math.round(n);
+    else rounded = Math.round(n * 10) / 10;
+  } else {
+    rounded = Math.round(n * 100) / 100;
+  }
+  return String(rounded).replace('.', ',');
+}
+
+/**
+ * Look up the canonical unit for a token: "eetlepels" → "el", "Cups" → "kopje".
+ * Returns null when the token is not a known unit.
+ */
+export function normalizeUnit(token) {
+  if (!token) return null;
+  return UNIT_ALIASES[String(token).toLowerCase().replace(/\.$/, '')] || null;
+}
+
+/**
+ * Unit family of a unit key ('mass' for g and kg), or the key itself when
+ * unknown, so amounts that can be added up share a family
+ */
+export function getUnitFamily(unit) {
+  return UNITS[unit]?.dimension || unit || null;
+}
 
-  const lower = ingredient.toLowerCase();
+/**
+ * How a unit is written after a quantity: plural above one for countable
+ * units ("1 teen", "2-3 tenen", "½ blik", "2 blikken"), else the unit key
+ */
+export function formatUnit(unit, qty = null, qtyMax = null) {
+  const forms = UNITS[unit]?.forms;
+  if (!forms) return unit;
+  const upper = qtyMax !== null && qtyMax !== undefined ? qtyMax : qty;
+  return upper !== null && upper !== undefined && upper > 1 ? forms[1] : forms[0];
+}
 
-  // Don't scale non-quantifiable ingredients
-  if (NO_SCALE_WORDS.some(w => lower.startsWith(w) || lower.includes(w))) {
-    return ingredient;
+/**
+ * Format a quantity (or range) for the given unit
+ * (2, 3, 'teen') → "2-3", (1.5, null, 'kg') → "1,5", (0.5, null, 'el') → "½"
+ */
+export function formatQuantity(qty, qtyMax = null, unit = null) {
+  if (qty === null || qty === undefined) return '';
+  const fmt = METRIC_UNITS.includes(unit) ? (n) => formatDecimal(n, unit) : formatNumber;
+  if (qtyMax !== null && qtyMax !== undefined && qtyMax !== qty) {
+    return `${fmt(qty)}-${fmt(qtyMax)}`;
   }
+  return fmt(qty);
+}
 
-  // Match leading number (with optional fraction or decimal)
-  // Examples: "6 eieren", "400g pasta", "1/2 tl komijn", "1,5L melk"
-  const match = ingredient.match(/^(\d+[\.,]?\d*(?:\/\d+)?)\s*(.*)/);
-  if (!match) return ingredient;
+/**
+ * Turn any stored ingredient shape into a single text line.
+ * Handles plain strings, editor rows ({ qty, unit, name }) and imported
+ * objects ({ raw_text } / { text }).
+ */
+function toIngredientText(item) {
+  if (item === null || item === undefined) return '';
+  if (typeof item === 'string') return item;
+  if (typeof item !== 'object') return String(item);
+  if (item.raw_text || item.text) return item.raw_text || item.text;
+  const unitKey = normalizeUnit(item.unit);
+  const qtyMatch = unitKey && expandUnicodeFractions(String(item.qty ?? '').trim()).match(QUANTITY_PATTERN);
+  const unit = qtyMatch
+    ? formatUnit(unitKey, parseNumber(qtyMatch[1]), qtyMatch[2] ? parseNumber(qtyMatch[2]) : null)
+    : item.unit;
+  return [item.qty, unit, item.name]
+    .map((p) => (p === null || p === undefined ? '' : String(p).trim()))
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Parse an ingredient line into its parts
+ * "2-3 tenen knoflook, geperst" → { qty: 2, qtyMax: 3, unit: 'teen', name: 'knoflook', note: 'geperst' }
+ * "1 1/2 kopje rijst"           → { qty: 1.5, qtyMax: null, unit: 'kopje', name: 'rijst', note: null }
+ * "Peper en zout"                → { qty: null, qtyMax: null, unit: null, name: 'Peper en zout', note: null }
+ */
+export function parseIngredient(ingredient) {
+  const text = expandUnicodeFractions(toIngredientText(ingredient).trim());
+  let qty = null;
+  let qtyMax = null;
+  let unit = null;
+  let rest = text;
+
+  const match = text.match(QUANTITY_PATTERN);
+  if (match) {
+    qty = parseNumber(match[1]);
+    qtyMax = match[2] ? parseNumber(match[2]) : null;
+    rest = match[3];
 
-  const originalNum = parseNumber(match[1]);
-  if (Number.isNaN(originalNum)) return ingredient;
+    const unitMatch = rest.match(UNIT_TOKEN_PATTERN);
+    const unitKey = unitMatch && normalizeUnit(unitMatch[1]);
+    if (unitKey) {
+      unit = unitKey;
+      rest = unitMatch[2];
+    }
+  }
 
-  const ratio = targetServings / defaultServings;
-  const scaled = originalNum * ratio;
+  // Notes live in parentheses or after the first comma
+  const notes = [];
+  rest = rest.replace(/\(([^)]*)\)/g, (_, inner) => {
+    if (inner.trim()) notes.push(inner.trim());
+    return '';
+  });
+  const commaIdx = rest.indexOf(',');
+  if (commaIdx !== -1) {
+    const afterComma = rest.slice(commaIdx + 1).trim();
+    if (afterComma) notes.unshift(afterComma);
+    rest = rest.slice(0, commaIdx);
+  }
 
-  return `${formatNumber(scaled)} ${match[2]}`;
+  return {
+    qty: Number.isNaN(qty) ? null : qty,
+    qtyMax: Number.isNaN(qtyMax) ? null : qtyMax,
+    unit,
+    name: rest.replace(/\s+/g, ' ').trim(),
+    note: notes.length ? notes.join(', ') : null,
+  };
 }
 
 /**
- * Scale all ingredients in an array
+ * Format a parsed ingredient back into a display line
+ * { qty: 1.5, unit: 'kg', name: 'aardappelen' } → "1,5 kg aardappelen"
+ */
+export function formatIngredient(parsed) {
+  if (!parsed) return '';
+  const parts = [];
+  const qtyText = formatQuantity(parsed.qty, parsed.qtyMax, parsed.unit);
+  if (qtyText) parts.push(qtyText);
+  if (qtyText && parsed.unit) parts.push(formatUnit(parsed.unit, parsed.qty, parsed.qtyMax));
+  if (parsed.name) parts.push(parsed.name);
+  const line = parts.join(' ');
+  return parsed.note ? `${line}, ${parsed.note}` : line;
+}
+
+/**
+ * Pick a readable unit for an amount expressed in the family's base unit.
+ * Grams above a kilo become kg, half an eetlepel becomes 1½ tl, etc.
+ */
+function pickUnit(baseAmount, originalUnit) {
+  const { dimension } = UNITS[originalUnit];
+  if (dimension === 'mass') return baseAmount >= 1000 ? 'kg' : 'g';
+  if (dimension === 'volume') {
+    if (baseAmount >= 1000) return 'l';
+    if (originalUnit === 'dl' && baseAmount >= 100) return 'dl';
+    return 'ml';
+  }
+  if (dimension === 'spoon') {
+    if (originalUnit === 'el') return baseAmount < 3 ? 'tl' : 'el';
+    // Only switch tl → el when it lands on a whole or half eetlepel
+    const asEl = baseAmount / 3;
+    return baseAmount >= 3 && Math.abs(asEl * 2 - Math.round(asEl * 2)) < 0.01 ? 'el' : 'tl';
+  }
+  return originalUnit;
+}
+
+/**
+ * Whether a parsed ingredient should change with the serving count
+ */
+function isScalable(parsed) {
+  if (parsed.qty === null) return false;
+  if (NO_SCALE_UNITS.includes(parsed.unit)) return false;
+  const lower = `${parsed.name} ${parsed.note || ''}`.toLowerCase();
+  return !NO_SCALE_PHRASES.some((p) => lower.includes(p)) && !NO_SCALE_WORD_PATTERN.test(lower);
+}
+
+/**
+ * Scale a parsed ingredient by a ratio, switching units where sensible
+ * ({ qty: 750, unit: 'g' }, 2) → { qty: 1.5, unit: 'kg' }
+ */
+export function scaleParsedIngredient(parsed, ratio) {
+  if (!parsed || !isScalable(parsed) || ratio === 1) return parsed;
+
+  const qty = parsed.qty * ratio;
+  const qtyMax = parsed.qtyMax !== null ? parsed.qtyMax * ratio : null;
+  if (!parsed.unit || !UNITS[parsed.unit]) return { ...parsed, qty, qtyMax };
+
+  const { factor } = UNITS[parsed.unit];
+  const unit = pickUnit(qty * factor, parsed.unit);
+  const convert = (n) => (n * factor) / UNITS[unit].factor;
+  return {
+    ...parsed,
+    qty: convert(qty),
+    qtyMax: qtyMax !== null ? convert(qtyMax) : null,
+    unit,
+  };
+}
+
+/**
+ * Add up two parsed ingredients of the same unit family
+ * ({ qty: 500, unit: 'g' }, { qty: 1, unit: 'kg' }) → { qty: 1.5, unit: 'kg' }
+ * Returns null when the units can't be combined (g + el, or one has no quantity).
+ */
+export function addParsedIngredients(a, b) {
+  if (!a || !b) return null;
+  if (a.qty === null && b.qty === null) return { ...a };
+  if (a.qty === null || b.qty === null) return null;
+
+  const upper = (p) => (p.qtyMax !== null && p.qtyMax !== undefined ? p.qtyMax : p.qty);
+  const hasRange = (a.qtyMax ?? null) !== null || (b.qtyMax ?? null) !== null;
+
+  if (a.unit === b.unit && (!a.unit || !UNITS[a.unit])) {
+    return { ...a, qty: a.qty + b.qty, qtyMax: hasRange ? upper(a) + upper(b) : null };
+  }
+  const defA = UNITS[a.unit];
+  const defB = UNITS[b.unit];
+  if (!defA || !defB || defA.dimension !== defB.dimension) return null;
+
+  const base = a.qty * defA.factor + b.qty * defB.factor;
+  const baseMax = upper(a) * defA.factor + upper(b) * defB.factor;
+  const larger = defA.factor >= defB.factor ? a.unit : b.unit;
+  const unit = pickUnit(base, larger);
+  return {
+    ...a,
+    qty: base / UNITS[unit].factor,
+    qtyMax: hasRange ? baseMax / UNITS[unit].factor : null,
+    unit,
+  };
+}
+
+/**
+ * Scale a single ingredient based on serving count
+ * "400g spaghetti" from 4 to 8 → "800 g spaghetti"
+ * "750 g gehakt" from 2 to 4 → "1,5 kg gehakt"
+ * "Peper en zout" → "Peper en zout" (unchanged)
+ */
+export function scaleIngredient(ingredient, defaultServings, targetServings) {
+  const text = toIngredientText(ingredient);
+  if (!text || !defaultServings || defaultServings === targetServings) return text;
+
+  const parsed = parseIngredient(text);
+  if (!isScalable(parsed)) return text;
+
+  return formatIngredient(scaleParsedIngredient(parsed, targetServings / defaultServings));
+}
+
+/**
+ * Scale all ingredients in an array. Always returns display strings, so
+ * structured rows ({ qty, unit, name }) can be rendered directly.
  */
 export function scaleIngredients(ingredients, defaultServings, targetServings) {
   if (!ingredients || !Array.isArray(ingredients)) return ingredients;
-  return ingredients.map(i =>
-    typeof i === 'string'
-      ? scaleIngredient(i, defaultServings, targetServings)
-      : i
-  );
+  return ingredients.map((i) => scaleIngredient(i, defaultServings, targetServings));
+}
+
+/**
+ * Split an ingredient line into the string fields of the structured editor
+ * "2 el olijfolie" → { qty: '2', unit: 'el', name: 'olijfolie' }
+ */
+export function toIngredientFields(ingredient) {
+  const parsed = parseIngredient(ingredient);
+  return {
+    qty: formatQuantity(parsed.qty, parsed.qtyMax, parsed.unit),
+    unit: parsed.qty !== null ? parsed.unit || '' : '',
+    name: parsed.note ? `${parsed.name}, ${parsed.note}` : parsed.name,
+  };
+}
+
+/**
+ * Join structured editor fields into the line stored in the database
+ * { qty: '1,5', unit: 'kg', name: 'aardappelen' } → "1,5 kg aardappelen"
+ */
+export function fromIngredientFields(fields) {
+  return toIngredientText({ qty: fields?.qty, unit: fields?.unit, name: fields?.name });
 }
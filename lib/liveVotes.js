@@ -0,0 +1,247 @@
+/**
+ * Live Votes - realtime tally and voting presence for one round
+ *
+ * The tally is kept on the client: the first load fetches the options and
+ * votes, after that every meal_votes change from realtime is applied to that
+ * copy and tallied again (votingMethods.tallyVotes). Ten people voting at once
+ * cost no extra queries, and listeners get at most one update per
+ * TALLY_THROTTLE_MS. A full reload runs on (re)subscribe and every
+ * RESYNC_INTERVAL_MS in case realtime dropped an event; when the channel
+ * fails it becomes the only source (FALLBACK_POLL_MS). Options added or
+ * swapped mid-round (roundProposalService) trigger a full reload as well.
+ *
+ * Presence: VotingScreen tracks { user_id, name, voted, total } on the
+ * round's presence channel so viewers see who is still swiping.
+ */
+
+import { supabase, USE_REAL_SUPABASE } from './supabase';
+import { getRoundBallots } from './mealRequestService';
+import { tallyVotes, getTopMeals } from './votingMethods';
+import { getFinishedVoters } from './requestLifecycle';
+
+export const TALLY_THROTTLE_MS = 1000;
+const RESYNC_INTERVAL_MS = 30 * 1000;
+const FALLBACK_POLL_MS = 5 * 1000;
+
+/**
+ * Apply one realtime meal_votes payload to a list of vote rows.
+ * Rows are matched by id, or by user + option when the payload has no id.
+ */
+export const applyVoteChange = (votes, payload) => {
+  const sameRow = (a, b) => (a.id && b.id
+    ? a.id === b.id
+    : a.user_id === b.user_id && a.meal_option_id === b.meal_option_id);
+
+  if (payload?.eventType === 'DELETE') {
+    const old = payload.old || {};
+    return votes.filter((v) => !sameRow(v, old));
+  }
+  const row = payload?.new;
+  if (!row || !row.meal_option_id) return votes;
+  return [...votes.filter((v) => !sameRow(v, row)), row];
+};
+
+/**
+ * Leading + trailing throttle: the first call runs right away, calls during
+ * the wait collapse into one call at the end of it.
+ */
+export const createThrottle = (fn, wait) => {
+  let timer = null;
+  let pending = false;
+  const flush = () => {
+    timer = null;
+    if (pending) {
+      pending = false;
+      fn();
+      timer = setTimeout(flush, wait);
+    }
+  };
+  return {
+    call: () => {
+      if (timer) {
+        pending = true;
+        return;
+      }
+      fn();
+      timer = setTimeout(flush, wait);
+    },
+    cancel: () => {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      pending = false;
+    },
+  };
+};
+
+/**
+ * Where every member eating tonight is: 'done' (voted on every option),
+ * 'swiping' (in the voting screen right now) or 'waiting'.
+ * presence: [{ user_id, voted, total }]
+ * Returns { done: [ids], swiping: [ids], waiting: [ids] }
+ */
+export const getVotingStatus = ({ eaterIds = [], votes = [], optionCount = 0, presence = [] }) => {
+  const finished = getFinishedVoters(votes, optionCount);
+  const online = new Set(presence.map((p) => p.user_id));
+  const status = { done: [], swiping: [], waiting: [] };
+  const everyone = [...new Set([...eaterIds, ...finished, ...online])];
+  everyone.forEach((id) => {
+    if (finished.has(id)) status.done.push(id);
+    else if (online.has(id)) status.swiping.push(id);
+    else status.waiting.push(id);
+  });
+  return status;
+};
+
+/**
+ * Live tally of a round. onUpdate gets { tally, topMeals, votes, optionCount }.
+ * onStatus(healthy) reports whether realtime is connected.
+ * Returns an unsubscribe function.
+ */
+export const subscribeToLiveTally = (requestId, onUpdate, { onStatus } = {}) => {
+  if (!USE_REAL_SUPABASE || !requestId) return () => {};
+
+  let disposed = false;
+  let ballots = null;
+  let fallbackTimer = null;
+
+  const emit = createThrottle(() => {
+    if (disposed || !ballots) return;
+    const tally = tallyVotes(ballots);
+    onUpdate({ tally, topMeals: getTopMeals(tally), votes: ballots.votes, optionCount: ballots.options.length });
+  }, TALLY_THROTTLE_MS);
+
+  const resync = async () => {
+    const res = await getRoundBallots(requestId);
+    if (disposed || !res.success) return;
+    ballots = { method: res.method, approvalLimit: res.approvalLimit, options: res.options, votes: res.votes };
+    emit.call();
+  };
+
+  const startFallback = () => {
+    if (!fallbackTimer) fallbackTimer = setInterval(resync, FALLBACK_POLL_MS);
+  };
+  const stopFallback = () => {
+    if (fallbackTimer) clearInterval(fallbackTimer);
+    fallbackTimer = null;
+  };
+
+  const channel = supabase
+    .channel(`live-votes-${requestId}-${Date.now()}`)
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'meal_votes', filter: `request_id=eq.${requestId}` },
+      (payload) => {
+        if (!ballots) return;
+        ballots = { ...ballots, votes: applyVoteChange(ballots.votes, payload) };
+        emit.call();
+      }
+    )
+    .on(
+      'postgres_changes',
+      { event: '*', schema: 'public', table: 'meal_options', filter: `request_id=eq.${requestId}` },
+      () => resync()
+    )
+    .subscribe((status) => {
+      if (disposed) return;
+      if (status === 'SUBSCRIBED') {
+        stopFallback();
+        onStatus?.(true);
+        resync();
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+        onStatus?.(false);
+        startFallback();
+      }
+    });
+
+  resync();
+  const resyncTimer = setInterval(resync, RESYNC_INTERVAL_MS);
+
+  return () => {
+    disposed = true;
+    emit.cancel();
+    stopFallback();
+    clearInterval(resyncTimer);
+    try { supabase.removeChannel(channel); } catch (e) {}
+  };
+};
+
+// One presence channel per round, shared by the voter and any viewers on this device
+const presenceChannels = {};
+
+const readPresence = (channel) => Object.values(channel.presenceState() || {})
+  .map((metas) => metas[metas.length - 1])
+  .filter((meta) => meta?.user_id);
+
+const openPresence = (requestId) => {
+  let entry = presenceChannels[requestId];
+  if (!entry) {
+    const channel = supabase.channel(`voting-presence-${requestId}`);
+    entry = { channel, refs: 0, listeners: new Set(), ready: null };
+    channel.on('presence', { event: 'sync' }, () => {
+      const members = readPresence(channel);
+      entry.listeners.forEach((listener) => listener(members));
+    });
+    entry.ready = new Promise((resolve) => {
+      channel.subscribe((status) => {
+        if (status === 'SUBSCRIBED') resolve();
+      });
+    });
+    presenceChannels[requestId] = entry;
+  }
+  entry.refs += 1;
+  return entry;
+};
+
+const closePresence = (requestId) => {
+  const entry = presenceChannels[requestId];
+  if (!entry) return;
+  entry.refs -= 1;
+  if (entry.refs <= 0) {
+    delete presenceChannels[requestId];
+    try { supabase.removeChannel(entry.channel); } catch (e) {}
+  }
+};
+
+/**
+ * Who is in the voting screen of a round right now.
+ * onChange gets [{ user_id, name, voted, total }]. Returns an unsubscribe function.
+ */
+export const subscribeToVotingPresence = (requestId, onChange) => {
+  if (!USE_REAL_SUPABASE || !requestId) return () => {};
+  const entry = openPresence(requestId);
+  entry.listeners.add(onChange);
+  onChange(readPresence(entry.channel));
+  return () => {
+    entry.listeners.delete(onChange);
+    closePresence(requestId);
+  };
+};
+
+/**
+ * Announce the current user in the voting screen of a round.
+ * Returns { update({ voted, total }), leave() }.
+ */
+export const trackVotingPresence = (requestId, { user_id, name, voted = 0, total = 0 }) => {
+  if (!USE_REAL_SUPABASE || !requestId || !user_id) return { update: () => {}, leave: () => {} };
+  const entry = openPresence(requestId);
+  let meta = { user_id, name, voted, total };
+  let left = false;
+  const send = async () => {
+    await entry.ready;
+    if (!left) {
+      try { await entry.channel.track(meta); } catch (e) {}
+    }
+  };
+  send();
+  return {
+    update: (progress) => {
+      meta = { ...meta, ...progress };
+      send();
+    },
+    leave: async () => {
+      left = true;
+      try { await entry.channel.untrack(); } catch (e) {}
+      closePresence(requestId);
+    },
+  };
+};
@@ -6,6 +6,12 @@
 import { supabase } from './supabase';
 import { USE_REAL_SUPABASE } from './supabase';
 import { getRandomRecipes, getRecipesForVoting } from './recipesService';
+import { getGroupDietaryRestrictions } from './profileService';
+import { tallyVotes, getTopMeals, VOTING_METHODS, DEFAULT_APPROVAL_LIMIT } from './votingMethods';
+import { registerOutboxHandler, runOrQueue, isNetworkError } from './outbox';
+import { hasRoundConstraints, normalizeRoundConstraints, MIN_ROUND_OPTIONS } from './roundConstraints';
+import { getDinnerDay } from './dinnerDay';
+import { getDayOptions, getGroupToday } from './dinnerDayService';
 
 // Fallback when recipes table is empty
 const FALLBACK_MEAL_DATA = [
@@ -31,30 +37,87 @@ const MOCK_MEALS = FALLBACK_MEAL_DATA.map((m, i) => ({
 const toMealOption = (row) => ({
   id: row.id,
   meal_data: row.meal_data || { name: 'Meal', thumbnail_url: '' },
+  proposed_by: row.proposed_by || null,
 });
 
-export const fetchRandomMealsForGroup = async () => {
+/**
+ * meal_data of a round option, from any recipe shape (recipes, user_recipes,
+ * group shares, wishlist)
+ */
+export const toMealData = (r) => ({
+  name: r.name,
+  thumbnail_url: r.image || r.thumbnail_url || '',
+  total_time_minutes: r.cooking_time_minutes,
+  description: r.description || '',
+  cuisine_type: r.cuisine_type || '',
+  ingredients: r.ingredients || [],
+  steps: r.steps || [],
+  chef: r.chef || null,
+  diet_tags: r.diet_tags || [],
+  diet_conflicts: r.diet_conflicts || [],
+});
+
+/**
+ * Candidate meals for a group. With a groupId they come from the
+ * recommendation engine (see getRecipesForVoting), otherwise at random.
+ */
+export const fetchRandomMealsForGroup = async (groupId = null, count = 20) => {
   if (!USE_REAL_SUPABASE) return MOCK_MEALS;
-  const recipes = await getRandomRecipes(20);
+  const recipes = groupId
+    ? (await getRecipesForVoting(groupId, count, { restrictions: await getGroupDietaryRestrictions(groupId) })).recipes
+    : await getRandomRecipes(count);
   if (recipes?.length) {
-    return recipes.map((r) => ({
-      id: r.id,
-      meal_data: {
-        name: r.name,
-        thumbnail_url: r.image || r.thumbnail_url || '',
-        total_time_minutes: r.cooking_time_minutes,
-        description: r.description || '',
-        cuisine_type: r.cuisine_type || '',
-        ingredients: r.ingredients || [],
-        steps: r.steps || [],
-        chef: r.chef || null,
-      },
-    }));
+    return recipes.map((r) => ({ id: r.id, meal_data: toMealData(r) }));
   }
   return FALLBACK_MEAL_DATA.map((m, i) => ({ id: `fallback-${i}`, meal_data: m }));
 };
 
-export const createMealRequest = async (groupId, count = 10) => {
+/**
+ * What the next round of a group would look like, with the score and the
+ * reasons behind every candidate (debug view).
+ * Returns { success, candidates: [{ id, name, cuisine_type, recommendation }] }
+ */
+export const previewRoundCandidates = async (groupId, count = 10) => {
+  try {
+    const restrictions = await getGroupDietaryRestrictions(groupId);
+    const { recipes, error } = await getRecipesForVoting(groupId, count, { restrictions });
+    if (error) return { success: false, error, candidates: [] };
+    return { success: true, candidates: recipes || [], restrictions };
+  } catch (e) {
+    return { success: false, error: e?.message, candidates: [] };
+  }
+};
+
+/**
+ * Deadline and cook of a new daily round, taken from the group's pending
+ * dinner request for today. Empty when nobody set a deadline.
+ */
+const getDinnerRequestFields = async (groupId) => {
+  try {
+    const { data } = await supabase
+      .from('dinner_requests')
+      .select('deadline, requester_id')
+      .eq('group_id', groupId)
+      .eq('status', 'pending')
+      .eq('request_date', await getGroupToday(groupId))
+      .order('deadline', { ascending: true })
+      .limit(1);
+    const dinnerRequest = data?.[0];
+    return dinnerRequest ? { deadline: dinnerRequest.deadline, cook_id: dinnerRequest.requester_id } : {};
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * Create a voting round with `count` options.
+ * requestFields overrides the meal_requests columns, e.g. a weekly round:
+ * { plan_type: 'weekly', week_start: '2025-03-10', status: 'planning' }
+ * requestFields.constraints (see roundConstraints) limits the candidates.
+ * When fewer than MIN_ROUND_OPTIONS recipes fit, no round is created and the
+ * result is { success: false, reason: 'too_few', matched, rejected }.
+ */
+export const createMealRequest = async (groupId, count = 10, requestFields = {}) => {
   if (!USE_REAL_SUPABASE) {
     return {
       success: true,
@@ -63,30 +126,46 @@ export const createMealRequest = async (groupId, count = 10) => {
     };
   }
   try {
+    // The round uses the group's voting method unless requestFields overrides it
+    const votingSettings = await getGroupVotingMethod(groupId);
+    // Daily rounds close at the deadline of today's dinner request
+    const dinnerFields = requestFields.plan_type === 'weekly' ? {} : await getDinnerRequestFields(groupId);
+
+    // Pick the candidates first: a round nothing fits in is not created.
+    // Public + group-shared recipes, filtered on the diets of whoever is
+    // eating today and on the round's constraints
+    const constraints = hasRoundConstraints(requestFields.constraints)
+      ? normalizeRoundConstraints(requestFields.constraints)
+      : null;
+    const restrictions = await getGroupDietaryRestrictions(groupId);
+    const { recipes, matched, rejected, error: recipesError } = await getRecipesForVoting(groupId, count, { restrictions, constraints });
+    // A failed fetch is an error, not "nothing matches"
+    if (recipesError) return { success: false, error: recipesError };
+    if (constraints && matched < MIN_ROUND_OPTIONS) {
+      return { success: false, reason: 'too_few', matched, rejected, error: `Only ${matched} recipes match this round` };
+    }
+
     // Insert meal request
     const { data: request, error: reqErr } = await supabase
       .from('meal_requests')
-      .insert({ group_id: groupId, recipe_type: 'voting', status: 'active' })
-      .select('id, group_id, recipe_type, status, created_at')
+      .insert({
+        group_id: groupId,
+        recipe_type: 'voting',
+        status: 'active',
+        voting_method: votingSettings.method,
+        approval_limit: votingSettings.approvalLimit,
+        ...dinnerFields,
+        ...requestFields,
+        constraints,
+      })
+      .select('id, group_id, recipe_type, status, plan_type, week_start, voting_method, approval_limit, deadline, cook_id, constraints, created_at')
       .single();
     if (reqErr || !request) return { success: false, error: reqErr?.message || 'Failed to create request' };
 
-    // Use group-aware recipe fetching: includes public + group-shared recipes
-    const recipes = await getRecipesForVoting(groupId, count);
+    // The built-in meals only stand in for an empty recipe table, never for
+    // constraints nothing matched
     const mealSources = recipes?.length
-      ? recipes.map((r) => ({
-          recipe_id: r.id,
-          meal_data: {
-            name: r.name,
-            thumbnail_url: r.image || r.thumbnail_url || '',
-            total_time_minutes: r.cooking_time_minutes,
-            description: r.description || '',
-            cuisine_type: r.cuisine_type || '',
-            ingredients: r.ingredients || [],
-            steps: r.steps || [],
-            chef: r.chef || null,
-          },
-        }))
+      ? recipes.map((r) => ({ recipe_id: r.id, meal_data: toMealData(r) }))
       : FALLBACK_MEAL_DATA.slice(0, count).map((m) => ({ recipe_id: null, meal_data: m }));
 
     const optionsToInsert = mealSources.map((s, i) => ({
@@ -107,6 +186,8 @@ export const createMealRequest = async (groupId, count = 10) => {
       success: true,
       request: { id: request.id, ...request },
       mealOptions,
+      // Fewer options than asked for when the constraints left little to pick
+      shortfall: constraints && mealOptions.length < count ? { matched, requested: count, rejected } : null,
     };
   } catch (e) {
     return { success: false, error: e?.message || 'createMealRequest failed' };
@@ -136,13 +217,8 @@ export const replaceMealRequest = async (groupId, count = 10) => {
   }
 };
 
-const isToday = (dateStr) => {
-  const d = new Date(dateStr);
-  const now = new Date();
-  return d.getFullYear() === now.getFullYear() &&
-    d.getMonth() === now.getMonth() &&
-    d.getDate() === now.getDate();
-};
+// True when a moment falls in the group's current dinner day
+const isToday = (dateStr, dayOptions) => getDinnerDay(dateStr, dayOptions) === getDinnerDay(new Date(), dayOptions);
 
 export const getActiveMealRequest = async (groupId) => {
   if (!USE_REAL_SUPABASE) {
@@ -159,9 +235,9 @@ export const getActiveMealRequest = async (groupId) => {
       return { success: true, hasActiveRequest: false, request: null };
     }
 
-    // Auto-complete stale requests from previous days so old votes don't linger
-    if (!isToday(row.created_at)) {
-      await completeMealRequest(row.id);
+    // Stale request from a previous day: ignore it here. midnightResetService
+    // snapshots and closes it (in the group's timezone).
+    if (!isToday(row.created_at, await getDayOptions(groupId))) {
       return { success: true, hasActiveRequest: false, request: null };
     }
 
@@ -185,7 +261,11 @@ export const getActiveMealRequest = async (groupId) => {
   }
 };
 
-export const getOrCreateDailyMealRequest = async (groupId, count = 10) => {
+/**
+ * Today's round of a group, or a new one. constraints only apply when a new
+ * round is created (see createMealRequest).
+ */
+export const getOrCreateDailyMealRequest = async (groupId, count = 10, { constraints = null } = {}) => {
   if (!USE_REAL_SUPABASE) {
     return {
       success: true,
@@ -197,38 +277,44 @@ export const getOrCreateDailyMealRequest = async (groupId, count = 10) => {
     const activeResult = await getActiveMealRequest(groupId);
 
     if (activeResult.hasActiveRequest && activeResult.request) {
-      if (isToday(activeResult.request.created_at)) {
-        return {
-          success: true,
-          request: activeResult.request,
-          mealOptions: activeResult.request.mealOptions || [],
-        };
-      }
-      // Stale request from a previous day -- complete it
-      await completeMealRequest(activeResult.request.id);
+      return {
+        success: true,
+        request: activeResult.request,
+        mealOptions: activeResult.request.mealOptions || [],
+      };
     }
 
-    const result = await createMealRequest(groupId, count);
+    const result = await createMealRequest(groupId, count, constraints ? { constraints } : {});
 
     // Guard against race condition: if two users created a request simultaneously,
-    // re-check and use the earliest one, completing any duplicates
+    // re-check and use the earliest one of today, merging any duplicates into it
+    // (stale rounds from earlier days are left to midnightResetService)
     if (result.success) {
-      const { data: allActive } = await supabase
+      const { data: active, error: activeError } = await supabase
         .from('meal_requests')
         .select('id, created_at')
         .eq('group_id', groupId)
         .eq('status', 'active')
         .order('created_at', { ascending: true });
+      if (activeError) return { success: false, error: activeError.message };
+      const dayOptions = await getDayOptions(groupId);
+      const allActive = (active || []).filter((r) => isToday(r.created_at, dayOptions));
 
-      if (allActive && allActive.length > 1) {
-        // Keep the first (oldest), complete the rest
+      if (allActive.length > 1) {
+        // Keep the first (oldest), merge the rest
         const keepId = allActive[0].id;
+        const errors = [];
         for (let i = 1; i < allActive.length; i++) {
-          await completeMealRequest(allActive[i].id);
+          const { error } = await supabase.rpc('merge_meal_requests', { keep_request: keepId, duplicate_request: allActive[i].id });
+          if (error) errors.push(error.message);
+        }
+        // A failed merge leaves two active rounds for today, don't pretend it worked
+        if (errors.length) {
+          return { success: false, error: `Could not merge duplicate meal requests: ${errors.join('; ')}` };
         }
         // If ours was a duplicate, re-fetch the surviving request
         if (keepId !== result.request.id) {
-          return getOrCreateDailyMealRequest(groupId, count);
+          return getOrCreateDailyMealRequest(groupId, count, { constraints });
         }
       }
     }
@@ -246,7 +332,7 @@ export const getMealOptions = async (requestId) => {
   try {
     const { data, error } = await supabase
       .from('meal_options')
-      .select('id, meal_data')
+      .select('id, meal_data, proposed_by')
       .eq('request_id', requestId)
       .order('display_order');
     if (error) return { success: false, error: error.message };
@@ -314,15 +400,41 @@ export const getUserVotingProgress = async (requestId) => {
   }
 };
 
-export const voteMealOption = async (requestId, mealOptionId, vote) => {
-  if (!USE_REAL_SUPABASE) return { success: true };
+/**
+ * The current user's votes for a request, including ranks (ranked choice)
+ * Returns [{ meal_option_id, vote, rank }]
+ */
+export const getMyBallot = async (requestId) => {
+  if (!USE_REAL_SUPABASE) return [];
   try {
     const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return [];
+    const { data } = await supabase
+      .from('meal_votes')
+      .select('meal_option_id, vote, rank')
+      .eq('request_id', requestId)
+      .eq('user_id', user.id);
+    return data || [];
+  } catch (e) {
+    return [];
+  }
+};
+
+const submitVote = async ({ requestId, mealOptionId, vote, rank }) => {
+  try {
+    const { data: { user }, error: authErr } = await supabase.auth.getUser();
+    if (isNetworkError(authErr)) return { success: false, error: authErr.message };
     if (!user) return { success: false, error: 'Not authenticated' };
     const { error } = await supabase
       .from('meal_votes')
       .upsert(
-        { request_id: requestId, meal_option_id: mealOptionId, user_id: user.id, vote },
+        {
+          request_id: requestId,
+          meal_option_id: mealOptionId,
+          user_id: user.id,
+          vote,
+          ...(rank !== undefined ? { rank } : {}),
+        },
         { onConflict: 'request_id,user_id,meal_option_id' }
       );
     if (error) return { success: false, error: error.message };
@@ -332,6 +444,153 @@ export const voteMealOption = async (requestId, mealOptionId, vote) => {
   }
 };
 
+registerOutboxHandler('vote', submitVote);
+
+/**
+ * Cast or change a vote. Queued in the outbox when offline; for the same
+ * meal option the last vote wins.
+ * vote: 'yes' | 'no' | 'veto'; options.rank is the position on a ranked ballot.
+ */
+export const voteMealOption = async (requestId, mealOptionId, vote, { rank } = {}) => {
+  if (!USE_REAL_SUPABASE) return { success: true };
+  const payload = rank !== undefined ? { requestId, mealOptionId, vote, rank } : { requestId, mealOptionId, vote };
+  return runOrQueue('vote', payload, `vote:${requestId}:${mealOptionId}`);
+};
+
+/**
+ * Save a ranked-choice ballot: optionIds in order of preference.
+ */
+export const saveRanking = async (requestId, optionIds) => {
+  if (!USE_REAL_SUPABASE) return { success: true };
+  const results = await Promise.all(
+    optionIds.map((id, i) => voteMealOption(requestId, id, 'yes', { rank: i + 1 }))
+  );
+  const failed = results.find((r) => !r.success);
+  return failed || { success: true, queued: results.some((r) => r.queued) };
+};
+
+/**
+ * Voting method of a group (groups.voting_method / approval_limit).
+ * Returns { method, approvalLimit }
+ */
+export const getGroupVotingMethod = async (groupId) => {
+  const fallback = { method: 'yes_no', approvalLimit: DEFAULT_APPROVAL_LIMIT };
+  if (!USE_REAL_SUPABASE) return fallback;
+  try {
+    const { data, error } = await supabase
+      .from('groups')
+      .select('voting_method, approval_limit')
+      .eq('id', groupId)
+      .single();
+    if (error || !data) return fallback;
+    return {
+      method: VOTING_METHODS.includes(data.voting_method) ? data.voting_method : 'yes_no',
+      approvalLimit: data.approval_limit || DEFAULT_APPROVAL_LIMIT,
+    };
+  } catch (e) {
+    return fallback;
+  }
+};
+
+/**
+ * Change a group's voting method. Today's round switches along as long as
+ * nobody has voted in it yet; otherwise the change starts with the next round.
+ * Returns { success, appliedToOpenRound }
+ */
+export const setGroupVotingMethod = async (groupId, method, approvalLimit = DEFAULT_APPROVAL_LIMIT) => {
+  if (!VOTING_METHODS.includes(method)) return { success: false, error: 'Unknown voting method' };
+  if (!USE_REAL_SUPABASE) return { success: true, appliedToOpenRound: false };
+  try {
+    const settings = { voting_method: method, approval_limit: approvalLimit };
+    // Only the group creator may update groups (RLS); a blocked update returns no rows
+    const { data: updated, error } = await supabase.from('groups').update(settings).eq('id', groupId).select('id');
+    if (error) return { success: false, error: error.message };
+    if (!updated?.length) return { success: false, error: 'Only the group admin can change the voting method' };
+
+    let appliedToOpenRound = false;
+    const { data: open } = await supabase
+      .from('meal_requests')
+      .select('id')
+      .eq('group_id', groupId)
+      .eq('status', 'active');
+    for (const request of open || []) {
+      const { data: anyVote } = await supabase
+        .from('meal_votes')
+        .select('id')
+        .eq('request_id', request.id)
+        .limit(1);
+      if (anyVote?.length) continue;
+      await supabase.from('meal_requests').update(settings).eq('id', request.id);
+      appliedToOpenRound = true;
+    }
+    return { success: true, appliedToOpenRound };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+/**
+ * Voting method of a round. Rounds created before voting methods existed
+ * are yes/no. Returns { method, approvalLimit }
+ */
+export const getRequestVotingMethod = async (requestId) => {
+  const fallback = { method: 'yes_no', approvalLimit: DEFAULT_APPROVAL_LIMIT };
+  if (!USE_REAL_SUPABASE || !requestId) return fallback;
+  try {
+    const { data, error } = await supabase
+      .from('meal_requests')
+      .select('voting_method, approval_limit')
+      .eq('id', requestId)
+      .single();
+    if (error || !data) return fallback;
+    return {
+      method: VOTING_METHODS.includes(data.voting_method) ? data.voting_method : 'yes_no',
+      approvalLimit: data.approval_limit || DEFAULT_APPROVAL_LIMIT,
+    };
+  } catch (e) {
+    return fallback;
+  }
+};
+
+/**
+ * Tally a round on the client with its voting method (see votingMethods).
+ * Returns { success, tally: { method, ranking, winner, voters, explanation } }
+ */
+export const getVotingTally = async (requestId) => {
+  if (!USE_REAL_SUPABASE) return { success: true, tally: tallyVotes({}) };
+  const res = await getRoundBallots(requestId);
+  if (!res.success) return res;
+  const { method, approvalLimit, options, votes } = res;
+  return { success: true, tally: tallyVotes({ method, approvalLimit, options, votes }) };
+};
+
+/**
+ * Everything needed to tally a round: its voting method, the options and
+ * all meal_votes rows. Returns { success, method, approvalLimit, options, votes }
+ */
+export const getRoundBallots = async (requestId) => {
+  if (!USE_REAL_SUPABASE) return { success: true, method: 'yes_no', approvalLimit: DEFAULT_APPROVAL_LIMIT, options: [], votes: [] };
+  try {
+    const [{ method, approvalLimit }, optionsRes, votesRes] = await Promise.all([
+      getRequestVotingMethod(requestId),
+      supabase.from('meal_options').select('id, recipe_id, meal_data, proposed_by, display_order').eq('request_id', requestId).order('display_order'),
+      supabase.from('meal_votes').select('id, meal_option_id, user_id, vote, rank, created_at').eq('request_id', requestId),
+    ]);
+    if (optionsRes.error) return { success: false, error: optionsRes.error.message };
+    if (votesRes.error) return { success: false, error: votesRes.error.message };
+    const options = (optionsRes.data || []).map((o) => ({
+      meal_option_id: o.id,
+      meal_data: o.meal_data || {},
+      recipe_id: o.recipe_id,
+      proposed_by: o.proposed_by || null,
+      display_order: o.display_order,
+    }));
+    return { success: true, method, approvalLimit, options, votes: votesRes.data || [] };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
 export const getVotingResults = async (requestId) => {
   if (!USE_REAL_SUPABASE) return {};
   const res = await getTopVotedMeals(requestId);
@@ -341,6 +600,15 @@ export const getVotingResults = async (requestId) => {
 export const getTopVotedMeals = async (requestId) => {
   if (!USE_REAL_SUPABASE) return { success: true, topMeals: [] };
   try {
+    // Approval, ranked choice and veto rounds are tallied on the client; the
+    // RPC only counts yes votes
+    const { method } = await getRequestVotingMethod(requestId);
+    if (method !== 'yes_no') {
+      const res = await getVotingTally(requestId);
+      if (!res.success) return { success: false, topMeals: [], error: res.error };
+      return { success: true, topMeals: getTopMeals(res.tally), method };
+    }
+
     const { data: rows, error } = await supabase.rpc('get_top_voted_meals', { request_uuid: requestId });
     if (error) {
       console.error('[TOP3-RPC] RPC error:', error.message, error.code, error.details);
@@ -368,6 +636,25 @@ export const getTopVotedMeals = async (requestId) => {
   }
 };
 
+/**
+ * Open rounds (daily 'active' and weekly 'planning') for a set of groups, oldest first
+ */
+export const getOpenMealRequests = async (groupIds) => {
+  if (!groupIds?.length) return [];
+  try {
+    const { data, error } = await supabase
+      .from('meal_requests')
+      .select('id, group_id, recipe_type, status, plan_type, week_start, deadline, cook_id, reminder_sent_at, closed_at, created_at')
+      .in('group_id', groupIds)
+      .in('status', ['active', 'planning'])
+      .order('created_at', { ascending: true });
+    if (error) return [];
+    return data || [];
+  } catch (e) {
+    return [];
+  }
+};
+
 export const completeMealRequest = async (requestId) => {
   if (!USE_REAL_SUPABASE) return { success: true };
   try {
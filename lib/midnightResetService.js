@@ -1,12 +1,144 @@
 /**
- * Midnight Reset Service - Stub (no Supabase)
+ * Midnight Reset Service - meal_request lifecycle engine
+ * Three jobs, per group, in the group's own timezone:
+ *   1. merge duplicate active daily rounds (conflictResolution)
+ *   2. snapshot the final top 3 of expired rounds into terminated_sessions
+ *   3. close those expired rounds
+ * Every step is idempotent: snapshots are unique per request, and closing
+ * only touches rows that are still open, so several devices can run it at
+ * the same time. Runs on app start, on foreground after a date change and
+ * from the midnight timer in AppStateContext.
  */
 
-export const checkAndPerformMidnightReset = async () => ({ performed: false });
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from './supabase';
+import { getTopVotedMeals, getOpenMealRequests } from './mealRequestService';
+import { getGroupSettings } from './groupsService';
+import { conflictResolution } from './conflictResolution';
+import { terminatedSessionsService } from './terminatedSessionsService';
+import {
+  isRequestExpired,
+  getRequestLastDay,
+  findDuplicateRequests,
+  buildSessionSnapshot,
+} from './requestLifecycle';
+import { getGroupDayOptions } from './dinnerDay';
+import { log, debugError } from './debugConfig';
 
-export const forceMidnightReset = async () => ({ success: true });
+const LAST_RUN_KEY = 'happie_request_lifecycle_last_run';
+// Group timezones differ from the device's, so "once per day" is not enough
+const MIN_RUN_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Write the final top 3 and tonight's responses of a request to
+ * terminated_sessions (a no-op when it already has a snapshot).
+ * Snapshots are never overwritten, so nothing is written when the tally or
+ * the responses can't be read; callers leave the request open to retry.
+ */
+export const saveRequestSnapshot = async (request, group, now = new Date()) => {
+  const top = await getTopVotedMeals(request.id);
+  if (!top.success) return { success: false, error: top.error || 'Could not tally the round' };
+
+  let responses = [];
+  if ((request.plan_type || 'daily') === 'daily') {
+    const { data, error } = await supabase
+      .from('daily_responses')
+      .select('user_id, response')
+      .eq('group_id', request.group_id)
+      .eq('response_date', getRequestLastDay(request, getGroupDayOptions(group)));
+    if (error) return { success: false, error: error.message };
+    responses = data || [];
+  }
+
+  const snapshot = buildSessionSnapshot({
+    request,
+    groupName: group?.name,
+    topMeals: top.topMeals,
+    responses,
+    terminatedAt: now.toISOString(),
+  });
+  return terminatedSessionsService.saveSnapshot(snapshot);
+};
+
+/**
+ * Snapshot + close one expired request. If the snapshot can't be written the
+ * request stays open and is retried on the next run.
+ */
+export const closeExpiredRequest = async (request, group, now = new Date()) => {
+  const saved = await saveRequestSnapshot(request, group, now);
+  if (!saved.success) return { success: false, error: saved.error };
+
+  const { error } = await supabase
+    .from('meal_requests')
+    .update({ status: 'completed' })
+    .eq('id', request.id)
+    .eq('status', request.status);
+  return error ? { success: false, error: error.message } : { success: true };
+};
+
+/**
+ * Run all lifecycle jobs once.
+ * groupIds defaults to the current user's groups; now is injectable for tests.
+ * Returns { success, merged, closed, errors }
+ */
+export const runRequestLifecycle = async ({ groupIds, now = new Date() } = {}) => {
+  const summary = { success: true, merged: 0, closed: 0, errors: [] };
+  try {
+    const groups = await getGroupSettings(groupIds);
+    if (!groups.length) return summary;
+    const groupsById = Object.fromEntries(groups.map((g) => [g.id, g]));
+
+    let requests = await getOpenMealRequests(groups.map((g) => g.id));
+
+    // 1. Duplicates first, so their votes end up in the round that gets snapshotted
+    for (const group of groups) {
+      const conflicts = findDuplicateRequests(requests.filter((r) => r.group_id === group.id), getGroupDayOptions(group));
+      if (!conflicts.length) continue;
+      const result = await conflictResolution.mergeConflicts(conflicts);
+      summary.merged += result.merged;
+      summary.errors.push(...result.errors);
+      const mergedIds = new Set(conflicts.flatMap((c) => c.duplicates.map((d) => d.id)));
+      requests = requests.filter((r) => !mergedIds.has(r.id));
+    }
+
+    // 2 + 3. Snapshot and close expired rounds
+    for (const request of requests) {
+      const group = groupsById[request.group_id];
+      if (!isRequestExpired(request, now, getGroupDayOptions(group))) continue;
+      const result = await closeExpiredRequest(request, group, now);
+      if (result.success) summary.closed += 1;
+      else summary.errors.push(result.error);
+    }
+  } catch (e) {
+    summary.errors.push(e?.message || 'runRequestLifecycle failed');
+  }
+  summary.success = summary.errors.length === 0;
+  return summary;
+};
+
+/**
+ * Throttled entry point for app start / foreground. Pass { force: true } to
+ * skip the throttle (date change, midnight timer).
+ */
+export const checkAndPerformMidnightReset = async ({ force = false } = {}) => {
+  try {
+    const lastRun = Number(await AsyncStorage.getItem(LAST_RUN_KEY)) || 0;
+    if (!force && Date.now() - lastRun < MIN_RUN_INTERVAL_MS) return { performed: false };
+
+    await AsyncStorage.setItem(LAST_RUN_KEY, String(Date.now()));
+    const result = await runRequestLifecycle();
+    log.cache('Request lifecycle:', result.closed, 'closed,', result.merged, 'merged');
+    return { performed: true, ...result };
+  } catch (error) {
+    debugError('CACHE', 'Request lifecycle failed:', error);
+    return { performed: false, success: false, error: error?.message };
+  }
+};
+
+export const forceMidnightReset = async () => checkAndPerformMidnightReset({ force: true });
 
 export const midnightResetService = {
   checkAndPerformMidnightReset: checkAndPerformMidnightReset,
   forceMidnightReset: forceMidnightReset,
+  runRequestLifecycle: runRequestLifecycle,
 };
@@ -1,5 +1,7 @@
 /**
  * Notification Service - Expo Push Notifications via Supabase
+ * Pushes to other users go through the notify-group Edge Function; the app
+ * never reads other members' push tokens.
  */
 
 import * as Notifications from 'expo-notifications';
@@ -55,21 +57,32 @@ export const savePushTokenToProfile = async (token) => {
   if (!USE_REAL_SUPABASE || !token) return { success: false };
 
   try {
-    const { data: { user } } = await supabase.auth.getUser();
-    if (!user) return { success: false, error: 'Not authenticated' };
-
-    const { error } = await supabase
-      .from('profiles')
-      .update({ push_token: token })
-      .eq('id', user.id);
-
+    // Tokens are only readable by notify-group (push_tokens), so other
+    // members can't push to this device themselves
+    const { data, error } = await supabase.rpc('set_push_token', { p_token: token });
     if (error) return { success: false, error: error.message };
+    if (!data?.success) return { success: false, error: data?.error || 'Could not save push token' };
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 };
 
+/**
+ * Remove the current user's push token, so the next account signing in on
+ * this device doesn't get their notifications
+ */
+export const clearPushToken = async () => {
+  if (!USE_REAL_SUPABASE) return { success: false };
+  try {
+    const { data, error } = await supabase.rpc('set_push_token', { p_token: null });
+    if (error) return { success: false, error: error.message };
+    return { success: !!data?.success, error: data?.error };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
 export const initializeNotifications = async () => {
   const result = await registerForPushNotifications();
   if (result.success && result.token) {
@@ -111,75 +124,38 @@ export const setBadgeCount = async (count) => {
 };
 
 /**
- * Send push notifications to a list of Expo push tokens.
- * Uses the Expo push API directly from the client.
+ * Push an event through the notify-group Edge Function, which resolves
+ * recipients, preferences and tokens on the server, logs each delivery to
+ * notification_log and clears dead tokens (supabase/functions/notify-group).
+ * Pass groupId for group events (userIds narrows it to those members,
+ * otherwise everyone but you) or occasionId for occasion_invite.
  */
-export const sendPushNotifications = async (tokens, title, body, data = {}) => {
-  const validTokens = tokens.filter(t => t && t.startsWith('ExponentPushToken'));
-  if (validTokens.length === 0) return { success: true, sent: 0 };
-
-  const messages = validTokens.map(token => ({
-    to: token,
-    sound: 'default',
-    title,
-    body,
-    data,
-  }));
+export const notifyGroup = async (event, { groupId = null, occasionId = null, userIds = null, title, body, data = {} }) => {
+  if (!USE_REAL_SUPABASE) return { success: true, sent: 0 };
 
   try {
-    const response = await fetch('https://exp.host/--/api/v2/push/send', {
-      method: 'POST',
-      headers: {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(messages),
+    const { data: result, error } = await supabase.functions.invoke('notify-group', {
+      body: { event, groupId, occasionId, userIds, title, body, data },
     });
-
-    if (!response.ok) {
-      return { success: false, error: `HTTP ${response.status}` };
-    }
-
-    return { success: true, sent: validTokens.length };
+    if (error) return { success: false, error: error.message };
+    return { success: true, sent: result?.sent || 0 };
   } catch (error) {
-    console.error('Push notification send failed:', error.message);
+    console.error('notifyGroup error:', error.message);
     return { success: false, error: error.message };
   }
 };
 
 /**
- * Send push notifications to all participants of a special occasion (except the creator).
+ * Push to some members of a group (data.groupId) under `kind`
  */
-export const notifyOccasionParticipants = async (occasionId, creatorId, title, body) => {
-  if (!USE_REAL_SUPABASE) return { success: true, sent: 0 };
-
-  try {
-    const { data: participants, error } = await supabase
-      .from('special_occasion_participants')
-      .select('user_id')
-      .eq('occasion_id', occasionId)
-      .neq('user_id', creatorId);
-
-    if (error || !participants?.length) return { success: true, sent: 0 };
-
-    const userIds = participants.map(p => p.user_id);
-
-    const { data: profiles } = await supabase
-      .from('profiles')
-      .select('push_token')
-      .in('id', userIds)
-      .not('push_token', 'is', null);
-
-    if (!profiles?.length) return { success: true, sent: 0 };
-
-    const tokens = profiles.map(p => p.push_token).filter(Boolean);
-    return await sendPushNotifications(tokens, title, body, {
-      type: 'occasion_invite',
-      occasionId,
-    });
-  } catch (error) {
-    console.error('notifyOccasionParticipants error:', error.message);
-    return { success: false, error: error.message };
-  }
+export const notifyUsers = async (userIds, { kind, title, body, data = {} }) => {
+  if (!userIds?.length) return { success: true, sent: 0 };
+  return notifyGroup(kind, { groupId: data.groupId, userIds, title, body, data });
 };
 
+/**
+ * Send push notifications to all participants of a special occasion (except you).
+ */
+export const notifyOccasionParticipants = async (occasionId, title, body) => (
+  notifyGroup('occasion_invite', { occasionId, title, body, data: { occasionId } })
+);
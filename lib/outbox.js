@@ -0,0 +1,179 @@
+/**
+ * Outbox - persistent offline queue for mutations
+ * Votes, yes/no responses, chat messages and shopping toggles go through
+ * runOrQueue(): applied right away when online, otherwise stored in
+ * AsyncStorage and replayed in order once the connection is back.
+ *
+ * Conflict rule: items with the same `key` collapse, the last write wins
+ * (re-voting the same meal offline three times sends one vote). Items
+ * without a key (chat messages) are all kept, in order.
+ *
+ * Services register a handler per type: (payload) => { success, error }.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const OUTBOX_KEY = 'happie_outbox';
+export const MAX_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 30 * 1000;
+
+const handlers = {};
+const listeners = new Set();
+let queueCache = null;
+let flushing = null;
+let retryTimer = null;
+
+/**
+ * True for errors that mean "no connection" rather than "server said no".
+ * supabase-js returns fetch failures as error objects, it doesn't throw.
+ */
+export const isNetworkError = (error) => {
+  const message = typeof error === 'string' ? error : error?.message;
+  return /network request failed|failed to fetch|network ?error|fetch failed|timed? ?out|offline/i.test(message || '');
+};
+
+export const registerOutboxHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+const load = async () => {
+  if (queueCache) return queueCache;
+  try {
+    const raw = await AsyncStorage.getItem(OUTBOX_KEY);
+    queueCache = raw ? JSON.parse(raw) : [];
+  } catch (e) {
+    queueCache = [];
+  }
+  return queueCache;
+};
+
+const save = async (queue) => {
+  queueCache = queue;
+  listeners.forEach((listener) => listener(queue));
+  try {
+    await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(queue));
+  } catch (e) {
+    // Keep the in-memory queue; it is written again on the next change
+  }
+};
+
+export const getOutbox = async () => [...(await load())];
+
+/**
+ * Listen for queue changes (pending-sync indicator). Returns unsubscribe.
+ */
+export const subscribeToOutbox = (listener) => {
+  listeners.add(listener);
+  load().then((queue) => listener(queue));
+  return () => { listeners.delete(listener); };
+};
+
+/**
+ * Add a mutation. An existing item with the same key is replaced.
+ */
+export const enqueue = async (type, payload, key = null) => {
+  const queue = (await load()).filter((item) => !key || item.key !== key);
+  const item = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    key,
+    payload,
+    createdAt: new Date().toISOString(),
+    attempts: 0,
+    status: 'pending',
+    lastError: null,
+  };
+  await save([...queue, item]);
+  return item;
+};
+
+const scheduleRetry = () => {
+  if (retryTimer) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushOutbox();
+  }, RETRY_DELAY_MS);
+};
+
+const replay = async () => {
+  let sent = 0;
+  const tried = new Set();
+  // The queue is read again for every item, so items added while this run
+  // is going (runOrQueue joins it) are sent by it too
+  for (;;) {
+    const item = (await load()).find((i) => i.status === 'pending' && !tried.has(i.id) && handlers[i.type]);
+    if (!item) break;
+    tried.add(item.id);
+    const handler = handlers[item.type];
+
+    let result;
+    try {
+      result = await handler(item.payload);
+    } catch (e) {
+      result = { success: false, error: e?.message };
+    }
+
+    const current = await load();
+    if (result?.success) {
+      sent += 1;
+      await save(current.filter((i) => i.id !== item.id));
+      continue;
+    }
+    if (isNetworkError(result?.error)) {
+      // Still offline: stop here so later items keep their order
+      scheduleRetry();
+      return { sent, offline: true };
+    }
+    // Rejected by the server: park it after a few tries so it can't block the rest
+    const attempts = item.attempts + 1;
+    await save(current.map((i) => (i.id === item.id ? {
+      ...i,
+      attempts,
+      lastError: result?.error || 'Unknown error',
+      status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+    } : i)));
+    if (attempts < MAX_ATTEMPTS) scheduleRetry();
+  }
+  return { sent, offline: false };
+};
+
+/**
+ * Replay pending items in order. Concurrent calls share one run.
+ */
+export const flushOutbox = async () => {
+  if (!flushing) {
+    flushing = replay().finally(() => { flushing = null; });
+  }
+  return flushing;
+};
+
+/**
+ * Apply a mutation now, or queue it when offline. While older items are
+ * still queued the new one is queued behind them to keep the order.
+ * Returns the handler result, or { success: true, queued: true }.
+ */
+export const runOrQueue = async (type, payload, key = null) => {
+  const handler = handlers[type];
+  const hasPending = (await load()).some((item) => item.status === 'pending');
+  if (handler && !hasPending) {
+    const result = await handler(payload);
+    if (result?.success || !isNetworkError(result?.error)) return result;
+  }
+  const item = await enqueue(type, payload, key);
+  flushOutbox();
+  return { success: true, queued: true, outboxId: item.id };
+};
+
+/**
+ * Put a failed item back in the queue and try again
+ */
+export const retryOutboxItem = async (id) => {
+  const queue = await load();
+  await save(queue.map((i) => (i.id === id ? { ...i, status: 'pending', attempts: 0, lastError: null } : i)));
+  return flushOutbox();
+};
+
+export const discardOutboxItem = async (id) => {
+  const queue = await load();
+  await save(queue.filter((i) => i.id !== id));
+};
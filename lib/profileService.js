@@ -4,6 +4,8 @@
 
 import { supabase } from './supabase';
 import { USE_REAL_SUPABASE } from './supabase';
+import { getYesResponders } from './dailyResponseService';
+import { mergeRestrictions } from './dietaryProfiles';
 
 const MOCK_PROFILE = {
   id: 'mock-user',
@@ -11,6 +13,7 @@ const MOCK_PROFILE = {
   full_name: 'Demo User',
   display_name: 'Demo User',
   language: 'nl',
+  dietary_restrictions: [],
 };
 
 export const createOrUpdateProfile = async (fullName, displayName = null, language = 'nl') => {
@@ -107,3 +110,50 @@ export const ensureUserProfile = async () => {
   const result = await getCurrentUserProfile();
   return result;
 };
+
+export const updateDietaryRestrictions = async (restrictions) => {
+  if (!USE_REAL_SUPABASE) return { success: true, restrictions };
+
+  try {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+    if (userError || !user) return { success: false, error: 'You must be signed in' };
+
+    const { error } = await supabase
+      .from('profiles')
+      .update({ dietary_restrictions: restrictions })
+      .eq('id', user.id);
+    if (error) throw error;
+    return { success: true, restrictions };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Combined dietary restrictions of everyone eating with a group today:
+ * the members who answered "yes", or all members while nobody has answered.
+ */
+export const getGroupDietaryRestrictions = async (groupId, date) => {
+  if (!USE_REAL_SUPABASE) return [];
+
+  try {
+    let userIds = await getYesResponders(groupId, date);
+    if (!userIds.length) {
+      const { data: members } = await supabase
+        .from('group_members')
+        .select('user_id')
+        .eq('group_id', groupId);
+      userIds = (members || []).map((m) => m.user_id);
+    }
+    if (!userIds.length) return [];
+
+    const { data: profiles, error } = await supabase
+      .from('profiles')
+      .select('id, dietary_restrictions')
+      .in('id', userIds);
+    if (error) return [];
+    return mergeRestrictions((profiles || []).map((p) => p.dietary_restrictions));
+  } catch (e) {
+    return [];
+  }
+};
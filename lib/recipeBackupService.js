@@ -0,0 +1,101 @@
+/**
+ * Recipe Backup Service
+ * Collects every recipe the user can reach (own recipes, chef recipes,
+ * wishlist, group copies) for export, and restores an export through
+ * addUserRecipe. Formats live in recipeExport.
+ */
+
+import { getMyRecipes, addUserRecipe } from './userRecipesService';
+import { getMyChefRecipes, getGroupRecipes } from './recipesService';
+import { getMyChefProfile } from './chefService';
+import { getUserWishlist } from './wishlistService';
+import { getUserGroups } from './groupsService';
+import { normalizeRecipe, parseRecipeBackup } from './recipeExport';
+
+export const BACKUP_SOURCES = ['mine', 'chef', 'wishlist', 'groups'];
+
+const recipeKey = (r) => `${r.name.toLowerCase()}|${r.ingredients.length}`;
+
+const loadSource = async (source) => {
+  switch (source) {
+    case 'mine':
+      return (await getMyRecipes()).recipes || [];
+    case 'chef': {
+      const { chef } = await getMyChefProfile();
+      return chef ? (await getMyChefRecipes(chef.id)).recipes || [] : [];
+    }
+    case 'wishlist':
+      return (await getUserWishlist()).wishlist || [];
+    case 'groups': {
+      const { groups = [] } = await getUserGroups();
+      const perGroup = await Promise.all(groups.map((g) => getGroupRecipes(g.id)));
+      return perGroup.flatMap((res) => res.recipes || []);
+    }
+    default:
+      return [];
+  }
+};
+
+/**
+ * Load recipes from the chosen sources, normalized and de-duplicated
+ * (a chef recipe saved to three groups is exported once).
+ * Returns { success, recipes, counts: { mine, chef, wishlist, groups } }
+ */
+export const collectRecipesForExport = async (sources = BACKUP_SOURCES) => {
+  try {
+    const seen = new Set();
+    const recipes = [];
+    const counts = {};
+    for (const source of sources) {
+      const loaded = (await loadSource(source)).map(normalizeRecipe);
+      counts[source] = loaded.length;
+      for (const recipe of loaded) {
+        const key = recipeKey(recipe);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        recipes.push(recipe);
+      }
+    }
+    return { success: true, recipes, counts };
+  } catch (e) {
+    return { success: false, error: e?.message, recipes: [], counts: {} };
+  }
+};
+
+/**
+ * Restore an export (JSON-LD, Paprika/Mealie archive, Markdown or HTML card)
+ * into the user's own recipes. Recipes already present (same name and
+ * ingredient count) are skipped unless skipExisting is false.
+ * Returns { success, imported, skipped, failed, errors }
+ */
+export const importRecipeBackup = async (text, { skipExisting = true } = {}) => {
+  const parsed = parseRecipeBackup(text);
+  if (!parsed.success) return { success: false, error: parsed.error };
+
+  const summary = { success: true, format: parsed.format, imported: 0, skipped: 0, failed: 0, errors: [] };
+  try {
+    const existing = skipExisting
+      ? new Set(((await getMyRecipes()).recipes || []).map((r) => recipeKey(normalizeRecipe(r))))
+      : new Set();
+
+    for (const recipe of parsed.recipes) {
+      const key = recipeKey(normalizeRecipe(recipe));
+      if (existing.has(key)) {
+        summary.skipped += 1;
+        continue;
+      }
+      const result = await addUserRecipe(recipe);
+      if (result.success) {
+        summary.imported += 1;
+        existing.add(key);
+      } else {
+        summary.failed += 1;
+        summary.errors.push(result.error);
+      }
+    }
+  } catch (e) {
+    summary.errors.push(e?.message);
+  }
+  summary.success = summary.failed === 0 && summary.errors.length === 0;
+  return summary;
+};
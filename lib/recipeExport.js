@@ -0,0 +1,333 @@
+/**
+ * Recipe Export - standard formats in and out
+ *
+ * Every recipe source in the app (user_recipes, chef recipes, wishlist
+ * entries, recipe_group_shares.recipe_data snapshots) is first normalized to
+ * the `addUserRecipe` shape, then written as:
+ *   - schema.org JSON-LD (ItemList of Recipe nodes)
+ *   - a .paprikarecipes archive (a zip with one gzipped JSON file per
+ *     recipe), which Paprika imports and Mealie's Paprika migration reads
+ *   - Markdown
+ *   - a printable HTML recipe card (with the JSON-LD embedded)
+ *
+ * parseRecipeBackup reads all of these back, so a collection can be moved
+ * between accounts or restored after deleting one.
+ */
+
+import { parseRecipeHtml, decodeEntities, parseIsoDuration } from './recipeImportAdapters';
+import { parseRecipeText } from './recipeTextImporter';
+import { zipSync, unzipSync, gzipSync, gunzipSync, strToU8, strFromU8 } from 'fflate';
+
+export const EXPORT_FORMATS = ['jsonld', 'paprika', 'markdown', 'html'];
+
+const splitLines = (value) => {
+  if (Array.isArray(value)) return value.map((v) => (typeof v === 'string' ? v : v?.text || v?.note || v?.name || '')).map((v) => v.trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(/\r?\n/).map((v) => v.trim()).filter(Boolean);
+  return [];
+};
+
+/**
+ * Any recipe object from the app → { name, description, image,
+ * cooking_time_minutes, cuisine_type, ingredients, steps, source_url, servings }
+ */
+export const normalizeRecipe = (recipe) => {
+  const r = recipe?.recipe_data && typeof recipe.recipe_data === 'object' ? { ...recipe.recipe_data, ...recipe } : recipe || {};
+  const steps = splitLines(r.steps).length ? splitLines(r.steps) : splitLines(r.instructions);
+  return {
+    name: (r.name || r.title || '').trim() || 'Recept',
+    description: r.description || null,
+    image: r.image || r.thumbnail_url || null,
+    cooking_time_minutes: parseInt(r.cooking_time_minutes ?? r.readyInMinutes, 10) || null,
+    cuisine_type: r.cuisine_type || null,
+    ingredients: splitLines(r.ingredients),
+    steps,
+    source_url: r.source_url || null,
+    servings: parseInt(r.default_servings ?? r.servings, 10) || null,
+  };
+};
+
+const isoMinutes = (minutes) => {
+  if (!minutes) return undefined;
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return `PT${h ? `${h}H` : ''}${m || !h ? `${m}M` : ''}`;
+};
+
+/* ──────────────────────────────────────────────
+   Writers
+   ────────────────────────────────────────────── */
+
+export const toJsonLd = (recipe) => {
+  const r = normalizeRecipe(recipe);
+  const node = {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: r.name,
+    description: r.description || undefined,
+    image: r.image || undefined,
+    totalTime: isoMinutes(r.cooking_time_minutes),
+    recipeCuisine: r.cuisine_type || undefined,
+    recipeYield: r.servings ? String(r.servings) : undefined,
+    recipeIngredient: r.ingredients,
+    recipeInstructions: r.steps.map((text) => ({ '@type': 'HowToStep', text })),
+    url: r.source_url || undefined,
+  };
+  return JSON.parse(JSON.stringify(node));
+};
+
+export const exportJsonLd = (recipes) => JSON.stringify({
+  '@context': 'https://schema.org',
+  '@type': 'ItemList',
+  itemListElement: recipes.map((recipe, i) => ({
+    '@type': 'ListItem',
+    position: i + 1,
+    item: toJsonLd(recipe),
+  })),
+}, null, 2);
+
+// Paprika only compares the hash to spot edited recipes; any stable hex string works
+const contentHash = (text) => {
+  let out = '';
+  for (let seed = 0; seed < 8; seed += 1) {
+    let h = 0x811c9dc5 ^ seed;
+    for (let i = 0; i < text.length; i += 1) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    out += (h >>> 0).toString(16).padStart(8, '0');
+  }
+  return out.toUpperCase();
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const paprikaDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().replace('T', ' ').slice(0, 19) : '';
+};
+
+/**
+ * One .paprikarecipe entry. The uid follows the app's recipe id, so importing
+ * a newer export into Paprika updates recipes instead of duplicating them.
+ */
+export const toPaprika = (recipe) => {
+  const r = normalizeRecipe(recipe);
+  const entry = {
+    name: r.name,
+    description: r.description || '',
+    ingredients: r.ingredients.join('\n'),
+    directions: r.steps.join('\n'),
+    notes: '',
+    nutritional_info: '',
+    servings: r.servings ? String(r.servings) : '',
+    difficulty: '',
+    prep_time: '',
+    cook_time: '',
+    total_time: r.cooking_time_minutes ? `${r.cooking_time_minutes} min` : '',
+    source: '',
+    source_url: r.source_url || '',
+    image_url: r.image || '',
+    photo: null,
+    photo_hash: null,
+    photo_data: null,
+    photos: [],
+    categories: r.cuisine_type ? [r.cuisine_type] : [],
+    rating: 0,
+    created: paprikaDate(recipe?.created_at),
+  };
+  const hash = contentHash(JSON.stringify(entry));
+  const id = recipe?.id ?? recipe?.recipe_data?.id;
+  const uid = UUID_PATTERN.test(String(id))
+    ? String(id).toUpperCase()
+    : `${hash.slice(0, 8)}-${hash.slice(8, 12)}-4${hash.slice(13, 16)}-8${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+  return { uid, ...entry, hash };
+};
+
+/** .paprikarecipes archive bytes: a zip of gzipped JSON, one file per recipe */
+export const exportPaprika = (recipes) => {
+  const files = {};
+  recipes.map(toPaprika).forEach((entry) => {
+    const base = entry.name.replace(/[\\/:*?"<>|]/g, '-');
+    let name = `${base}.paprikarecipe`;
+    for (let n = 2; files[name]; n += 1) name = `${base} (${n}).paprikarecipe`;
+    files[name] = gzipSync(strToU8(JSON.stringify(entry)));
+  });
+  // The entries are gzipped already, so the zip only stores them
+  return zipSync(files, { level: 0 });
+};
+
+export const toMarkdown = (recipe) => {
+  const r = normalizeRecipe(recipe);
+  const lines = [`# ${r.name}`, ''];
+  if (r.description) lines.push(r.description, '');
+  const meta = [
+    r.cooking_time_minutes && `Bereidingstijd: ${r.cooking_time_minutes} min`,
+    r.cuisine_type && `Keuken: ${r.cuisine_type}`,
+    r.servings && `Personen: ${r.servings}`,
+  ].filter(Boolean);
+  if (meta.length) lines.push(...meta, '');
+  if (r.image) lines.push(`![${r.name}](${r.image})`, '');
+  lines.push('## Ingrediënten', '', ...r.ingredients.map((i) => `- ${i}`), '');
+  lines.push('## Bereiding', '', ...r.steps.map((s, i) => `${i + 1}. ${s}`));
+  if (r.source_url) lines.push('', `Bron: ${r.source_url}`);
+  return lines.join('\n');
+};
+
+export const exportMarkdown = (recipes) => recipes.map(toMarkdown).join('\n\n---\n\n');
+
+const escapeHtml = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/** One printable page with a card per recipe (page break between cards) */
+export const exportPrintableHtml = (recipes) => {
+  const cards = recipes.map((recipe) => {
+    const r = normalizeRecipe(recipe);
+    const meta = [
+      r.cooking_time_minutes && `${r.cooking_time_minutes} min`,
+      r.cuisine_type,
+      r.servings && `${r.servings} personen`,
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+    return `<article class="card">
+<script type="application/ld+json">${JSON.stringify(toJsonLd(r)).replace(/</g, '\\u003c')}</script>
+${r.image ? `<img src="${escapeHtml(r.image)}" alt="">` : ''}
+<h1>${escapeHtml(r.name)}</h1>
+${meta ? `<p class="meta">${meta}</p>` : ''}
+${r.description ? `<p>${escapeHtml(r.description)}</p>` : ''}
+<h2>Ingrediënten</h2>
+<ul>${r.ingredients.map((i) => `<li>${escapeHtml(i)}</li>`).join('')}</ul>
+<h2>Bereiding</h2>
+<ol>${r.steps.map((s) => `<li>${escapeHtml(s)}</li>`).join('')}</ol>
+${r.source_url ? `<p class="meta">Bron: ${escapeHtml(r.source_url)}</p>` : ''}
+</article>`;
+  });
+  return `<!DOCTYPE html>
+<html lang="nl">
+<head>
+<meta charset="utf-8">
+<title>Recepten</title>
+<style>
+body { font-family: Georgia, serif; color: #1A1000; margin: 0; }
+.card { max-width: 680px; margin: 24px auto; padding: 24px; border: 1px solid #E8E2DA; border-radius: 12px; page-break-after: always; }
+.card img { width: 100%; max-height: 280px; object-fit: cover; border-radius: 8px; }
+h1 { margin: 16px 0 4px; }
+h2 { font-size: 16px; text-transform: uppercase; letter-spacing: 1px; color: #FF6B00; margin-top: 24px; }
+.meta { color: #6B5A48; font-size: 14px; }
+li { margin-bottom: 6px; line-height: 1.4; }
+@media print { .card { border: none; margin: 0 auto; } }
+</style>
+</head>
+<body>
+${cards.join('\n')}
+</body>
+</html>`;
+};
+
+/** Text for every format except 'paprika', which returns the archive bytes */
+export const exportRecipes = (recipes, format) => {
+  switch (format) {
+    case 'jsonld': return exportJsonLd(recipes);
+    case 'paprika': return exportPaprika(recipes);
+    case 'markdown': return exportMarkdown(recipes);
+    case 'html': return exportPrintableHtml(recipes);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+};
+
+/* ──────────────────────────────────────────────
+   Reader
+   ────────────────────────────────────────────── */
+
+/** schema.org Recipe / Paprika / Mealie object → addUserRecipe shape */
+const fromJsonRecipe = (obj) => {
+  const minutes =
+    parseIsoDuration(obj.totalTime) ||
+    parseIsoDuration(obj.cookTime) ||
+    parseInt(obj.total_time || obj.cook_time || obj.cooking_time_minutes, 10) ||
+    null;
+  const instructions = obj.recipeInstructions ?? obj.directions ?? obj.steps ?? obj.instructions;
+  const cuisine = obj.recipeCuisine ?? obj.cuisine_type ?? (Array.isArray(obj.categories) ? obj.categories[0] : null);
+  const image = obj.image_url || (typeof obj.image === 'object' ? obj.image?.url : obj.image);
+  return {
+    name: decodeEntities(obj.name || obj.title || '') || 'Recept',
+    description: obj.description || null,
+    image: image || null,
+    cooking_time_minutes: minutes,
+    cuisine_type: (Array.isArray(cuisine) ? cuisine[0] : cuisine) || null,
+    ingredients: splitLines(obj.recipeIngredient ?? obj.ingredients),
+    steps: splitLines(instructions),
+    source_url: obj.source_url || obj.orgURL || obj.url || null,
+  };
+};
+
+const collectJsonRecipes = (data) => {
+  if (Array.isArray(data)) return data.flatMap(collectJsonRecipes);
+  if (!data || typeof data !== 'object') return [];
+  if (Array.isArray(data.recipes)) return data.recipes.flatMap(collectJsonRecipes);
+  if (Array.isArray(data['@graph'])) return data['@graph'].flatMap(collectJsonRecipes);
+  if (Array.isArray(data.itemListElement)) return data.itemListElement.flatMap((el) => collectJsonRecipes(el.item || el));
+  const type = data['@type'];
+  const isRecipe = type === 'Recipe' || (Array.isArray(type) && type.includes('Recipe'));
+  const looksLikeRecipe = (data.name || data.title) && (data.ingredients || data.recipeIngredient || data.directions);
+  return isRecipe || looksLikeRecipe ? [fromJsonRecipe(data)] : [];
+};
+
+/** Read a .paprikarecipes archive (Uint8Array) back into recipes */
+export const parsePaprikaArchive = (bytes) => {
+  try {
+    const files = unzipSync(bytes);
+    const recipes = Object.keys(files)
+      .filter((name) => name.endsWith('.paprikarecipe'))
+      .flatMap((name) => collectJsonRecipes(JSON.parse(strFromU8(gunzipSync(files[name])))));
+    return recipes.length ? { success: true, format: 'paprika', recipes } : { success: false, error: 'Geen recepten gevonden' };
+  } catch {
+    return { success: false, error: 'Ongeldig Paprika-bestand' };
+  }
+};
+
+/**
+ * Read an export back into addUserRecipe-shaped recipes. Detects the format;
+ * a Uint8Array is read as a .paprikarecipes archive.
+ * Returns { success, recipes, format } or { success: false, error }.
+ */
+export const parseRecipeBackup = (text) => {
+  if (text instanceof Uint8Array) return parsePaprikaArchive(text);
+  const input = String(text || '').trim();
+  if (!input) return { success: false, error: 'Leeg bestand' };
+
+  if (/^[[{]/.test(input)) {
+    try {
+      const data = JSON.parse(input);
+      const recipes = collectJsonRecipes(data);
+      const format = data?.format === 'paprika' ? 'paprika' : 'jsonld';
+      return recipes.length ? { success: true, format, recipes } : { success: false, error: 'Geen recepten gevonden' };
+    } catch {
+      return { success: false, error: 'Ongeldige JSON' };
+    }
+  }
+
+  if (/^<(?:!doctype|html|article)/i.test(input)) {
+    // Printable cards carry their JSON-LD; fall back to page parsing per card
+    const blocks = [...input.matchAll(/<script[^>]*application\/ld\+json[^>]*>([\s\S]*?)<\/script>/gi)];
+    const recipes = blocks.flatMap((m) => {
+      try { return collectJsonRecipes(JSON.parse(m[1])); } catch { return []; }
+    });
+    if (!recipes.length) {
+      const parsed = parseRecipeHtml(input, null);
+      if (parsed) recipes.push(parsed.recipe);
+    }
+    return recipes.length ? { success: true, format: 'html', recipes } : { success: false, error: 'Geen recepten gevonden' };
+  }
+
+  // Markdown (or plain text): one recipe per "---" separated block
+  const recipes = input
+    .split(/\n-{3,}\n/)
+    .map((block) => {
+      const source = block.match(/^Bron:\s*(\S+)\s*$/m)?.[1] || null;
+      const image = block.match(/!\[[^\]]*\]\(([^)]+)\)/)?.[1] || null;
+      const cleaned = block.replace(/^Bron:.*$/m, '').replace(/!\[[^\]]*\]\([^)]+\)/g, '');
+      const result = parseRecipeText(cleaned);
+      return result.success ? { ...result.recipe, image, source_url: source } : null;
+    })
+    .filter((r) => r?.name);
+  return recipes.length ? { success: true, format: 'markdown', recipes } : { success: false, error: 'Geen recepten gevonden' };
+};
@@ -0,0 +1,592 @@
+/**
+ * Recipe Import Adapters
+ *
+ * Turns a recipe page's HTML into the normalized shape used by
+ * `recipeUrlImporter`. Pure string parsing, no fetching, so every adapter can
+ * be tested against saved HTML fixtures (lib/__tests__/fixtures/recipes).
+ *
+ * Generic strategies, tried in the order an adapter lists them:
+ *   - jsonLd     <script type="application/ld+json"> schema.org Recipe
+ *   - microdata  itemscope/itemprop schema.org Recipe markup
+ *   - wprm       WordPress Recipe Maker classes (wprm-recipe-*)
+ *   - nextData   the embedded <script id="__NEXT_DATA__"> JSON of Next.js sites
+ *
+ * Site adapters pick the strategy order for a host and may clean up the
+ * result (strip " | Allerhande" title suffixes, make image URLs absolute).
+ * Hosts without an adapter use the default order. Add a site with
+ * registerRecipeAdapter({ id, hosts, strategies, postProcess }).
+ */
+
+/* ──────────────────────────────────────────────
+   Coercers
+   ────────────────────────────────────────────── */
+
+/** Parse ISO 8601 duration ("PT1H30M", "PT45M") → minutes. */
+export const parseIsoDuration = (iso) => {
+  if (!iso || typeof iso !== 'string') return null;
+  const match = iso.trim().match(/^P(?:\d+D)?T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/i);
+  if (!match) return null;
+  const [, h, m, s] = match;
+  const total =
+    parseInt(h || '0', 10) * 60 +
+    parseInt(m || '0', 10) +
+    Math.round(parseInt(s || '0', 10) / 60);
+  return total > 0 ? total : null;
+};
+
+/** Minutes from an ISO duration, a number, or text like "45 min" / "1 uur 15 min". */
+const coerceMinutes = (value) => {
+  if (value == null || value === '') return null;
+  if (typeof value === 'number') return value > 0 ? Math.round(value) : null;
+  const iso = parseIsoDuration(String(value));
+  if (iso) return iso;
+  const text = String(value).toLowerCase();
+  const hours = text.match(/(\d+)\s*(?:h|uur|hour|hours|hrs?)\b/);
+  const minutes = text.match(/(\d+)\s*(?:m|min|mins|minuten|minutes)\b/);
+  if (hours || minutes) {
+    return (hours ? parseInt(hours[1], 10) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0) || null;
+  }
+  const bare = text.match(/^\s*(\d+)\s*$/);
+  return bare ? parseInt(bare[1], 10) || null : null;
+};
+
+/** Coerce schema.org image field (string | array | ImageObject) → URL string. */
+const coerceImage = (img) => {
+  if (!img) return null;
+  if (typeof img === 'string') return img;
+  if (Array.isArray(img)) return coerceImage(img[0]);
+  if (typeof img === 'object') return img.url || img.src || img['@id'] || null;
+  return null;
+};
+
+/** Coerce cuisine field to a simple string. */
+const coerceCuisine = (c) => {
+  if (!c) return null;
+  if (typeof c === 'string') return c;
+  if (Array.isArray(c)) return typeof c[0] === 'string' ? c[0] : null;
+  return null;
+};
+
+/** Decode basic HTML entities and strip any inline tags. */
+export const decodeEntities = (s) => {
+  if (s == null) return s;
+  return String(s)
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;/gi, "'")
+    .replace(/&#x27;/gi, "'")
+    .replace(/&rsquo;/gi, "'")
+    .replace(/&lsquo;/gi, "'")
+    .replace(/&ldquo;/gi, '"')
+    .replace(/&rdquo;/gi, '"')
+    .replace(/&deg;/gi, '°')
+    .replace(/&frac12;/gi, '½')
+    .replace(/&frac14;/gi, '¼')
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/** Coerce recipeIngredient → string[]. */
+const coerceIngredients = (ing) => {
+  if (!ing) return [];
+  const arr = Array.isArray(ing) ? ing : [ing];
+  return arr
+    .map((i) => (typeof i === 'string' ? i : i?.text || i?.name || ''))
+    .map(decodeEntities)
+    .filter(Boolean);
+};
+
+/** Coerce recipeInstructions → string[]. Handles HowToStep, HowToSection, plain strings. */
+const coerceSteps = (ins) => {
+  if (!ins) return [];
+
+  // Plain string: split on newlines or numbered list prefixes.
+  if (typeof ins === 'string') {
+    return ins
+      .split(/\r?\n+|(?=\s\d+\.\s)/)
+      .map((s) => s.replace(/^\s*\d+\.\s*/, ''))
+      .map(decodeEntities)
+      .filter(Boolean);
+  }
+
+  if (!Array.isArray(ins)) return [];
+
+  const flat = [];
+  for (const item of ins) {
+    if (typeof item === 'string') {
+      flat.push(item);
+      continue;
+    }
+    if (!item || typeof item !== 'object') continue;
+
+    const type = item['@type'];
+    const isSection =
+      type === 'HowToSection' ||
+      (Array.isArray(type) && type.includes('HowToSection'));
+
+    if (isSection && Array.isArray(item.itemListElement)) {
+      for (const sub of item.itemListElement) {
+        if (typeof sub === 'string') flat.push(sub);
+        else if (sub?.text) flat.push(sub.text);
+        else if (sub?.name) flat.push(sub.name);
+      }
+    } else if (item.text) {
+      flat.push(item.text);
+    } else if (item.name) {
+      flat.push(item.name);
+    }
+  }
+
+  return flat.map(decodeEntities).filter(Boolean);
+};
+
+/** A parse result only counts when it has a name and something to cook with. */
+const isUsable = (recipe) =>
+  !!recipe?.name && (recipe.ingredients.length > 0 || recipe.steps.length > 0);
+
+/* ──────────────────────────────────────────────
+   HTML scanning
+   ────────────────────────────────────────────── */
+
+/** Read one attribute from an opening tag's attribute string. */
+const getAttr = (attrs, name) => {
+  const match = attrs.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  return match ? (match[1] ?? match[2]) : null;
+};
+
+const VOID_TAGS = new Set(['img', 'meta', 'link', 'br', 'hr', 'input', 'source']);
+
+/** Inner HTML of the element whose opening tag ends at `from`, respecting nesting of the same tag. */
+const readInner = (html, tag, from) => {
+  const re = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+  re.lastIndex = from;
+  let depth = 1;
+  let match;
+  while ((match = re.exec(html))) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return html.slice(from, match.index);
+  }
+  return html.slice(from);
+};
+
+/**
+ * Every element whose opening tag matches `predicate(tag, attrs)`.
+ * Returns [{ tag, attrs, inner, start, end }] in document order.
+ */
+const findElements = (html, predicate) => {
+  const found = [];
+  const re = /<([a-z][a-z0-9]*)\b([^>]*)>/gi;
+  let match;
+  while ((match = re.exec(html))) {
+    const tag = match[1].toLowerCase();
+    const attrs = match[2] || '';
+    if (!predicate(tag, attrs)) continue;
+    const selfClosing = VOID_TAGS.has(tag) || attrs.trim().endsWith('/');
+    const inner = selfClosing ? '' : readInner(html, tag, re.lastIndex);
+    found.push({ tag, attrs, inner, start: match.index, end: re.lastIndex + inner.length });
+  }
+  return found;
+};
+
+const hasClass = (attrs, cls) => (getAttr(attrs, 'class') || '').split(/\s+/).includes(cls);
+
+const byClass = (html, cls) => findElements(html, (_, attrs) => hasClass(attrs, cls));
+
+/** Value of a microdata property element: content/datetime/src attribute, else its text. */
+const propValue = ({ tag, attrs, inner }) =>
+  getAttr(attrs, 'content') ??
+  getAttr(attrs, 'datetime') ??
+  (tag === 'img' ? getAttr(attrs, 'src') || getAttr(attrs, 'data-src') : null) ??
+  decodeEntities(inner);
+
+/** Text of the <li> items inside a block, or the block's own text when there are none. */
+const listItems = (inner) => {
+  const items = findElements(inner, (tag) => tag === 'li').map((el) => decodeEntities(el.inner));
+  if (items.length) return items.filter(Boolean);
+  const paragraphs = findElements(inner, (tag) => tag === 'p').map((el) => decodeEntities(el.inner));
+  if (paragraphs.length) return paragraphs.filter(Boolean);
+  const text = decodeEntities(inner);
+  return text ? [text] : [];
+};
+
+/** Extract all <script type="application/ld+json"> blocks as parsed JSON. */
+const extractJsonLdBlocks = (html) => {
+  const re =
+    /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  const blocks = [];
+  for (const match of html.matchAll(re)) {
+    const raw = (match[1] || '').trim();
+    if (!raw) continue;
+    try {
+      blocks.push(JSON.parse(raw));
+    } catch {
+      // Some sites embed trailing whitespace / comments. Try to salvage.
+      try {
+        const cleaned = raw.replace(/^[^{\[]*/, '').replace(/[^}\]]*$/, '');
+        blocks.push(JSON.parse(cleaned));
+      } catch {
+        // skip this block
+      }
+    }
+  }
+  return blocks;
+};
+
+/** Extract OpenGraph / Twitter / basic meta tag content. */
+const extractMeta = (html, key) => {
+  const patterns = [
+    new RegExp(
+      `<meta[^>]+property=["']${key}["'][^>]+content=["']([^"']+)["']`,
+      'i',
+    ),
+    new RegExp(
+      `<meta[^>]+content=["']([^"']+)["'][^>]+property=["']${key}["']`,
+      'i',
+    ),
+    new RegExp(
+      `<meta[^>]+name=["']${key}["'][^>]+content=["']([^"']+)["']`,
+      'i',
+    ),
+    new RegExp(
+      `<meta[^>]+content=["']([^"']+)["'][^>]+name=["']${key}["']`,
+      'i',
+    ),
+  ];
+  for (const pattern of patterns) {
+    const match = html.match(pattern);
+    if (match && match[1]) return decodeEntities(match[1]);
+  }
+  return null;
+};
+
+/** Walk a JSON value and return the first object matching `test`. Handles @graph. */
+const findNode = (obj, test, depth = 0) => {
+  if (!obj || typeof obj !== 'object' || depth > 40) return null;
+  if (!Array.isArray(obj) && test(obj)) return obj;
+  const values = Array.isArray(obj) ? obj : Object.values(obj);
+  for (const val of values) {
+    const found = findNode(val, test, depth + 1);
+    if (found) return found;
+  }
+  return null;
+};
+
+const isRecipeType = (node) => {
+  const type = node['@type'];
+  return type === 'Recipe' || (Array.isArray(type) && type.includes('Recipe'));
+};
+
+/* ──────────────────────────────────────────────
+   Strategies: (html, sourceUrl) → recipe | null
+   ────────────────────────────────────────────── */
+
+/** Map a schema.org Recipe node (JSON-LD, or found inside other JSON) to our shape. */
+const fromSchemaNode = (node, sourceUrl) => ({
+  name: decodeEntities(node.name) || null,
+  description: decodeEntities(node.description) || null,
+  image: coerceImage(node.image),
+  cooking_time_minutes:
+    parseIsoDuration(node.totalTime) ||
+    parseIsoDuration(node.cookTime) ||
+    parseIsoDuration(node.prepTime) ||
+    null,
+  cuisine_type: coerceCuisine(node.recipeCuisine),
+  ingredients: coerceIngredients(node.recipeIngredient || node.ingredients),
+  steps: coerceSteps(node.recipeInstructions),
+  source_url: sourceUrl,
+});
+
+const parseJsonLd = (html, sourceUrl) => {
+  for (const block of extractJsonLdBlocks(html)) {
+    const node = findNode(block, isRecipeType);
+    if (node) return fromSchemaNode(node, sourceUrl);
+  }
+  return null;
+};
+
+const parseMicrodata = (html, sourceUrl) => {
+  const scope = findElements(html, (_, attrs) =>
+    /\bitemscope\b/i.test(attrs) && /schema\.org\/Recipe\b/i.test(getAttr(attrs, 'itemtype') || ''),
+  )[0];
+  if (!scope) return null;
+
+  // Properties of nested items (author, nutrition, a HowToStep's own text) aren't the recipe's
+  const nested = findElements(scope.inner, (_, attrs) => /\bitemscope\b/i.test(attrs));
+  const isNested = (el) => nested.some((n) => el.start > n.start && el.start < n.end);
+
+  const props = {};
+  for (const el of findElements(scope.inner, (_, attrs) => getAttr(attrs, 'itemprop') != null)) {
+    if (isNested(el)) continue;
+    for (const prop of getAttr(el.attrs, 'itemprop').split(/\s+/)) {
+      (props[prop] = props[prop] || []).push(el);
+    }
+  }
+  const first = (prop) => (props[prop]?.[0] ? propValue(props[prop][0]) : null);
+
+  // Instructions are either one element per step or a single list container
+  const stepEls = props.recipeInstructions || [];
+  const steps = stepEls.length === 1 ? listItems(stepEls[0].inner) : stepEls.map(propValue);
+
+  return {
+    name: decodeEntities(first('name')) || null,
+    description: decodeEntities(first('description')) || null,
+    image: first('image'),
+    cooking_time_minutes:
+      coerceMinutes(first('totalTime')) ||
+      coerceMinutes(first('cookTime')) ||
+      coerceMinutes(first('prepTime')),
+    cuisine_type: decodeEntities(first('recipeCuisine')) || null,
+    ingredients: (props.recipeIngredient || props.ingredients || []).map(propValue).map(decodeEntities).filter(Boolean),
+    steps: steps.map(decodeEntities).filter(Boolean),
+    source_url: sourceUrl,
+  };
+};
+
+const parseWprm = (html, sourceUrl) => {
+  const container = byClass(html, 'wprm-recipe-container')[0] || byClass(html, 'wprm-recipe')[0];
+  if (!container) return null;
+  const root = container.inner;
+  const text = (cls) => decodeEntities(byClass(root, cls)[0]?.inner || '') || null;
+
+  const time = (kind) => {
+    const hours = parseInt(text(`wprm-recipe-${kind}_time-hours`) || '0', 10) || 0;
+    const minutes = parseInt(text(`wprm-recipe-${kind}_time-minutes`) || '0', 10) || 0;
+    return hours * 60 + minutes || null;
+  };
+
+  // Ingredients are <li class="wprm-recipe-ingredient"> with amount/unit/name/notes spans
+  const ingredients = byClass(root, 'wprm-recipe-ingredient').map(({ inner }) => {
+    const parts = ['amount', 'unit', 'name']
+      .map((part) => decodeEntities(byClass(inner, `wprm-recipe-ingredient-${part}`)[0]?.inner || ''))
+      .filter(Boolean);
+    const notes = decodeEntities(byClass(inner, 'wprm-recipe-ingredient-notes')[0]?.inner || '');
+    const line = parts.length ? parts.join(' ') : decodeEntities(inner);
+    return notes ? `${line} (${notes.replace(/^\(|\)$/g, '')})` : line;
+  });
+
+  const imageEl = findElements(byClass(root, 'wprm-recipe-image')[0]?.inner || '', (tag) => tag === 'img')[0];
+
+  return {
+    name: text('wprm-recipe-name'),
+    description: text('wprm-recipe-summary'),
+    image: imageEl ? getAttr(imageEl.attrs, 'data-lazy-src') || getAttr(imageEl.attrs, 'src') : null,
+    cooking_time_minutes: time('total') || time('cook') || time('prep'),
+    cuisine_type: text('wprm-recipe-cuisine'),
+    ingredients: ingredients.filter(Boolean),
+    steps: byClass(root, 'wprm-recipe-instruction-text').map(({ inner }) => decodeEntities(inner)).filter(Boolean),
+    source_url: sourceUrl,
+  };
+};
+
+/** Ingredient from a Next.js props object: string, { text }, or { quantity, unit, name } */
+const nextIngredient = (ing) => {
+  if (typeof ing === 'string') return ing;
+  if (!ing || typeof ing !== 'object') return '';
+  if (ing.text || ing.description) return ing.text || ing.description;
+  const name = typeof ing.name === 'object' ? ing.name?.singular || ing.name?.name : ing.name;
+  const unit = typeof ing.unit === 'object' ? ing.unit?.name || ing.unit?.abbreviation : ing.unit;
+  return [ing.quantity ?? ing.amount, unit, name].filter((p) => p != null && p !== '').join(' ');
+};
+
+/** Steps from a Next.js props object: strings or { text | description | step } */
+const nextStep = (step) => (typeof step === 'string' ? step : step?.text || step?.description || step?.step || '');
+
+const INGREDIENT_KEYS = ['ingredients', 'recipeIngredients', 'ingredientList'];
+const STEP_KEYS = ['instructions', 'steps', 'preparationSteps', 'preparation', 'method'];
+
+const looksLikeNextRecipe = (node) =>
+  typeof (node.title || node.name) === 'string' &&
+  INGREDIENT_KEYS.some((key) => Array.isArray(node[key]) && node[key].length > 0) &&
+  STEP_KEYS.some((key) => node[key]);
+
+const parseNextData = (html, sourceUrl) => {
+  const match = html.match(/<script[^>]*id=["']__NEXT_DATA__["'][^>]*>([\s\S]*?)<\/script>/i);
+  if (!match) return null;
+  let data;
+  try {
+    data = JSON.parse(match[1]);
+  } catch {
+    return null;
+  }
+
+  // Some sites keep a schema.org node in their page props
+  const schemaNode = findNode(data, isRecipeType);
+  if (schemaNode) return fromSchemaNode(schemaNode, sourceUrl);
+
+  const node = findNode(data, looksLikeNextRecipe);
+  if (!node) return null;
+
+  // Ingredient groups ({ title, ingredients: [...] }) are flattened
+  const rawIngredients = node[INGREDIENT_KEYS.find((key) => Array.isArray(node[key]))]
+    .flatMap((ing) => (Array.isArray(ing?.ingredients) ? ing.ingredients : [ing]));
+  const rawSteps = node[STEP_KEYS.find((key) => node[key])];
+  const steps = typeof rawSteps === 'string'
+    ? coerceSteps(rawSteps)
+    : [].concat(rawSteps).flatMap((s) => (Array.isArray(s?.steps) ? s.steps : [s])).map(nextStep);
+
+  return {
+    name: decodeEntities(node.title || node.name) || null,
+    description: decodeEntities(node.description || node.intro || node.summary) || null,
+    image: coerceImage(node.image || node.images),
+    cooking_time_minutes:
+      coerceMinutes(node.totalTime) ||
+      coerceMinutes(node.cookingTime) ||
+      coerceMinutes(node.cookTime) ||
+      coerceMinutes(node.preparationTime),
+    cuisine_type: coerceCuisine(node.cuisine) || null,
+    ingredients: rawIngredients.map(nextIngredient).map(decodeEntities).filter(Boolean),
+    steps: steps.map(decodeEntities).filter(Boolean),
+    source_url: sourceUrl,
+  };
+};
+
+/** OG meta fallback (title + description + image only). */
+export const parseHtmlForOg = (html, sourceUrl) => {
+  const ogTitle =
+    extractMeta(html, 'og:title') || extractMeta(html, 'twitter:title');
+  const ogDesc =
+    extractMeta(html, 'og:description') || extractMeta(html, 'description');
+  const ogImage =
+    extractMeta(html, 'og:image') || extractMeta(html, 'twitter:image');
+  if (!ogTitle && !ogImage) return null;
+  return {
+    name: ogTitle,
+    description: ogDesc,
+    image: ogImage,
+    cooking_time_minutes: null,
+    cuisine_type: null,
+    ingredients: [],
+    steps: [],
+    source_url: sourceUrl,
+  };
+};
+
+export const STRATEGIES = {
+  jsonLd: parseJsonLd,
+  microdata: parseMicrodata,
+  wprm: parseWprm,
+  nextData: parseNextData,
+};
+
+const DEFAULT_STRATEGIES = ['jsonLd', 'microdata', 'wprm', 'nextData'];
+
+/* ──────────────────────────────────────────────
+   Site adapters
+   ────────────────────────────────────────────── */
+
+/** Drop a trailing " | Site" / " - Site" from page-title style names. */
+const stripTitleSuffix = (suffixes) => (recipe) => {
+  if (!recipe.name) return recipe;
+  const pattern = new RegExp(`\\s*[|\\-–—]\\s*(?:${suffixes.join('|')})\\s*$`, 'i');
+  return { ...recipe, name: recipe.name.replace(pattern, '').trim() };
+};
+
+/** Resolve protocol-relative and root-relative image URLs against the page. */
+const absoluteImage = (recipe) => {
+  if (!recipe.image || /^https?:\/\//i.test(recipe.image)) return recipe;
+  try {
+    return { ...recipe, image: new URL(recipe.image, recipe.source_url).toString() };
+  } catch {
+    return recipe;
+  }
+};
+
+const adapters = [];
+
+/**
+ * Register a site adapter.
+ * @param {{ id: string, hosts: string[], strategies?: string[], postProcess?: (recipe) => recipe }} adapter
+ */
+export const registerRecipeAdapter = (adapter) => {
+  const existing = adapters.findIndex((a) => a.id === adapter.id);
+  if (existing !== -1) adapters.splice(existing, 1);
+  adapters.push({ strategies: DEFAULT_STRATEGIES, ...adapter });
+};
+
+registerRecipeAdapter({
+  id: 'ah',
+  hosts: ['ah.nl', 'ah.be'],
+  strategies: ['jsonLd', 'nextData', 'microdata'],
+  postProcess: stripTitleSuffix(['Allerhande', 'Albert Heijn']),
+});
+registerRecipeAdapter({
+  id: 'jumbo',
+  hosts: ['jumbo.com'],
+  strategies: ['jsonLd', 'microdata', 'nextData'],
+  postProcess: stripTitleSuffix(['Jumbo', 'Jumbo Recepten']),
+});
+registerRecipeAdapter({
+  id: 'leukerecepten',
+  hosts: ['leukerecepten.nl'],
+  strategies: ['jsonLd', 'wprm', 'microdata'],
+  postProcess: stripTitleSuffix(['Leukerecepten', 'Leuke recepten']),
+});
+registerRecipeAdapter({
+  id: '24kitchen',
+  hosts: ['24kitchen.nl', '24kitchen.be'],
+  strategies: ['jsonLd', 'microdata'],
+  postProcess: stripTitleSuffix(['24Kitchen']),
+});
+registerRecipeAdapter({
+  id: 'bbcgoodfood',
+  hosts: ['bbcgoodfood.com'],
+  strategies: ['jsonLd', 'nextData', 'microdata'],
+  postProcess: stripTitleSuffix(['BBC Good Food']),
+});
+registerRecipeAdapter({
+  id: 'lekkerensimpel',
+  hosts: ['lekkerensimpel.com'],
+  strategies: ['jsonLd', 'wprm'],
+});
+registerRecipeAdapter({
+  id: 'smulweb',
+  hosts: ['smulweb.nl'],
+  strategies: ['jsonLd', 'microdata'],
+  postProcess: stripTitleSuffix(['Smulweb']),
+});
+registerRecipeAdapter({
+  id: 'allrecipes',
+  hosts: ['allrecipes.com'],
+  strategies: ['jsonLd', 'microdata'],
+});
+
+/** The adapter for a URL's host (subdomains included), or null. */
+export const getAdapterForUrl = (url) => {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+  return adapters.find((a) => a.hosts.some((h) => host === h || host.endsWith(`.${h}`))) || null;
+};
+
+/**
+ * Parse a recipe page. Tries the site adapter's strategies first, then any
+ * remaining generic strategy.
+ * Returns { recipe, adapter, strategy } or null when nothing usable is found.
+ */
+export const parseRecipeHtml = (html, sourceUrl) => {
+  if (!html) return null;
+  const adapter = getAdapterForUrl(sourceUrl);
+  const order = [...new Set([...(adapter?.strategies || []), ...DEFAULT_STRATEGIES])];
+
+  for (const strategy of order) {
+    let recipe = null;
+    try {
+      recipe = STRATEGIES[strategy]?.(html, sourceUrl);
+    } catch {
+      // A broken page shouldn't stop the next strategy
+    }
+    if (!isUsable(recipe)) continue;
+    recipe = absoluteImage(recipe);
+    if (adapter?.postProcess) recipe = adapter.postProcess(recipe);
+    return { recipe, adapter: adapter?.id || 'generic', strategy };
+  }
+  return null;
+};
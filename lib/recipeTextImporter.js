@@ -0,0 +1,197 @@
+/**
+ * Recipe Text Importer
+ *
+ * Turns free text (a WhatsApp message, an Apple Notes page, text copied from
+ * a photo of a cookbook) into the same normalized shape as
+ * `importRecipeFromUrl`, so it can pre-fill the "New Recipe" form:
+ *   { name, description, image, cooking_time_minutes, cuisine_type,
+ *     ingredients: string[], steps: string[], source_url }
+ *
+ * The split follows the headings people actually write ("Ingrediënten",
+ * "Bereiding", "Werkwijze", "Ingredients", "Method", ...). Without headings,
+ * short lines starting with a quantity count as ingredients and the rest as
+ * steps.
+ */
+
+import { parseIngredient } from './ingredientScaler';
+import { importRecipeFromUrl } from './recipeUrlImporter';
+
+const INGREDIENT_HEADINGS = [
+  'ingrediënten', 'ingredienten', 'ingredients', 'ingredient', 'benodigdheden',
+  'boodschappen', 'boodschappenlijst', 'wat heb je nodig', 'je hebt nodig',
+  "what you'll need", 'you will need',
+];
+const STEP_HEADINGS = [
+  'bereiding', 'bereidingswijze', 'werkwijze', 'instructies', 'zo maak je het',
+  'aan de slag', 'stappen', 'method', 'instructions', 'directions',
+  'preparation', 'steps', 'how to make it',
+];
+const NOTE_HEADINGS = ['tips', 'tip', 'notities', 'notes', 'opmerkingen', 'serveertip'];
+
+const META_PATTERNS = {
+  time: /^(?:bereidingstijd|kooktijd|totale tijd|tijd|duur|total time|cook(?:ing)? time|prep(?:aration)? time|time)\s*[:\-]\s*(.+)$/i,
+  cuisine: /^(?:keuken|cuisine)\s*[:\-]\s*(.+)$/i,
+  servings: /^(?:personen|porties|aantal personen|voor|servings|serves|yield)\s*[:\-]?\s*(\d+.*)$/i,
+};
+
+/** "[12-03-2024 18:22] Mama: " / "12-03-24, 18:22 - Mama: " prefixes from WhatsApp exports */
+const WHATSAPP_PREFIX = /^\[?\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4},?\s+\d{1,2}:\d{2}(?::\d{2})?\]?\s*(?:-\s*)?[^:]{1,40}:\s*/;
+const BULLET = /^(?:[-*•·▪▫◦‣⁃–—]|▢|☐|☑|✓|✔|o(?=\s))\s*/;
+const NUMBERED = /^(?:stap\s*)?\d{1,2}\s*[.):]\s*|^stap\s*\d{1,2}\s*/i;
+
+const cleanLine = (line) =>
+  line
+    .replace(WHATSAPP_PREFIX, '')
+    .replace(/^#{1,6}\s*/, '')
+    .replace(/\*\*|__/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/** The heading kind of a line ("Ingrediënten (4 personen):" → 'ingredients'), or null. */
+const headingKind = (line) => {
+  const bare = line
+    .toLowerCase()
+    .replace(/\(.*?\)/g, '')
+    .replace(/[:.!]+\s*$/, '')
+    .trim();
+  if (!bare || bare.length > 40) return null;
+  const matches = (list) => list.some((h) => bare === h || bare.startsWith(`${h} `));
+  if (matches(INGREDIENT_HEADINGS)) return 'ingredients';
+  if (matches(STEP_HEADINGS)) return 'steps';
+  if (matches(NOTE_HEADINGS)) return 'notes';
+  return null;
+};
+
+/** Minutes from "30 min", "1 uur 15 minuten", "1,5 uur", "45". */
+export const parseMinutes = (text) => {
+  if (!text) return null;
+  const lower = String(text).toLowerCase().replace(',', '.');
+  const hours = lower.match(/(\d+(?:\.\d+)?)\s*(?:u|uur|h|hr|hrs|hour|hours)\b/);
+  const minutes = lower.match(/(\d+)\s*(?:m|min|mins|minuut|minuten|minutes)\b/);
+  if (hours || minutes) {
+    return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0)) || null;
+  }
+  const bare = lower.match(/^\s*(\d+)\s*$/);
+  return bare ? parseInt(bare[1], 10) || null : null;
+};
+
+const looksLikeIngredient = (line) =>
+  line.length <= 60 && !/[.!?]$/.test(line) && parseIngredient(line).qty != null;
+
+/** Sub-headings inside a section ("Voor de saus:") carry no quantity and end in a colon. */
+const isSubheading = (line) => /:$/.test(line) && line.length <= 40;
+
+/** Join wrapped lines of numbered steps back onto the step they belong to. */
+const collectSteps = (lines) => {
+  const numbered = lines.some((l) => NUMBERED.test(l));
+  const steps = [];
+  for (const raw of lines) {
+    const isNew = !numbered || NUMBERED.test(raw) || BULLET.test(raw);
+    const line = raw.replace(NUMBERED, '').replace(BULLET, '').trim();
+    if (!line) continue;
+    if (isNew || steps.length === 0) steps.push(line);
+    else steps[steps.length - 1] = `${steps[steps.length - 1]} ${line}`;
+  }
+  return steps;
+};
+
+/**
+ * Split free text into a recipe.
+ * @param {string} text
+ * @returns {{ success: boolean, recipe?: object, partial?: boolean, error?: string }}
+ */
+export const parseRecipeText = (text) => {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(cleanLine);
+  if (!lines.some(Boolean)) return { success: false, error: 'Geen tekst om te importeren' };
+
+  const meta = { time: null, cuisine: null };
+  const sections = { intro: [], ingredients: [], steps: [], notes: [] };
+  let current = 'intro';
+  let sawHeading = false;
+
+  for (const line of lines) {
+    if (!line) continue;
+    const kind = headingKind(line);
+    if (kind) {
+      current = kind;
+      sawHeading = true;
+      continue;
+    }
+    const time = line.match(META_PATTERNS.time);
+    if (time && parseMinutes(time[1])) {
+      meta.time = meta.time || parseMinutes(time[1]);
+      continue;
+    }
+    const cuisine = line.match(META_PATTERNS.cuisine);
+    if (cuisine) {
+      meta.cuisine = meta.cuisine || cuisine[1].trim();
+      continue;
+    }
+    if (META_PATTERNS.servings.test(line)) continue;
+    sections[current].push(line);
+  }
+
+  // Title: first intro line (or, with no intro at all, the first line of the text)
+  const name = (sections.intro.shift() || '')
+    .replace(/^(?:recept|recipe)\s*[:\-]\s*/i, '')
+    .replace(BULLET, '')
+    .trim() || null;
+
+  let ingredientLines = sections.ingredients;
+  let stepLines = sections.steps;
+  let descriptionLines = sections.intro;
+
+  if (!sawHeading) {
+    // No headings: classify the remaining lines one by one
+    ingredientLines = [];
+    stepLines = [];
+    descriptionLines = [];
+    for (const line of sections.intro) {
+      const bare = line.replace(BULLET, '');
+      if (!NUMBERED.test(line) && looksLikeIngredient(bare)) ingredientLines.push(bare);
+      else if (ingredientLines.length || stepLines.length || NUMBERED.test(line)) stepLines.push(line);
+      else descriptionLines.push(line);
+    }
+  }
+
+  const ingredients = ingredientLines
+    .filter((l) => !isSubheading(l))
+    .map((l) => l.replace(BULLET, '').replace(NUMBERED, '').trim())
+    .filter(Boolean);
+  const steps = collectSteps(stepLines.filter((l) => !isSubheading(l)));
+
+  if (!name && !ingredients.length && !steps.length) {
+    return { success: false, error: 'Geen recept gevonden in de tekst' };
+  }
+
+  const recipe = {
+    name,
+    description: descriptionLines.join(' ').slice(0, 500) || null,
+    image: null,
+    cooking_time_minutes: meta.time,
+    cuisine_type: meta.cuisine,
+    ingredients,
+    steps,
+    source_url: null,
+  };
+  const partial = !name || !ingredients.length || !steps.length;
+  return partial ? { success: true, partial: true, recipe } : { success: true, recipe };
+};
+
+/**
+ * Import from whatever the user pasted or shared: a bare link goes through
+ * importRecipeFromUrl, anything else through parseRecipeText. A shared
+ * message with a link plus a bit of text ("Kijk deze! https://...") is
+ * treated as a link.
+ */
+export const importRecipeFromInput = async (input) => {
+  const text = String(input || '').trim();
+  if (!text) return { success: false, error: 'Voer een link of recepttekst in' };
+  const urls = text.match(/https?:\/\/\S+/gi) || [];
+  const withoutUrls = text.replace(/https?:\/\/\S+/gi, '').trim();
+  const isLinkShare = urls.length === 1 && withoutUrls.split(/\r?\n/).filter(Boolean).length <= 2;
+  if (isLinkShare) return importRecipeFromUrl(urls[0].replace(/[),.]+$/, ''));
+  return parseRecipeText(text);
+};
@@ -5,11 +5,11 @@
  * pre-fill the "New Recipe" form.
  *
  * Three-tier cascade, cheapest first:
- *   1. Direct fetch + JSON-LD schema.org Recipe parsing (free, works on ~60%
- *      of sites — BBC Good Food, Food Network, LeukeRecepten, etc.)
+ *   1. Direct fetch + site adapter parsing (free). JSON-LD, microdata,
+ *      WordPress Recipe Maker and __NEXT_DATA__ — see recipeImportAdapters.
  *   2. Spoonacular /recipes/extract API (150 free calls/day, purpose-built
  *      for recipe extraction, covers most major English recipe sites).
- *   3. ScrapingBee residential proxy → raw HTML → JSON-LD parser (handles
+ *   3. ScrapingBee residential proxy → raw HTML → site adapters (handles
  *      Cloudflare-protected sites like AH.nl, Jumbo.com, AllRecipes).
  *
  * Returns a normalized shape ready for `addUserRecipe`:
@@ -21,205 +21,23 @@
  *   }
  */
 
+import {
+  parseRecipeHtml,
+  parseHtmlForOg,
+  parseIsoDuration,
+  decodeEntities,
+} from './recipeImportAdapters';
+
+export { parseIsoDuration };
+
 const FETCH_TIMEOUT_MS = 15000;
 const SCRAPINGBEE_TIMEOUT_MS = 60000;
 
 const SPOONACULAR_KEY = process.env.EXPO_PUBLIC_SPOONACULAR_API_KEY || '';
 const SCRAPINGBEE_KEY = process.env.EXPO_PUBLIC_SCRAPINGBEE_API_KEY || '';
 
-/* ──────────────────────────────────────────────
-   Parsers / coercers
-   ────────────────────────────────────────────── */
-
-/** Parse ISO 8601 duration ("PT1H30M", "PT45M") → minutes. */
-export const parseIsoDuration = (iso) => {
-  if (!iso || typeof iso !== 'string') return null;
-  const match = iso.match(/^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/i);
-  if (!match) return null;
-  const [, h, m, s] = match;
-  const total =
-    parseInt(h || '0', 10) * 60 +
-    parseInt(m || '0', 10) +
-    Math.round(parseInt(s || '0', 10) / 60);
-  return total > 0 ? total : null;
-};
-
-/** Coerce schema.org image field (string | array | ImageObject) → URL string. */
-const coerceImage = (img) => {
-  if (!img) return null;
-  if (typeof img === 'string') return img;
-  if (Array.isArray(img)) return coerceImage(img[0]);
-  if (typeof img === 'object') return img.url || img['@id'] || null;
-  return null;
-};
-
-/** Coerce cuisine field to a simple string. */
-const coerceCuisine = (c) => {
-  if (!c) return null;
-  if (typeof c === 'string') return c;
-  if (Array.isArray(c)) return typeof c[0] === 'string' ? c[0] : null;
-  return null;
-};
-
-/** Decode basic HTML entities and strip any inline tags. */
-const decodeEntities = (s) => {
-  if (s == null) return s;
-  return String(s)
-    .replace(/<[^>]+>/g, ' ')
-    .replace(/&nbsp;/gi, ' ')
-    .replace(/&amp;/gi, '&')
-    .replace(/&lt;/gi, '<')
-    .replace(/&gt;/gi, '>')
-    .replace(/&quot;/gi, '"')
-    .replace(/&#39;/gi, "'")
-    .replace(/&rsquo;/gi, "'")
-    .replace(/&lsquo;/gi, "'")
-    .replace(/&ldquo;/gi, '"')
-    .replace(/&rdquo;/gi, '"')
-    .replace(/\s+/g, ' ')
-    .trim();
-};
-
-/** Coerce recipeIngredient → string[]. */
-const coerceIngredients = (ing) => {
-  if (!ing) return [];
-  const arr = Array.isArray(ing) ? ing : [ing];
-  return arr
-    .map((i) => (typeof i === 'string' ? i : i?.text || i?.name || ''))
-    .map(decodeEntities)
-    .filter(Boolean);
-};
-
-/** Coerce recipeInstructions → string[]. Handles HowToStep, HowToSection, plain strings. */
-const coerceSteps = (ins) => {
-  if (!ins) return [];
-
-  // Plain string: split on newlines or numbered list prefixes.
-  if (typeof ins === 'string') {
-    return ins
-      .split(/\r?\n+|(?=\s\d+\.\s)/)
-      .map((s) => s.replace(/^\s*\d+\.\s*/, ''))
-      .map(decodeEntities)
-      .filter(Boolean);
-  }
-
-  if (!Array.isArray(ins)) return [];
-
-  const flat = [];
-  for (const item of ins) {
-    if (typeof item === 'string') {
-      flat.push(item);
-      continue;
-    }
-    if (!item || typeof item !== 'object') continue;
-
-    const type = item['@type'];
-    const isSection =
-      type === 'HowToSection' ||
-      (Array.isArray(type) && type.includes('HowToSection'));
-
-    if (isSection && Array.isArray(item.itemListElement)) {
-      for (const sub of item.itemListElement) {
-        if (typeof sub === 'string') flat.push(sub);
-        else if (sub?.text) flat.push(sub.text);
-        else if (sub?.name) flat.push(sub.name);
-      }
-    } else if (item.text) {
-      flat.push(item.text);
-    } else if (item.name) {
-      flat.push(item.name);
-    }
-  }
-
-  return flat.map(decodeEntities).filter(Boolean);
-};
-
-/* ──────────────────────────────────────────────
-   HTML parsing
-   ────────────────────────────────────────────── */
-
-/** Walk a JSON-LD value and return the first Recipe node found. Handles @graph. */
-const findRecipeNode = (obj) => {
-  if (!obj || typeof obj !== 'object') return null;
-
-  const type = obj['@type'];
-  const isRecipe =
-    type === 'Recipe' || (Array.isArray(type) && type.includes('Recipe'));
-  if (isRecipe) return obj;
-
-  if (Array.isArray(obj)) {
-    for (const item of obj) {
-      const found = findRecipeNode(item);
-      if (found) return found;
-    }
-    return null;
-  }
-
-  if (Array.isArray(obj['@graph'])) {
-    const found = findRecipeNode(obj['@graph']);
-    if (found) return found;
-  }
-
-  for (const key of Object.keys(obj)) {
-    if (key === '@graph') continue;
-    const val = obj[key];
-    if (val && typeof val === 'object') {
-      const found = findRecipeNode(val);
-      if (found) return found;
-    }
-  }
-  return null;
-};
-
-/** Extract all <script type="application/ld+json"> blocks as parsed JSON. */
-const extractJsonLdBlocks = (html) => {
-  const re =
-    /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
-  const blocks = [];
-  for (const match of html.matchAll(re)) {
-    const raw = (match[1] || '').trim();
-    if (!raw) continue;
-    try {
-      blocks.push(JSON.parse(raw));
-    } catch {
-      // Some sites embed trailing whitespace / comments. Try to salvage.
-      try {
-        const cleaned = raw.replace(/^[^{\[]*/, '').replace(/[^}\]]*$/, '');
-        blocks.push(JSON.parse(cleaned));
-      } catch {
-        // skip this block
-      }
-    }
-  }
-  return blocks;
-};
-
-/** Extract OpenGraph / Twitter / basic meta tag content. */
-const extractMeta = (html, key) => {
-  const patterns = [
-    new RegExp(
-      `<meta[^>]+property=["']${key}["'][^>]+content=["']([^"']+)["']`,
-      'i',
-    ),
-    new RegExp(
-      `<meta[^>]+content=["']([^"']+)["'][^>]+property=["']${key}["']`,
-      'i',
-    ),
-    new RegExp(
-      `<meta[^>]+name=["']${key}["'][^>]+content=["']([^"']+)["']`,
-      'i',
-    ),
-    new RegExp(
-      `<meta[^>]+content=["']([^"']+)["'][^>]+name=["']${key}["']`,
-      'i',
-    ),
-  ];
-  for (const pattern of patterns) {
-    const match = html.match(pattern);
-    if (match && match[1]) return decodeEntities(match[1]);
-  }
-  return null;
-};
+/** Adapter parse → recipe, or null. */
+const parseHtmlForRecipe = (html, sourceUrl) => parseRecipeHtml(html, sourceUrl)?.recipe || null;
 
 /* ──────────────────────────────────────────────
    Fetch
@@ -273,54 +91,6 @@ const fetchHtmlViaScrapingBee = async (targetUrl) => {
   }
 };
 
-/** Parse HTML → normalized recipe via JSON-LD. Returns null if no Recipe found. */
-const parseHtmlForRecipe = (html, sourceUrl) => {
-  const blocks = extractJsonLdBlocks(html);
-  let node = null;
-  for (const b of blocks) {
-    node = findRecipeNode(b);
-    if (node) break;
-  }
-  if (!node) return null;
-
-  const totalMin =
-    parseIsoDuration(node.totalTime) ||
-    parseIsoDuration(node.cookTime) ||
-    parseIsoDuration(node.prepTime);
-
-  return {
-    name: decodeEntities(node.name) || null,
-    description: decodeEntities(node.description) || null,
-    image: coerceImage(node.image),
-    cooking_time_minutes: totalMin || null,
-    cuisine_type: coerceCuisine(node.recipeCuisine),
-    ingredients: coerceIngredients(node.recipeIngredient || node.ingredients),
-    steps: coerceSteps(node.recipeInstructions),
-    source_url: sourceUrl,
-  };
-};
-
-/** Parse HTML → OG meta fallback (title + description + image only). */
-const parseHtmlForOg = (html, sourceUrl) => {
-  const ogTitle =
-    extractMeta(html, 'og:title') || extractMeta(html, 'twitter:title');
-  const ogDesc =
-    extractMeta(html, 'og:description') || extractMeta(html, 'description');
-  const ogImage =
-    extractMeta(html, 'og:image') || extractMeta(html, 'twitter:image');
-  if (!ogTitle && !ogImage) return null;
-  return {
-    name: ogTitle,
-    description: ogDesc,
-    image: ogImage,
-    cooking_time_minutes: null,
-    cuisine_type: null,
-    ingredients: [],
-    steps: [],
-    source_url: sourceUrl,
-  };
-};
-
 /** Strip HTML tags from a string (for Spoonacular summary/instructions). */
 const stripTags = (s) => decodeEntities(s);
 
@@ -435,7 +205,7 @@ export const importRecipeFromUrl = async (rawUrl) => {
     return { success: false, error: 'URL must start with http:// or https://' };
   }
 
-  // ── Tier 1: Direct fetch + JSON-LD (free, works on most sites) ──
+  // ── Tier 1: Direct fetch + site adapters (free, works on most sites) ──
   let directHtml = null;
   try {
     directHtml = await fetchHtmlDirect(url);
@@ -453,7 +223,7 @@ export const importRecipeFromUrl = async (rawUrl) => {
     // Fall through.
   }
 
-  // ── Tier 3: ScrapingBee residential proxy + JSON-LD ──
+  // ── Tier 3: ScrapingBee residential proxy + site adapters ──
   if (SCRAPINGBEE_KEY) {
     try {
       const html = await fetchHtmlViaScrapingBee(url);
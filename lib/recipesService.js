@@ -5,6 +5,11 @@
 
 import { supabase } from './supabase';
 import { USE_REAL_SUPABASE } from './supabase';
+import { filterRecipesForRestrictions } from './dietaryProfiles';
+import { pickCandidates } from './recommendationEngine';
+import { loadRecommendationSignals } from './recommendationService';
+import { applyRoundConstraints, normalizeRoundConstraints, getConstraintQueryFilter, MIN_ROUND_OPTIONS } from './roundConstraints';
+import { loadRecipeExtras } from './recipeExtrasService';
 
 const MOCK_RECIPES = [
   {
@@ -474,34 +479,80 @@ export const getGroupRecipes = async (groupId) => {
   }
 };
 
+// How many public recipes the time / cuisine filters rule out, counted on the
+// server; only needed to suggest which constraint to loosen
+const countPublicRejections = async (rules) => {
+  const countPublic = async (filter) => {
+    let query = supabase.from('recipes').select('id', { count: 'exact', head: true }).eq('visibility', 'public');
+    if (filter) query = query.or(filter);
+    const { count } = await query;
+    return count || 0;
+  };
+  const total = await countPublic(null);
+  const counts = {};
+  for (const key of ['time', 'cuisine']) {
+    const filter = getConstraintQueryFilter(rules, [key]);
+    if (filter) counts[key] = Math.max(0, total - await countPublic(filter));
+  }
+  return counts;
+};
+
 /**
- * Get recipes for voting: public recipes + recipes shared with this group
+ * Get recipes for voting: public recipes + recipes shared with this group,
+ * picked by the recommendation engine from the group's history.
+ * With `restrictions` (see getGroupDietaryRestrictions) conflicting meals
+ * score lower and carry diet_conflicts. `constraints` from the round setup
+ * (see roundConstraints) rule recipes out before scoring. Every recipe carries
+ * `recommendation` ({ score, reasons, slot }) for the debug view.
+ * Returns { recipes, matched, rejected } — matched is the number of recipes
+ * that fit the constraints, rejected what each constraint ruled out — or
+ * { recipes: [], error } when the recipes couldn't be loaded.
  */
-export const getRecipesForVoting = async (groupId, limit = 20) => {
-  if (!USE_REAL_SUPABASE) return MOCK_RECIPES.slice(0, limit);
+export const getRecipesForVoting = async (groupId, limit = 20, { restrictions = [], constraints = null } = {}) => {
+  const rules = normalizeRoundConstraints(constraints);
+  if (!USE_REAL_SUPABASE) {
+    const { matching, rejected } = applyRoundConstraints(MOCK_RECIPES, rules);
+    return { recipes: filterRecipesForRestrictions(matching, restrictions, limit), matched: matching.length, rejected };
+  }
   try {
     // 1. Get group-shared recipe IDs
-    const { data: shares } = await supabase
+    const { data: shares, error: sharesError } = await supabase
       .from('recipe_group_shares')
       .select('recipe_id')
       .eq('group_id', groupId);
+    if (sharesError) return { recipes: [], matched: 0, rejected: {}, error: sharesError.message };
     const sharedIds = (shares || []).map((s) => s.recipe_id);
 
-    // 2. Fetch public recipes
-    const fetchCount = Math.max(limit, 50);
-    const { data: publicRecipes } = await supabase
-      .from('recipes')
-      .select('id, name, description, image, cooking_time_minutes, cuisine_type, ingredients, steps, chef_id, visibility, estimated_cost, chef_profiles(id, name, tag, profile_image, description, links)')
-      .eq('visibility', 'public')
-      .limit(fetchCount);
+    // 2. Fetch public recipes (a wide pool so the engine has something to choose from).
+    //    The query applies the time and cuisine constraints itself so the
+    //    limit doesn't cut matching recipes off, and counts all matches
+    let publicRecipes = [];
+    let publicMatches = 0;
+    if (!rules.groupOnly) {
+      const fetchCount = Math.max(limit * 5, 100);
+      let query = supabase
+        .from('recipes')
+        .select('id, name, description, image, cooking_time_minutes, cuisine_type, ingredients, steps, chef_id, visibility, estimated_cost, chef_profiles(id, name, tag, profile_image, description, links)', { count: 'exact' })
+        .eq('visibility', 'public');
+      const filter = getConstraintQueryFilter(rules);
+      if (filter) query = query.or(filter);
+      const { data, count, error } = await query
+        .order('created_at', { ascending: false })
+        .order('id')
+        .limit(fetchCount);
+      if (error) return { recipes: [], matched: 0, rejected: {}, error: error.message };
+      publicRecipes = data || [];
+      publicMatches = count ?? publicRecipes.length;
+    }
 
     // 3. Fetch group-shared recipes (if any)
     let groupRecipes = [];
     if (sharedIds.length > 0) {
-      const { data: shared } = await supabase
+      const { data: shared, error: sharedError } = await supabase
         .from('recipes')
         .select('id, name, description, image, cooking_time_minutes, cuisine_type, ingredients, steps, chef_id, visibility, estimated_cost, chef_profiles(id, name, tag, profile_image, description, links)')
         .in('id', sharedIds);
+      if (sharedError) return { recipes: [], matched: 0, rejected: {}, error: sharedError.message };
       groupRecipes = shared || [];
     }
 
@@ -515,13 +566,60 @@ export const getRecipesForVoting = async (groupId, limit = 20) => {
       }
     }
 
-    // 5. Shuffle and limit
-    const shuffled = [...allRecipes].sort(() => Math.random() - 0.5);
-    return shuffled.slice(0, limit).map((r) => ({
+    // 5. Drop what the round's constraints rule out
+    const extras = rules.maxCostPerPerson ? await loadRecipeExtras() : {};
+    const { matching, rejected } = applyRoundConstraints(allRecipes, rules, {
+      sharedIds,
+      getExtras: (r) => extras[r.id] || extras[(r.name || '').toLowerCase()] || {},
+    });
+    // Public matches past the fetch limit passed time and cuisine on the
+    // server; only a budget could still rule them out
+    const unseen = rules.maxCostPerPerson ? 0 : Math.max(0, publicMatches - publicRecipes.length);
+    const matched = matching.length + unseen;
+    if (matched < MIN_ROUND_OPTIONS && !rules.groupOnly) {
+      const server = await countPublicRejections(rules);
+      Object.entries(server).forEach(([key, count]) => { rejected[key] += count; });
+    }
+
+    // 6. Tag diets, score against the group's history and pick `limit`
+    const tagged = filterRecipesForRestrictions(matching, restrictions);
+    const { signals, exploration } = await loadRecommendationSignals(groupId, { sharedIds });
+    const recipes = pickCandidates(tagged, signals, limit, { exploration }).map((r) => ({
       ...r,
       thumbnail_url: r.image,
       chef: r.chef_profiles || null,
     }));
+    return { recipes, matched, rejected };
+  } catch (e) {
+    return { recipes: [], matched: 0, rejected: {}, error: e?.message || 'getRecipesForVoting failed' };
+  }
+};
+
+/**
+ * Cuisines of the recipes a group can vote on, for the round setup.
+ * Returns ['Dutch', 'Italian', ...] sorted by name
+ */
+export const getVotingCuisines = async (groupId) => {
+  if (!USE_REAL_SUPABASE) return [...new Set(MOCK_RECIPES.map((r) => r.cuisine_type))].sort();
+  try {
+    const { data: shares } = await supabase
+      .from('recipe_group_shares')
+      .select('recipe_id')
+      .eq('group_id', groupId);
+    const sharedIds = (shares || []).map((s) => s.recipe_id);
+    const [publicRes, sharedRes] = await Promise.all([
+      supabase.from('recipes').select('cuisine_type').eq('visibility', 'public').limit(500),
+      sharedIds.length
+        ? supabase.from('recipes').select('cuisine_type').in('id', sharedIds)
+        : Promise.resolve({ data: [] }),
+    ]);
+    const cuisines = [...(publicRes.data || []), ...(sharedRes.data || [])]
+      .map((r) => (r.cuisine_type || '').trim())
+      .filter(Boolean);
+    // One entry per cuisine regardless of case, keeping the first spelling
+    const byKey = new Map();
+    cuisines.forEach((c) => { if (!byKey.has(c.toLowerCase())) byKey.set(c.toLowerCase(), c); });
+    return [...byKey.values()].sort((a, b) => a.localeCompare(b));
   } catch (e) {
     return [];
   }
@@ -0,0 +1,212 @@
+/**
+ * Recommendation Engine - picks the candidates of a voting round
+ *
+ * Instead of a random shuffle every recipe gets a score from a few signals:
+ *   taste      past votes of the members eating tonight (recent votes weigh more)
+ *   recent     recently won rounds (don't serve yesterday's winner again)
+ *   cuisine    cuisines that won this week (variety)
+ *   time       quick meals on weekdays, longer ones are fine in the weekend
+ *   shared     recipes the group saved itself
+ *   diet       conflicts with tonight's dietary restrictions
+ *   novelty    recipes the group never saw (scaled by the exploration knob)
+ *   jitter     some randomness (also scaled by the exploration knob)
+ * Every point is kept as a reason so the debug view can explain a pick.
+ */
+
+export const DEFAULT_EXPLORATION = 0.2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VOTE_HALF_LIFE_DAYS = 14;
+const RECENT_WINNER_DAYS = 14;
+const CUISINE_WINDOW_DAYS = 7;
+
+const WEIGHTS = {
+  taste: 3,
+  recent: -4,
+  cuisine: -1,
+  cuisineMax: -3,
+  sameRoundCuisine: -1,
+  weekdayLong: -1.5,
+  weekdayQuick: 0.5,
+  weekendLong: 0.5,
+  shared: 1.5,
+  diet: -5,
+  novelty: 5,
+  jitter: 4,
+};
+
+const WEEKDAY_MAX_MINUTES = 45;
+const QUICK_MINUTES = 30;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+const nameKey = (name) => (name ? `name:${String(name).trim().toLowerCase()}` : null);
+
+/** Keys a recipe or meal option is known by in the history: recipe id and name */
+const keysOf = (recipe) => {
+  const data = recipe.meal_data || recipe;
+  return [recipe.recipe_id || (recipe.meal_data ? null : recipe.id), nameKey(data.name || data.title)].filter(Boolean);
+};
+
+const cuisineOf = (recipe) => String((recipe.meal_data || recipe).cuisine_type || '').trim().toLowerCase();
+
+const minutesOf = (recipe) => {
+  const data = recipe.meal_data || recipe;
+  return Number(data.cooking_time_minutes || data.total_time_minutes || data.cooking_time) || null;
+};
+
+const daysBetween = (from, to) => Math.max(0, (to.getTime() - new Date(from).getTime()) / DAY_MS);
+
+/**
+ * Turn raw history rows into lookup tables.
+ * options:  meal_options of past rounds [{ id, recipe_id, meal_data }]
+ * votes:    meal_votes of those rounds [{ meal_option_id, user_id, vote, created_at }]
+ * winners:  past round winners [{ meal_option_id, meal_data, date }]
+ * sharedIds: recipe ids saved to the group
+ * eaterIds:  members eating tonight; when given only their votes count
+ */
+export const buildSignals = ({ options = [], votes = [], winners = [], sharedIds = [], eaterIds = [], now = new Date() }) => {
+  const optionById = new Map(options.map((o) => [o.id, o]));
+  const eaters = new Set(eaterIds);
+
+  const taste = {};
+  votes.forEach((v) => {
+    if (eaters.size && !eaters.has(v.user_id)) return;
+    const option = optionById.get(v.meal_option_id);
+    if (!option) return;
+    const weight = 0.5 ** (daysBetween(v.created_at, now) / VOTE_HALF_LIFE_DAYS);
+    keysOf(option).forEach((key) => {
+      if (!taste[key]) taste[key] = { yes: 0, no: 0, weightedYes: 0, weightedNo: 0 };
+      if (v.vote === 'yes') {
+        taste[key].yes += 1;
+        taste[key].weightedYes += weight;
+      } else {
+        taste[key].no += 1;
+        taste[key].weightedNo += weight;
+      }
+    });
+  });
+
+  const lastWon = {};
+  const recentCuisines = {};
+  winners.forEach((w) => {
+    const option = optionById.get(w.meal_option_id) || { meal_data: w.meal_data || {} };
+    const days = daysBetween(w.date, now);
+    keysOf(option).forEach((key) => {
+      if (lastWon[key] === undefined || days < lastWon[key]) lastWon[key] = days;
+    });
+    const cuisine = cuisineOf(option);
+    if (cuisine && days <= CUISINE_WINDOW_DAYS) recentCuisines[cuisine] = (recentCuisines[cuisine] || 0) + 1;
+  });
+
+  const seen = new Set();
+  options.forEach((o) => keysOf(o).forEach((key) => seen.add(key)));
+
+  return { taste, lastWon, recentCuisines, seen, shared: new Set(sharedIds), now };
+};
+
+const lookup = (table, recipe) => {
+  for (const key of keysOf(recipe)) {
+    if (table[key] !== undefined) return table[key];
+  }
+  return undefined;
+};
+
+/**
+ * Score one recipe. Returns { score, reasons: [{ signal, points, ...details }] }
+ */
+export const scoreRecipe = (recipe, signals, { exploration = DEFAULT_EXPLORATION, random = Math.random } = {}) => {
+  const reasons = [];
+  const add = (signal, points, details = {}) => {
+    if (points) reasons.push({ signal, points: round1(points), ...details });
+  };
+  const now = signals.now || new Date();
+
+  const taste = lookup(signals.taste, recipe);
+  if (taste) {
+    const total = taste.weightedYes + taste.weightedNo;
+    const confidence = Math.min(1, total / 3);
+    add('taste', WEIGHTS.taste * ((taste.weightedYes - taste.weightedNo) / total) * confidence, { yes: taste.yes, no: taste.no });
+  }
+
+  const wonDaysAgo = lookup(signals.lastWon, recipe);
+  if (wonDaysAgo !== undefined && wonDaysAgo <= RECENT_WINNER_DAYS) {
+    add('recent', WEIGHTS.recent * (1 - wonDaysAgo / RECENT_WINNER_DAYS), { days: Math.round(wonDaysAgo) });
+  }
+
+  const cuisine = cuisineOf(recipe);
+  const cuisineWins = cuisine ? signals.recentCuisines[cuisine] || 0 : 0;
+  if (cuisineWins) {
+    add('cuisine', Math.max(WEIGHTS.cuisineMax, WEIGHTS.cuisine * cuisineWins), { cuisine, count: cuisineWins });
+  }
+
+  const minutes = minutesOf(recipe);
+  const weekend = [0, 5, 6].includes(now.getDay()); // Fri-Sun
+  if (minutes) {
+    if (!weekend && minutes > WEEKDAY_MAX_MINUTES) add('time', WEIGHTS.weekdayLong, { minutes, weekend });
+    else if (!weekend && minutes <= QUICK_MINUTES) add('time', WEIGHTS.weekdayQuick, { minutes, weekend });
+    else if (weekend && minutes > WEEKDAY_MAX_MINUTES) add('time', WEIGHTS.weekendLong, { minutes, weekend });
+  }
+
+  if (recipe.id && signals.shared.has(recipe.id)) add('shared', WEIGHTS.shared);
+
+  const conflicts = recipe.diet_conflicts || [];
+  if (conflicts.length) add('diet', WEIGHTS.diet * conflicts.length, { conflicts });
+
+  const novel = !keysOf(recipe).some((key) => signals.seen.has(key));
+  if (novel) add('novelty', WEIGHTS.novelty * exploration);
+
+  add('jitter', WEIGHTS.jitter * exploration * random());
+
+  return { score: round1(reasons.reduce((sum, r) => sum + r.points, 0)), reasons, novel };
+};
+
+/**
+ * Pick `count` candidates for a round.
+ * round(count * exploration) slots go to the best recipes the group never saw,
+ * the rest to the best scores overall. Each pick after the first loses a
+ * point per meal of the same cuisine already in the round.
+ * Returns the recipes best first, with `recommendation: { score, reasons, slot }`.
+ */
+export const pickCandidates = (recipes, signals, count, options = {}) => {
+  const exploration = Math.min(1, Math.max(0, options.exploration ?? DEFAULT_EXPLORATION));
+  const scored = recipes.map((recipe) => ({ recipe, ...scoreRecipe(recipe, signals, { ...options, exploration }) }));
+
+  const picked = [];
+  const cuisinesInRound = {};
+  const take = (pool, slot) => {
+    let best = null;
+    let bestScore = -Infinity;
+    pool.forEach((c) => {
+      if (picked.some((p) => p.candidate === c)) return;
+      const cuisine = cuisineOf(c.recipe);
+      const penalty = cuisine ? WEIGHTS.sameRoundCuisine * (cuisinesInRound[cuisine] || 0) : 0;
+      if (c.score + penalty > bestScore) {
+        best = { candidate: c, penalty, slot };
+        bestScore = c.score + penalty;
+      }
+    });
+    if (!best) return false;
+    picked.push(best);
+    const cuisine = cuisineOf(best.candidate.recipe);
+    if (cuisine) cuisinesInRound[cuisine] = (cuisinesInRound[cuisine] || 0) + 1;
+    return true;
+  };
+
+  const explorationSlots = Math.min(count, Math.round(count * exploration));
+  const novel = scored.filter((c) => c.novel);
+  for (let i = 0; i < explorationSlots && take(novel, 'exploration'); i++);
+  while (picked.length < count && take(scored, 'score'));
+
+  return picked
+    .map(({ candidate, penalty, slot }) => {
+      const reasons = penalty
+        ? [...candidate.reasons, { signal: 'variety', points: round1(penalty), cuisine: cuisineOf(candidate.recipe) }]
+        : candidate.reasons;
+      return {
+        ...candidate.recipe,
+        recommendation: { score: round1(candidate.score + penalty), reasons, slot },
+      };
+    })
+    .sort((a, b) => b.recommendation.score - a.recommendation.score);
+};
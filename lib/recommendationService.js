@@ -0,0 +1,97 @@
+/**
+ * Recommendation Service - loads a group's voting history for the
+ * recommendation engine (recommendationEngine.js)
+ * Maps to: meal_requests, meal_options, meal_votes, terminated_sessions,
+ *          groups.recommendation_exploration
+ */
+
+import { supabase } from './supabase';
+import { USE_REAL_SUPABASE } from './supabase';
+import { buildSignals, DEFAULT_EXPLORATION } from './recommendationEngine';
+import { terminatedSessionsService } from './terminatedSessionsService';
+import { getYesResponders } from './dailyResponseService';
+
+const HISTORY_DAYS = 30;
+
+/**
+ * Exploration knob of a group: 0 = only proven favourites, 1 = mostly new recipes
+ */
+export const getGroupExploration = async (groupId) => {
+  if (!USE_REAL_SUPABASE) return DEFAULT_EXPLORATION;
+  try {
+    const { data, error } = await supabase
+      .from('groups')
+      .select('recommendation_exploration')
+      .eq('id', groupId)
+      .single();
+    if (error || data?.recommendation_exploration == null) return DEFAULT_EXPLORATION;
+    return Number(data.recommendation_exploration);
+  } catch (e) {
+    return DEFAULT_EXPLORATION;
+  }
+};
+
+export const setGroupExploration = async (groupId, exploration) => {
+  const value = Math.min(1, Math.max(0, Math.round(exploration * 10) / 10));
+  if (!USE_REAL_SUPABASE) return { success: true, exploration: value };
+  try {
+    // Only the group creator may update groups (RLS); a blocked update returns no rows
+    const { data, error } = await supabase
+      .from('groups')
+      .update({ recommendation_exploration: value })
+      .eq('id', groupId)
+      .select('id');
+    if (error) return { success: false, error: error.message };
+    if (!data?.length) return { success: false, error: 'Only the group admin can change this' };
+    return { success: true, exploration: value };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+/**
+ * Signals for the next round of a group: votes and winners of the last
+ * 30 days, the group's saved recipes and who is eating tonight.
+ * Returns { signals, exploration }; empty signals when the history can't load.
+ */
+export const loadRecommendationSignals = async (groupId, { sharedIds = [] } = {}) => {
+  const exploration = await getGroupExploration(groupId);
+  if (!USE_REAL_SUPABASE) return { signals: buildSignals({ sharedIds }), exploration };
+  try {
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const { data: requests } = await supabase
+      .from('meal_requests')
+      .select('id')
+      .eq('group_id', groupId)
+      .gte('created_at', since);
+    const requestIds = (requests || []).map((r) => r.id);
+
+    const [optionsRes, votesRes, sessionsRes, eaterIds] = await Promise.all([
+      requestIds.length
+        ? supabase.from('meal_options').select('id, recipe_id, meal_data').in('request_id', requestIds)
+        : { data: [] },
+      requestIds.length
+        ? supabase.from('meal_votes').select('meal_option_id, user_id, vote, created_at').in('request_id', requestIds)
+        : { data: [] },
+      terminatedSessionsService.getTerminatedSessionsForGroup(groupId, HISTORY_DAYS),
+      getYesResponders(groupId),
+    ]);
+
+    const winners = (sessionsRes.sessions || [])
+      .map((s) => ({ ...(s.top_results?.[0] || {}), date: s.terminated_at }))
+      .filter((w) => w.meal_data);
+
+    return {
+      signals: buildSignals({
+        options: optionsRes.data || [],
+        votes: votesRes.data || [],
+        winners,
+        sharedIds,
+        eaterIds,
+      }),
+      exploration,
+    };
+  } catch (e) {
+    return { signals: buildSignals({ sharedIds }), exploration };
+  }
+};
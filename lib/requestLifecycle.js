@@ -0,0 +1,148 @@
+/**
+ * Request Lifecycle - pure rules for when a meal_request is over
+ * Used by midnightResetService / conflictResolution. No Supabase here so the
+ * rules can be tested without a backend.
+ */
+
+import { addDays } from './weeklyPlanner';
+import { getDinnerDay } from './dinnerDay';
+
+// Open statuses: daily rounds are 'active', weekly rounds 'planning'
+export const OPEN_REQUEST_STATUSES = ['active', 'planning'];
+
+/**
+ * Last dinner day a request is valid for: the day it was created for daily
+ * rounds, the Sunday of its week for weekly rounds.
+ * dayOptions: the group's zone name or { timeZone, rolloverHour } (dinnerDay.js)
+ */
+export const getRequestLastDay = (request, dayOptions) => {
+  if (request.plan_type === 'weekly' && request.week_start) return addDays(request.week_start, 6);
+  return getDinnerDay(request.created_at, dayOptions);
+};
+
+/**
+ * True once the group's dinner day has moved past the request's last day
+ */
+export const isRequestExpired = (request, now, dayOptions) => {
+  if (!OPEN_REQUEST_STATUSES.includes(request.status)) return false;
+  return getRequestLastDay(request, dayOptions) < getDinnerDay(now, dayOptions);
+};
+
+/**
+ * Daily rounds that were opened twice for the same group and day (two
+ * members pressing "start" at the same time). The oldest one is kept, the
+ * same rule getOrCreateDailyMealRequest uses.
+ * Returns [{ keep, duplicates: [...] }]
+ */
+export const findDuplicateRequests = (requests, dayOptions) => {
+  const buckets = {};
+  (requests || [])
+    .filter((r) => r.status === 'active' && (r.plan_type || 'daily') === 'daily')
+    .forEach((r) => {
+      const key = `${r.group_id}:${getDinnerDay(r.created_at, dayOptions)}`;
+      (buckets[key] = buckets[key] || []).push(r);
+    });
+
+  return Object.values(buckets)
+    .filter((list) => list.length > 1)
+    .map((list) => {
+      const sorted = [...list].sort((a, b) =>
+        String(a.created_at).localeCompare(String(b.created_at)) || String(a.id).localeCompare(String(b.id)));
+      return { keep: sorted[0], duplicates: sorted.slice(1) };
+    });
+};
+
+/**
+ * terminated_sessions row for a closed request
+ */
+export const buildSessionSnapshot = ({ request, groupName, topMeals, responses, terminatedAt }) => ({
+  group_id: request.group_id,
+  request_id: request.id,
+  group_name: groupName || null,
+  top_results: (topMeals || []).slice(0, 3).map((m, i) => ({
+    rank: i + 1,
+    meal_option_id: m.meal_option_id,
+    yes_votes: Number(m.yes_votes) || 0,
+    meal_data: m.meal_data || {},
+  })),
+  member_responses: (responses || []).map((r) => ({ user_id: r.user_id, response: r.response })),
+  terminated_at: terminatedAt,
+});
+
+// Minutes before the deadline that stragglers get a reminder (0 = off)
+export const DEFAULT_REMINDER_MINUTES = 30;
+
+/**
+ * Members who voted on every option of a round
+ */
+export const getFinishedVoters = (votes, optionCount) => {
+  const perUser = {};
+  (votes || []).forEach((v) => {
+    (perUser[v.user_id] = perUser[v.user_id] || new Set()).add(v.meal_option_id);
+  });
+  return new Set(Object.keys(perUser).filter((userId) => optionCount > 0 && perUser[userId].size >= optionCount));
+};
+
+/**
+ * Members eating tonight who haven't finished voting yet
+ */
+export const getStragglers = (eaterIds, votes, optionCount) => {
+  const finished = getFinishedVoters(votes, optionCount);
+  return (eaterIds || []).filter((id) => !finished.has(id));
+};
+
+/**
+ * Why an open daily round should close now: 'deadline' once its deadline has
+ * passed, 'all_voted' as soon as everyone who said yes today finished voting.
+ * null while it stays open. Weekly rounds are closed by hand.
+ */
+export const getAutoCloseReason = (request, { now, eaterIds = [], votes = [], optionCount = 0 }) => {
+  if (request.status !== 'active' || (request.plan_type || 'daily') !== 'daily') return null;
+  if (request.deadline && new Date(request.deadline).getTime() <= new Date(now).getTime()) return 'deadline';
+  if (eaterIds.length && optionCount && !getStragglers(eaterIds, votes, optionCount).length) return 'all_voted';
+  return null;
+};
+
+/**
+ * True inside the reminder window before the deadline, once per round
+ */
+export const isReminderDue = (request, now, minutes = DEFAULT_REMINDER_MINUTES) => {
+  if (!request.deadline || !minutes || request.reminder_sent_at || request.status !== 'active') return false;
+  const deadline = new Date(request.deadline).getTime();
+  const at = new Date(now).getTime();
+  return at < deadline && at >= deadline - minutes * 60 * 1000;
+};
+
+// Meals members may add to one round (groups.round_proposal_cap, 0 = off)
+export const DEFAULT_PROPOSAL_CAP = 3;
+
+/**
+ * How many more meals members can propose in a round.
+ * Returns { used, left }
+ */
+export const getProposalAllowance = (options, cap = DEFAULT_PROPOSAL_CAP) => {
+  const used = (options || []).filter((o) => o.proposed_by).length;
+  return { used, left: Math.max(0, cap - used) };
+};
+
+/**
+ * Options nobody likes, the only ones a member may swap out: no yes votes.
+ * Any vote that places an option counts, so a lower rank on a ranked ballot
+ * or an approval pick protects it too.
+ */
+export const getReplaceableOptionIds = (options, votes) => {
+  const liked = new Set((votes || [])
+    .filter((v) => v.vote === 'yes')
+    .map((v) => v.meal_option_id));
+  return (options || []).map((o) => o.meal_option_id || o.id).filter((id) => !liked.has(id));
+};
+
+/**
+ * Members to tell that a round got a new option to vote on: everyone who had
+ * finished voting before the change, except whoever made it
+ */
+export const getVotersToRenotify = (votes, optionCount, exceptUserId) => {
+  const finished = getFinishedVoters(votes, optionCount);
+  finished.delete(exceptUserId);
+  return [...finished];
+};
@@ -0,0 +1,216 @@
+/**
+ * Round Close Service - closes daily voting rounds on their own
+ * A round closes at the deadline of today's dinner request, or as soon as
+ * everyone who said yes today has voted on every option. The winner is
+ * frozen on the meal_request and the whole group gets a push with the result
+ * and the cook. Members who haven't finished get one reminder
+ * groups.deadline_reminder_minutes before the deadline.
+ *
+ * Like the midnight reset this runs on every device (app start, foreground,
+ * a one-minute timer and after someone finishes voting). Closing and
+ * reminding are claimed with a conditional update before anything else, so
+ * only the device that wins the update snapshots, picks the cook and sends
+ * the push.
+ */
+
+import { supabase, USE_REAL_SUPABASE } from './supabase';
+import { getOpenMealRequests, getVotingTally } from './mealRequestService';
+import { getGroupSettings } from './groupsService';
+import { getYesResponders } from './dailyResponseService';
+import { saveRequestSnapshot } from './midnightResetService';
+import { notifyUsers } from './notificationService';
+import { assignTonightsCook } from './cookRotaService';
+import {
+  getAutoCloseReason,
+  getRequestLastDay,
+  getStragglers,
+  isReminderDue,
+  DEFAULT_REMINDER_MINUTES,
+} from './requestLifecycle';
+import { getGroupDayOptions } from './dinnerDay';
+import { log, debugError } from './debugConfig';
+
+export const ROUND_CLOSED_KIND = 'round_closed';
+export const DEADLINE_REMINDER_KIND = 'deadline_reminder';
+
+// How long a claimed round waits before another device may finish closing it
+const CLAIM_RETRY_MS = 2 * 60 * 1000;
+
+const getCookName = async (cookId) => {
+  if (!cookId) return null;
+  const { data } = await supabase
+    .from('profiles')
+    .select('display_name, full_name')
+    .eq('id', cookId)
+    .single();
+  return data?.display_name || data?.full_name || null;
+};
+
+const getActiveMemberIds = async (groupId) => {
+  const { data } = await supabase
+    .from('group_members')
+    .select('user_id')
+    .eq('group_id', groupId)
+    .eq('is_active', true);
+  return (data || []).map((m) => m.user_id);
+};
+
+const getRoundVotes = async (requestId) => {
+  const [optionsRes, votesRes] = await Promise.all([
+    supabase.from('meal_options').select('id').eq('request_id', requestId),
+    supabase.from('meal_votes').select('user_id, meal_option_id').eq('request_id', requestId),
+  ]);
+  return { optionCount: optionsRes.data?.length || 0, votes: votesRes.data || [] };
+};
+
+const buildWinnerMessage = (groupName, winnerName, cookName) => ({
+  title: groupName || 'Happie',
+  body: winnerName
+    ? `De stemming is gesloten: vanavond eten we ${winnerName}.${cookName ? ` ${cookName} kookt.` : ''}`
+    : 'De stemming is gesloten, maar er is geen winnaar. Overleg even wat jullie eten.',
+});
+
+/**
+ * Freeze the winner of a round, snapshot it and announce it to the group.
+ * reason: 'deadline' | 'all_voted'
+ * Returns { success, closed } — closed is false when another device was first.
+ */
+export const closeRound = async (request, group, reason, now = new Date()) => {
+  // A claim older than CLAIM_RETRY_MS belongs to a device that failed halfway
+  if (request.closed_at && now.getTime() - new Date(request.closed_at).getTime() < CLAIM_RETRY_MS) {
+    return { success: true, closed: false };
+  }
+
+  // Claim first: closed_at stops new votes, so the tally below is final and
+  // only the device that set it snapshots the round and picks the cook
+  const claimedAt = now.toISOString();
+  let claim = supabase
+    .from('meal_requests')
+    .update({ closed_at: claimedAt, closed_reason: reason })
+    .eq('id', request.id)
+    .eq('status', 'active');
+  claim = request.closed_at ? claim.eq('closed_at', request.closed_at) : claim.is('closed_at', null);
+  const { data: claimed, error: claimError } = await claim.select('id');
+  if (claimError) return { success: false, error: claimError.message };
+  if (!claimed?.length) return { success: true, closed: false };
+
+  // On a failure below the round stays active and claimed; the next check
+  // after CLAIM_RETRY_MS takes it over
+  const tallyRes = await getVotingTally(request.id);
+  if (!tallyRes.success) return { success: false, error: tallyRes.error };
+  const winner = tallyRes.tally.winner;
+
+  const saved = await saveRequestSnapshot(request, group, now);
+  if (!saved.success) return { success: false, error: saved.error };
+
+  // Tonight's cook comes from the rota; whoever asked who's eating counts as
+  // a volunteer when nobody was assigned yet
+  const lastDay = getRequestLastDay(request, getGroupDayOptions(group));
+  const rota = await assignTonightsCook(request.group_id, { date: lastDay, fallbackCookId: request.cook_id });
+  const cookId = (rota.success && rota.cookId) || request.cook_id || null;
+
+  const { data: completed, error } = await supabase
+    .from('meal_requests')
+    .update({
+      status: 'completed',
+      winner_option_id: winner?.meal_option_id || null,
+      winner_data: winner?.meal_data || null,
+      cook_id: cookId,
+    })
+    .eq('id', request.id)
+    .eq('status', 'active')
+    .eq('closed_at', claimedAt)
+    .select('id');
+  if (error) return { success: false, error: error.message };
+  if (!completed?.length) return { success: true, closed: false };
+
+  // The dinner request that set the deadline is done as well
+  await supabase
+    .from('dinner_requests')
+    .update({ status: 'completed' })
+    .eq('group_id', request.group_id)
+    .eq('status', 'pending')
+    .eq('request_date', lastDay);
+
+  const [memberIds, cookName] = await Promise.all([
+    getActiveMemberIds(request.group_id),
+    getCookName(cookId),
+  ]);
+  const message = buildWinnerMessage(group?.name, winner?.meal_data?.name, cookName);
+  await notifyUsers(memberIds, {
+    kind: ROUND_CLOSED_KIND,
+    ...message,
+    data: { groupId: request.group_id, groupName: group?.name, requestId: request.id, reason },
+  });
+  return { success: true, closed: true };
+};
+
+/**
+ * Remind members eating tonight who haven't finished voting. Sent once per
+ * round: reminder_sent_at is claimed before the push goes out.
+ */
+export const sendDeadlineReminder = async (request, group, stragglerIds, now = new Date()) => {
+  const { data: claimed, error } = await supabase
+    .from('meal_requests')
+    .update({ reminder_sent_at: now.toISOString() })
+    .eq('id', request.id)
+    .is('reminder_sent_at', null)
+    .select('id');
+  if (error) return { success: false, error: error.message };
+  if (!claimed?.length || !stragglerIds.length) return { success: true, sent: 0 };
+
+  const minutesLeft = Math.max(1, Math.round((new Date(request.deadline).getTime() - now.getTime()) / 60000));
+  return notifyUsers(stragglerIds, {
+    kind: DEADLINE_REMINDER_KIND,
+    title: group?.name || 'Happie',
+    body: `Nog ${minutesLeft} minuten om te stemmen, daarna sluit de stemming.`,
+    data: { groupId: request.group_id, groupName: group?.name, requestId: request.id },
+  });
+};
+
+/**
+ * Close or remind every open daily round of the given groups (defaults to
+ * the current user's groups). Returns { success, closed, reminded, errors }
+ */
+export const runDeadlineChecks = async ({ groupIds, now = new Date() } = {}) => {
+  const summary = { success: true, closed: 0, reminded: 0, errors: [] };
+  if (!USE_REAL_SUPABASE) return summary;
+  try {
+    const groups = await getGroupSettings(groupIds);
+    if (!groups.length) return summary;
+    const groupsById = Object.fromEntries(groups.map((g) => [g.id, g]));
+    const requests = (await getOpenMealRequests(groups.map((g) => g.id)))
+      .filter((r) => r.status === 'active' && (r.plan_type || 'daily') === 'daily');
+
+    for (const request of requests) {
+      const group = groupsById[request.group_id];
+      const [eaterIds, { optionCount, votes }] = await Promise.all([
+        getYesResponders(request.group_id, getRequestLastDay(request, getGroupDayOptions(group))),
+        getRoundVotes(request.id),
+      ]);
+
+      const reason = getAutoCloseReason(request, { now, eaterIds, votes, optionCount });
+      if (reason) {
+        const result = await closeRound(request, group, reason, now);
+        if (!result.success) summary.errors.push(result.error);
+        else if (result.closed) summary.closed += 1;
+        continue;
+      }
+
+      const minutes = group?.deadline_reminder_minutes ?? DEFAULT_REMINDER_MINUTES;
+      if (isReminderDue(request, now, minutes)) {
+        const result = await sendDeadlineReminder(request, group, getStragglers(eaterIds, votes, optionCount), now);
+        if (!result.success) summary.errors.push(result.error);
+        else if (result.sent) summary.reminded += 1;
+      }
+    }
+  } catch (e) {
+    debugError('CACHE', 'Deadline checks failed:', e);
+    summary.errors.push(e?.message || 'runDeadlineChecks failed');
+  }
+  summary.success = summary.errors.length === 0;
+  if (summary.closed || summary.reminded) {
+    log.cache('Deadline checks:', summary.closed, 'closed,', summary.reminded, 'reminded');
+  }
+  return summary;
+};
@@ -0,0 +1,131 @@
+/**
+ * Round Constraints - what a new voting round may contain
+ * Set in the round setup step and stored on meal_requests.constraints:
+ * { maxMinutes, maxCostPerPerson, includeCuisines, excludeCuisines, groupOnly }
+ *
+ * Recipes without a cooking time or cost pass the time and budget checks:
+ * there is nothing to hold them against. Cost per person is
+ * recipe_extras.estimated_cost / default_servings, falling back to
+ * recipes.estimated_cost.
+ */
+
+// Fewer matching recipes than this and there is nothing to vote on
+export const MIN_ROUND_OPTIONS = 2;
+
+export const CONSTRAINT_KEYS = ['time', 'cost', 'cuisine', 'group'];
+
+const normalizeCuisine = (c) => (c || '').trim().toLowerCase();
+
+const positiveOrNull = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+/**
+ * Clean up constraints from the setup step or the database.
+ * Cuisines are lowercased; empty values become null / [].
+ */
+export const normalizeRoundConstraints = (constraints = {}) => {
+  const c = constraints || {};
+  const include = [...new Set((c.includeCuisines || []).map(normalizeCuisine).filter(Boolean))];
+  const exclude = [...new Set((c.excludeCuisines || []).map(normalizeCuisine).filter(Boolean))]
+    .filter((cuisine) => !include.includes(cuisine));
+  return {
+    maxMinutes: positiveOrNull(c.maxMinutes),
+    maxCostPerPerson: positiveOrNull(c.maxCostPerPerson),
+    includeCuisines: include,
+    excludeCuisines: exclude,
+    groupOnly: !!c.groupOnly,
+  };
+};
+
+/**
+ * True when any constraint is set
+ */
+export const hasRoundConstraints = (constraints) => {
+  const c = normalizeRoundConstraints(constraints);
+  return !!(c.maxMinutes || c.maxCostPerPerson || c.includeCuisines.length || c.excludeCuisines.length || c.groupOnly);
+};
+
+/**
+ * Estimated cost per person of a recipe, or null when unknown.
+ * extras: { default_servings, estimated_cost } from recipe_extras
+ */
+export const getCostPerPerson = (recipe, extras = {}) => {
+  const cost = extras?.estimated_cost ?? recipe?.estimated_cost;
+  const servings = extras?.default_servings || recipe?.default_servings || 4;
+  const total = Number(cost);
+  if (cost == null || !Number.isFinite(total) || total <= 0) return null;
+  return Math.round((total / servings) * 100) / 100;
+};
+
+/**
+ * Constraints a recipe breaks: a subset of CONSTRAINT_KEYS, empty when it fits.
+ * sharedIds: recipe ids saved by the group; getExtras(recipe) -> recipe_extras row
+ */
+export const getConstraintViolations = (recipe, constraints, { sharedIds = [], getExtras = () => ({}) } = {}) => {
+  const c = normalizeRoundConstraints(constraints);
+  const broken = [];
+  const minutes = Number(recipe.cooking_time_minutes);
+  if (c.maxMinutes && Number.isFinite(minutes) && minutes > c.maxMinutes) broken.push('time');
+  if (c.maxCostPerPerson) {
+    const perPerson = getCostPerPerson(recipe, getExtras(recipe));
+    if (perPerson != null && perPerson > c.maxCostPerPerson) broken.push('cost');
+  }
+  const cuisine = normalizeCuisine(recipe.cuisine_type);
+  if ((c.includeCuisines.length && !c.includeCuisines.includes(cuisine)) || c.excludeCuisines.includes(cuisine)) {
+    broken.push('cuisine');
+  }
+  if (c.groupOnly && !sharedIds.includes(recipe.id)) broken.push('group');
+  return broken;
+};
+
+// PostgREST value, quoted so cuisines with commas or brackets stay one value
+const quoteFilterValue = (value) => `"${value.replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * The time and cuisine constraints as one filter for query.or(), so the
+ * recipes query applies them before its limit instead of the app filtering
+ * an arbitrary slice. Same rules as getConstraintViolations: recipes without
+ * a cooking time pass, recipes without a cuisine only fail an include list.
+ * keys picks which of 'time' / 'cuisine' to use; null when nothing applies.
+ */
+export const getConstraintQueryFilter = (constraints, keys = ['time', 'cuisine']) => {
+  const c = normalizeRoundConstraints(constraints);
+  const parts = [];
+  if (keys.includes('time') && c.maxMinutes) {
+    parts.push(`or(cooking_time_minutes.is.null,cooking_time_minutes.lte.${c.maxMinutes})`);
+  }
+  if (keys.includes('cuisine')) {
+    if (c.includeCuisines.length) {
+      parts.push(`or(${c.includeCuisines.map((x) => `cuisine_type.ilike.${quoteFilterValue(x)}`).join(',')})`);
+    }
+    c.excludeCuisines.forEach((x) => parts.push(`or(cuisine_type.is.null,cuisine_type.not.ilike.${quoteFilterValue(x)})`));
+  }
+  return parts.length ? `and(${parts.join(',')})` : null;
+};
+
+/**
+ * Split a pool of recipes on the constraints.
+ * Returns { matching, rejected: { time, cost, cuisine, group } } where
+ * rejected counts the recipes each constraint ruled out (one recipe can
+ * count for several).
+ */
+export const applyRoundConstraints = (recipes, constraints, context = {}) => {
+  const rejected = Object.fromEntries(CONSTRAINT_KEYS.map((key) => [key, 0]));
+  const matching = (recipes || []).filter((recipe) => {
+    const broken = getConstraintViolations(recipe, constraints, context);
+    broken.forEach((key) => { rejected[key] += 1; });
+    return broken.length === 0;
+  });
+  return { matching, rejected };
+};
+
+/**
+ * The constraint that ruled out the most recipes, to suggest loosening it.
+ * null when nothing was ruled out.
+ */
+export const getTightestConstraint = (rejected = {}) => {
+  const [key, count] = Object.entries(rejected).sort((a, b) => b[1] - a[1])[0] || [];
+  return count > 0 ? key : null;
+};
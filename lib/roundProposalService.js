@@ -0,0 +1,189 @@
+/**
+ * Round Proposal Service - members add their own candidates to an open round
+ * A member can add a meal from their own recipes, the group's saved recipes
+ * or their wishlist, or swap out one option nobody voted yes on. Swapping
+ * replaces that option with the new meal at the same position in one
+ * transaction (swap_round_option, migrations/fix-round-option-swap.sql), so
+ * votes on the other options stay. Each round takes at most
+ * groups.round_proposal_cap proposed meals; a trigger enforces the cap
+ * (see migrations/add-round-proposals.sql).
+ *
+ * Members who had already finished voting get a push: there is something
+ * new to vote on.
+ */
+
+import { supabase, USE_REAL_SUPABASE } from './supabase';
+import { getRoundBallots, toMealData } from './mealRequestService';
+import { getGroupSettings } from './groupsService';
+import { getMyRecipes } from './userRecipesService';
+import { getGroupRecipes } from './recipesService';
+import { getUserWishlist } from './wishlistService';
+import { notifyUsers } from './notificationService';
+import {
+  DEFAULT_PROPOSAL_CAP,
+  getProposalAllowance,
+  getReplaceableOptionIds,
+  getVotersToRenotify,
+} from './requestLifecycle';
+import { debugError } from './debugConfig';
+
+export const ROUND_OPTIONS_KIND = 'round_options_changed';
+
+export const PROPOSAL_SOURCES = ['mine', 'group', 'wishlist'];
+
+const normalizeName = (name) => (name || '').trim().toLowerCase();
+
+/**
+ * Recipes a member can propose, per source.
+ * Returns { success, sources: { mine: [], group: [], wishlist: [] } }
+ */
+export const getProposalSources = async (groupId) => {
+  if (!USE_REAL_SUPABASE) return { success: true, sources: { mine: [], group: [], wishlist: [] } };
+  const [mine, group, wishlist] = await Promise.all([
+    getMyRecipes(),
+    getGroupRecipes(groupId),
+    getUserWishlist(),
+  ]);
+  const named = (list) => (list || []).filter((r) => r?.name);
+  return {
+    success: mine.success || group.success || wishlist.success,
+    sources: {
+      mine: named(mine.recipes),
+      group: named(group.recipes),
+      wishlist: named(wishlist.wishlist),
+    },
+  };
+};
+
+/**
+ * Where a round stands for proposals.
+ * Returns { success, open, cap, used, left, options, replaceableIds }
+ */
+export const getProposalState = async (requestId) => {
+  if (!USE_REAL_SUPABASE) {
+    return { success: true, open: true, cap: DEFAULT_PROPOSAL_CAP, used: 0, left: DEFAULT_PROPOSAL_CAP, options: [], replaceableIds: [] };
+  }
+  try {
+    const { data: request, error } = await supabase
+      .from('meal_requests')
+      .select('id, group_id, status, closed_at')
+      .eq('id', requestId)
+      .single();
+    if (error || !request) return { success: false, error: error?.message || 'Round not found' };
+
+    const [[group], ballots] = await Promise.all([
+      getGroupSettings([request.group_id]),
+      getRoundBallots(requestId),
+    ]);
+    if (!ballots.success) return { success: false, error: ballots.error };
+
+    const cap = group?.round_proposal_cap ?? DEFAULT_PROPOSAL_CAP;
+    const { used, left } = getProposalAllowance(ballots.options, cap);
+    return {
+      success: true,
+      open: request.status === 'active' && !request.closed_at,
+      request,
+      group,
+      cap,
+      used,
+      left,
+      options: ballots.options,
+      votes: ballots.votes,
+      replaceableIds: getReplaceableOptionIds(ballots.options, ballots.votes),
+    };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+// meal_options.recipe_id points at public.recipes; personal recipes and old
+// wishlist entries are stored by their meal_data only
+const resolveRecipeId = async (recipe, source) => {
+  const id = source === 'mine' ? null : (recipe.recipe_id || recipe.id);
+  if (!id) return null;
+  const { data } = await supabase.from('recipes').select('id').eq('id', id).limit(1);
+  return data?.length ? id : null;
+};
+
+/**
+ * Add a meal to an open round, or swap it in for replaceOptionId.
+ * source: 'mine' | 'group' | 'wishlist'
+ * Returns { success, option, notified } or { success: false, error, reason }
+ * with reason 'closed' | 'cap' | 'duplicate' | 'liked'
+ */
+export const proposeRoundOption = async (requestId, recipe, { source, replaceOptionId = null } = {}) => {
+  if (!USE_REAL_SUPABASE) return { success: true, option: null, notified: 0 };
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return { success: false, error: 'Not authenticated' };
+
+    const state = await getProposalState(requestId);
+    if (!state.success) return state;
+    if (!state.open) return { success: false, reason: 'closed', error: 'Voting for this round is closed' };
+
+    const replaced = replaceOptionId ? state.options.find((o) => o.meal_option_id === replaceOptionId) : null;
+    if (replaceOptionId && !replaced) return { success: false, error: 'Option not found' };
+    if (replaced && !state.replaceableIds.includes(replaceOptionId)) {
+      return { success: false, reason: 'liked', error: 'Someone already voted for this option' };
+    }
+    // A proposal swapped for another proposal doesn't take a new slot
+    if (state.left <= 0 && !replaced?.proposed_by) {
+      return { success: false, reason: 'cap', error: 'No more proposals in this round' };
+    }
+
+    const recipeId = await resolveRecipeId(recipe, source);
+    const mealData = toMealData(recipe);
+    const duplicate = state.options.some((o) => o.meal_option_id !== replaceOptionId && (
+      (recipeId && o.recipe_id === recipeId) || normalizeName(o.meal_data?.name) === normalizeName(mealData.name)
+    ));
+    if (duplicate) return { success: false, reason: 'duplicate', error: 'This meal is already in the round' };
+
+    // Whoever finished before the change has a new option to vote on
+    const renotify = getVotersToRenotify(state.votes, state.options.length, user.id);
+
+    const mealDataWithSource = { ...mealData, proposal_source: source || null };
+    let inserted;
+    if (replaced) {
+      // The server re-checks votes and the cap and swaps in one transaction
+      const { data, error: swapErr } = await supabase.rpc('swap_round_option', {
+        p_replace_option_id: replaceOptionId,
+        p_recipe_id: recipeId,
+        p_meal_data: mealDataWithSource,
+      });
+      if (swapErr) return { success: false, error: swapErr.message };
+      if (!data?.success) return { success: false, reason: data?.reason, error: data?.error || 'Could not swap the option' };
+      inserted = data.option;
+    } else {
+      const lastOrder = Math.max(-1, ...state.options.map((o) => o.display_order ?? 0));
+      const { data, error: insertErr } = await supabase
+        .from('meal_options')
+        .insert({
+          request_id: requestId,
+          recipe_id: recipeId,
+          meal_data: mealDataWithSource,
+          display_order: lastOrder + 1,
+          proposed_by: user.id,
+        })
+        .select('id, meal_data, proposed_by')
+        .single();
+      if (insertErr) return { success: false, error: insertErr.message };
+      inserted = data;
+    }
+
+    const name = mealData.name;
+    const groupName = state.group?.name;
+    await notifyUsers(renotify, {
+      kind: ROUND_OPTIONS_KIND,
+      title: groupName || 'Happie',
+      body: replaced
+        ? `${replaced.meal_data?.name || 'Een optie'} is vervangen door ${name}. Stem je nog even?`
+        : `${name} is toegevoegd aan de stemming. Stem je nog even?`,
+      data: { groupId: state.request.group_id, groupName, requestId },
+    });
+
+    return { success: true, option: inserted, notified: renotify.length };
+  } catch (e) {
+    debugError('VOTING', 'proposeRoundOption failed:', e);
+    return { success: false, error: e?.message || 'proposeRoundOption failed' };
+  }
+};
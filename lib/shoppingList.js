@@ -0,0 +1,191 @@
+/**
+ * Shopping List - Turn recipe ingredients into a merged, aisle-grouped list
+ * Pure helpers (no Supabase) shared by shoppingService and ShoppingListScreen.
+ */
+
+import {
+  parseIngredient,
+  scaleParsedIngredient,
+  addParsedIngredients,
+  formatQuantity,
+  formatUnit,
+  getUnitFamily,
+} from './ingredientScaler';
+
+// Supermarket aisles in walking order (AH/Jumbo layout: fresh first, frozen last).
+// Keywords are matched against the lowercased ingredient name.
+export const AISLES = [
+  {
+    key: 'produce',
+    label: 'Groente & fruit',
+    keywords: [
+      'ui', 'uien', 'sjalot', 'knoflook', 'tomaat', 'tomaten', 'paprika', 'courgette', 'aubergine',
+      'wortel', 'winterpeen', 'prei', 'spinazie', 'sla', 'rucola', 'komkommer', 'broccoli', 'bloemkool',
+      'champignon', 'paddenstoel', 'avocado', 'limoen', 'citroen', 'appel', 'banaan', 'peer', 'mango',
+      'ananas', 'aardappel', 'zoete aardappel', 'gember', 'peterselie', 'koriander', 'basilicum',
+      'bosui', 'lente-ui', 'spitskool', 'boerenkool', 'andijvie', 'zuurkool', 'sinaasappel', 'chili',
+      'onion', 'garlic', 'tomato', 'pepper', 'carrot', 'lettuce', 'potato', 'lemon', 'lime',
+    ],
+  },
+  {
+    key: 'meat_fish',
+    label: 'Vlees & vis',
+    keywords: [
+      'kip', 'kipfilet', 'kippendij', 'gehakt', 'rundergehakt', 'biefstuk', 'spek', 'spekjes',
+      'pancetta', 'bacon', 'worst', 'rookworst', 'shoarma', 'ham', 'chorizo', 'zalm', 'tonijn',
+      'garnalen', 'vis', 'kabeljauw', 'vegetarische', 'tofu', 'tempeh', 'chicken', 'beef', 'pork',
+      'salmon', 'shrimp', 'mince',
+    ],
+  },
+  {
+    key: 'dairy',
+    label: 'Zuivel & eieren',
+    keywords: [
+      'melk', 'room', 'slagroom', 'kookroom', 'crème fraîche', 'creme fraiche', 'yoghurt', 'kwark',
+      'boter', 'roomboter', 'kaas', 'parmezaan', 'mozzarella', 'burrata', 'feta', 'geitenkaas',
+      'cheddar', 'ei', 'eieren', 'milk', 'cream', 'butter', 'cheese', 'egg', 'eggs',
+    ],
+  },
+  {
+    key: 'bakery',
+    label: 'Brood & bakkerij',
+    keywords: ['brood', 'stokbrood', 'wrap', 'wraps', 'tortilla', 'pita', 'naan', 'bread', 'bun', 'broodjes'],
+  },
+  {
+    key: 'dry_goods',
+    label: 'Pasta, rijst & wereldkeuken',
+    keywords: [
+      'pasta', 'spaghetti', 'penne', 'macaroni', 'tagliatelle', 'lasagne', 'noedels', 'mie', 'rijst',
+      'risottorijst', 'couscous', 'bulgur', 'quinoa', 'linzen', 'bloem', 'meel', 'paneermeel', 'suiker',
+      'sojasaus', 'ketjap', 'sambal', 'currypasta', 'kokosmelk', 'noodles', 'rice', 'flour', 'sugar',
+    ],
+  },
+  {
+    key: 'canned',
+    label: 'Conserven & sauzen',
+    keywords: [
+      'tomatenpuree', 'passata', 'tomatenblokjes', 'gepelde tomaten', 'bonen', 'kidneybonen',
+      'kikkererwten', 'mais', 'pesto', 'mayonaise', 'ketchup', 'mosterd', 'bouillon', 'bouillonblokje',
+      'olijven', 'kappertjes', 'azijn', 'beans', 'stock',
+    ],
+  },
+  {
+    key: 'spices_oil',
+    label: 'Kruiden & olie',
+    keywords: [
+      'olie', 'olijfolie', 'zonnebloemolie', 'zout', 'peper', 'paprikapoeder', 'komijn', 'kurkuma',
+      'kerrie', 'oregano', 'tijm', 'rozemarijn', 'kaneel', 'nootmuskaat', 'laurier', 'chilivlokken',
+      'italiaanse kruiden', 'oil', 'salt', 'cumin',
+    ],
+  },
+  {
+    key: 'frozen',
+    label: 'Diepvries',
+    keywords: ['diepvries', 'erwten', 'doperwten', 'frozen', 'ijs'],
+  },
+  { key: 'other', label: 'Overig', keywords: [] },
+];
+
+const AISLE_ORDER = AISLES.reduce((map, aisle, idx) => ({ ...map, [aisle.key]: idx }), {});
+
+/**
+ * Guess the supermarket aisle for an ingredient name
+ * "rundergehakt" → "meat_fish", "olijfolie" → "spices_oil", "iets geks" → "other"
+ */
+export const getAisleForIngredient = (name) => {
+  const lower = (name || '').toLowerCase();
+  if (!lower) return 'other';
+  const words = lower.split(/[^a-zà-ÿ-]+/).filter(Boolean);
+
+  // Whole-word matches win over substring matches, so "peper" in
+  // "paprikapoeder" doesn't beat the exact hit on "paprikapoeder".
+  for (const aisle of AISLES) {
+    if (aisle.keywords.some((k) => words.includes(k) || lower === k)) return aisle.key;
+  }
+  for (const aisle of AISLES) {
+    if (aisle.keywords.some((k) => k.length > 3 && lower.includes(k))) return aisle.key;
+  }
+  return 'other';
+};
+
+/**
+ * Key used to merge duplicate ingredients: "Uien " and "uien" are the same item.
+ */
+const mergeKey = (name) => (name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Build merged shopping items from one or more recipes.
+ *
+ * recipes: [{ ingredients: [...], defaultServings, servings }]
+ * Returns [{ key, name, qty, qtyMax, unit, quantity_text, aisle, sources }]
+ * where quantity_text is ready for display ("1,5 kg") and sources lists the
+ * original lines that were merged into the item. key is the name plus the
+ * unit family ("olie|spoon", "olie|volume"), so rows that stay apart because
+ * of their units keep their own checked state.
+ */
+export const buildShoppingItems = (recipes) => {
+  const items = [];
+
+  (recipes || []).forEach(({ ingredients, defaultServings, servings }) => {
+    const ratio = defaultServings && servings ? servings / defaultServings : 1;
+    (ingredients || []).forEach((raw) => {
+      const parsed = parseIngredient(raw);
+      if (!parsed.name) return;
+      const scaled = scaleParsedIngredient(parsed, ratio);
+      const key = mergeKey(scaled.name);
+
+      // Merge into an existing row when the units are compatible; otherwise
+      // keep a separate row ("2 el olie" and "100 ml olie" stay apart).
+      const existing = items.find((i) => i.key === key && addParsedIngredients(i, scaled));
+      if (existing) {
+        const merged = addParsedIngredients(existing, scaled);
+        existing.qty = merged.qty;
+        existing.qtyMax = merged.qtyMax;
+        existing.unit = merged.unit;
+        existing.sources.push(typeof raw === 'string' ? raw : parsed.name);
+        return;
+      }
+
+      items.push({
+        key,
+        name: scaled.name,
+        qty: scaled.qty,
+        qtyMax: scaled.qtyMax,
+        unit: scaled.unit,
+        aisle: getAisleForIngredient(scaled.name),
+        sources: [typeof raw === 'string' ? raw : parsed.name],
+      });
+    });
+  });
+
+  return items.map((item) => ({
+    ...item,
+    key: `${item.key}|${item.qty !== null ? getUnitFamily(item.unit) || '' : ''}`,
+    quantity_text: [formatQuantity(item.qty, item.qtyMax, item.unit), item.qty !== null ? formatUnit(item.unit, item.qty, item.qtyMax) : null]
+      .filter(Boolean)
+      .join(' '),
+  }));
+};
+
+/**
+ * Group items into aisle sections in walking order, for a SectionList.
+ * Returns [{ key, title, data: [...items] }]; unchecked items come first
+ * within each aisle so what's left to grab stays on top.
+ */
+export const groupItemsByAisle = (items) => {
+  const byAisle = {};
+  (items || []).forEach((item) => {
+    const aisle = AISLE_ORDER[item.aisle] !== undefined ? item.aisle : 'other';
+    (byAisle[aisle] = byAisle[aisle] || []).push(item);
+  });
+  return AISLES
+    .filter((aisle) => byAisle[aisle.key]?.length)
+    .map((aisle) => ({
+      key: aisle.key,
+      title: aisle.label,
+      data: [...byAisle[aisle.key]].sort((a, b) => {
+        if (!!a.checked !== !!b.checked) return a.checked ? 1 : -1;
+        return (a.name || '').localeCompare(b.name || '');
+      }),
+    }));
+};
@@ -1,12 +1,18 @@
 /**
- * Shopping Service - Track who is currently shopping for a group
+ * Shopping Service - Track who is currently shopping for a group, and what to buy
  * Maps to: group_shopping_status (group_id, user_id, shopping_date, is_active)
+ *          group_shopping_lists (group_id, list_date, meal_name, servings)
+ *          group_shopping_items (list_id, name, quantity_text, aisle, checked)
  */
 
 import { supabase } from './supabase';
-import { sendPushNotifications } from './notificationService';
-
-const getTodayDate = () => new Date().toISOString().split('T')[0];
+import { notifyGroup } from './notificationService';
+import { getTopVotedMeals } from './mealRequestService';
+import { getResponseCounts, getPlannedMealToday } from './dailyResponseService';
+import { loadRecipeExtras, getRecipeExtras } from './recipeExtrasService';
+import { buildShoppingItems } from './shoppingList';
+import { registerOutboxHandler, runOrQueue, isNetworkError } from './outbox';
+import { getGroupToday } from './dinnerDayService';
 
 /**
  * Get active shopper for a group today.
@@ -14,7 +20,7 @@ const getTodayDate = () => new Date().toISOString().split('T')[0];
  */
 export const getActiveShopperToday = async (groupId) => {
   try {
-    const today = getTodayDate();
+    const today = await getGroupToday(groupId);
     const { data, error } = await supabase
       .from('group_shopping_status')
       .select('user_id, started_at')
@@ -54,7 +60,7 @@ export const startShopping = async (groupId) => {
     const { data: { user }, error: authErr } = await supabase.auth.getUser();
     if (authErr || !user) return { success: false, error: 'Niet ingelogd' };
 
-    const today = getTodayDate();
+    const today = await getGroupToday(groupId);
 
     // Check if someone else is already shopping
     const { data: existing } = await supabase
@@ -94,7 +100,12 @@ export const startShopping = async (groupId) => {
     const userName = profile?.full_name || 'Iemand';
 
     // Send push to other group members
-    notifyGroupMembers(groupId, user.id, 'Boodschappen', `${userName} gaat nu inkopen`);
+    notifyGroup('shopping_started', {
+      groupId,
+      title: 'Boodschappen',
+      body: `${userName} gaat nu inkopen`,
+      data: { groupId },
+    });
 
     return {
       success: true,
@@ -113,7 +124,7 @@ export const stopShopping = async (groupId) => {
     const { data: { user }, error: authErr } = await supabase.auth.getUser();
     if (authErr || !user) return { success: false, error: 'Niet ingelogd' };
 
-    const today = getTodayDate();
+    const today = await getGroupToday(groupId);
 
     const { error } = await supabase
       .from('group_shopping_status')
@@ -130,33 +141,168 @@ export const stopShopping = async (groupId) => {
 };
 
 /**
- * Send push notification to all group members except the sender.
+ * Get today's shopping list for a group.
+ * Returns { list: { id, meal_name, servings, ... } | null, items: [...] }
  */
-const notifyGroupMembers = async (groupId, excludeUserId, title, body) => {
+export const getShoppingListToday = async (groupId) => {
   try {
-    const { data: members } = await supabase
-      .from('group_members')
-      .select('user_id')
+    const today = await getGroupToday(groupId);
+    const { data: list, error } = await supabase
+      .from('group_shopping_lists')
+      .select('id, group_id, list_date, request_id, meal_option_id, meal_name, servings, created_by, updated_at')
       .eq('group_id', groupId)
-      .neq('user_id', excludeUserId);
+      .eq('list_date', today)
+      .maybeSingle();
 
-    if (!members?.length) return;
+    if (error) throw error;
+    if (!list) return { success: true, list: null, items: [] };
 
-    const userIds = members.map(m => m.user_id);
-    const { data: profiles } = await supabase
-      .from('profiles')
-      .select('push_token')
-      .in('id', userIds)
-      .not('push_token', 'is', null);
+    const { data: items, error: itemsErr } = await supabase
+      .from('group_shopping_items')
+      .select('id, list_id, item_key, name, quantity_text, aisle, checked, checked_by, checked_at, sort_order')
+      .eq('list_id', list.id)
+      .order('sort_order');
 
-    if (!profiles?.length) return;
+    if (itemsErr) throw itemsErr;
+    return { success: true, list, items: items || [] };
+  } catch (error) {
+    return { success: false, error: error.message, list: null, items: [] };
+  }
+};
 
-    const tokens = profiles.map(p => p.push_token).filter(Boolean);
-    await sendPushNotifications(tokens, title, body, {
-      type: 'shopping_started',
-      groupId,
+/**
+ * Generate (or regenerate) today's shopping list from the winning meal of a
+ * voting round. Ingredients are scaled to tonight's portions (eaters plus
+ * guests) and merged/grouped by aisle. Without a daily winner, today's meal from the
+ * weekly plan is used. Items that were already checked off stay checked
+ * when the list is regenerated (e.g. after someone else says yes).
+ */
+export const generateShoppingList = async (groupId, requestId) => {
+  try {
+    const { data: { user }, error: authErr } = await supabase.auth.getUser();
+    if (authErr || !user) return { success: false, error: 'Niet ingelogd' };
+
+    const { topMeals } = requestId ? await getTopVotedMeals(requestId) : { topMeals: [] };
+    let winner = topMeals?.[0];
+    let listRequestId = requestId;
+    if (!winner || !(Number(winner.yes_votes) > 0)) {
+      // No daily vote today: fall back to this week's plan
+      const planned = await getPlannedMealToday(groupId);
+      if (!planned) return { success: false, error: 'Er is nog geen winnaar' };
+      winner = { meal_option_id: planned.meal_option_id, meal_data: planned.meal_data };
+      listRequestId = planned.request_id;
+    }
+
+    const mealData = winner.meal_data || {};
+    // Everyone eating tonight plus their guests (see dinnerResponses.js)
+    const counts = await getResponseCounts(groupId);
+    const servings = Math.max(counts.portions || 0, 1);
+
+    await loadRecipeExtras();
+    const defaultServings = mealData.default_servings || getRecipeExtras(mealData.name).default_servings;
+
+    const items = buildShoppingItems([
+      { ingredients: mealData.ingredients || [], defaultServings, servings },
+    ]);
+
+    const today = await getGroupToday(groupId);
+    const { data: list, error: listErr } = await supabase
+      .from('group_shopping_lists')
+      .upsert({
+        group_id: groupId,
+        list_date: today,
+        request_id: listRequestId,
+        meal_option_id: winner.meal_option_id,
+        meal_name: mealData.name || null,
+        servings,
+        created_by: user.id,
+        updated_at: new Date().toISOString(),
+      }, {
+        onConflict: 'group_id,list_date',
+      })
+      .select('id, group_id, list_date, request_id, meal_option_id, meal_name, servings, created_by, updated_at')
+      .single();
+
+    if (listErr) throw listErr;
+
+    // Replace the items in one transaction; the server carries over checked
+    // state by item_key so a regenerate doesn't undo the shopper's work
+    const rows = items.map((item, idx) => ({
+      item_key: item.key,
+      name: item.name,
+      quantity_text: item.quantity_text || null,
+      aisle: item.aisle,
+      sort_order: idx,
+    }));
+    const { data: inserted, error: replaceErr } = await supabase.rpc('replace_shopping_items', {
+      p_list_id: list.id,
+      p_items: rows,
     });
+    if (replaceErr) throw replaceErr;
+
+    const sorted = [...(inserted || [])].sort((a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0));
+    return { success: true, list, items: sorted };
   } catch (error) {
-    // Silent fail - notification is best-effort
+    return { success: false, error: error.message };
   }
 };
+
+/**
+ * Check or uncheck a shopping list item.
+ */
+const submitShoppingToggle = async ({ itemId, checked }) => {
+  try {
+    const { data: { user }, error: authErr } = await supabase.auth.getUser();
+    if (isNetworkError(authErr)) return { success: false, error: authErr.message };
+    if (authErr || !user) return { success: false, error: 'Niet ingelogd' };
+
+    const { error } = await supabase
+      .from('group_shopping_items')
+      .update({
+        checked: !!checked,
+        checked_by: checked ? user.id : null,
+        checked_at: checked ? new Date().toISOString() : null,
+      })
+      .eq('id', itemId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+registerOutboxHandler('shopping_toggle', submitShoppingToggle);
+
+/**
+ * Check/uncheck an item. Queued in the outbox when offline (last toggle wins).
+ */
+export const setShoppingItemChecked = async (itemId, checked) =>
+  runOrQueue('shopping_toggle', { itemId, checked: !!checked }, `shopping:${itemId}`);
+
+/**
+ * Subscribe to live changes on a shopping list's items.
+ * onChange(eventType, row) is called with 'INSERT' | 'UPDATE' | 'DELETE'.
+ * Returns an unsubscribe function.
+ */
+export const subscribeToShoppingList = (listId, onChange) => {
+  const channel = supabase
+    .channel(`shopping-list-${listId}`)
+    .on(
+      'postgres_changes',
+      {
+        event: '*',
+        schema: 'public',
+        table: 'group_shopping_items',
+        filter: `list_id=eq.${listId}`,
+      },
+      (payload) => {
+        onChange(payload.eventType, payload.eventType === 'DELETE' ? payload.old : payload.new);
+      }
+    )
+    .subscribe();
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+};
@@ -1,10 +1,12 @@
 /**
  * Stable sort for top meals: votes DESC, then name ASC, then ID for full determinism.
+ * Meals tallied with another voting method (see votingMethods) keep their tally_rank.
  * Shared across AppStateContext, batchDataService, and GroupsScreenSimple.
  */
 export const sortTopMeals = (meals) => {
   if (!Array.isArray(meals) || meals.length <= 1) return meals;
   return [...meals].sort((a, b) => {
+    if (a.tally_rank != null && b.tally_rank != null) return a.tally_rank - b.tally_rank;
     const votesA = a.yes_votes ?? a.vote_total ?? 0;
     const votesB = b.yes_votes ?? b.vote_total ?? 0;
     if (votesB !== votesA) return votesB - votesA;
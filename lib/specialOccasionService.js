@@ -6,6 +6,7 @@
 import { supabase } from './supabase';
 import { USE_REAL_SUPABASE } from './supabase';
 import { getRandomRecipes } from './recipesService';
+import { getMyToday } from './dinnerDayService';
 
 const FALLBACK_MEAL_DATA = [
   { name: 'Pasta Carbonara', thumbnail_url: 'https://images.unsplash.com/photo-1612874742237-6526221588e3?w=400', total_time_minutes: 25 },
@@ -26,7 +27,7 @@ export const createSpecialOccasion = async (occasionData, participantUserIds = [
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) return { success: false, error: 'Not authenticated' };
 
-    const date = occasionData.date || new Date().toISOString().split('T')[0];
+    const date = occasionData.date || getMyToday();
     const groupIdArray = (groupIds || []).filter(Boolean);
 
     // Try RPC first (SECURITY DEFINER - bypasses RLS entirely)
@@ -106,7 +107,7 @@ export const getMySpecialOccasions = async () => {
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) return { success: true, occasions: [] };
 
-    const today = new Date().toISOString().split('T')[0];
+    const today = getMyToday();
     const { data: partRows } = await supabase
       .from('special_occasion_participants')
       .select('occasion_id')
@@ -156,7 +157,7 @@ export const getPastOccasions = async () => {
   try {
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) return { success: true, occasions: [] };
-    const today = new Date().toISOString().split('T')[0];
+    const today = getMyToday();
     const { data: partRows } = await supabase
       .from('special_occasion_participants')
       .select('occasion_id')
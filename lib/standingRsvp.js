@@ -0,0 +1,61 @@
+/**
+ * Standing RSVPs - answers the app gives on a member's behalf
+ * A member can set a weekly default per group (rsvp_defaults.weekdays,
+ * e.g. { 1: 'yes', 2: 'yes', 3: 'yes', 4: 'yes', 5: 'no' }) and absence
+ * periods for all their groups (member_absences). On the day these are
+ * written to daily_responses with auto_source 'standing' or 'absence' by
+ * apply_auto_responses(); an absence wins over the weekly default and
+ * whatever the member answers themselves wins over both.
+ *
+ * Auto answers are not engagement: inactivity checks only look at answers
+ * the member gave themselves.
+ */
+
+// Monday first, as the week is shown; values are Date#getDay()
+export const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+export const AUTO_SOURCES = ['standing', 'absence'];
+
+// Weekday default cycle in the settings: none -> yes -> no -> none
+export const nextWeekdayDefault = (value) => (value === 'yes' ? 'no' : value === 'no' ? null : 'yes');
+
+/**
+ * Only 'yes' / 'no' for weekdays 0-6 survive; keys are strings as in JSONB.
+ */
+export const normalizeWeekdayDefaults = (weekdays = {}) => Object.fromEntries(
+  Object.entries(weekdays || {})
+    .filter(([day, response]) => WEEKDAYS.includes(Number(day)) && ['yes', 'no'].includes(response))
+    .map(([day, response]) => [String(Number(day)), response])
+);
+
+// Day of the week of a 'YYYY-MM-DD' date, independent of the device timezone
+export const getWeekday = (date) => new Date(`${date}T12:00:00Z`).getUTCDay();
+
+/**
+ * The absence that covers date, or null. absences: [{ starts_on, ends_on }]
+ */
+export const findAbsence = (absences = [], date) => (
+  absences.find((a) => a.starts_on <= date && date <= a.ends_on) || null
+);
+
+/**
+ * What the app answers for a member on date, or null when it doesn't.
+ * Returns { response, source } — mirrors apply_auto_responses().
+ */
+export const getAutoResponse = ({ weekdays = {}, absences = [], date }) => {
+  if (findAbsence(absences, date)) return { response: 'no', source: 'absence' };
+  const response = normalizeWeekdayDefaults(weekdays)[String(getWeekday(date))];
+  return response ? { response, source: 'standing' } : null;
+};
+
+/**
+ * True when a daily_responses row was answered by the member themselves
+ */
+export const isEngagement = (row) => !!row && !row.auto_source;
+
+/**
+ * An absence period is valid when it has both dates in order and isn't over.
+ */
+export const isValidAbsence = ({ startsOn, endsOn }, today) => (
+  !!startsOn && !!endsOn && startsOn <= endsOn && endsOn >= today
+);
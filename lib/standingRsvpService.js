@@ -0,0 +1,152 @@
+/**
+ * Standing RSVP Service - weekly defaults and absence periods
+ * Maps to: rsvp_defaults (group_id, user_id, weekdays)
+ *          member_absences (user_id, starts_on, ends_on, note)
+ * The rules live in standingRsvp.js; apply_auto_responses() writes them to
+ * daily_responses on the day.
+ */
+
+import { supabase, USE_REAL_SUPABASE } from './supabase';
+import { normalizeWeekdayDefaults, isValidAbsence } from './standingRsvp';
+import { getGroupToday, getMyToday } from './dinnerDayService';
+import { debugError } from './debugConfig';
+
+const getMyGroupIds = async (userId) => {
+  const { data } = await supabase
+    .from('group_members')
+    .select('group_id')
+    .eq('user_id', userId)
+    .eq('is_active', true);
+  return (data || []).map((m) => m.group_id);
+};
+
+/**
+ * Write today's automatic answers for groups (default: all my groups).
+ * date defaults to each group's own dinner day. Runs on every device at app
+ * start and on foreground, like the deadline checks; the database function
+ * is safe to run any number of times.
+ */
+export const applyAutoResponses = async ({ groupIds, date } = {}) => {
+  if (!USE_REAL_SUPABASE) return { success: true, written: 0 };
+  try {
+    let ids = groupIds;
+    if (!ids) {
+      const { data: { user } } = await supabase.auth.getUser();
+      if (!user) return { success: false, error: 'Not authenticated' };
+      ids = await getMyGroupIds(user.id);
+    }
+    let written = 0;
+    for (const groupId of ids) {
+      const day = date || await getGroupToday(groupId);
+      const { data, error } = await supabase.rpc('apply_auto_responses', { p_group_id: groupId, p_date: day });
+      if (error) {
+        debugError('SERVICES', 'apply_auto_responses failed:', error);
+        continue;
+      }
+      written += data || 0;
+    }
+    return { success: true, written };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+/**
+ * My weekly defaults for every group I'm in.
+ * Returns { success, defaults: { [groupId]: { [weekday]: 'yes' | 'no' } } }
+ */
+export const getMyRsvpDefaults = async () => {
+  if (!USE_REAL_SUPABASE) return { success: true, defaults: {} };
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return { success: false, error: 'Not authenticated', defaults: {} };
+    const { data, error } = await supabase
+      .from('rsvp_defaults')
+      .select('group_id, weekdays')
+      .eq('user_id', user.id);
+    if (error) return { success: false, error: error.message, defaults: {} };
+    return {
+      success: true,
+      defaults: Object.fromEntries((data || []).map((row) => [row.group_id, normalizeWeekdayDefaults(row.weekdays)])),
+    };
+  } catch (e) {
+    return { success: false, error: e?.message, defaults: {} };
+  }
+};
+
+/**
+ * Save my weekly default for a group and apply it to today right away
+ */
+export const setMyRsvpDefaults = async (groupId, weekdays) => {
+  if (!USE_REAL_SUPABASE) return { success: true };
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return { success: false, error: 'Not authenticated' };
+    const { error } = await supabase
+      .from('rsvp_defaults')
+      .upsert(
+        { group_id: groupId, user_id: user.id, weekdays: normalizeWeekdayDefaults(weekdays), updated_at: new Date().toISOString() },
+        { onConflict: 'group_id,user_id' }
+      );
+    if (error) return { success: false, error: error.message };
+    await applyAutoResponses({ groupIds: [groupId] });
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+/**
+ * My absences that aren't over yet, soonest first
+ */
+export const getMyAbsences = async () => {
+  if (!USE_REAL_SUPABASE) return { success: true, absences: [] };
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return { success: false, error: 'Not authenticated', absences: [] };
+    const { data, error } = await supabase
+      .from('member_absences')
+      .select('id, starts_on, ends_on, note')
+      .eq('user_id', user.id)
+      .gte('ends_on', getMyToday())
+      .order('starts_on', { ascending: true });
+    if (error) return { success: false, error: error.message, absences: [] };
+    return { success: true, absences: data || [] };
+  } catch (e) {
+    return { success: false, error: e?.message, absences: [] };
+  }
+};
+
+/**
+ * Add an absence period ('YYYY-MM-DD' dates, inclusive) for all my groups
+ */
+export const addAbsence = async ({ startsOn, endsOn, note }) => {
+  if (!USE_REAL_SUPABASE) return { success: true };
+  if (!isValidAbsence({ startsOn, endsOn }, getMyToday())) return { success: false, error: 'Ongeldige periode' };
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return { success: false, error: 'Not authenticated' };
+    const { data, error } = await supabase
+      .from('member_absences')
+      .insert({ user_id: user.id, starts_on: startsOn, ends_on: endsOn, note: note?.trim() || null })
+      .select('id, starts_on, ends_on, note')
+      .single();
+    if (error) return { success: false, error: error.message };
+    await applyAutoResponses();
+    return { success: true, absence: data };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+export const removeAbsence = async (absenceId) => {
+  if (!USE_REAL_SUPABASE) return { success: true };
+  try {
+    const { error } = await supabase.from('member_absences').delete().eq('id', absenceId);
+    if (error) return { success: false, error: error.message };
+    await applyAutoResponses();
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
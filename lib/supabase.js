@@ -64,8 +64,8 @@ if (USE_REAL_SUPABASE) {
       opts?.head ? Promise.resolve({ count: 0, error: null }) : chainBuilder(),
     insert: () => ({ select: () => chainBuilder(), single: () => Promise.resolve({ data: null, error: null }), then: (r) => r(successResult), catch: () => {} }),
     upsert: () => ({ select: () => chainBuilder(), then: (r) => r(successResult), catch: () => {} }),
-    update: () => ({ eq: () => ({ then: (r) => r(successResult), catch: () => {} }) }),
-    delete: () => ({ eq: () => ({ then: (r) => r(successResult), catch: () => {} }) }),
+    update: () => chainBuilder(successResult),
+    delete: () => chainBuilder(successResult),
   });
 
   supabase = {
@@ -1,17 +1,99 @@
 /**
- * Terminated Sessions Service - Stub (no Supabase)
+ * Terminated Sessions Service - history of closed voting rounds
+ * Maps to: terminated_sessions (group_id, request_id, group_name, top_results, member_responses, terminated_at)
+ * Snapshots are unique per request, so saving the same round twice is a no-op.
  */
 
+import { supabase } from './supabase';
+
+const SESSION_FIELDS = 'id, group_id, request_id, group_name, top_results, member_responses, terminated_at';
+
 export const terminatedSessionsService = {
-  async saveTerminatedSession() {
-    return { success: true };
+  /**
+   * Store a snapshot row (see requestLifecycle.buildSessionSnapshot).
+   * Ignored when the request already has a snapshot.
+   */
+  async saveSnapshot(snapshot) {
+    try {
+      const { error } = await supabase
+        .from('terminated_sessions')
+        .upsert(snapshot, { onConflict: 'request_id', ignoreDuplicates: true });
+      if (error) return { success: false, error: error.message };
+      return { success: true };
+    } catch (e) {
+      return { success: false, error: e?.message };
+    }
+  },
+
+  async saveTerminatedSession(groupId, groupName, topResults, memberResponses, requestId = null) {
+    return this.saveSnapshot({
+      group_id: groupId,
+      request_id: requestId,
+      group_name: groupName || null,
+      top_results: topResults || [],
+      member_responses: memberResponses || [],
+      terminated_at: new Date().toISOString(),
+    });
+  },
+
+  /**
+   * Most recent snapshot for a group
+   */
+  async getTerminatedSession(groupId) {
+    try {
+      const { data, error } = await supabase
+        .from('terminated_sessions')
+        .select(SESSION_FIELDS)
+        .eq('group_id', groupId)
+        .order('terminated_at', { ascending: false })
+        .limit(1);
+      if (error) return { success: false, error: error.message, data: null };
+      return { success: true, data: data?.[0] || null };
+    } catch (e) {
+      return { success: false, error: e?.message, data: null };
+    }
+  },
+
+  async getTerminatedSessionsForGroup(groupId, limit = 20) {
+    try {
+      const { data, error } = await supabase
+        .from('terminated_sessions')
+        .select(SESSION_FIELDS)
+        .eq('group_id', groupId)
+        .order('terminated_at', { ascending: false })
+        .limit(limit);
+      if (error) return { success: false, error: error.message, sessions: [] };
+      return { success: true, sessions: data || [] };
+    } catch (e) {
+      return { success: false, error: e?.message, sessions: [] };
+    }
   },
 
-  async getTerminatedSession() {
-    return { success: true, data: null };
+  async clearTerminatedSession(groupId) {
+    try {
+      const { error } = await supabase
+        .from('terminated_sessions')
+        .delete()
+        .eq('group_id', groupId);
+      return error ? { success: false, error: error.message } : { success: true };
+    } catch (e) {
+      return { success: false, error: e?.message };
+    }
   },
 
-  async getTerminatedSessionsForGroup() {
-    return { success: true, sessions: [] };
+  /**
+   * Close every open daily round of a group (after its snapshot was saved)
+   */
+  async cleanupActiveSession(groupId) {
+    try {
+      const { error } = await supabase
+        .from('meal_requests')
+        .update({ status: 'completed' })
+        .eq('group_id', groupId)
+        .eq('status', 'active');
+      return error ? { success: false, error: error.message } : { success: true };
+    } catch (e) {
+      return { success: false, error: e?.message };
+    }
   },
 };
@@ -0,0 +1,243 @@
+/**
+ * Voting Methods - client-side tally for a meal request
+ *
+ * meal_votes rows: { meal_option_id, user_id, vote: 'yes'|'no'|'veto', rank, created_at }
+ *
+ *   yes_no    most "yes" votes wins (the original behaviour)
+ *   approval  every member picks at most `approvalLimit` meals; most picks wins
+ *   ranked    members rank the meals they like (rank 1 = favourite);
+ *             resolved by instant runoff
+ *   veto      yes/no, plus one veto per person that knocks a meal out
+ *
+ * Ties are broken like sortTopMeals: name, then option id.
+ * The returned `explanation` lets ResultsScreen show how the winner was chosen.
+ */
+
+import { sortTopMeals } from './sortTopMeals';
+
+export const VOTING_METHODS = ['yes_no', 'approval', 'ranked', 'veto'];
+export const DEFAULT_APPROVAL_LIMIT = 3;
+
+const byCreated = (a, b) => {
+  const ta = a.created_at || '';
+  const tb = b.created_at || '';
+  if (ta !== tb) return ta < tb ? -1 : 1;
+  return (a.meal_option_id || '') < (b.meal_option_id || '') ? -1 : 1;
+};
+
+const nameOf = (option) => (option.meal_data?.name || '').toLowerCase();
+
+const compareByNameAndId = (a, b) => {
+  const nameCmp = nameOf(a).localeCompare(nameOf(b));
+  if (nameCmp !== 0) return nameCmp;
+  const idA = a.meal_option_id || '';
+  const idB = b.meal_option_id || '';
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+};
+
+const groupByUser = (votes) => {
+  const map = new Map();
+  votes.forEach((v) => {
+    if (!map.has(v.user_id)) map.set(v.user_id, []);
+    map.get(v.user_id).push(v);
+  });
+  return map;
+};
+
+/** Per-option yes/no/veto counts, counting each user's vote once */
+const countVotes = (options, votes) => {
+  const counts = new Map(options.map((o) => [o.meal_option_id, { yes_votes: 0, no_votes: 0, vetoes: 0 }]));
+  votes.forEach((v) => {
+    const c = counts.get(v.meal_option_id);
+    if (!c) return;
+    if (v.vote === 'yes') c.yes_votes += 1;
+    else if (v.vote === 'veto') c.vetoes += 1;
+    else c.no_votes += 1;
+  });
+  return counts;
+};
+
+const tallyYesNo = (options, votes) => {
+  const counts = countVotes(options, votes);
+  const ranking = options
+    .map((o) => ({ ...o, ...counts.get(o.meal_option_id), score: counts.get(o.meal_option_id).yes_votes }))
+    .sort((a, b) => b.score - a.score || compareByNameAndId(a, b));
+  const tie = ranking.length > 1 && ranking[0].score > 0 && ranking[0].score === ranking[1].score;
+  return { ranking, explanation: { tie } };
+};
+
+const tallyApproval = (options, votes, approvalLimit) => {
+  // Only a member's first `approvalLimit` picks count
+  let ignored = 0;
+  const counted = [];
+  groupByUser(votes).forEach((userVotes) => {
+    const picks = userVotes.filter((v) => v.vote === 'yes').sort(byCreated);
+    ignored += Math.max(0, picks.length - approvalLimit);
+    counted.push(...picks.slice(0, approvalLimit));
+    counted.push(...userVotes.filter((v) => v.vote !== 'yes'));
+  });
+  const { ranking, explanation } = tallyYesNo(options, counted);
+  return { ranking, explanation: { ...explanation, approvalLimit, ignored } };
+};
+
+const tallyVeto = (options, votes) => {
+  // One veto per person: the first one counts, later ones are treated as "no"
+  const counted = [];
+  groupByUser(votes).forEach((userVotes) => {
+    const firstVeto = userVotes.filter((v) => v.vote === 'veto').sort(byCreated)[0];
+    userVotes.forEach((v) => {
+      counted.push(v.vote === 'veto' && v !== firstVeto ? { ...v, vote: 'no' } : v);
+    });
+  });
+  const { ranking } = tallyYesNo(options, counted);
+  const allowed = ranking.filter((o) => o.vetoes === 0);
+  const vetoed = ranking.filter((o) => o.vetoes > 0);
+  // If everything was vetoed the vetoes cancel out and yes votes decide
+  const allVetoed = allowed.length === 0 && vetoed.length > 0;
+  return {
+    ranking: allVetoed ? ranking : [...allowed, ...vetoed],
+    explanation: {
+      vetoed: vetoed.map((o) => ({ meal_option_id: o.meal_option_id, name: o.meal_data?.name || '', vetoes: o.vetoes })),
+      allVetoed,
+    },
+  };
+};
+
+const tallyRanked = (options, votes) => {
+  const counts = countVotes(options, votes);
+  const ballots = [];
+  groupByUser(votes).forEach((userVotes) => {
+    const ballot = userVotes
+      .filter((v) => v.vote === 'yes')
+      .sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity) || byCreated(a, b))
+      .map((v) => v.meal_option_id);
+    if (ballot.length) ballots.push(ballot);
+  });
+
+  const optionById = new Map(options.map((o) => [o.meal_option_id, o]));
+  let remaining = options.map((o) => o.meal_option_id);
+  const eliminatedOrder = [];
+  const rounds = [];
+  let winnerId = null;
+
+  while (ballots.length && remaining.length) {
+    const tally = Object.fromEntries(remaining.map((id) => [id, 0]));
+    let active = 0;
+    ballots.forEach((ballot) => {
+      const choice = ballot.find((id) => id in tally);
+      if (choice) {
+        tally[choice] += 1;
+        active += 1;
+      }
+    });
+    const round = { counts: tally, active, exhausted: ballots.length - active, eliminated: [] };
+    rounds.push(round);
+
+    const ordered = [...remaining].sort((a, b) =>
+      tally[b] - tally[a] || compareByNameAndId(optionById.get(a), optionById.get(b)));
+    const leader = ordered[0];
+    if (active === 0) break;
+    if (tally[leader] * 2 > active || remaining.length === 1) {
+      winnerId = leader;
+      round.majority = tally[leader] * 2 > active;
+      break;
+    }
+
+    // Drop every option without first choices at once, else the weakest one;
+    // ties go to the meal with fewer "yes" votes overall, then the name
+    const zero = remaining.filter((id) => tally[id] === 0);
+    const toEliminate = zero.length && zero.length < remaining.length
+      ? zero
+      : [[...remaining].sort((a, b) =>
+          tally[a] - tally[b]
+          || counts.get(a).yes_votes - counts.get(b).yes_votes
+          || compareByNameAndId(optionById.get(b), optionById.get(a)))[0]];
+    round.eliminated = toEliminate;
+    eliminatedOrder.push(toEliminate);
+    remaining = remaining.filter((id) => !toEliminate.includes(id));
+  }
+
+  // Winner first, then later-eliminated meals before earlier ones
+  const orderIds = [];
+  if (winnerId) orderIds.push(winnerId);
+  remaining.filter((id) => id !== winnerId).forEach((id) => orderIds.push(id));
+  [...eliminatedOrder].reverse().forEach((group) => orderIds.push(...group));
+  const lastRound = rounds[rounds.length - 1];
+
+  const ranking = orderIds.map((id) => ({
+    ...optionById.get(id),
+    ...counts.get(id),
+    score: lastRound?.counts[id] ?? 0,
+  }));
+  if (!winnerId) ranking.sort((a, b) => b.yes_votes - a.yes_votes || compareByNameAndId(a, b));
+
+  return {
+    ranking,
+    explanation: {
+      ballots: ballots.length,
+      rounds: rounds.map((r) => ({
+        ...r,
+        eliminated: r.eliminated.map((id) => optionById.get(id)?.meal_data?.name || ''),
+      })),
+      majority: !!lastRound?.majority,
+    },
+  };
+};
+
+/**
+ * Tally a round.
+ * options: [{ meal_option_id, meal_data }]
+ * votes:   meal_votes rows
+ * Returns { method, ranking, winner, voters, explanation } where ranking
+ * items carry yes_votes, no_votes, vetoes, score and tally_rank (1-based).
+ */
+export const tallyVotes = ({ method = 'yes_no', approvalLimit = DEFAULT_APPROVAL_LIMIT, options = [], votes = [] }) => {
+  const safeMethod = VOTING_METHODS.includes(method) ? method : 'yes_no';
+  const optionIds = new Set(options.map((o) => o.meal_option_id));
+  const validVotes = votes.filter((v) => optionIds.has(v.meal_option_id));
+
+  let result;
+  if (safeMethod === 'approval') result = tallyApproval(options, validVotes, approvalLimit || DEFAULT_APPROVAL_LIMIT);
+  else if (safeMethod === 'veto') result = tallyVeto(options, validVotes);
+  else if (safeMethod === 'ranked') result = tallyRanked(options, validVotes);
+  else result = tallyYesNo(options, validVotes);
+
+  const ranking = result.ranking.map((o, i) => ({ ...o, tally_rank: i + 1 }));
+  const top = ranking[0];
+  const hasWinner = top && (safeMethod === 'ranked' ? result.explanation.rounds.length > 0 && top.score > 0 : top.yes_votes > 0)
+    && !(safeMethod === 'veto' && top.vetoes > 0 && !result.explanation.allVetoed);
+
+  return {
+    method: safeMethod,
+    ranking,
+    winner: hasWinner ? top : null,
+    voters: new Set(validVotes.map((v) => v.user_id)).size,
+    explanation: result.explanation,
+  };
+};
+
+/**
+ * Top 3 of a tally in the shape of getTopVotedMeals. Yes/no rounds list the
+ * first three options like the get_top_voted_meals RPC; the other methods
+ * only list options that scored. Vetoed meals are left out unless everything
+ * was vetoed, so topMeals[0] is never a knocked-out meal.
+ */
+export const getTopMeals = (tally) => (tally?.method === 'yes_no'
+  ? tally.ranking
+  : (tally?.ranking || []).filter((m) => (m.score > 0 || m.yes_votes > 0)
+    && !(tally.method === 'veto' && m.vetoes > 0 && !tally.explanation?.allVetoed))
+).slice(0, 3).map((m) => ({
+  meal_option_id: m.meal_option_id,
+  yes_votes: m.yes_votes,
+  tally_rank: m.tally_rank,
+  meal_data: m.meal_data,
+}));
+
+/**
+ * Top meals from load_user_dashboard, which ranks by yes votes only. Usable
+ * as is for yes/no rounds; other methods return null and have to be tallied
+ * (getTopVotedMeals), or a vetoed leader would still show as number one.
+ */
+export const getDashboardTopMeals = (request, topMeals) => (
+  (request?.voting_method || 'yes_no') === 'yes_no' ? sortTopMeals(topMeals || []) : null
+);
@@ -0,0 +1,258 @@
+/**
+ * Weekly Plan Service - one voting round for Monday..Sunday
+ * Maps to: meal_requests (plan_type 'weekly', week_start, status 'planning')
+ *          meal_plan_days (group_id, plan_date, meal_option_id, meal_data, locked)
+ * Planning logic lives in weeklyPlanner.js.
+ */
+
+import { supabase } from './supabase';
+import { USE_REAL_SUPABASE } from './supabase';
+import { createMealRequest, getMealOptions, completeMealRequest } from './mealRequestService';
+import {
+  getUpcomingWeekStart,
+  getWeekDates,
+  rankMealOptions,
+  buildWeeklyPlan,
+  addDays,
+} from './weeklyPlanner';
+import { getGroupToday } from './dinnerDayService';
+
+// Two candidates per day leaves room to avoid cuisine repeats
+const WEEKLY_OPTION_COUNT = 14;
+
+const PLAN_DAY_FIELDS = 'id, group_id, plan_date, request_id, meal_option_id, meal_data, locked, updated_by, updated_at';
+
+/**
+ * Open weekly round for a week, if any
+ */
+export const getWeeklyRound = async (groupId, givenWeekStart) => {
+  if (!USE_REAL_SUPABASE) return { success: true, request: null, mealOptions: [] };
+  try {
+    const weekStart = givenWeekStart || getUpcomingWeekStart(await getGroupToday(groupId));
+    const { data, error } = await supabase
+      .from('meal_requests')
+      .select('id, group_id, recipe_type, status, plan_type, week_start, created_at')
+      .eq('group_id', groupId)
+      .eq('plan_type', 'weekly')
+      .eq('week_start', weekStart)
+      .eq('status', 'planning')
+      .limit(1);
+    if (error) return { success: false, error: error.message, request: null, mealOptions: [] };
+    const request = data?.[0] || null;
+    if (!request) return { success: true, request: null, mealOptions: [] };
+    const { options } = await getMealOptions(request.id);
+    return { success: true, request, mealOptions: options || [] };
+  } catch (e) {
+    return { success: false, error: e?.message, request: null, mealOptions: [] };
+  }
+};
+
+/**
+ * Open (or reuse) the weekly round for a week. Safe to call from several
+ * devices: the partial unique index makes a second insert fail, after which
+ * we simply return the round that won.
+ */
+export const startWeeklyRound = async (groupId, givenWeekStart) => {
+  const weekStart = givenWeekStart || getUpcomingWeekStart(await getGroupToday(groupId));
+  const existing = await getWeeklyRound(groupId, weekStart);
+  if (existing.request) return { ...existing, weekStart };
+
+  // A week needs a ranking of many meals, so weekly rounds always use yes/no
+  const result = await createMealRequest(groupId, WEEKLY_OPTION_COUNT, {
+    plan_type: 'weekly',
+    week_start: weekStart,
+    status: 'planning',
+    voting_method: 'yes_no',
+  });
+  if (!result.success) {
+    const retry = await getWeeklyRound(groupId, weekStart);
+    return retry.request ? { ...retry, weekStart } : result;
+  }
+  return { success: true, request: result.request, mealOptions: result.mealOptions, weekStart };
+};
+
+/**
+ * Planned days for a week, Monday first. Days without a plan are omitted.
+ */
+export const getWeeklyPlan = async (groupId, weekStart) => {
+  if (!USE_REAL_SUPABASE) return { success: true, days: [] };
+  try {
+    const { data, error } = await supabase
+      .from('meal_plan_days')
+      .select(PLAN_DAY_FIELDS)
+      .eq('group_id', groupId)
+      .gte('plan_date', weekStart)
+      .lte('plan_date', addDays(weekStart, 6))
+      .order('plan_date', { ascending: true });
+    if (error) return { success: false, error: error.message, days: [] };
+    return { success: true, days: data || [] };
+  } catch (e) {
+    return { success: false, error: e?.message, days: [] };
+  }
+};
+
+const upsertPlanDays = async (groupId, requestId, days, userId) => {
+  const rows = days.map((d) => ({
+    group_id: groupId,
+    plan_date: d.plan_date,
+    request_id: requestId,
+    meal_option_id: d.meal_option_id,
+    meal_data: d.meal_data,
+    locked: !!d.locked,
+    updated_by: userId,
+    updated_at: new Date().toISOString(),
+  }));
+  return supabase
+    .from('meal_plan_days')
+    .upsert(rows, { onConflict: 'group_id,plan_date' })
+    .select(PLAN_DAY_FIELDS);
+};
+
+/**
+ * (Re)build the proposed plan from the current votes. Locked days are kept;
+ * every other day is filled from the ranking without repeating a cuisine on
+ * consecutive days.
+ */
+export const proposeWeeklyPlan = async (groupId, requestId, weekStart) => {
+  if (!USE_REAL_SUPABASE) return { success: true, days: [] };
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return { success: false, error: 'Not authenticated', days: [] };
+
+    const [{ options }, { data: votes, error: votesErr }, current] = await Promise.all([
+      getMealOptions(requestId),
+      supabase.from('meal_votes').select('meal_option_id, vote').eq('request_id', requestId),
+      getWeeklyPlan(groupId, weekStart),
+    ]);
+    if (votesErr) return { success: false, error: votesErr.message, days: [] };
+
+    const lockedDays = {};
+    (current.days || []).filter((d) => d.locked).forEach((d) => { lockedDays[d.plan_date] = d; });
+
+    const plan = buildWeeklyPlan(rankMealOptions(options, votes), getWeekDates(weekStart), lockedDays);
+    const toSave = plan.filter((d) => !d.locked && d.meal_option_id);
+    if (!toSave.length) return { success: true, days: current.days || [] };
+
+    const { error } = await upsertPlanDays(groupId, requestId, toSave, user.id);
+    if (error) return { success: false, error: error.message, days: current.days || [] };
+    return getWeeklyPlan(groupId, weekStart);
+  } catch (e) {
+    return { success: false, error: e?.message, days: [] };
+  }
+};
+
+/**
+ * Lock a day so re-proposing the plan keeps its meal
+ */
+export const setPlanDayLocked = async (groupId, planDate, locked) => {
+  if (!USE_REAL_SUPABASE) return { success: true };
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    const { error } = await supabase
+      .from('meal_plan_days')
+      .update({ locked: !!locked, updated_by: user?.id || null, updated_at: new Date().toISOString() })
+      .eq('group_id', groupId)
+      .eq('plan_date', planDate);
+    return error ? { success: false, error: error.message } : { success: true };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+/**
+ * Swap the meals of two planned days (lock flags stay on their dates)
+ */
+export const swapPlanDays = async (groupId, dateA, dateB) => {
+  if (!USE_REAL_SUPABASE) return { success: true };
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return { success: false, error: 'Not authenticated' };
+
+    const { data: rows, error } = await supabase
+      .from('meal_plan_days')
+      .select(PLAN_DAY_FIELDS)
+      .eq('group_id', groupId)
+      .in('plan_date', [dateA, dateB]);
+    if (error) return { success: false, error: error.message };
+    const a = rows?.find((r) => r.plan_date === dateA);
+    const b = rows?.find((r) => r.plan_date === dateB);
+    if (!a || !b) return { success: false, error: 'Dag niet gevonden' };
+
+    const { error: upErr } = await upsertPlanDays(groupId, a.request_id || b.request_id, [
+      { ...a, meal_option_id: b.meal_option_id, meal_data: b.meal_data },
+      { ...b, meal_option_id: a.meal_option_id, meal_data: a.meal_data },
+    ], user.id);
+    return upErr ? { success: false, error: upErr.message } : { success: true };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+/**
+ * Replace one day's meal with another option from the weekly round
+ */
+export const setPlanDayMeal = async (groupId, requestId, planDate, option) => {
+  if (!USE_REAL_SUPABASE) return { success: true };
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) return { success: false, error: 'Not authenticated' };
+    const { error } = await upsertPlanDays(groupId, requestId, [{
+      plan_date: planDate,
+      meal_option_id: option.id || option.meal_option_id,
+      meal_data: option.meal_data,
+      locked: true,
+    }], user.id);
+    return error ? { success: false, error: error.message } : { success: true };
+  } catch (e) {
+    return { success: false, error: e?.message };
+  }
+};
+
+/**
+ * Close voting for the week; the plan stays in meal_plan_days
+ */
+export const closeWeeklyRound = async (requestId) => completeMealRequest(requestId);
+
+/**
+ * Planned meal for a group on a date (defaults to today), or null
+ */
+export const getPlannedMeal = async (groupId, givenDate) => {
+  if (!USE_REAL_SUPABASE) return null;
+  try {
+    const date = givenDate || await getGroupToday(groupId);
+    const { data, error } = await supabase
+      .from('meal_plan_days')
+      .select(PLAN_DAY_FIELDS)
+      .eq('group_id', groupId)
+      .eq('plan_date', date)
+      .limit(1);
+    if (error) return null;
+    const day = data?.[0];
+    return day?.meal_data ? day : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Realtime: swaps/locks by other members. Returns unsubscribe.
+ */
+export const subscribeToWeeklyPlan = (groupId, onChange) => {
+  const channel = supabase
+    .channel(`meal-plan-${groupId}`)
+    .on(
+      'postgres_changes',
+      {
+        event: '*',
+        schema: 'public',
+        table: 'meal_plan_days',
+        filter: `group_id=eq.${groupId}`,
+      },
+      () => onChange()
+    )
+    .subscribe();
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+};
@@ -0,0 +1,128 @@
+/**
+ * Weekly Planner - pure helpers for the week-planning mode
+ * One voting round covers Monday..Sunday; the votes are turned into a
+ * day-by-day plan that never serves the same cuisine two days in a row.
+ * No Supabase here so the planning logic is unit-testable.
+ */
+
+import { sortTopMeals } from './sortTopMeals';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+// Parse 'YYYY-MM-DD' as a UTC date so adding days never trips over DST
+const parseDate = (value) => {
+  if (value instanceof Date) return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  const [y, m, d] = String(value).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+};
+
+export const addDays = (dateStr, days) => toDateString(new Date(parseDate(dateStr).getTime() + days * DAY_MS));
+
+/**
+ * Monday of the week containing the given date ('YYYY-MM-DD' or Date)
+ */
+export const getWeekStart = (date) => {
+  const d = parseDate(date);
+  const offset = (d.getUTCDay() + 6) % 7; // Monday = 0
+  return toDateString(new Date(d.getTime() - offset * DAY_MS));
+};
+
+/**
+ * Week to plan from a given day: the current week on Monday, otherwise next week.
+ * Groups typically plan on Sunday evening for the week ahead.
+ */
+export const getUpcomingWeekStart = (date) => {
+  const start = getWeekStart(date);
+  return start === toDateString(parseDate(date)) ? start : addDays(start, 7);
+};
+
+/**
+ * The 7 plan dates (Monday..Sunday) for a week start
+ */
+export const getWeekDates = (weekStart) => Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+
+const cuisineOf = (meal) => (meal?.meal_data?.cuisine_type || '').trim().toLowerCase();
+
+const sameCuisine = (a, b) => {
+  const ca = cuisineOf(a);
+  return !!ca && ca === cuisineOf(b);
+};
+
+/**
+ * Rank the options of a weekly round by yes-votes.
+ * options: [{ id, meal_data }], votes: [{ meal_option_id, vote }]
+ * Returns [{ meal_option_id, meal_data, yes_votes }] best first
+ */
+export const rankMealOptions = (options, votes) => {
+  const yesByOption = {};
+  (votes || []).forEach((v) => {
+    if (v.vote === 'yes') yesByOption[v.meal_option_id] = (yesByOption[v.meal_option_id] || 0) + 1;
+  });
+  return sortTopMeals((options || []).map((o) => ({
+    meal_option_id: o.id,
+    meal_data: o.meal_data || {},
+    yes_votes: yesByOption[o.id] || 0,
+  })));
+};
+
+/**
+ * Propose a plan for the given dates from ranked meals.
+ * lockedDays: { [date]: { meal_option_id, meal_data } } are kept as-is.
+ * Each free day gets the best meal not used yet whose cuisine differs from
+ * both neighbours; if every candidate clashes, the best unused meal is used
+ * anyway. Once all meals are used they may come back (never on adjacent days).
+ * Returns [{ plan_date, meal_option_id, meal_data, locked }]
+ */
+export const buildWeeklyPlan = (rankedMeals, dates, lockedDays = {}) => {
+  const meals = rankedMeals || [];
+  const used = new Set(Object.values(lockedDays).map((d) => d.meal_option_id));
+  const plan = [];
+
+  dates.forEach((date, i) => {
+    const locked = lockedDays[date];
+    if (locked) {
+      plan.push({ plan_date: date, meal_option_id: locked.meal_option_id, meal_data: locked.meal_data, locked: true });
+      return;
+    }
+
+    const prev = plan[i - 1];
+    const next = lockedDays[dates[i + 1]];
+    const fits = (m) => !sameCuisine(m, prev) && !sameCuisine(m, next);
+    const notAdjacent = (m) => m.meal_option_id !== prev?.meal_option_id && m.meal_option_id !== next?.meal_option_id;
+
+    let pool = meals.filter((m) => !used.has(m.meal_option_id));
+    if (!pool.length) pool = meals.filter(notAdjacent);
+    const pick = pool.find(fits) || pool[0];
+
+    if (!pick) {
+      plan.push({ plan_date: date, meal_option_id: null, meal_data: null, locked: false });
+      return;
+    }
+    used.add(pick.meal_option_id);
+    plan.push({ plan_date: date, meal_option_id: pick.meal_option_id, meal_data: pick.meal_data, locked: false });
+  });
+
+  return plan;
+};
+
+/**
+ * Swap the meals of two days. Lock flags stay on their dates.
+ */
+export const swapPlanDays = (plan, dateA, dateB) => {
+  const a = plan.find((d) => d.plan_date === dateA);
+  const b = plan.find((d) => d.plan_date === dateB);
+  if (!a || !b) return plan;
+  return plan.map((d) => {
+    if (d.plan_date === dateA) return { ...d, meal_option_id: b.meal_option_id, meal_data: b.meal_data };
+    if (d.plan_date === dateB) return { ...d, meal_option_id: a.meal_option_id, meal_data: a.meal_data };
+    return d;
+  });
+};
+
+/**
+ * Dates whose cuisine equals the previous day's (shown as a warning after manual swaps)
+ */
+export const findCuisineRepeats = (plan) =>
+  plan.filter((d, i) => i > 0 && sameCuisine(d, plan[i - 1])).map((d) => d.plan_date);
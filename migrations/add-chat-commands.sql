@@ -0,0 +1,19 @@
+-- Migration: System messages for chat commands
+-- /ja, /nee, /shop and /wie in group chat post a message of kind 'system'
+-- with payload { command, ... } so the group sees what happened; the app
+-- shows them apart from normal messages. See lib/chatCommands.js.
+-- Run in Supabase SQL Editor.
+
+ALTER TABLE public.group_messages DROP CONSTRAINT IF EXISTS group_messages_kind_check;
+ALTER TABLE public.group_messages ADD CONSTRAINT group_messages_kind_check
+  CHECK (kind IN ('text', 'recipe', 'poll', 'system'));
+
+ALTER TABLE public.group_messages DROP CONSTRAINT IF EXISTS group_messages_payload_check;
+ALTER TABLE public.group_messages ADD CONSTRAINT group_messages_payload_check
+  CHECK (
+    (kind = 'text' AND payload IS NULL)
+    OR (kind = 'recipe' AND payload ? 'meal_data')
+    OR (kind = 'poll' AND jsonb_typeof(payload -> 'options') = 'array'
+        AND jsonb_array_length(payload -> 'options') BETWEEN 2 AND 4)
+    OR (kind = 'system' AND payload ->> 'command' IN ('ja', 'nee', 'shop', 'wie'))
+  );
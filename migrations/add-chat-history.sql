@@ -0,0 +1,66 @@
+-- Migration: Chat history with per-group retention
+-- Group chat used to be wiped every night by cleanup_old_group_messages(),
+-- taking last night's plans along. Groups now keep messages for
+-- chat_retention_days (0 = forever); the chat pages back through them with
+-- a (created_at, id) cursor and searches them by text. cleanup_group_messages()
+-- removes what's past retention when a member opens the chat.
+-- See lib/chatHistory.js.
+-- Run in Supabase SQL Editor.
+
+-- =============================================================================
+-- 1. How long a group keeps its chat
+-- =============================================================================
+ALTER TABLE public.groups
+  ADD COLUMN IF NOT EXISTS chat_retention_days INTEGER NOT NULL DEFAULT 30;
+
+ALTER TABLE public.groups DROP CONSTRAINT IF EXISTS groups_chat_retention_days_check;
+ALTER TABLE public.groups ADD CONSTRAINT groups_chat_retention_days_check
+  CHECK (chat_retention_days BETWEEN 0 AND 365);
+
+-- =============================================================================
+-- 2. Per-group cleanup instead of the nightly wipe
+-- =============================================================================
+DROP FUNCTION IF EXISTS public.cleanup_old_group_messages();
+
+CREATE OR REPLACE FUNCTION public.cleanup_group_messages(p_group_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  keep_days INTEGER;
+  removed INTEGER;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM public.group_members
+    WHERE group_id = p_group_id AND user_id = auth.uid() AND is_active = true
+  ) THEN
+    RAISE EXCEPTION 'Not a member of this group';
+  END IF;
+
+  SELECT chat_retention_days INTO keep_days FROM public.groups WHERE id = p_group_id;
+  IF keep_days IS NULL OR keep_days = 0 THEN
+    RETURN 0;
+  END IF;
+
+  DELETE FROM public.group_messages
+  WHERE group_id = p_group_id
+    AND created_at < now() - make_interval(days => keep_days);
+  GET DIAGNOSTICS removed = ROW_COUNT;
+  RETURN removed;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.cleanup_group_messages(UUID) TO authenticated;
+
+-- =============================================================================
+-- 3. Paging newest first, ties broken by id
+-- =============================================================================
+DROP INDEX IF EXISTS public.idx_group_messages_group_date;
+CREATE INDEX IF NOT EXISTS idx_group_messages_group_page
+  ON public.group_messages (group_id, created_at DESC, id DESC);
+
+-- =============================================================================
+-- 4. Text search (ILIKE '%...%' uses the trigram index)
+-- =============================================================================
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_group_messages_search
+  ON public.group_messages USING gin (message gin_trgm_ops);
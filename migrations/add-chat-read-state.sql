@@ -0,0 +1,111 @@
+-- Migration: Server-side chat read state
+-- Unread dots were worked out on each device from an AsyncStorage timestamp,
+-- so they differed per device and were lost on reinstall. Each member now
+-- has a last_read_at per group in group_chat_reads: the chat moves it
+-- forward as messages are seen, unread counts are computed from it, and
+-- other members see it as "gelezen door" under messages.
+-- get_pending_vote_count() gives the open rounds the member hasn't voted
+-- in, which together with the unread chats makes the app icon badge.
+-- See lib/chatReads.js.
+-- Run in Supabase SQL Editor.
+
+-- =============================================================================
+-- 1. Last read per member per group
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.group_chat_reads (
+  group_id UUID NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  last_read_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (group_id, user_id)
+);
+
+ALTER TABLE public.group_chat_reads ENABLE ROW LEVEL SECURITY;
+
+-- Members see how far everyone in their groups has read (read receipts);
+-- writes go through mark_group_chat_read()
+DROP POLICY IF EXISTS "Group members can read chat reads" ON public.group_chat_reads;
+CREATE POLICY "Group members can read chat reads"
+  ON public.group_chat_reads FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.group_members
+      WHERE group_id = group_chat_reads.group_id
+        AND user_id = auth.uid()
+        AND is_active = true
+    )
+  );
+
+ALTER PUBLICATION supabase_realtime ADD TABLE public.group_chat_reads;
+
+-- =============================================================================
+-- 2. Mark read (only ever moves forward, never past now)
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.mark_group_chat_read(p_group_id UUID, p_read_at TIMESTAMPTZ DEFAULT now())
+RETURNS TIMESTAMPTZ AS $$
+DECLARE
+  read_at TIMESTAMPTZ := LEAST(COALESCE(p_read_at, now()), now());
+  result TIMESTAMPTZ;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM public.group_members
+    WHERE group_id = p_group_id AND user_id = auth.uid() AND is_active = true
+  ) THEN
+    RAISE EXCEPTION 'Not a member of this group';
+  END IF;
+
+  INSERT INTO public.group_chat_reads (group_id, user_id, last_read_at)
+  VALUES (p_group_id, auth.uid(), read_at)
+  ON CONFLICT (group_id, user_id) DO UPDATE
+    SET last_read_at = GREATEST(group_chat_reads.last_read_at, EXCLUDED.last_read_at)
+  RETURNING last_read_at INTO result;
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.mark_group_chat_read(UUID, TIMESTAMPTZ) TO authenticated;
+
+-- =============================================================================
+-- 3. Unread messages per group for the caller. Without a read row yet,
+--    messages from before the current dinner day don't count (as before).
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.get_chat_unread_counts()
+RETURNS TABLE (group_id UUID, unread_count INTEGER, last_read_at TIMESTAMPTZ) AS $$
+  SELECT
+    gm.group_id,
+    (
+      SELECT COUNT(*)::INTEGER FROM public.group_messages m
+      WHERE m.group_id = gm.group_id
+        AND m.user_id <> auth.uid()
+        AND m.created_at > COALESCE(r.last_read_at, public.group_dinner_day_start(gm.group_id))
+    ),
+    r.last_read_at
+  FROM public.group_members gm
+  LEFT JOIN public.group_chat_reads r
+    ON r.group_id = gm.group_id AND r.user_id = gm.user_id
+  WHERE gm.user_id = auth.uid()
+    AND gm.is_active = true;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.get_chat_unread_counts() TO authenticated;
+
+-- =============================================================================
+-- 4. Open rounds the caller hasn't voted in yet (today's daily round and
+--    weekly planning rounds)
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.get_pending_vote_count()
+RETURNS INTEGER AS $$
+  SELECT COUNT(*)::INTEGER
+  FROM public.meal_requests mr
+  JOIN public.group_members gm
+    ON gm.group_id = mr.group_id AND gm.user_id = auth.uid() AND gm.is_active = true
+  WHERE (
+      mr.status = 'planning'
+      OR (mr.status = 'active' AND mr.created_at >= public.group_dinner_day_start(mr.group_id))
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM public.meal_votes v
+      WHERE v.request_id = mr.id AND v.user_id = auth.uid()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.get_pending_vote_count() TO authenticated;
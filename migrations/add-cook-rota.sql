@@ -0,0 +1,64 @@
+-- Migration: Cooking rota per group
+-- lib/cookRotaService.js assigns tonight's cook. The fairest next cook is the
+-- eater who ate most from others compared to what they cooked, with cooking
+-- weighted by how many people ate along (daily_responses) -- see
+-- lib/cookRota.js. Members can volunteer ("ik kook vandaag"), skip a turn or
+-- hand it to someone else. The cook of a day is frozen on the voting round
+-- (meal_requests.cook_id) when it closes.
+-- Run in Supabase SQL Editor.
+
+-- =============================================================================
+-- 1. One cook per group per day
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.cook_assignments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  group_id UUID NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  cook_date DATE NOT NULL,
+  cook_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  -- 'rota' = picked by the app, 'volunteer' = claimed, 'swap' = handed over
+  source TEXT NOT NULL DEFAULT 'rota' CHECK (source IN ('rota', 'volunteer', 'swap')),
+  -- Members who passed on tonight; the rota skips them
+  skipped_ids UUID[] NOT NULL DEFAULT '{}',
+  assigned_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (group_id, cook_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cook_assignments_group_date
+  ON public.cook_assignments (group_id, cook_date DESC);
+
+ALTER TABLE public.cook_assignments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS cook_assignments_member_all ON public.cook_assignments;
+CREATE POLICY cook_assignments_member_all ON public.cook_assignments
+  FOR ALL
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.group_members
+      WHERE group_id = cook_assignments.group_id AND user_id = auth.uid() AND is_active = true
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM public.group_members
+      WHERE group_id = cook_assignments.group_id AND user_id = auth.uid() AND is_active = true
+    )
+  );
+
+-- =============================================================================
+-- 2. notification_log: "you're cooking tonight" pushes for co-members
+-- =============================================================================
+DROP POLICY IF EXISTS notification_log_insert_group_round ON notification_log;
+CREATE POLICY notification_log_insert_group_round ON notification_log
+  FOR INSERT WITH CHECK (
+    kind IN ('round_closed', 'deadline_reminder', 'round_options_changed', 'cook_assigned')
+    AND EXISTS (
+      SELECT 1
+      FROM public.group_members mine
+      JOIN public.group_members theirs ON theirs.group_id = mine.group_id
+      WHERE mine.user_id = auth.uid()
+        AND theirs.user_id = notification_log.user_id
+        AND mine.is_active AND theirs.is_active
+    )
+  );
@@ -0,0 +1,6 @@
+-- Migration: Add dietary_restrictions to profiles
+-- Diets/allergies per user (vegetarian, vegan, pescatarian, halal, gluten_free,
+-- lactose_free, nut_allergy, peanut_allergy, shellfish_allergy, egg_allergy).
+-- Used to filter and flag the recipe pool of a group's voting round.
+
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS dietary_restrictions TEXT[] DEFAULT '{}';
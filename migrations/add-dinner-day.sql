@@ -0,0 +1,144 @@
+-- Migration: Dinner day per group
+-- "Today" used to be the UTC date in most of the app (yesterday in the
+-- Netherlands until 02:00) and local midnight in the chat. A group's dinner
+-- day now runs from day_rollover_hour (0-6) local time in groups.timezone to
+-- that hour the next day; a student house can keep "tonight" until 04:00.
+-- The app computes it in lib/dinnerDay.js, the database with
+-- group_dinner_day() below.
+-- Run in Supabase SQL Editor.
+
+-- =============================================================================
+-- 1. Hour the dinner day rolls over, local time
+-- =============================================================================
+ALTER TABLE public.groups
+  ADD COLUMN IF NOT EXISTS day_rollover_hour INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE public.groups DROP CONSTRAINT IF EXISTS groups_day_rollover_hour_check;
+ALTER TABLE public.groups ADD CONSTRAINT groups_day_rollover_hour_check
+  CHECK (day_rollover_hour BETWEEN 0 AND 6);
+
+-- =============================================================================
+-- 2. A group's dinner day at a moment, and the moment it started
+--    Wall-clock based like getDinnerDay(), so DST days need nothing special.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.group_dinner_day(p_group_id UUID, p_at TIMESTAMPTZ DEFAULT now())
+RETURNS DATE AS $$
+  SELECT ((p_at AT TIME ZONE g.timezone) - make_interval(hours => g.day_rollover_hour))::date
+  FROM public.groups g
+  WHERE g.id = p_group_id;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION public.group_dinner_day_start(p_group_id UUID, p_at TIMESTAMPTZ DEFAULT now())
+RETURNS TIMESTAMPTZ AS $$
+  SELECT (public.group_dinner_day(g.id, p_at) + make_interval(hours => g.day_rollover_hour)) AT TIME ZONE g.timezone
+  FROM public.groups g
+  WHERE g.id = p_group_id;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION public.group_dinner_day(UUID, TIMESTAMPTZ) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.group_dinner_day_start(UUID, TIMESTAMPTZ) TO authenticated;
+
+-- =============================================================================
+-- 3. Chat keeps the messages of each group's current dinner day
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.cleanup_old_group_messages()
+RETURNS void AS $$
+BEGIN
+  DELETE FROM public.group_messages gmsg
+  WHERE gmsg.created_at < public.group_dinner_day_start(gmsg.group_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =============================================================================
+-- 4. Dashboard: today's answers per group's dinner day, plus the day settings
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.load_user_dashboard()
+RETURNS JSONB AS $$
+DECLARE
+  uid UUID := auth.uid();
+  result JSONB;
+BEGIN
+  IF uid IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Not authenticated');
+  END IF;
+
+  SELECT jsonb_build_object(
+    'success', true,
+    'profile', (
+      SELECT row_to_json(p) FROM profiles p WHERE p.id = uid
+    ),
+    'groups', (
+      SELECT COALESCE(jsonb_agg(g_data), '[]'::jsonb)
+      FROM (
+        SELECT jsonb_build_object(
+          'group_id', g.id,
+          'name', g.name,
+          'description', g.description,
+          'join_code', g.join_code,
+          'created_by', g.created_by,
+          'is_main_group', g.is_main_group,
+          'created_at', g.created_at,
+          'timezone', g.timezone,
+          'day_rollover_hour', g.day_rollover_hour,
+          'members', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+              'user_id', gm.user_id,
+              'role', gm.role,
+              'joined_at', gm.joined_at,
+              'full_name', p.full_name,
+              'display_name', p.display_name,
+              'email', p.email
+            ))
+            FROM group_members gm
+            LEFT JOIN profiles p ON p.id = gm.user_id
+            WHERE gm.group_id = g.id AND gm.is_active = true
+          ), '[]'::jsonb),
+          'today_responses', COALESCE((
+            SELECT jsonb_object_agg(dr.user_id, dr.response)
+            FROM daily_responses dr
+            WHERE dr.group_id = g.id AND dr.response_date = public.group_dinner_day(g.id)
+          ), '{}'::jsonb),
+          'active_meal_request', (
+            SELECT row_to_json(mr) FROM meal_requests mr
+            WHERE mr.group_id = g.id AND mr.status = 'active'
+            ORDER BY mr.created_at DESC LIMIT 1
+          ),
+          'top_meals', COALESCE((
+            SELECT jsonb_agg(
+              jsonb_build_object(
+                'meal_option_id', top_data.meal_option_id,
+                'yes_votes', top_data.yes_votes,
+                'meal_data', top_data.meal_data
+              )
+            )
+            FROM (
+              SELECT mo.id AS meal_option_id,
+                COUNT(mv.id) FILTER (WHERE mv.vote = 'yes')::bigint AS yes_votes,
+                mo.meal_data
+              FROM meal_options mo
+              LEFT JOIN meal_votes mv ON mv.meal_option_id = mo.id
+              WHERE mo.request_id = (
+                SELECT mr.id FROM meal_requests mr WHERE mr.group_id = g.id AND mr.status = 'active' ORDER BY mr.created_at DESC LIMIT 1
+              )
+              GROUP BY mo.id, mo.meal_data
+              ORDER BY yes_votes DESC, (mo.meal_data->>'name') ASC, mo.id ASC
+              LIMIT 3
+            ) top_data
+          ), '[]'::jsonb)
+        ) AS g_data
+        FROM groups g
+        WHERE g.is_active = true
+        AND EXISTS (
+          SELECT 1 FROM group_members gm
+          WHERE gm.group_id = g.id AND gm.user_id = uid AND gm.is_active = true
+        )
+        ORDER BY g.created_at DESC
+      ) groups_sub
+    )
+  ) INTO result;
+
+  RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.load_user_dashboard() TO authenticated;
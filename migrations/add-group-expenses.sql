@@ -0,0 +1,74 @@
+-- Migration: "Wie betaalt wat" — per-group cost splitting ledger
+-- The shopper records a receipt (group_expenses); it is split over that day's
+-- "yes" responders (participant_ids). Repayments between members are stored
+-- in group_settlements. Balances are computed client-side from both tables
+-- (see lib/costSplitting.js). Amounts are integer cents.
+-- Run in Supabase SQL Editor.
+
+-- =============================================================================
+-- 1. EXPENSES
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.group_expenses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id UUID NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  paid_by UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+  description TEXT CHECK (char_length(description) <= 200),
+  expense_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  participant_ids UUID[] NOT NULL,
+  request_id UUID REFERENCES public.meal_requests(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  CHECK (cardinality(participant_ids) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_expenses_group_date ON public.group_expenses (group_id, expense_date DESC);
+
+ALTER TABLE public.group_expenses ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Group members can read expenses"
+  ON public.group_expenses FOR SELECT
+  USING (public.user_is_group_member(group_id));
+
+-- Only the payer records their own receipt
+CREATE POLICY "Members can add own expenses"
+  ON public.group_expenses FOR INSERT
+  WITH CHECK (paid_by = auth.uid() AND public.user_is_group_member(group_id));
+
+CREATE POLICY "Payers can delete own expenses"
+  ON public.group_expenses FOR DELETE
+  USING (paid_by = auth.uid());
+
+-- =============================================================================
+-- 2. SETTLEMENTS (repayments between members)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.group_settlements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id UUID NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  from_user UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  to_user UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+  created_by UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  CHECK (from_user <> to_user)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_settlements_group ON public.group_settlements (group_id, created_at DESC);
+
+ALTER TABLE public.group_settlements ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Group members can read settlements"
+  ON public.group_settlements FOR SELECT
+  USING (public.user_is_group_member(group_id));
+
+-- Either side of a transfer may mark it as paid
+CREATE POLICY "Members can record own settlements"
+  ON public.group_settlements FOR INSERT
+  WITH CHECK (
+    created_by = auth.uid()
+    AND auth.uid() IN (from_user, to_user)
+    AND public.user_is_group_member(group_id)
+  );
+
+CREATE POLICY "Creators can delete own settlements"
+  ON public.group_settlements FOR DELETE
+  USING (created_by = auth.uid());
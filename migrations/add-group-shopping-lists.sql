@@ -0,0 +1,69 @@
+-- Migration: Add group shopping lists generated from the winning meal
+-- One list per group per day; items are scaled to the number of "yes"
+-- responses and can be checked off by any member (live via Realtime).
+
+CREATE TABLE IF NOT EXISTS public.group_shopping_lists (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id UUID NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  list_date DATE NOT NULL,
+  request_id UUID REFERENCES public.meal_requests(id) ON DELETE SET NULL,
+  meal_option_id UUID REFERENCES public.meal_options(id) ON DELETE SET NULL,
+  meal_name TEXT,
+  servings INTEGER NOT NULL DEFAULT 1 CHECK (servings > 0),
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (group_id, list_date)
+);
+
+CREATE TABLE IF NOT EXISTS public.group_shopping_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  list_id UUID NOT NULL REFERENCES public.group_shopping_lists(id) ON DELETE CASCADE,
+  item_key TEXT NOT NULL,
+  name TEXT NOT NULL,
+  quantity_text TEXT,
+  aisle TEXT NOT NULL DEFAULT 'other',
+  checked BOOLEAN NOT NULL DEFAULT false,
+  checked_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  checked_at TIMESTAMPTZ,
+  sort_order INTEGER DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_shopping_lists_group_date ON public.group_shopping_lists (group_id, list_date DESC);
+CREATE INDEX IF NOT EXISTS idx_group_shopping_items_list ON public.group_shopping_items (list_id, sort_order);
+
+ALTER TABLE public.group_shopping_lists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.group_shopping_items ENABLE ROW LEVEL SECURITY;
+
+-- Members can read and (re)generate their group's lists
+CREATE POLICY "Group members can manage shopping lists"
+  ON public.group_shopping_lists FOR ALL
+  USING (public.user_is_group_member(group_id))
+  WITH CHECK (public.user_is_group_member(group_id));
+
+-- Helper for item policies: SECURITY DEFINER so Realtime can evaluate it
+-- cheaply (same pattern as user_is_request_member for meal_votes).
+CREATE OR REPLACE FUNCTION public.user_is_shopping_list_member(
+  check_list_id UUID,
+  check_user_id UUID DEFAULT auth.uid()
+)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM public.group_shopping_lists sl
+    JOIN public.group_members gm
+      ON gm.group_id = sl.group_id
+      AND gm.user_id = COALESCE(check_user_id, auth.uid())
+      AND gm.is_active = true
+    WHERE sl.id = check_list_id
+  );
+$$ LANGUAGE sql SECURITY DEFINER STABLE SET search_path = public;
+
+CREATE POLICY "Group members can manage shopping items"
+  ON public.group_shopping_items FOR ALL
+  USING (public.user_is_shopping_list_member(list_id))
+  WITH CHECK (public.user_is_shopping_list_member(list_id));
+
+-- Enable Realtime so checked state syncs between the shopper and the people at home
+ALTER PUBLICATION supabase_realtime ADD TABLE public.group_shopping_items;
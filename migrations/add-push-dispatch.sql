@@ -0,0 +1,42 @@
+-- Migration: Server-side push dispatch
+-- Pushes used to go straight from the app to the Expo push API, so every
+-- client read other members' push_token from profiles and wrote their
+-- notification_log rows. The notify-group Edge Function
+-- (supabase/functions/notify-group) now resolves recipients, preferences
+-- and tokens with the service role, logs each delivery and keeps the Expo
+-- tickets below until their receipts are checked.
+-- Deploy: supabase functions deploy notify-group
+--   optional secrets: EXPO_PUSH_API_URL (e.g. a local stub), EXPO_ACCESS_TOKEN
+-- Run in Supabase SQL Editor.
+
+-- =============================================================================
+-- 1. Expo tickets waiting for a receipt (service role only, no policies)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.push_tickets (
+  ticket_id TEXT PRIMARY KEY,
+  log_id UUID REFERENCES public.notification_log(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  push_token TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_tickets_created ON public.push_tickets (created_at);
+
+ALTER TABLE public.push_tickets ENABLE ROW LEVEL SECURITY;
+
+-- =============================================================================
+-- 2. Clients no longer log pushes for other members
+-- =============================================================================
+DROP POLICY IF EXISTS notification_log_insert_group_round ON notification_log;
+
+-- =============================================================================
+-- 3. Check receipts every 30 minutes (needs pg_cron and pg_net; fill in the
+--    project ref and service role key)
+-- =============================================================================
+-- SELECT cron.schedule('push-receipts', '*/30 * * * *', $$
+--   SELECT net.http_post(
+--     url := 'https://<project-ref>.supabase.co/functions/v1/notify-group',
+--     headers := jsonb_build_object('Authorization', 'Bearer <service-role-key>', 'Content-Type', 'application/json'),
+--     body := '{"action": "receipts"}'::jsonb
+--   );
+-- $$);
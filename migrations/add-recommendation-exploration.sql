@@ -0,0 +1,11 @@
+-- Migration: Exploration knob for the recipe recommendation engine
+-- 0 = only proven favourites, 1 = mostly recipes the group has never seen.
+-- The share of a round reserved for new recipes is round(options * exploration).
+-- The engine itself runs on the client (lib/recommendationEngine.js) from
+-- meal_votes, meal_options and terminated_sessions of the last 30 days.
+
+ALTER TABLE public.groups ADD COLUMN IF NOT EXISTS recommendation_exploration REAL NOT NULL DEFAULT 0.2;
+
+ALTER TABLE public.groups DROP CONSTRAINT IF EXISTS groups_recommendation_exploration_check;
+ALTER TABLE public.groups ADD CONSTRAINT groups_recommendation_exploration_check
+  CHECK (recommendation_exploration >= 0 AND recommendation_exploration <= 1);
@@ -0,0 +1,97 @@
+-- Migration: Meal request lifecycle (midnight reset, duplicate merge, history)
+-- lib/midnightResetService.js closes expired rounds in the group's own
+-- timezone, snapshots the final top 3 into terminated_sessions and merges
+-- duplicate active rounds. Every step is safe to run from several devices at
+-- once: snapshots are unique per request and merges/updates are no-ops the
+-- second time.
+-- Run in Supabase SQL Editor.
+
+-- =============================================================================
+-- 1. Group timezone (IANA name) used to decide when "today" is over
+-- =============================================================================
+ALTER TABLE public.groups
+  ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'Europe/Amsterdam';
+
+-- =============================================================================
+-- 2. meal_requests: members may close rounds
+-- Without an UPDATE policy completeMealRequest silently updated 0 rows, which
+-- is why stale requests stayed 'active' forever.
+-- =============================================================================
+DROP POLICY IF EXISTS "Members can update meal requests" ON public.meal_requests;
+CREATE POLICY "Members can update meal requests"
+  ON public.meal_requests FOR UPDATE
+  USING (public.user_is_group_member(group_id))
+  WITH CHECK (public.user_is_group_member(group_id));
+
+-- =============================================================================
+-- 3. terminated_sessions: one snapshot per request
+-- =============================================================================
+ALTER TABLE public.terminated_sessions
+  ADD COLUMN IF NOT EXISTS request_id UUID REFERENCES public.meal_requests(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_terminated_sessions_request
+  ON public.terminated_sessions (request_id);
+CREATE INDEX IF NOT EXISTS idx_terminated_sessions_group
+  ON public.terminated_sessions (group_id, terminated_at DESC);
+
+DROP POLICY IF EXISTS "Members can save terminated sessions" ON public.terminated_sessions;
+CREATE POLICY "Members can save terminated sessions"
+  ON public.terminated_sessions FOR INSERT
+  WITH CHECK (public.user_is_group_member(group_id));
+
+DROP POLICY IF EXISTS "Members can clear terminated sessions" ON public.terminated_sessions;
+CREATE POLICY "Members can clear terminated sessions"
+  ON public.terminated_sessions FOR DELETE
+  USING (public.user_is_group_member(group_id));
+
+-- =============================================================================
+-- 4. Merge a duplicate active round into the surviving one
+-- Votes are moved to the matching option (same recipe, else same name) of the
+-- kept request; a vote the user already cast there wins. SECURITY DEFINER
+-- because members can only write their own meal_votes rows.
+-- Returns the number of votes moved.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.merge_meal_requests(keep_request UUID, duplicate_request UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  keep_group UUID;
+  dup_group UUID;
+  moved INTEGER := 0;
+BEGIN
+  SELECT group_id INTO keep_group FROM public.meal_requests WHERE id = keep_request;
+  SELECT group_id INTO dup_group FROM public.meal_requests WHERE id = duplicate_request;
+
+  IF keep_group IS NULL OR dup_group IS NULL OR keep_group <> dup_group OR keep_request = duplicate_request THEN
+    RAISE EXCEPTION 'Requests do not belong to the same group';
+  END IF;
+  IF NOT public.user_is_group_member(keep_group) THEN
+    RAISE EXCEPTION 'Not a member of this group';
+  END IF;
+
+  INSERT INTO public.meal_votes (request_id, meal_option_id, user_id, vote, created_at)
+  SELECT keep_request, ko.id, dv.user_id, dv.vote, dv.created_at
+  FROM public.meal_votes dv
+  JOIN public.meal_options dop ON dop.id = dv.meal_option_id
+  JOIN LATERAL (
+    SELECT mo.id
+    FROM public.meal_options mo
+    WHERE mo.request_id = keep_request
+      AND (
+        (dop.recipe_id IS NOT NULL AND mo.recipe_id = dop.recipe_id)
+        OR lower(mo.meal_data->>'name') = lower(dop.meal_data->>'name')
+      )
+    ORDER BY mo.display_order
+    LIMIT 1
+  ) ko ON true
+  WHERE dv.request_id = duplicate_request
+  ON CONFLICT (request_id, user_id, meal_option_id) DO NOTHING;
+  GET DIAGNOSTICS moved = ROW_COUNT;
+
+  UPDATE public.meal_requests SET status = 'completed'
+  WHERE id = duplicate_request AND status = 'active';
+
+  RETURN moved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.merge_meal_requests(UUID, UUID) TO authenticated;
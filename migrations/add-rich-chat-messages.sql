@@ -0,0 +1,151 @@
+-- Migration: Rich chat messages - replies, reactions, recipe cards and polls
+-- group_messages gets a kind ('text', 'recipe', 'poll'), an optional
+-- reply_to_id and a payload for recipe cards ({ meal_option_id, recipe_id,
+-- meal_data }) and polls ({ question, options }). message keeps a plain-text
+-- version so search and older app versions still work.
+-- Reactions and poll votes are separate rows so members can't overwrite
+-- each other's; both carry group_id for RLS and realtime filters.
+-- See lib/chatMessages.js.
+-- Run in Supabase SQL Editor.
+
+-- =============================================================================
+-- 1. Message kinds, replies and payload
+-- =============================================================================
+ALTER TABLE public.group_messages
+  ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'text',
+  ADD COLUMN IF NOT EXISTS reply_to_id UUID REFERENCES public.group_messages(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS payload JSONB;
+
+ALTER TABLE public.group_messages DROP CONSTRAINT IF EXISTS group_messages_kind_check;
+ALTER TABLE public.group_messages ADD CONSTRAINT group_messages_kind_check
+  CHECK (kind IN ('text', 'recipe', 'poll'));
+
+ALTER TABLE public.group_messages DROP CONSTRAINT IF EXISTS group_messages_payload_check;
+ALTER TABLE public.group_messages ADD CONSTRAINT group_messages_payload_check
+  CHECK (
+    (kind = 'text' AND payload IS NULL)
+    OR (kind = 'recipe' AND payload ? 'meal_data')
+    OR (kind = 'poll' AND jsonb_typeof(payload -> 'options') = 'array'
+        AND jsonb_array_length(payload -> 'options') BETWEEN 2 AND 4)
+  );
+
+CREATE INDEX IF NOT EXISTS idx_group_messages_reply_to
+  ON public.group_messages (reply_to_id) WHERE reply_to_id IS NOT NULL;
+
+-- =============================================================================
+-- 2. Emoji reactions
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.group_message_reactions (
+  message_id UUID NOT NULL REFERENCES public.group_messages(id) ON DELETE CASCADE,
+  group_id UUID NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  emoji TEXT NOT NULL CHECK (char_length(emoji) <= 16),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (message_id, user_id, emoji)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_message_reactions_group
+  ON public.group_message_reactions (group_id);
+
+ALTER TABLE public.group_message_reactions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Group members can read reactions" ON public.group_message_reactions;
+CREATE POLICY "Group members can read reactions"
+  ON public.group_message_reactions FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.group_members
+      WHERE group_id = group_message_reactions.group_id
+        AND user_id = auth.uid()
+        AND is_active = true
+    )
+  );
+
+DROP POLICY IF EXISTS "Group members can react" ON public.group_message_reactions;
+CREATE POLICY "Group members can react"
+  ON public.group_message_reactions FOR INSERT
+  WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (
+      SELECT 1 FROM public.group_members
+      WHERE group_id = group_message_reactions.group_id
+        AND user_id = auth.uid()
+        AND is_active = true
+    )
+    AND EXISTS (
+      SELECT 1 FROM public.group_messages
+      WHERE id = group_message_reactions.message_id
+        AND group_id = group_message_reactions.group_id
+    )
+  );
+
+DROP POLICY IF EXISTS "Users can remove own reactions" ON public.group_message_reactions;
+CREATE POLICY "Users can remove own reactions"
+  ON public.group_message_reactions FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- =============================================================================
+-- 3. Poll votes (one per member per poll)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.group_poll_votes (
+  message_id UUID NOT NULL REFERENCES public.group_messages(id) ON DELETE CASCADE,
+  group_id UUID NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  option_index INTEGER NOT NULL CHECK (option_index BETWEEN 0 AND 3),
+  created_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (message_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_poll_votes_group
+  ON public.group_poll_votes (group_id);
+
+ALTER TABLE public.group_poll_votes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Group members can read poll votes" ON public.group_poll_votes;
+CREATE POLICY "Group members can read poll votes"
+  ON public.group_poll_votes FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM public.group_members
+      WHERE group_id = group_poll_votes.group_id
+        AND user_id = auth.uid()
+        AND is_active = true
+    )
+  );
+
+DROP POLICY IF EXISTS "Group members can vote in polls" ON public.group_poll_votes;
+CREATE POLICY "Group members can vote in polls"
+  ON public.group_poll_votes FOR INSERT
+  WITH CHECK (
+    auth.uid() = user_id
+    AND EXISTS (
+      SELECT 1 FROM public.group_members
+      WHERE group_id = group_poll_votes.group_id
+        AND user_id = auth.uid()
+        AND is_active = true
+    )
+    AND EXISTS (
+      SELECT 1 FROM public.group_messages
+      WHERE id = group_poll_votes.message_id
+        AND group_id = group_poll_votes.group_id
+        AND kind = 'poll'
+    )
+  );
+
+DROP POLICY IF EXISTS "Users can change own poll vote" ON public.group_poll_votes;
+CREATE POLICY "Users can change own poll vote"
+  ON public.group_poll_votes FOR UPDATE
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can remove own poll vote" ON public.group_poll_votes;
+CREATE POLICY "Users can remove own poll vote"
+  ON public.group_poll_votes FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- =============================================================================
+-- 4. Realtime (DELETE events can't be filtered by group_id; their old row
+--    still has the primary key, which is enough to drop a reaction or vote)
+-- =============================================================================
+ALTER PUBLICATION supabase_realtime ADD TABLE public.group_message_reactions;
+ALTER PUBLICATION supabase_realtime ADD TABLE public.group_poll_votes;
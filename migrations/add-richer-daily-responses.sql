@@ -0,0 +1,22 @@
+-- Migration: Richer daily responses
+-- Next to yes / no, members can answer:
+--   late   eats along later, expected around eta
+--   plate  not at the table, keep a plate ("bewaar een bordje")
+--   maybe  undecided until maybe_until; after that the app counts it as no
+-- and bring guests (+N) when they eat (yes / late / plate).
+-- yes, late and plate count as eating everywhere (voting, expenses, the cook
+-- rota); eaters plus guests are tonight's portions for recipes and the
+-- shopping list. See lib/dinnerResponses.js.
+-- Run in Supabase SQL Editor.
+
+ALTER TABLE public.daily_responses DROP CONSTRAINT IF EXISTS daily_responses_response_check;
+ALTER TABLE public.daily_responses ADD CONSTRAINT daily_responses_response_check
+  CHECK (response IN ('yes', 'no', 'late', 'plate', 'maybe'));
+
+ALTER TABLE public.daily_responses ADD COLUMN IF NOT EXISTS eta TIME;
+ALTER TABLE public.daily_responses ADD COLUMN IF NOT EXISTS maybe_until TIMESTAMPTZ;
+ALTER TABLE public.daily_responses ADD COLUMN IF NOT EXISTS guests INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE public.daily_responses DROP CONSTRAINT IF EXISTS daily_responses_guests_check;
+ALTER TABLE public.daily_responses ADD CONSTRAINT daily_responses_guests_check
+  CHECK (guests BETWEEN 0 AND 10 AND (guests = 0 OR response IN ('yes', 'late', 'plate')));
@@ -0,0 +1,10 @@
+-- Migration: Round constraints chosen when a voting round starts
+-- The round setup step in GroupsScreenSimple limits the candidates of a new
+-- round (see lib/roundConstraints.js):
+-- { "maxMinutes": 30, "maxCostPerPerson": 5, "includeCuisines": ["italian"],
+--   "excludeCuisines": [], "groupOnly": false }
+-- NULL = no constraints.
+-- Run in Supabase SQL Editor.
+
+ALTER TABLE public.meal_requests
+  ADD COLUMN IF NOT EXISTS constraints JSONB;
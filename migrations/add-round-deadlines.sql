@@ -0,0 +1,72 @@
+-- Migration: Deadline-driven auto-close of voting rounds
+-- lib/roundCloseService.js closes a daily round at the deadline of today's
+-- dinner request, or as soon as everyone who said yes has finished voting.
+-- The winner is frozen on the round and the group gets a push with the result
+-- and the cook. Members who haven't finished get one reminder
+-- groups.deadline_reminder_minutes before the deadline.
+-- Closing and reminding are claimed with conditional updates (status =
+-- 'active', reminder_sent_at IS NULL), so several devices can run the check
+-- at the same time and only one of them sends the push.
+-- Run in Supabase SQL Editor.
+
+-- =============================================================================
+-- 1. Round deadline, cook and frozen outcome
+-- =============================================================================
+ALTER TABLE public.meal_requests
+  ADD COLUMN IF NOT EXISTS deadline TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS cook_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS closed_reason TEXT CHECK (closed_reason IN ('deadline', 'all_voted')),
+  ADD COLUMN IF NOT EXISTS winner_option_id UUID REFERENCES public.meal_options(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS winner_data JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_meal_requests_open_deadline
+  ON public.meal_requests (deadline)
+  WHERE status = 'active' AND deadline IS NOT NULL;
+
+-- =============================================================================
+-- 2. Reminder lead time per group (0 = no reminder)
+-- =============================================================================
+ALTER TABLE public.groups
+  ADD COLUMN IF NOT EXISTS deadline_reminder_minutes INTEGER NOT NULL DEFAULT 30
+  CHECK (deadline_reminder_minutes >= 0);
+
+-- =============================================================================
+-- 3. notification_log: members log round pushes for each other
+-- The device that closes a round logs one row per recipient.
+-- =============================================================================
+DROP POLICY IF EXISTS notification_log_insert_group_round ON notification_log;
+CREATE POLICY notification_log_insert_group_round ON notification_log
+  FOR INSERT WITH CHECK (
+    kind IN ('round_closed', 'deadline_reminder')
+    AND EXISTS (
+      SELECT 1
+      FROM public.group_members mine
+      JOIN public.group_members theirs ON theirs.group_id = mine.group_id
+      WHERE mine.user_id = auth.uid()
+        AND theirs.user_id = notification_log.user_id
+        AND mine.is_active AND theirs.is_active
+    )
+  );
+
+-- =============================================================================
+-- 4. Freeze closed rounds: no votes after a round was closed
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.reject_votes_on_closed_rounds()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM public.meal_requests
+    WHERE id = NEW.request_id AND closed_at IS NOT NULL
+  ) THEN
+    RAISE EXCEPTION 'Voting for this round is closed';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS meal_votes_closed_round ON public.meal_votes;
+CREATE TRIGGER meal_votes_closed_round
+  BEFORE INSERT OR UPDATE ON public.meal_votes
+  FOR EACH ROW EXECUTE FUNCTION public.reject_votes_on_closed_rounds();
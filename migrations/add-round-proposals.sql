@@ -0,0 +1,93 @@
+-- Migration: Members propose candidates in an open voting round
+-- lib/roundProposalService.js lets members add a meal from their own
+-- recipes, the group's saved recipes or their wishlist to an active round, or
+-- swap out one option nobody voted yes on. Swapping deletes that option (its
+-- votes go with it through ON DELETE CASCADE) and inserts the new one at the
+-- same position, so votes on the other options stay.
+-- Members who had already finished voting get a push that there is something
+-- new to vote on.
+-- Run in Supabase SQL Editor.
+
+-- =============================================================================
+-- 1. Who proposed an option (NULL = picked by the app)
+-- =============================================================================
+ALTER TABLE public.meal_options
+  ADD COLUMN IF NOT EXISTS proposed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+-- =============================================================================
+-- 2. Proposals per round, per group (0 = members can't propose)
+-- =============================================================================
+ALTER TABLE public.groups
+  ADD COLUMN IF NOT EXISTS round_proposal_cap INTEGER NOT NULL DEFAULT 3
+  CHECK (round_proposal_cap >= 0);
+
+-- =============================================================================
+-- 3. Enforce the cap and keep closed rounds closed
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.check_round_proposal()
+RETURNS TRIGGER AS $$
+DECLARE
+  round RECORD;
+  used INTEGER;
+BEGIN
+  IF NEW.proposed_by IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT mr.status, mr.closed_at, g.round_proposal_cap
+    INTO round
+    FROM public.meal_requests mr
+    JOIN public.groups g ON g.id = mr.group_id
+   WHERE mr.id = NEW.request_id;
+
+  IF round.status <> 'active' OR round.closed_at IS NOT NULL THEN
+    RAISE EXCEPTION 'Voting for this round is closed';
+  END IF;
+
+  SELECT count(*) INTO used
+    FROM public.meal_options
+   WHERE request_id = NEW.request_id
+     AND proposed_by IS NOT NULL
+     AND id <> NEW.id;
+
+  IF used >= round.round_proposal_cap THEN
+    RAISE EXCEPTION 'This round already has % proposed meals', round.round_proposal_cap;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS meal_options_round_proposal ON public.meal_options;
+CREATE TRIGGER meal_options_round_proposal
+  BEFORE INSERT OR UPDATE OF proposed_by ON public.meal_options
+  FOR EACH ROW EXECUTE FUNCTION public.check_round_proposal();
+
+-- =============================================================================
+-- 4. notification_log: "new options" pushes are logged for co-members too
+-- =============================================================================
+DROP POLICY IF EXISTS notification_log_insert_group_round ON notification_log;
+CREATE POLICY notification_log_insert_group_round ON notification_log
+  FOR INSERT WITH CHECK (
+    kind IN ('round_closed', 'deadline_reminder', 'round_options_changed')
+    AND EXISTS (
+      SELECT 1
+      FROM public.group_members mine
+      JOIN public.group_members theirs ON theirs.group_id = mine.group_id
+      WHERE mine.user_id = auth.uid()
+        AND theirs.user_id = notification_log.user_id
+        AND mine.is_active AND theirs.is_active
+    )
+  );
+
+-- =============================================================================
+-- 5. Realtime: open tallies pick up added and swapped options
+-- =============================================================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'meal_options'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.meal_options;
+  END IF;
+END $$;
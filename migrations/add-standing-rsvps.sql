@@ -0,0 +1,132 @@
+-- Migration: Standing RSVPs and absence periods
+-- Members set a weekly default per group ("ja op ma-do, nee op vr") and
+-- absence periods for all their groups ("weg 12-20 nov"). On the day,
+-- apply_auto_responses() writes them to daily_responses with auto_source set
+-- so everyone can see the answer was automatic. A member answering
+-- themselves clears auto_source and is never overwritten. Inactivity checks
+-- ignore rows with auto_source. See lib/standingRsvp.js.
+-- Run in Supabase SQL Editor.
+
+-- =============================================================================
+-- 1. Where an answer came from: NULL = the member, else 'standing' / 'absence'
+-- =============================================================================
+ALTER TABLE public.daily_responses ADD COLUMN IF NOT EXISTS auto_source TEXT;
+
+ALTER TABLE public.daily_responses DROP CONSTRAINT IF EXISTS daily_responses_auto_source_check;
+ALTER TABLE public.daily_responses ADD CONSTRAINT daily_responses_auto_source_check
+  CHECK (auto_source IS NULL OR auto_source IN ('standing', 'absence'));
+
+-- =============================================================================
+-- 2. Weekly default per member per group: { "1": "yes", ..., "5": "no" }
+--    Keys are days of the week, 0 = Sunday (as EXTRACT(DOW) and Date#getDay)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.rsvp_defaults (
+  group_id UUID NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  weekdays JSONB NOT NULL DEFAULT '{}'::jsonb,
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (group_id, user_id)
+);
+
+ALTER TABLE public.rsvp_defaults ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS rsvp_defaults_own ON public.rsvp_defaults;
+CREATE POLICY rsvp_defaults_own ON public.rsvp_defaults
+  FOR ALL
+  USING (user_id = auth.uid())
+  WITH CHECK (
+    user_id = auth.uid()
+    AND EXISTS (
+      SELECT 1 FROM public.group_members
+      WHERE group_id = rsvp_defaults.group_id AND user_id = auth.uid() AND is_active = true
+    )
+  );
+
+-- =============================================================================
+-- 3. Absence periods, for all groups of the member
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.member_absences (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  starts_on DATE NOT NULL,
+  ends_on DATE NOT NULL,
+  note TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  CHECK (starts_on <= ends_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_absences_user_dates
+  ON public.member_absences (user_id, ends_on);
+
+ALTER TABLE public.member_absences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS member_absences_own ON public.member_absences;
+CREATE POLICY member_absences_own ON public.member_absences
+  FOR ALL
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
+
+-- =============================================================================
+-- 4. Write the automatic answers of one group for one day
+--    Runs from every member's device (app start / foreground, after editing
+--    defaults); it only touches rows that are automatic or missing, so any
+--    number of runs gives the same result.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.apply_auto_responses(p_group_id UUID, p_date DATE)
+RETURNS INTEGER AS $$
+DECLARE
+  written INTEGER;
+  removed INTEGER;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM public.group_members
+    WHERE group_id = p_group_id AND user_id = auth.uid() AND is_active = true
+  ) THEN
+    RAISE EXCEPTION 'Not a member of this group';
+  END IF;
+
+  CREATE TEMP TABLE wanted ON COMMIT DROP AS
+  SELECT gm.user_id,
+         CASE WHEN absent.user_id IS NOT NULL THEN 'no'
+              ELSE d.weekdays ->> EXTRACT(DOW FROM p_date)::INT::TEXT END AS response,
+         CASE WHEN absent.user_id IS NOT NULL THEN 'absence' ELSE 'standing' END AS source
+  FROM public.group_members gm
+  LEFT JOIN public.rsvp_defaults d
+    ON d.group_id = gm.group_id AND d.user_id = gm.user_id
+  LEFT JOIN LATERAL (
+    SELECT ma.user_id FROM public.member_absences ma
+    WHERE ma.user_id = gm.user_id AND p_date BETWEEN ma.starts_on AND ma.ends_on
+    LIMIT 1
+  ) absent ON true
+  WHERE gm.group_id = p_group_id AND gm.is_active = true;
+
+  DELETE FROM wanted WHERE response IS NULL OR response NOT IN ('yes', 'no');
+
+  INSERT INTO public.daily_responses (group_id, user_id, response_date, response, auto_source)
+  SELECT p_group_id, w.user_id, p_date, w.response, w.source FROM wanted w
+  ON CONFLICT (group_id, user_id, response_date) DO UPDATE
+    SET response = EXCLUDED.response,
+        auto_source = EXCLUDED.auto_source,
+        eta = NULL,
+        maybe_until = NULL,
+        guests = 0,
+        updated_at = now()
+    WHERE daily_responses.auto_source IS NOT NULL
+      AND (daily_responses.response, daily_responses.auto_source)
+          IS DISTINCT FROM (EXCLUDED.response, EXCLUDED.auto_source);
+  GET DIAGNOSTICS written = ROW_COUNT;
+
+  -- A default or absence that was taken away takes its automatic answer along
+  DELETE FROM public.daily_responses dr
+  WHERE dr.group_id = p_group_id
+    AND dr.response_date = p_date
+    AND dr.auto_source IS NOT NULL
+    AND NOT EXISTS (SELECT 1 FROM wanted w WHERE w.user_id = dr.user_id);
+  GET DIAGNOSTICS removed = ROW_COUNT;
+
+  DROP TABLE wanted;
+  RETURN written + removed;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.apply_auto_responses(UUID, DATE) TO authenticated;
@@ -0,0 +1,93 @@
+-- Migration: Voting methods per group and per round
+-- groups.voting_method is the default for new rounds; meal_requests.voting_method
+-- is copied from it when a round starts (weekly rounds may override it).
+--   yes_no    most yes votes wins (previous behaviour)
+--   approval  at most approval_limit yes votes per member count
+--   ranked    yes votes carry a rank (1 = favourite), resolved by instant runoff
+--   veto      yes/no plus one 'veto' vote per member
+-- Rounds are tallied on the client (lib/votingMethods.js); get_top_voted_meals
+-- keeps counting yes votes and is only used for yes_no rounds.
+
+-- =============================================================================
+-- 1. Settings
+-- =============================================================================
+ALTER TABLE public.groups ADD COLUMN IF NOT EXISTS voting_method TEXT NOT NULL DEFAULT 'yes_no';
+ALTER TABLE public.groups ADD COLUMN IF NOT EXISTS approval_limit INTEGER NOT NULL DEFAULT 3;
+
+ALTER TABLE public.meal_requests ADD COLUMN IF NOT EXISTS voting_method TEXT NOT NULL DEFAULT 'yes_no';
+ALTER TABLE public.meal_requests ADD COLUMN IF NOT EXISTS approval_limit INTEGER NOT NULL DEFAULT 3;
+
+ALTER TABLE public.groups DROP CONSTRAINT IF EXISTS groups_voting_method_check;
+ALTER TABLE public.groups ADD CONSTRAINT groups_voting_method_check
+  CHECK (voting_method IN ('yes_no', 'approval', 'ranked', 'veto') AND approval_limit >= 1);
+
+ALTER TABLE public.meal_requests DROP CONSTRAINT IF EXISTS meal_requests_voting_method_check;
+ALTER TABLE public.meal_requests ADD CONSTRAINT meal_requests_voting_method_check
+  CHECK (voting_method IN ('yes_no', 'approval', 'ranked', 'veto') AND approval_limit >= 1);
+
+-- =============================================================================
+-- 2. Votes: veto value, rank for ranked choice, one veto per member per round
+-- =============================================================================
+ALTER TABLE public.meal_votes DROP CONSTRAINT IF EXISTS meal_votes_vote_check;
+ALTER TABLE public.meal_votes ADD CONSTRAINT meal_votes_vote_check
+  CHECK (vote IN ('yes', 'no', 'veto'));
+
+ALTER TABLE public.meal_votes ADD COLUMN IF NOT EXISTS rank INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS meal_votes_one_veto_per_member
+  ON public.meal_votes (request_id, user_id)
+  WHERE vote = 'veto';
+
+-- =============================================================================
+-- 3. merge_meal_requests: carry the rank along and skip a second veto
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.merge_meal_requests(keep_request UUID, duplicate_request UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  keep_group UUID;
+  dup_group UUID;
+  moved INTEGER := 0;
+BEGIN
+  SELECT group_id INTO keep_group FROM public.meal_requests WHERE id = keep_request;
+  SELECT group_id INTO dup_group FROM public.meal_requests WHERE id = duplicate_request;
+
+  IF keep_group IS NULL OR dup_group IS NULL OR keep_group <> dup_group OR keep_request = duplicate_request THEN
+    RAISE EXCEPTION 'Requests do not belong to the same group';
+  END IF;
+  IF NOT public.user_is_group_member(keep_group) THEN
+    RAISE EXCEPTION 'Not a member of this group';
+  END IF;
+
+  INSERT INTO public.meal_votes (request_id, meal_option_id, user_id, vote, rank, created_at)
+  SELECT keep_request, ko.id, dv.user_id, dv.vote, dv.rank, dv.created_at
+  FROM public.meal_votes dv
+  JOIN public.meal_options dop ON dop.id = dv.meal_option_id
+  JOIN LATERAL (
+    SELECT mo.id
+    FROM public.meal_options mo
+    WHERE mo.request_id = keep_request
+      AND (
+        (dop.recipe_id IS NOT NULL AND mo.recipe_id = dop.recipe_id)
+        OR lower(mo.meal_data->>'name') = lower(dop.meal_data->>'name')
+      )
+    ORDER BY mo.display_order
+    LIMIT 1
+  ) ko ON true
+  WHERE dv.request_id = duplicate_request
+    AND NOT (
+      dv.vote = 'veto' AND EXISTS (
+        SELECT 1 FROM public.meal_votes kv
+        WHERE kv.request_id = keep_request AND kv.user_id = dv.user_id AND kv.vote = 'veto'
+      )
+    )
+  ON CONFLICT (request_id, user_id, meal_option_id) DO NOTHING;
+  GET DIAGNOSTICS moved = ROW_COUNT;
+
+  UPDATE public.meal_requests SET status = 'completed'
+  WHERE id = duplicate_request AND status = 'active';
+
+  RETURN moved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.merge_meal_requests(UUID, UUID) TO authenticated;
@@ -0,0 +1,54 @@
+-- Migration: Weekly meal planner
+-- A group can open one voting round for a whole week (Monday..Sunday).
+-- The votes are turned into a day-by-day plan (meal_plan_days) which members
+-- can swap and lock. Each planned day is picked up by the daily Yes/No flow
+-- and the shopping list for that date.
+--
+-- Weekly rounds use status 'planning' instead of 'active' so the existing
+-- daily lookups (get_active_meal_request, load_user_dashboard) never see
+-- them and the daily stale-request cleanup doesn't complete them.
+-- Run in Supabase SQL Editor.
+
+-- =============================================================================
+-- 1. meal_requests: plan type + week
+-- =============================================================================
+ALTER TABLE public.meal_requests
+  ADD COLUMN IF NOT EXISTS plan_type TEXT NOT NULL DEFAULT 'daily' CHECK (plan_type IN ('daily', 'weekly')),
+  ADD COLUMN IF NOT EXISTS week_start DATE;
+
+ALTER TABLE public.meal_requests DROP CONSTRAINT IF EXISTS meal_requests_status_check;
+ALTER TABLE public.meal_requests
+  ADD CONSTRAINT meal_requests_status_check CHECK (status IN ('active', 'planning', 'completed'));
+
+-- At most one open weekly round per group per week
+CREATE UNIQUE INDEX IF NOT EXISTS idx_meal_requests_weekly_open
+  ON public.meal_requests (group_id, week_start)
+  WHERE plan_type = 'weekly' AND status = 'planning';
+
+-- =============================================================================
+-- 2. meal_plan_days: one planned meal per group per date
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.meal_plan_days (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id UUID NOT NULL REFERENCES public.groups(id) ON DELETE CASCADE,
+  plan_date DATE NOT NULL,
+  request_id UUID REFERENCES public.meal_requests(id) ON DELETE SET NULL,
+  meal_option_id UUID REFERENCES public.meal_options(id) ON DELETE SET NULL,
+  meal_data JSONB,
+  locked BOOLEAN NOT NULL DEFAULT false,
+  updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (group_id, plan_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_meal_plan_days_group_date ON public.meal_plan_days (group_id, plan_date);
+
+ALTER TABLE public.meal_plan_days ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Group members can manage meal plan"
+  ON public.meal_plan_days FOR ALL
+  USING (public.user_is_group_member(group_id))
+  WITH CHECK (public.user_is_group_member(group_id));
+
+-- Live updates when someone swaps or locks a day
+ALTER PUBLICATION supabase_realtime ADD TABLE public.meal_plan_days;
@@ -0,0 +1,20 @@
+-- Migration: Keep daily_responses.updated_at current
+-- updated_at was only set when a row was inserted. Changing an answer (the
+-- upsert in dailyResponseService) left it at the first answer of the day, so
+-- inactiveReminder saw members who kept answering as inactive. A trigger sets
+-- it on every update, whoever writes the row.
+-- Run in Supabase SQL Editor.
+
+CREATE OR REPLACE FUNCTION public.daily_responses_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS daily_responses_updated_at_trigger ON public.daily_responses;
+CREATE TRIGGER daily_responses_updated_at_trigger
+  BEFORE UPDATE ON public.daily_responses
+  FOR EACH ROW
+  EXECUTE FUNCTION public.daily_responses_updated_at();
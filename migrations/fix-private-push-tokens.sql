@@ -0,0 +1,67 @@
+-- Migration: Push tokens out of profiles
+-- Group members can read each other's profiles, so profiles.push_token let
+-- any member fetch another member's Expo token and push to them directly.
+-- Tokens now live in push_tokens, which only the service role (the
+-- notify-group Edge Function) can read. The app saves its token with
+-- set_push_token().
+-- Deploy notify-group together with this migration.
+-- Run in Supabase SQL Editor.
+
+-- =============================================================================
+-- 1. Tokens (service role only, no policies)
+-- =============================================================================
+CREATE TABLE IF NOT EXISTS public.push_tokens (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  token TEXT NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_tokens_token ON public.push_tokens (token);
+
+ALTER TABLE public.push_tokens ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON public.push_tokens FROM anon, authenticated;
+
+-- =============================================================================
+-- 2. Move the existing tokens and drop the readable column
+-- =============================================================================
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'profiles' AND column_name = 'push_token'
+  ) THEN
+    INSERT INTO public.push_tokens (user_id, token)
+    SELECT id, push_token FROM public.profiles WHERE push_token IS NOT NULL
+    ON CONFLICT (user_id) DO NOTHING;
+  END IF;
+END $$;
+
+ALTER TABLE public.profiles DROP COLUMN IF EXISTS push_token;
+
+-- =============================================================================
+-- 3. Save (or with NULL remove) the current user's token. A device that
+--    signs in with another account takes its token along.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.set_push_token(p_token TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  uid UUID := auth.uid();
+BEGIN
+  IF uid IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Not authenticated');
+  END IF;
+
+  IF p_token IS NULL THEN
+    DELETE FROM public.push_tokens WHERE user_id = uid;
+    RETURN jsonb_build_object('success', true);
+  END IF;
+
+  DELETE FROM public.push_tokens WHERE token = p_token AND user_id <> uid;
+  INSERT INTO public.push_tokens (user_id, token, updated_at)
+  VALUES (uid, p_token, now())
+  ON CONFLICT (user_id) DO UPDATE SET token = EXCLUDED.token, updated_at = now();
+  RETURN jsonb_build_object('success', true);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.set_push_token(TEXT) TO authenticated;
@@ -0,0 +1,128 @@
+-- Migration: Swap a round option in one transaction
+-- roundProposalService used to check the votes and the proposal cap on the
+-- device, then delete the old option and insert the new one in two requests.
+-- A vote cast in between was lost with the deleted option, and two members
+-- swapping at once could go over the cap. swap_round_option() locks the
+-- round, re-checks both and does the delete and insert together.
+-- Run in Supabase SQL Editor.
+
+-- =============================================================================
+-- 1. Plain proposals lock the round too, so they queue behind a swap
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.check_round_proposal()
+RETURNS TRIGGER AS $$
+DECLARE
+  round RECORD;
+  used INTEGER;
+BEGIN
+  IF NEW.proposed_by IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT mr.status, mr.closed_at, g.round_proposal_cap
+    INTO round
+    FROM public.meal_requests mr
+    JOIN public.groups g ON g.id = mr.group_id
+   WHERE mr.id = NEW.request_id
+     FOR UPDATE OF mr;
+
+  IF round.status <> 'active' OR round.closed_at IS NOT NULL THEN
+    RAISE EXCEPTION 'Voting for this round is closed';
+  END IF;
+
+  SELECT count(*) INTO used
+    FROM public.meal_options
+   WHERE request_id = NEW.request_id
+     AND proposed_by IS NOT NULL
+     AND id <> NEW.id;
+
+  IF used >= round.round_proposal_cap THEN
+    RAISE EXCEPTION 'This round already has % proposed meals', round.round_proposal_cap;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+-- =============================================================================
+-- 2. Swap an option nobody voted yes on for a new one at the same position.
+--    Returns { success, option } or { success: false, reason, error } with
+--    reason 'closed' | 'liked' | 'cap' like proposeRoundOption.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.swap_round_option(
+  p_replace_option_id UUID,
+  p_recipe_id UUID,
+  p_meal_data JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+  uid UUID := auth.uid();
+  old_option RECORD;
+  round RECORD;
+  used INTEGER;
+  inserted RECORD;
+BEGIN
+  IF uid IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Not authenticated');
+  END IF;
+
+  SELECT id, request_id, display_order, proposed_by, meal_data
+    INTO old_option
+    FROM public.meal_options
+   WHERE id = p_replace_option_id
+     FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Option not found');
+  END IF;
+
+  -- The option lock waits for votes being cast on it (they hold a key share
+  -- lock) and blocks new ones; the round lock queues other swaps and proposals
+  SELECT mr.id, mr.group_id, mr.status, mr.closed_at, g.round_proposal_cap
+    INTO round
+    FROM public.meal_requests mr
+    JOIN public.groups g ON g.id = mr.group_id
+   WHERE mr.id = old_option.request_id
+     FOR UPDATE OF mr;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.group_members
+    WHERE group_id = round.group_id AND user_id = uid AND is_active = true
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Not a member of this group');
+  END IF;
+
+  IF round.status <> 'active' OR round.closed_at IS NOT NULL THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'closed', 'error', 'Voting for this round is closed');
+  END IF;
+
+  -- Any placement counts: a yes, an approval pick or any rank on a ballot
+  IF EXISTS (
+    SELECT 1 FROM public.meal_votes
+    WHERE meal_option_id = p_replace_option_id AND vote = 'yes'
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'reason', 'liked', 'error', 'Someone already voted for this option');
+  END IF;
+
+  -- A proposal swapped for another proposal doesn't take a new slot
+  IF old_option.proposed_by IS NULL THEN
+    SELECT count(*) INTO used
+      FROM public.meal_options
+     WHERE request_id = round.id AND proposed_by IS NOT NULL;
+    IF used >= round.round_proposal_cap THEN
+      RETURN jsonb_build_object('success', false, 'reason', 'cap', 'error', 'No more proposals in this round');
+    END IF;
+  END IF;
+
+  DELETE FROM public.meal_options WHERE id = p_replace_option_id;
+
+  INSERT INTO public.meal_options (request_id, recipe_id, meal_data, display_order, proposed_by)
+  VALUES (round.id, p_recipe_id, p_meal_data, old_option.display_order, uid)
+  RETURNING id, meal_data, proposed_by INTO inserted;
+
+  RETURN jsonb_build_object(
+    'success', true,
+    'option', jsonb_build_object('id', inserted.id, 'meal_data', inserted.meal_data, 'proposed_by', inserted.proposed_by)
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.swap_round_option(UUID, UUID, JSONB) TO authenticated;
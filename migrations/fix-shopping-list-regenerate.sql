@@ -0,0 +1,37 @@
+-- Migration: Regenerate a shopping list in one transaction
+-- shoppingService used to delete all items of today's list and insert the
+-- new ones in a second request. A failed insert left the list empty, and
+-- two members regenerating at once could end up with every item twice.
+-- replace_shopping_items() locks the list, deletes and inserts together and
+-- carries checked state over by item_key (name plus unit family, see
+-- lib/shoppingList.js).
+-- Runs with the caller's rights: the item policies still decide who may.
+-- Run in Supabase SQL Editor.
+
+CREATE OR REPLACE FUNCTION public.replace_shopping_items(p_list_id UUID, p_items JSONB)
+RETURNS SETOF public.group_shopping_items AS $$
+  -- Regenerates of the same list queue up here
+  SELECT id FROM public.group_shopping_lists WHERE id = p_list_id FOR UPDATE;
+
+  WITH previous AS (
+    DELETE FROM public.group_shopping_items
+    WHERE list_id = p_list_id
+    RETURNING item_key, checked, checked_by, checked_at
+  ), carried AS (
+    SELECT DISTINCT ON (item_key) item_key, checked_by, checked_at
+    FROM previous
+    WHERE checked
+    ORDER BY item_key, checked_at DESC NULLS LAST
+  )
+  INSERT INTO public.group_shopping_items
+    (list_id, item_key, name, quantity_text, aisle, checked, checked_by, checked_at, sort_order)
+  SELECT
+    p_list_id, i.item_key, i.name, i.quantity_text, COALESCE(i.aisle, 'other'),
+    c.item_key IS NOT NULL, c.checked_by, c.checked_at, i.sort_order
+  FROM jsonb_to_recordset(COALESCE(p_items, '[]'::jsonb))
+    AS i(item_key TEXT, name TEXT, quantity_text TEXT, aisle TEXT, sort_order INTEGER)
+  LEFT JOIN carried c ON c.item_key = i.item_key
+  RETURNING *;
+$$ LANGUAGE sql VOLATILE SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.replace_shopping_items(UUID, JSONB) TO authenticated;
@@ -0,0 +1,109 @@
+-- Migration: System messages are written by the server
+-- sendSystemMessage used to insert kind 'system' rows with text and a /wie
+-- overview built on the device, so any member could post a "system" message
+-- saying anything. post_system_message() builds the text (and for /wie who
+-- eats along tonight) from the command, the sender's profile and
+-- daily_responses, and direct inserts of kind 'system' are no longer allowed.
+-- Run in Supabase SQL Editor.
+
+-- =============================================================================
+-- 1. Members can only send their own, non-system messages
+-- =============================================================================
+DROP POLICY IF EXISTS "Group members can send messages" ON public.group_messages;
+CREATE POLICY "Group members can send messages"
+  ON public.group_messages FOR INSERT
+  WITH CHECK (
+    auth.uid() = user_id
+    AND kind <> 'system'
+    AND EXISTS (
+      SELECT 1 FROM public.group_members
+      WHERE group_id = group_messages.group_id
+        AND user_id = auth.uid()
+        AND is_active = true
+    )
+  );
+
+-- =============================================================================
+-- 2. Post what a chat command did ('ja' | 'nee' | 'shop' | 'wie').
+--    Returns { success, message } with the inserted row, or
+--    { success: false, error }. The /wie overview follows
+--    lib/dinnerResponses.js: late and plate eat along, a maybe past its
+--    cutoff is a no.
+-- =============================================================================
+CREATE OR REPLACE FUNCTION public.post_system_message(p_group_id UUID, p_command TEXT)
+RETURNS JSONB AS $$
+DECLARE
+  uid UUID := auth.uid();
+  sender TEXT;
+  overview JSONB;
+  body TEXT;
+  inserted public.group_messages;
+BEGIN
+  IF uid IS NULL THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Not authenticated');
+  END IF;
+
+  IF p_command IS NULL OR p_command NOT IN ('ja', 'nee', 'shop', 'wie') THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Invalid command');
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM public.group_members
+    WHERE group_id = p_group_id AND user_id = uid AND is_active = true
+  ) THEN
+    RETURN jsonb_build_object('success', false, 'error', 'Not a member of this group');
+  END IF;
+
+  IF p_command = 'wie' THEN
+    WITH answers AS (
+      SELECT gm.user_id,
+             CASE WHEN dr.response = 'maybe' AND dr.maybe_until <= now() THEN 'no' ELSE dr.response END AS response,
+             COALESCE(dr.guests, 0) AS guests
+        FROM public.group_members gm
+        LEFT JOIN public.daily_responses dr
+          ON dr.group_id = gm.group_id
+         AND dr.user_id = gm.user_id
+         AND dr.response_date = public.group_dinner_day(p_group_id)
+       WHERE gm.group_id = p_group_id AND gm.is_active = true
+    )
+    SELECT jsonb_build_object(
+             'command', 'wie',
+             'eating', COALESCE(jsonb_agg(user_id) FILTER (WHERE response IN ('yes', 'late', 'plate')), '[]'::jsonb),
+             'maybe', COALESCE(jsonb_agg(user_id) FILTER (WHERE response = 'maybe'), '[]'::jsonb),
+             'notEating', COALESCE(jsonb_agg(user_id) FILTER (WHERE response NOT IN ('yes', 'late', 'plate', 'maybe')), '[]'::jsonb),
+             'waiting', COALESCE(jsonb_agg(user_id) FILTER (WHERE response IS NULL), '[]'::jsonb),
+             'guests', COALESCE(sum(guests) FILTER (WHERE response IN ('yes', 'late', 'plate')), 0)
+           )
+      INTO overview
+      FROM answers;
+
+    body := format(
+      'Vanavond eten %s%s mee, %s nog geen antwoord',
+      jsonb_array_length(overview -> 'eating'),
+      CASE WHEN (overview ->> 'guests')::int > 0 THEN ' +' || (overview ->> 'guests') ELSE '' END,
+      jsonb_array_length(overview -> 'waiting')
+    );
+  ELSE
+    SELECT COALESCE(NULLIF(display_name, ''), NULLIF(full_name, ''), 'Iemand')
+      INTO sender
+      FROM public.profiles
+     WHERE id = uid;
+    sender := COALESCE(sender, 'Iemand');
+
+    overview := jsonb_build_object('command', p_command);
+    body := CASE p_command
+      WHEN 'ja' THEN sender || ' eet mee vanavond'
+      WHEN 'nee' THEN sender || ' eet niet mee vanavond'
+      ELSE sender || ' gaat boodschappen doen'
+    END;
+  END IF;
+
+  INSERT INTO public.group_messages (group_id, user_id, message, kind, payload)
+  VALUES (p_group_id, uid, left(body, 500), 'system', overview)
+  RETURNING * INTO inserted;
+
+  RETURN jsonb_build_object('success', true, 'message', to_jsonb(inserted));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.post_system_message(UUID, TEXT) TO authenticated;
@@ -0,0 +1,329 @@
+import { serve } from "https://deno.land/std@0.224.0/http/server.ts";
+import { createClient, SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+// Push dispatch: the app asks "notify group X of event Y" and this function
+// resolves recipients, preferences and push tokens on the server, sends in
+// batches to Expo, logs every delivery to notification_log and clears
+// tokens Expo reports as dead. POST { action: "receipts" } with the service
+// role key checks the receipts of earlier sends (run it on a schedule).
+//
+// Request: { event, groupId?, occasionId?, userIds?, title, body, data? }
+//   groupId     events sent to group members; the caller must be a member
+//   occasionId  occasion_invite, sent to the occasion's participants
+//   userIds     only these members (default: everyone but the caller)
+//
+// EXPO_PUSH_API_URL points at the Expo push API (or a local stub for tests);
+// EXPO_ACCESS_TOKEN is sent along when push security is enabled.
+
+const DEFAULT_EXPO_PUSH_API_URL = "https://exp.host/--/api/v2/push";
+const SEND_BATCH_SIZE = 100;
+const RECEIPT_BATCH_SIZE = 300;
+// Expo keeps receipts for a day and has them ready after ~15 minutes
+const RECEIPT_DELAY_MS = 15 * 60 * 1000;
+const RECEIPT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_TITLE_LENGTH = 100;
+const MAX_BODY_LENGTH = 300;
+
+type Audience = "group" | "occasion";
+
+// Events the app may send, who they go to and which profile setting can
+// turn them off
+const EVENTS: Record<string, { audience: Audience; preference?: string }> = {
+  chat: { audience: "group", preference: "chat_notifications" },
+  shopping_started: { audience: "group" },
+  voting_started: { audience: "group" },
+  round_closed: { audience: "group" },
+  deadline_reminder: { audience: "group" },
+  round_options_changed: { audience: "group" },
+  cook_assigned: { audience: "group" },
+  occasion_invite: { audience: "occasion" },
+};
+
+type Recipient = { id: string; push_token: string };
+type Ticket = { status: "ok" | "error"; id?: string; message?: string; details?: { error?: string } };
+type PushTicketRow = { ticket_id: string; log_id: string | null; user_id: string; push_token: string; created_at: string };
+
+const json = (status: number, body: unknown) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+const chunk = <T>(items: T[], size: number): T[][] => {
+  const chunks: T[][] = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+const expoFetch = async (path: string, payload: unknown) => {
+  const baseUrl = (Deno.env.get("EXPO_PUSH_API_URL") || DEFAULT_EXPO_PUSH_API_URL).replace(/\/$/, "");
+  const accessToken = Deno.env.get("EXPO_ACCESS_TOKEN");
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+    },
+    body: JSON.stringify(payload),
+  });
+  if (!response.ok) throw new Error(`Expo push API HTTP ${response.status}`);
+  return (await response.json())?.data;
+};
+
+const clearDeadToken = (admin: SupabaseClient, userId: string, token: string) =>
+  admin.from("push_tokens").delete().eq("user_id", userId).eq("token", token);
+
+const isActiveMember = async (admin: SupabaseClient, groupId: string, userId: string) => {
+  const { data } = await admin
+    .from("group_members")
+    .select("user_id")
+    .eq("group_id", groupId)
+    .eq("user_id", userId)
+    .eq("is_active", true)
+    .maybeSingle();
+  return !!data;
+};
+
+/**
+ * User ids an event goes to, or an error when the caller may not send it
+ */
+const resolveAudience = async (
+  admin: SupabaseClient,
+  audience: Audience,
+  { groupId, occasionId, userIds, callerId }: { groupId?: string; occasionId?: string; userIds?: string[]; callerId: string | null },
+): Promise<{ ids?: string[]; error?: string }> => {
+  let ids: string[] = [];
+  if (audience === "group") {
+    if (!groupId) return { error: "groupId is required" };
+    if (callerId && !(await isActiveMember(admin, groupId, callerId))) return { error: "Not a member of this group" };
+    const { data, error } = await admin
+      .from("group_members")
+      .select("user_id")
+      .eq("group_id", groupId)
+      .eq("is_active", true);
+    if (error) return { error: error.message };
+    ids = (data || []).map((m) => m.user_id);
+  } else {
+    if (!occasionId) return { error: "occasionId is required" };
+    const [{ data: occasion }, { data: participants, error }] = await Promise.all([
+      admin.from("special_occasions").select("creator_id").eq("id", occasionId).maybeSingle(),
+      admin.from("special_occasion_participants").select("user_id").eq("occasion_id", occasionId),
+    ]);
+    if (error) return { error: error.message };
+    ids = (participants || []).map((p) => p.user_id);
+    const involved = occasion?.creator_id === callerId || ids.includes(callerId || "");
+    if (callerId && !involved) return { error: "Not part of this occasion" };
+  }
+
+  if (userIds?.length) {
+    const wanted = new Set(userIds);
+    return { ids: ids.filter((id) => wanted.has(id)) };
+  }
+  return { ids: ids.filter((id) => id !== callerId) };
+};
+
+/**
+ * Push one event to its recipients. Returns { sent, failed, removedTokens }
+ */
+const dispatch = async (
+  admin: SupabaseClient,
+  event: string,
+  recipientIds: string[],
+  { title, body, data }: { title: string; body: string; data: Record<string, unknown> },
+) => {
+  const preference = EVENTS[event].preference;
+  const { data: tokens, error } = await admin
+    .from("push_tokens")
+    .select("user_id, token")
+    .in("user_id", recipientIds);
+  if (error) throw error;
+
+  let optedOut = new Set<string>();
+  if (preference) {
+    const { data: profiles, error: profileError } = await admin
+      .from("profiles")
+      .select(`id, ${preference}`)
+      .in("id", recipientIds);
+    if (profileError) throw profileError;
+    optedOut = new Set((profiles || [])
+      .filter((p: Record<string, unknown>) => p[preference] === false)
+      .map((p: Record<string, unknown>) => p.id as string));
+  }
+
+  const recipients: Recipient[] = (tokens || [])
+    .filter((t: Record<string, unknown>) => !optedOut.has(t.user_id as string))
+    .filter((t: Record<string, unknown>) => String(t.token).startsWith("ExponentPushToken"))
+    .map((t: Record<string, unknown>) => ({ id: t.user_id as string, push_token: t.token as string }));
+
+  const result = { sent: 0, failed: 0, removedTokens: 0 };
+  const payloadData = { type: event, ...data };
+
+  for (const batch of chunk(recipients, SEND_BATCH_SIZE)) {
+    let tickets: Ticket[] = [];
+    let batchError: string | null = null;
+    try {
+      tickets = await expoFetch("/send", batch.map((r) => ({
+        to: r.push_token,
+        sound: "default",
+        title,
+        body,
+        data: payloadData,
+      })));
+    } catch (e) {
+      batchError = e instanceof Error ? e.message : "Expo push API error";
+    }
+
+    const now = new Date().toISOString();
+    const rows = batch.map((r, i) => {
+      const ticket = tickets?.[i];
+      const ok = !batchError && ticket?.status === "ok";
+      return {
+        user_id: r.id,
+        kind: event,
+        title,
+        body,
+        data,
+        status: ok ? "sent" : "failed",
+        sent_at: ok ? now : null,
+        error: ok ? null : batchError || ticket?.details?.error || ticket?.message || "No ticket",
+      };
+    });
+    const { data: logs } = await admin.from("notification_log").insert(rows).select("id");
+
+    const pending = [];
+    for (let i = 0; i < batch.length; i++) {
+      const ticket = tickets?.[i];
+      if (!batchError && ticket?.status === "ok") {
+        result.sent += 1;
+        if (ticket.id) {
+          pending.push({ ticket_id: ticket.id, log_id: logs?.[i]?.id || null, user_id: batch[i].id, push_token: batch[i].push_token });
+        }
+      } else {
+        result.failed += 1;
+        if (ticket?.details?.error === "DeviceNotRegistered") {
+          await clearDeadToken(admin, batch[i].id, batch[i].push_token);
+          result.removedTokens += 1;
+        }
+      }
+    }
+    if (pending.length) await admin.from("push_tickets").insert(pending);
+  }
+
+  return result;
+};
+
+/**
+ * Check receipts of tickets old enough to have one: failures are written
+ * to notification_log and dead tokens cleared. Returns { checked, failed, removedTokens }
+ */
+const checkReceipts = async (admin: SupabaseClient) => {
+  const readyBefore = new Date(Date.now() - RECEIPT_DELAY_MS).toISOString();
+  const { data: tickets, error } = await admin
+    .from("push_tickets")
+    .select("ticket_id, log_id, user_id, push_token, created_at")
+    .lt("created_at", readyBefore)
+    .order("created_at", { ascending: true })
+    .limit(RECEIPT_BATCH_SIZE * 10);
+  if (error) throw error;
+
+  const result = { checked: 0, failed: 0, removedTokens: 0 };
+  for (const batch of chunk((tickets || []) as PushTicketRow[], RECEIPT_BATCH_SIZE)) {
+    const receipts: Record<string, Ticket> = await expoFetch("/getReceipts", { ids: batch.map((t) => t.ticket_id) }) || {};
+    const done: string[] = [];
+    for (const ticket of batch) {
+      const receipt = receipts[ticket.ticket_id];
+      if (!receipt) {
+        // No receipt yet; give up once Expo no longer keeps it
+        if (Date.now() - new Date(ticket.created_at).getTime() > RECEIPT_MAX_AGE_MS) done.push(ticket.ticket_id);
+        continue;
+      }
+      done.push(ticket.ticket_id);
+      result.checked += 1;
+      if (receipt.status === "ok") continue;
+
+      result.failed += 1;
+      if (ticket.log_id) {
+        await admin
+          .from("notification_log")
+          .update({ status: "failed", error: receipt.details?.error || receipt.message || "Delivery failed" })
+          .eq("id", ticket.log_id);
+      }
+      if (receipt.details?.error === "DeviceNotRegistered") {
+        await clearDeadToken(admin, ticket.user_id, ticket.push_token);
+        result.removedTokens += 1;
+      }
+    }
+    if (done.length) await admin.from("push_tickets").delete().in("ticket_id", done);
+  }
+  return result;
+};
+
+serve(async (req) => {
+  try {
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader || !authHeader.startsWith("Bearer ")) {
+      return json(401, { error: "Missing bearer token" });
+    }
+
+    const token = authHeader.replace("Bearer ", "");
+    const supabaseUrl = Deno.env.get("SUPABASE_URL");
+    const supabaseAnonKey = Deno.env.get("SUPABASE_ANON_KEY");
+    const supabaseServiceRoleKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY");
+
+    if (!supabaseUrl || !supabaseAnonKey || !supabaseServiceRoleKey) {
+      return json(500, { error: "Function environment is not configured" });
+    }
+
+    const admin = createClient(supabaseUrl, supabaseServiceRoleKey, {
+      auth: { persistSession: false, autoRefreshToken: false },
+    });
+    const isService = token === supabaseServiceRoleKey;
+
+    const request = await req.json().catch(() => ({}));
+
+    if (request.action === "receipts") {
+      if (!isService) return json(403, { error: "Receipts need the service role key" });
+      return json(200, { success: true, ...(await checkReceipts(admin)) });
+    }
+
+    // Validate caller from JWT; scheduled jobs call with the service role key
+    let callerId: string | null = null;
+    if (!isService) {
+      const userClient = createClient(supabaseUrl, supabaseAnonKey, {
+        global: { headers: { Authorization: `Bearer ${token}` } },
+        auth: { persistSession: false, autoRefreshToken: false },
+      });
+      const { data: authData, error: authError } = await userClient.auth.getUser();
+      if (authError || !authData?.user) return json(401, { error: "Unauthorized" });
+      callerId = authData.user.id;
+    }
+
+    const { event, groupId, occasionId, userIds, title, body, data } = request;
+    const config = EVENTS[event];
+    if (!config) return json(400, { error: `Unknown event ${event}` });
+    if (typeof title !== "string" || typeof body !== "string" || !title || !body) {
+      return json(400, { error: "title and body are required" });
+    }
+
+    const audience = await resolveAudience(admin, config.audience, {
+      groupId,
+      occasionId,
+      userIds: Array.isArray(userIds) ? userIds : undefined,
+      callerId,
+    });
+    if (audience.error) return json(403, { error: audience.error });
+    if (!audience.ids?.length) return json(200, { success: true, sent: 0, failed: 0, removedTokens: 0 });
+
+    const result = await dispatch(admin, event, audience.ids, {
+      title: title.slice(0, MAX_TITLE_LENGTH),
+      body: body.slice(0, MAX_BODY_LENGTH),
+      data: data && typeof data === "object" ? data : {},
+    });
+    return json(200, { success: true, ...result });
+  } catch (e) {
+    return json(500, {
+      error: e instanceof Error ? e.message : "Unexpected notify-group error",
+    });
+  }
+});